@@ -0,0 +1,308 @@
+/**
+ * TableLens background service worker
+ * Routes messages between the popup, the table viewer and content scripts, owns downloads and
+ * long-running PDF extraction (so they finish when the popup closes), caches the tables found in
+ * each tab, handles the right-click menu and keyboard commands and is the only place that updates the
+ * license usage counters.
+ */
+
+importScripts('libs/xlsx.full.min.js', 'utils/license.js', 'utils/tabCache.js', 'utils/pdfText.js', 'utils/pdfTables.js', 'utils/contextMenu.js');
+
+const XLSX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+const DOWNLOAD_POLL_MS = 3000;
+const DOWNLOAD_MAX_WAIT_MS = 10 * 60 * 1000; // the Save As dialog may stay open for a while
+
+// Survives service worker restarts, cleared when the browser closes
+const tabCache = new TabTableCache(chrome.storage.session ? {
+  get: () => chrome.storage.session.get(TAB_CACHE_STORAGE_KEY),
+  set: (items) => chrome.storage.session.set(items)
+} : null);
+
+/* ================= License usage ================= */
+
+// Counter updates are read-modify-write on chrome.storage.sync; run them one at a time
+let usageQueue = Promise.resolve();
+
+/**
+ * Record a usage event and return the updated license state
+ * @param {string} kind - extract | exportAll | exportSingle | workspaceSaved | workspaceRemoved
+ * @param {number} [count] - tables found (extract only)
+ */
+function recordUsage(kind, count = 0) {
+  const run = async () => {
+    // Reload first: the license key may have been changed from the popup
+    await licenseManager.init();
+    if (kind === 'extract') await licenseManager.recordExtraction(count);
+    else if (kind === 'exportAll') await licenseManager.markExportAllXLSX();
+    else if (kind === 'exportSingle') await licenseManager.markExportSingleXLSX();
+    else if (kind === 'workspaceSaved') await licenseManager.incrementWorkspaceCount();
+    else if (kind === 'workspaceRemoved') await licenseManager.decrementWorkspaceCount();
+    else throw new Error(`Unknown usage kind: ${kind}`);
+    return licenseManager.state;
+  };
+  usageQueue = usageQueue.then(run, run);
+  return usageQueue;
+}
+
+/* ================= Downloads ================= */
+
+/**
+ * Download a URL (data: URLs from the popup and viewer, so the file does not depend on the page that
+ * created it) and wait until it completes or is interrupted
+ * @returns {Promise<string>} complete | interrupted | cancelled
+ */
+function downloadAndWait({ url, filename, saveAs = true }) {
+  return new Promise((resolve) => {
+    chrome.downloads.download({ url, filename, saveAs }, (downloadId) => {
+      if (chrome.runtime.lastError || !downloadId) {
+        resolve('cancelled');
+        return;
+      }
+      let finished = false;
+      const startedAt = Date.now();
+      const finish = (state) => {
+        if (finished) return;
+        finished = true;
+        chrome.downloads.onChanged.removeListener(listener);
+        resolve(state);
+      };
+      const listener = (delta) => {
+        if (delta.id !== downloadId || !delta.state) return;
+        if (delta.state.current === 'complete' || delta.state.current === 'interrupted') finish(delta.state.current);
+      };
+      chrome.downloads.onChanged.addListener(listener);
+
+      // Some browsers (Edge) miss the completion event; poll as a fallback
+      const poll = () => {
+        if (finished) return;
+        chrome.downloads.search({ id: downloadId }, (results) => {
+          const item = Array.isArray(results) ? results[0] : null;
+          if (item && (item.state === 'complete' || item.state === 'interrupted')) {
+            finish(item.state);
+          } else if (Date.now() - startedAt < DOWNLOAD_MAX_WAIT_MS) {
+            setTimeout(poll, DOWNLOAD_POLL_MS);
+          } else {
+            finish('interrupted');
+          }
+        });
+      };
+      setTimeout(poll, DOWNLOAD_POLL_MS);
+    });
+  });
+}
+
+/**
+ * Download a file and count the export against the license once the file is saved
+ * @param {{url: string, filename: string, saveAs?: boolean, usage?: string}} request
+ */
+async function handleDownload(request) {
+  const state = await downloadAndWait(request);
+  const licenseState = state === 'complete' && request.usage ? await recordUsage(request.usage) : null;
+  return { success: state === 'complete', state, licenseState };
+}
+
+/**
+ * Save a chart image sent by the chart window. Only PNG/SVG data URLs are accepted and the file
+ * name is reduced to a base name with the matching extension (the request passes through a page).
+ * @param {{data: string, filename: string}} request
+ */
+function exportChartImage(request) {
+  const match = /^data:image\/(png|svg\+xml)[;,]/.exec(String(request.data || ''));
+  if (!match) throw new Error('Chart exports must be PNG or SVG images');
+  const extension = match[1] === 'png' ? 'png' : 'svg';
+  const base = String(request.filename || '').split(/[\\/]/).pop().replace(/\.[^.]*$/, '').replace(/[^\w.-]+/g, '_') || 'chart';
+  return handleDownload({ url: request.data, filename: `${base}.${extension}`, saveAs: false });
+}
+
+/**
+ * File downloads requested by the popup and the viewer: generated files only (data:/blob: URLs)
+ * @param {{url: string, filename: string, saveAs?: boolean, usage?: string}} request
+ * @param {chrome.runtime.MessageSender} sender
+ */
+function downloadGeneratedFile(request, sender) {
+  if (!sender.url || !sender.url.startsWith(chrome.runtime.getURL(''))) {
+    throw new Error('Downloads can only be requested by extension pages');
+  }
+  if (!/^(data|blob):/i.test(String(request.url || ''))) throw new Error('Only generated files can be downloaded');
+  return handleDownload(request);
+}
+
+/**
+ * Save one table as XLSX (on-page table toolbar); counted as a single-table export
+ * @param {{data: string[][], filename: string}} request
+ */
+async function exportTableXLSX(request) {
+  await licenseManager.init();
+  if (!licenseManager.canExportSingleXLSX()) {
+    return { success: false, error: 'monthly XLSX export limit reached' };
+  }
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(request.data), 'Sheet1');
+  const base64 = XLSX.write(wb, { bookType: 'xlsx', type: 'base64' });
+  return handleDownload({ url: `data:${XLSX_MIME_TYPE};base64,${base64}`, filename: request.filename, saveAs: true, usage: 'exportSingle' });
+}
+
+/* ================= PDF extraction ================= */
+
+/**
+ * Extract the tables of a PDF and add them to the tab's table list
+ * @param {{tabId: number, pdfUrl: string, pages?: number[]}} request
+ */
+async function extractAllTablesFromPDF(request) {
+  const response = await fetch(request.pdfUrl);
+  if (!response.ok) throw new Error(`Could not download PDF (HTTP ${response.status})`);
+  const bytes = new Uint8Array(await response.arrayBuffer());
+  // Text positions are analysed locally - the document never leaves the browser
+  const extraction = await extractPdfTextRuns(bytes, { pages: request.pages || null });
+  const tables = extractPdfTables(extraction);
+  if (tables.length === 0) {
+    return { success: true, count: 0, pageCount: extraction.pageCount };
+  }
+  // The content script owns the table list and ids; it reports each table back (pdfTableDetected)
+  const added = await chrome.tabs.sendMessage(request.tabId, { action: 'addBatchExtractedTables', tables }, { frameId: 0 });
+  if (!added || !added.success) throw new Error((added && added.error) || 'Failed processing extracted tables');
+  const licenseState = await recordUsage('extract', tables.length);
+  return { success: true, count: tables.length, pageCount: extraction.pageCount, licenseState };
+}
+
+/* ================= Viewer ================= */
+
+/**
+ * Open a table in a new viewer tab. The payload goes through chrome.storage.session because the
+ * worker has no localStorage (the transfer channel used by the popup).
+ * @param {{tableData: string[][], tableInfo: Object}} table - TABLE_DATA payload
+ * @param {chrome.tabs.Tab} [sourceTab] - the viewer opens next to it
+ */
+async function openTableInViewer(table, sourceTab) {
+  const transferKey = `tableLens_transfer_${Date.now()}_${Math.random().toString(36).slice(2)}`;
+  await chrome.storage.session.set({ [transferKey]: { table } });
+  const url = chrome.runtime.getURL(`table-viewer.html?transfer=${encodeURIComponent(transferKey)}&store=session`);
+  await chrome.tabs.create(sourceTab ? { url, index: sourceTab.index + 1, openerTabId: sourceTab.id } : { url });
+}
+
+/* ================= Context menu ================= */
+
+chrome.runtime.onInstalled.addListener(() => {
+  chrome.contextMenus.removeAll(() => {
+    CONTEXT_MENU_ITEMS.forEach(item => {
+      chrome.contextMenus.create({ id: item.id, title: item.title, contexts: CONTEXT_MENU_CONTEXTS });
+    });
+  });
+});
+
+chrome.contextMenus.onClicked.addListener(async (info, tab) => {
+  const item = CONTEXT_MENU_ITEMS.find(entry => entry.id === info.menuItemId);
+  if (!item || !tab) return;
+  try {
+    // Only the frame that was right-clicked knows the element under the cursor
+    const response = await chrome.tabs.sendMessage(tab.id, { action: 'contextMenuTable', mode: item.mode, frameTarget: true },
+      { frameId: info.frameId || 0 });
+    if (response && response.success && item.mode === 'open') await openTableInViewer(response.table, tab);
+  } catch (error) {
+    // No content script (browser pages, the Web Store) - nothing to act on
+    console.warn(`[Background] ${item.id} failed:`, error.message);
+  }
+});
+
+/* ================= Keyboard commands ================= */
+
+function notifyTab(tabId, message) {
+  return chrome.tabs.sendMessage(tabId, { action: 'showPageNotice', message }, { frameId: 0 }).catch(() => {});
+}
+
+function siteName(url) {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '').replace(/[^a-z0-9.-]/gi, '_') || 'table';
+  } catch (e) {
+    return 'table';
+  }
+}
+
+const commandHandlers = {
+  'extract-all-tables': async (tab) => {
+    await licenseManager.init();
+    if (!licenseManager.canExtractTables()) {
+      await notifyTab(tab.id, 'Monthly extraction limit reached - open TableLens to upgrade');
+      return;
+    }
+    // Every frame gets the scan; the content scripts report their tables to the tab cache
+    const response = await chrome.tabs.sendMessage(tab.id, { action: 'detectTables' });
+    const count = (response && response.tables || []).length;
+    if (count > 0) await recordUsage('extract', count);
+    await notifyTab(tab.id, count > 0 ? `Found ${count} table(s) - open the TableLens popup to view them` : 'No tables found on this page');
+  },
+  'open-focused-table': async (tab) => {
+    const response = await chrome.tabs.sendMessage(tab.id, { action: 'keyboardCommand', command: 'open-focused-table' }, { frameId: 0 });
+    if (response && response.success) await openTableInViewer(response.table, tab);
+  },
+  'export-last-table-csv': async (tab) => {
+    const response = await chrome.tabs.sendMessage(tab.id, { action: 'keyboardCommand', command: 'export-last-table-csv' }, { frameId: 0 });
+    if (!response || !response.success) return;
+    const filename = `${siteName(tab.url)}_table_${new Date().toISOString().split('T')[0]}.csv`;
+    await handleDownload({ url: `data:text/csv;charset=utf-8,${encodeURIComponent(response.csv)}`, filename, saveAs: false });
+  }
+};
+
+chrome.commands.onCommand.addListener(async (command, tab) => {
+  const handler = commandHandlers[command];
+  if (!handler) return;
+  try {
+    const target = tab || (await chrome.tabs.query({ active: true, currentWindow: true }))[0];
+    if (target) await handler(target);
+  } catch (error) {
+    console.warn(`[Background] ${command} failed:`, error.message);
+  }
+});
+
+/* ================= Message routing ================= */
+
+// Handlers return a promise for the response; messages without a handler are left to other listeners
+const messageHandlers = {
+  // Table lists reported by content scripts
+  tablesDetected: (request, sender) => tabCache.setFrameTables(sender.tab.id, 0, request.tables || [], request.url),
+  frameTablesDetected: (request, sender) => tabCache.setFrameTables(sender.tab.id, sender.frameId,
+    (request.tables || []).map(table => ({ ...table, frameUrl: request.frameUrl }))),
+  pdfTableDetected: (request, sender) => tabCache.addTable(sender.tab.id, 0, request.table),
+  ocrTableDetected: (request, sender) => tabCache.addTable(sender.tab.id, 0, request.table),
+  elementPicked: (request, sender) => tabCache.addTable(sender.tab.id, sender.frameId || 0, request.table),
+  harvestComplete: (request, sender) => tabCache.addTable(sender.tab.id, sender.frameId || 0, request.table),
+  paginationComplete: (request, sender) => tabCache.addTable(sender.tab.id, sender.frameId || 0, request.table),
+
+  getTabTables: async (request) => ({ success: true, tables: await tabCache.getTables(request.tabId) }),
+
+  extractAllTablesFromPDF: (request) => extractAllTablesFromPDF(request),
+
+  // Chart images exported from the chart window (forwarded by the content script)
+  chartExport: (request) => exportChartImage(request),
+  downloadFile: (request, sender) => downloadGeneratedFile(request, sender),
+  exportTableXLSX: (request) => exportTableXLSX(request),
+
+  recordUsage: async (request) => ({ success: true, licenseState: await recordUsage(request.kind, request.count) })
+};
+
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  const handler = request && messageHandlers[request.action];
+  if (!handler) return false;
+  // Content-script notifications only matter when they come from a tab
+  if (!sender.tab && ['tablesDetected', 'frameTablesDetected', 'pdfTableDetected', 'ocrTableDetected', 'elementPicked', 'harvestComplete', 'paginationComplete'].includes(request.action)) {
+    return false;
+  }
+  Promise.resolve()
+    .then(() => handler(request, sender))
+    .then(result => sendResponse(result || { success: true }))
+    .catch(error => {
+      console.error(`[Background] ${request.action} failed:`, error);
+      sendResponse({ success: false, error: error.message });
+    });
+  return true; // async response
+});
+
+/* ================= Tab lifecycle ================= */
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+  tabCache.clearTab(tabId).catch(() => {});
+});
+
+chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+  if (changeInfo.url) tabCache.handleNavigation(tabId, changeInfo.url).catch(() => {});
+});
@@ -430,8 +430,8 @@ class ChartViewer {
         filename = `chart-${Date.now()}.svg`;
       }
       
-      // Send export message to parent window
-      window.parent.postMessage({
+      // Send export message to the page that opened the chart window
+      (window.opener || window.parent).postMessage({
         type: 'CHART_EXPORT',
         format: format,
         data: dataUrl,
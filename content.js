@@ -1,36 +1,20 @@
 class TableParser {
-  static parseCSV(csvText) {
-    const lines = csvText.trim().split('\n');
-    const data = [];
-    
-    for (const line of lines) {
-      const row = [];
-      let current = '';
-      let inQuotes = false;
-      
-      for (let i = 0; i < line.length; i++) {
-        const char = line[i];
-        
-        if (char === '"') {
-          inQuotes = !inQuotes;
-        } else if (char === ',' && !inQuotes) {
-          row.push(current.trim());
-          current = '';
-        } else {
-          current += char;
-        }
-      }
-      
-      row.push(current.trim());
-      data.push(row);
-    }
-    
-    return data;
+  /**
+   * RFC 4180 parsing shared with file import and smart paste (utils/csvParser.js);
+   * the delimiter is sniffed when not given
+   */
+  static parseCSV(csvText, delimiter) {
+    return window.CsvParserUtils.parseCSV(csvText, delimiter);
   }
   
-  static parseHTMLTable(table) {
+  /**
+   * Parse a <table> into a 2D array of cell text.
+   * With { rich: true } returns { data, richCells } where richCells is an aligned grid of
+   * rich cells (links, images, title/data-*, raw HTML) - see utils/richCells.js.
+   */
+  static parseHTMLTable(table, options = {}) {
     const rows = table.querySelectorAll('tr');
-    const data = [];
+    const extractRich = options.rich ? window.RichCellUtils.extractRichCell : null;
     
     // First pass: determine the maximum number of columns needed
     let maxCols = 0;
@@ -49,6 +33,7 @@ class TableParser {
         // Add the cell content
         rowData.push({
           content,
+          rich: extractRich ? extractRich(cell) : null,
           colspan,
           rowspan,
           startCol: colIndex
@@ -65,9 +50,11 @@ class TableParser {
     
     // Second pass: create a grid structure
     const grid = [];
+    const richGrid = [];
     
     parsedRows.forEach((rowCells, rowIndex) => {
       if (!grid[rowIndex]) grid[rowIndex] = new Array(maxCols).fill('');
+      if (!richGrid[rowIndex]) richGrid[rowIndex] = new Array(maxCols).fill(null);
       
       let colOffset = 0;
       
@@ -84,14 +71,17 @@ class TableParser {
             const targetCol = colOffset + c;
             
             if (!grid[targetRow]) grid[targetRow] = new Array(maxCols).fill('');
+            if (!richGrid[targetRow]) richGrid[targetRow] = new Array(maxCols).fill(null);
             
             if (targetRow < grid.length && targetCol < maxCols) {
               // For rowspan: repeat content in all spanned rows
               // For colspan: only put content in the first column
               if (c === 0) {
                 grid[targetRow][targetCol] = cellData.content;
+                richGrid[targetRow][targetCol] = cellData.rich;
               } else {
                 grid[targetRow][targetCol] = '';
+                richGrid[targetRow][targetCol] = null;
               }
             }
           }
@@ -101,27 +91,25 @@ class TableParser {
       });
     });
     
-    return grid.filter(row => row && row.length > 0);
+    const keptRows = grid.map((row, index) => index).filter(index => grid[index] && grid[index].length > 0);
+    const data = keptRows.map(index => grid[index]);
+    if (!options.rich) return data;
+    return { data, richCells: keptRows.map(index => richGrid[index]) };
   }
   
   static parseMarkdownTable(markdownText) {
-    const lines = markdownText.trim().split('\n');
-    const data = [];
-    
-    lines.forEach((line, index) => {
-      // Skip separator line (contains |---|---|)
-      if (line.includes('---')) return;
-      
-      const cells = line.split('|')
-        .map(cell => cell.trim())
-        .filter(cell => cell !== '');
-      
-      if (cells.length > 0) {
-        data.push(cells);
-      }
-    });
-    
-    return data;
+    // Shared with smart paste (utils/textTables.js)
+    return window.TextTableUtils.parseMarkdownTable(markdownText);
+  }
+  
+  /**
+   * Parse whitespace-aligned text (command output, <pre> reports).
+   * Returns { data, columns } where columns are the detected character spans, so the viewer
+   * can offer boundary adjustment before loading the table.
+   */
+  static parseFixedWidth(text) {
+    const columns = window.TextTableUtils.detectFixedWidthColumns(text);
+    return { data: columns.length > 0 ? window.TextTableUtils.buildFixedWidthRows(text, columns) : [], columns };
   }
 }
 
@@ -129,40 +117,95 @@ class TableDetector {
   constructor() {
     this.tables = [];
     this.selectedTableIndex = -1;
+    this.lastUsedTable = null; // last table selected, opened or copied (keyboard export target)
     this.chartWindow = null;
+    this.watchers = new Map(); // tableId -> live watch state
   }
   
   detectTables() {
     this.tables = [];
     
     // Detect HTML tables with enhanced nested table logic
-    const htmlTables = document.querySelectorAll('table');
+    // Open shadow roots and same-origin iframes are searched too
+    const htmlTables = this.queryAllDeep('table');
     if (htmlTables.length > 0) {
       // Use enhanced detection to prioritize inner data tables over container tables
-      const prioritizedTables = this.detectTablesWithNestingLogic(Array.from(htmlTables));
+      const prioritizedTables = this.detectTablesWithNestingLogic(htmlTables);
       
       prioritizedTables.forEach((tableInfo, index) => {
-        const tableId = this.generateTableId(tableInfo, 'html', index);
-        this.tables.push({
-          type: 'html',
-          element: tableInfo.element,
-          data: tableInfo.data,
-          preview: this.generatePreview(tableInfo.data),
-          id: tableId,
-          metadata: {
-            dataDensity: tableInfo.dataDensity,
-            isContainerTable: tableInfo.isContainerTable,
-            isPresentationContainer: tableInfo.isPresentationContainer
-          }
-        });
+        // Infoboxes and spec sheets (label/value rows) are listed as key-value blocks
+        const isKeyValue = window.KeyValueUtils && window.KeyValueUtils.isKeyValueTable(tableInfo.element);
+        const entry = this.createTableEntry(tableInfo, 'html', index);
+        this.tables.push(isKeyValue ? this.toKeyValueEntry(entry, tableInfo, index) : entry);
+      });
+    }
+    
+    // Detect description lists (<dl>) of label/value pairs
+    this.findDescriptionLists().forEach((element, index) => {
+      const pairs = window.KeyValueUtils.extractKeyValuePairs(element);
+      const data = window.KeyValueUtils.pairsToTable(pairs);
+      this.tables.push({
+        type: 'key-value',
+        element,
+        data,
+        keyValuePairs: pairs,
+        preview: this.generatePreview(data),
+        id: this.generateTableId({ element, data }, 'key-value', index)
+      });
+    });
+    
+    // Detect ARIA grids (div-based tables from React/Angular dashboards)
+    const ariaGrids = window.AriaGridUtils
+      ? this.searchRoots().reduce((all, root) => all.concat(window.AriaGridUtils.findAriaGrids(root)), [])
+      : [];
+    if (ariaGrids.length > 0) {
+      const nestedSelector = `table, ${window.AriaGridUtils.ARIA_TABLE_SELECTOR}`;
+      const prioritizedGrids = this.detectTablesWithNestingLogic(ariaGrids, window.AriaGridUtils.parseAriaGrid, nestedSelector);
+      
+      prioritizedGrids.forEach((tableInfo, index) => {
+        this.tables.push(this.createTableEntry(tableInfo, 'aria-grid', index));
+      });
+    }
+    
+    // Detect CSS grid layouts that render tabular data without table markup or ARIA roles
+    const cssGrids = this.findCssGrids();
+    if (cssGrids.length > 0) {
+      const prioritizedGrids = this.detectTablesWithNestingLogic(
+        cssGrids.map(grid => grid.element),
+        element => window.AriaGridUtils.parseCssGrid(element, cssGrids.find(grid => grid.element === element).columnCount)
+      );
+      
+      prioritizedGrids.forEach((tableInfo, index) => {
+        this.tables.push(this.createTableEntry(tableInfo, 'css-grid', index));
       });
     }
     
+    // Detect repeated card/list layouts (product listings, search results, job boards)
+    this.findCardLists().forEach((run, index) => {
+      this.tables.push(this.createTableEntry(run, 'list', index));
+    });
+    
+    // Several blocks with the same labels (one per product, person, ...) become one table
+    this.mergeSimilarKeyValueBlocks();
+    
     // Detect CSV-like content in pre/code elements
-    const preElements = document.querySelectorAll('pre, code');
+    const preElements = this.queryAllDeep('pre, code');
     preElements.forEach((element, index) => {
       const text = element.textContent;
-      if (this.looksLikeCSV(text)) {
+      // Markdown first: pipe tables would also pass the CSV check with '|' as delimiter
+      if (this.looksLikeMarkdown(text)) {
+        const data = TableParser.parseMarkdownTable(text);
+        if (data.length > 1) {
+          const tableId = this.generateTableId({ element, data }, 'markdown', index);
+          this.tables.push({
+            type: 'markdown',
+            element: element,
+            data: data,
+            preview: this.generatePreview(data),
+            id: tableId
+          });
+        }
+      } else if (this.looksLikeCSV(text)) {
         const data = TableParser.parseCSV(text);
         if (data.length > 1) {
           const tableId = this.generateTableId({ element, data }, 'csv', index);
@@ -176,14 +219,17 @@ class TableDetector {
         }
       }
       
-      if (this.looksLikeMarkdown(text)) {
-        const data = TableParser.parseMarkdownTable(text);
+      // Column-aligned text; <code> inside <pre> is the same block
+      const nestedCode = element.tagName === 'CODE' && element.closest('pre');
+      if (!nestedCode && !this.looksLikeMarkdown(text) && !this.looksLikeCSV(text) && this.looksLikeFixedWidth(text)) {
+        const { data, columns } = TableParser.parseFixedWidth(text);
         if (data.length > 1) {
-          const tableId = this.generateTableId({ element, data }, 'markdown', index);
+          const tableId = this.generateTableId({ element, data }, 'fixed-width', index);
           this.tables.push({
-            type: 'markdown',
+            type: 'fixed-width',
             element: element,
             data: data,
+            fixedWidth: { text, columns },
             preview: this.generatePreview(data),
             id: tableId
           });
@@ -191,18 +237,27 @@ class TableDetector {
       }
     });
     
+    // Detect data shipped as JSON (JSON-LD, __NEXT_DATA__, inline state) or schema.org microdata
+    this.tables.push(...this.findEmbeddedJsonTables());
+    
     // Detect text selections that might be tables
     const selectedText = window.getSelection().toString();
-    if (selectedText && (this.looksLikeCSV(selectedText) || this.looksLikeMarkdown(selectedText))) {
+    if (selectedText && (this.looksLikeMarkdown(selectedText) || this.looksLikeCSV(selectedText) || this.looksLikeFixedWidth(selectedText))) {
       let data;
       let type;
+      let fixedWidth = null;
       
-      if (this.looksLikeCSV(selectedText)) {
+      if (this.looksLikeMarkdown(selectedText)) {
+        data = TableParser.parseMarkdownTable(selectedText);
+        type = 'markdown';
+      } else if (this.looksLikeCSV(selectedText)) {
         data = TableParser.parseCSV(selectedText);
         type = 'csv';
       } else {
-        data = TableParser.parseMarkdownTable(selectedText);
-        type = 'markdown';
+        const parsed = TableParser.parseFixedWidth(selectedText);
+        data = parsed.data;
+        type = 'fixed-width';
+        fixedWidth = { text: selectedText, columns: parsed.columns };
       }
       
       if (data.length > 1) {
@@ -211,32 +266,72 @@ class TableDetector {
           type: `${type}-selection`,
           element: null,
           data: data,
+          ...(fixedWidth ? { fixedWidth } : {}),
           preview: this.generatePreview(data),
           id: tableId
         });
       }
     }
     
+    // Frame and shadow path of every table (empty for the top document)
+    this.tables.forEach(table => {
+      table.location = table.element && window.DeepDomUtils ? window.DeepDomUtils.elementLocation(table.element) : [];
+    });
+    
     return this.tables;
   }
   
-  looksLikeCSV(text) {
-    const lines = text.trim().split('\n');
-    if (lines.length < 2) return false;
-    
-    const commaCount = (lines[0].match(/,/g) || []).length;
-    if (commaCount === 0) return false;
+  /**
+   * Arrays of similar objects in JSON scripts and microdata items, flattened to dotted columns
+   */
+  findEmbeddedJsonTables() {
+    if (!window.EmbeddedJsonUtils) return [];
+    const utils = window.EmbeddedJsonUtils;
+    const entries = [];
+    const add = (element, name, data) => {
+      entries.push({
+        type: 'embedded-json',
+        // Scripts are not rendered, so there is nothing to highlight for them
+        element,
+        name,
+        data,
+        preview: this.generatePreview(data),
+        id: this.generateTableId({ data }, 'embedded-json', entries.length)
+      });
+    };
     
-    // Check if most lines have similar comma counts
-    let similarCount = 0;
-    lines.forEach(line => {
-      const count = (line.match(/,/g) || []).length;
-      if (Math.abs(count - commaCount) <= 1) {
-        similarCount++;
-      }
+    this.queryAllDeep('script').forEach(script => {
+      utils.embeddedJsonTables(utils.parseScriptData(script)).forEach(table => add(null, table.name, table.data));
     });
-    
-    return similarCount >= lines.length * 0.7;
+    utils.extractMicrodataGroups(document).forEach(group => {
+      const data = utils.recordsToTable(group.records);
+      if (data.length > 2 && data[0].length >= 2) add(group.elements[0].parentElement, `Microdata › ${group.type}`, data);
+    });
+    return entries;
+  }
+  
+  /**
+   * Document, open shadow roots and same-origin frame documents
+   */
+  searchRoots() {
+    return window.DeepDomUtils ? window.DeepDomUtils.collectSearchRoots(document) : [document];
+  }
+  
+  queryAllDeep(selector) {
+    return window.DeepDomUtils
+      ? window.DeepDomUtils.deepQuerySelectorAll(document, selector)
+      : Array.from(document.querySelectorAll(selector));
+  }
+  
+  // Elements of same-origin frames are styled by their own window
+  computedStyle(element) {
+    const view = (element.ownerDocument && element.ownerDocument.defaultView) || window;
+    return view.getComputedStyle(element);
+  }
+  
+  looksLikeCSV(text) {
+    // Consistent field counts with any of , ; tab | (quoted fields may span lines)
+    return window.CsvParserUtils.looksLikeCSV(text);
   }
   
   looksLikeMarkdown(text) {
@@ -255,11 +350,160 @@ class TableDetector {
     return hasTableStructure && (hasSeparator || lines.length >= 3);
   }
   
-  detectTablesWithNestingLogic(allTables) {
+  looksLikeFixedWidth(text) {
+    return window.TextTableUtils.looksLikeFixedWidth(text);
+  }
+  
+  /**
+   * Build a table entry from a prioritized candidate (see detectTablesWithNestingLogic)
+   */
+  createTableEntry(tableInfo, type, index) {
+    // Stacked header rows with group labels are merged into one composite header row
+    const headerHierarchy = type === 'html' ? this.detectHeaderHierarchy(tableInfo.element) : null;
+    const data = headerHierarchy ? window.HeaderBandUtils.applyHeaderBand(tableInfo.data, headerHierarchy) : tableInfo.data;
+    return {
+      type,
+      element: tableInfo.element,
+      data,
+      preview: this.generatePreview(data),
+      // Id from the raw parse so ids (and saved states) don't change with header merging
+      id: this.generateTableId(tableInfo, type, index),
+      headerHierarchy,
+      metadata: {
+        dataDensity: tableInfo.dataDensity,
+        isContainerTable: tableInfo.isContainerTable,
+        isPresentationContainer: tableInfo.isPresentationContainer
+      }
+    };
+  }
+  
+  /**
+   * Links, images and cell attributes of an HTML table entry (null when the table is plain text).
+   * Detection only parses text; the rich grid is parsed when a table's data is requested and cached on the entry.
+   */
+  getRichCells(entry) {
+    if (entry.richCells !== undefined) return entry.richCells;
+    entry.richCells = null;
+    if (!window.RichCellUtils || !entry.element || entry.element.tagName !== 'TABLE') return null;
+    if (entry.type === 'html') {
+      const richGrid = TableParser.parseHTMLTable(entry.element, { rich: true }).richCells;
+      entry.richCells = window.RichCellUtils.compactRichGrid(entry.headerHierarchy ? richGrid.slice(entry.headerHierarchy.depth - 1) : richGrid);
+    } else if (entry.type === 'key-value' && entry.keyValuePairs) {
+      // One rich row per pair (Field/Value), below the header row
+      const richGrid = TableParser.parseHTMLTable(entry.element, { rich: true }).richCells;
+      entry.richCells = window.RichCellUtils.compactRichGrid([null, ...entry.keyValuePairs.map(pair => richGrid[pair.rowIndex] || null)]);
+    }
+    return entry.richCells;
+  }
+  
+  /**
+   * Turn an HTML table entry into a key-value entry (Field/Value rows)
+   */
+  toKeyValueEntry(entry, tableInfo, index) {
+    const pairs = window.KeyValueUtils.extractKeyValuePairs(tableInfo.element);
+    const data = window.KeyValueUtils.pairsToTable(pairs);
+    return {
+      ...entry,
+      type: 'key-value',
+      data,
+      keyValuePairs: pairs,
+      preview: this.generatePreview(data),
+      id: this.generateTableId(tableInfo, 'key-value', index),
+      headerHierarchy: null
+    };
+  }
+  
+  /**
+   * Find <dl> elements with at least two label/value pairs outside detected tables
+   */
+  findDescriptionLists() {
+    if (!window.KeyValueUtils || !document.body) return [];
+    const detected = this.tables.map(t => t.element).filter(Boolean);
+    const lists = this.queryAllDeep('dl').filter(element =>
+      !element.closest('table') && !detected.some(el => el.contains(element)) &&
+      window.KeyValueUtils.extractKeyValuePairs(element).length >= 2
+    );
+    // Nested lists: keep the outermost one
+    return lists.filter(list => !lists.some(other => other !== list && other.contains(list)));
+  }
+  
+  /**
+   * Replace groups of key-value blocks with similar labels by one merged table (one row per block)
+   */
+  mergeSimilarKeyValueBlocks() {
+    if (!window.KeyValueUtils) return;
+    const blocks = this.tables.filter(t => t.type === 'key-value');
+    const groups = window.KeyValueUtils.groupSimilarBlocks(blocks.map(block => ({ pairs: block.keyValuePairs })));
+    groups.forEach((group, groupIndex) => {
+      const members = group.map(i => blocks[i]);
+      const data = window.KeyValueUtils.mergeKeyValueBlocks(members.map(block => ({
+        title: block.element ? window.KeyValueUtils.keyValueBlockTitle(block.element) : '',
+        pairs: block.keyValuePairs
+      })));
+      const merged = {
+        type: 'key-value-merged',
+        element: members[0].element,
+        data,
+        preview: this.generatePreview(data),
+        id: this.generateTableId({ data }, 'key-value-merged', groupIndex),
+        metadata: { blockCount: members.length }
+      };
+      const position = this.tables.indexOf(members[0]);
+      this.tables = this.tables.filter(t => !members.includes(t));
+      this.tables.splice(Math.min(position, this.tables.length), 0, merged);
+    });
+  }
+  
+  detectHeaderHierarchy(element) {
+    return window.HeaderBandUtils ? window.HeaderBandUtils.detectHeaderBand(element) : null;
+  }
+  
+  /**
+   * Find runs of structurally similar sibling cards outside tables, grids and navigation
+   */
+  findCardLists() {
+    if (!window.CardLayoutUtils || !document.body) return [];
+    const ariaSelector = window.AriaGridUtils ? `, ${window.AriaGridUtils.ARIA_TABLE_SELECTOR}` : '';
+    const excludedSelector = `table, nav, header, footer, [role="navigation"], [role="menu"]${ariaSelector}`;
+    const detected = this.tables.map(t => t.element).filter(Boolean);
+    return window.CardLayoutUtils.findCardRuns(document.body, {
+      isExcluded: el => !!el.closest(excludedSelector) || detected.some(element => element.contains(el))
+    });
+  }
+  
+  /**
+   * Find display:grid containers whose items look like cells (no ARIA roles, not inside a table/grid)
+   */
+  findCssGrids() {
+    if (!window.AriaGridUtils || !document.body) return [];
+    const excluded = `table, ${window.AriaGridUtils.ARIA_TABLE_SELECTOR}`;
+    const grids = [];
+    
+    this.queryAllDeep('div, section, ul, ol').forEach(element => {
+      // Cheap structural checks first; getComputedStyle is only called on plausible candidates
+      if (element.children.length < 4 || element.hasAttribute('role') || element.closest(excluded)) return;
+      if (!element.textContent.trim()) return;
+      // Items of an accepted grid are single values; nothing below them can be another grid table
+      if (grids.some(grid => grid.element.contains(element))) return;
+      const style = this.computedStyle(element);
+      if (style.display !== 'grid' && style.display !== 'inline-grid') return;
+      // Hidden grids (collapsed menus, inactive tabs) are not offered
+      if (style.visibility === 'hidden' || element.getClientRects().length === 0) return;
+      
+      const columnCount = window.AriaGridUtils.countGridTracks(style.gridTemplateColumns);
+      if (columnCount >= 2 && window.AriaGridUtils.parseCssGrid(element, columnCount).length > 1) {
+        grids.push({ element, columnCount });
+      }
+    });
+    
+    return grids;
+  }
+  
+  detectTablesWithNestingLogic(allTables, parseFn = TableParser.parseHTMLTable, nestedSelector = 'table') {
     const validTables = [];
     
     for (const table of allTables) {
-      const data = TableParser.parseHTMLTable(table);
+      const data = parseFn(table);
       if (data.length > 1) {
         // Calculate data density - what percentage of cells have meaningful content
         let totalCells = 0;
@@ -277,7 +521,7 @@ class TableDetector {
         const dataDensity = filledCells / totalCells;
         
         // Check if this table contains OTHER tables (not itself)
-        const nestedTables = table.querySelectorAll('table');
+        const nestedTables = table.querySelectorAll(nestedSelector);
         const actualNestedCount = Array.from(nestedTables).filter(nested => nested !== table).length;
         const isContainerTable = actualNestedCount > 0;
         
@@ -379,21 +623,41 @@ class TableDetector {
   
   highlightTable(index) {
     // Remove previous highlights
-    document.querySelectorAll('.table-chart-highlight').forEach(el => {
+    this.queryAllDeep('.table-chart-highlight').forEach(el => {
       el.classList.remove('table-chart-highlight');
     });
     
     if (index >= 0 && index < this.tables.length) {
       const table = this.tables[index];
-      if (table.element) {
+      if (table.element && table.element.isConnected) {
+        this.ensureHighlightStyle(table.element);
         table.element.classList.add('table-chart-highlight');
-        table.element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        if (window.DeepDomUtils) {
+          // Frames containing the table are scrolled first
+          window.DeepDomUtils.scrollIntoViewDeep(table.element);
+        } else {
+          table.element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        }
       }
     }
   }
   
+  /**
+   * content.css does not reach into shadow roots; give a shadow root its own highlight rule once
+   */
+  ensureHighlightStyle(element) {
+    const root = element.getRootNode();
+    if (!root || root.nodeType !== 11 || root.querySelector('style[data-tablelens-highlight]')) return;
+    const style = document.createElement('style');
+    style.setAttribute('data-tablelens-highlight', '');
+    // Custom properties inherit into the shadow tree; @keyframes from the page do not
+    style.textContent = '.table-chart-highlight { outline: 3px solid var(--highlight-color, #667eea) !important; outline-offset: 2px !important; background-color: var(--highlight-bg, rgba(102, 126, 234, 0.1)) !important; border-radius: 4px !important; }';
+    root.appendChild(style);
+  }
+  
   selectTable(index) {
     this.selectedTableIndex = index;
+    this.lastUsedTable = this.tables[index] || this.lastUsedTable;
     this.highlightTable(index);
   }
   
@@ -454,24 +718,1188 @@ class TableDetector {
       }, 2000);
     }
   }
+  
+  /**
+   * Re-parse a detected table from its source element (null when the type has no live source)
+   */
+  parseTableElement(table) {
+    if (!table || !table.element) return null;
+    switch (table.type) {
+      case 'html': {
+        const data = TableParser.parseHTMLTable(table.element);
+        const hierarchy = this.detectHeaderHierarchy(table.element);
+        return hierarchy ? window.HeaderBandUtils.applyHeaderBand(data, hierarchy) : data;
+      }
+      case 'aria-grid':
+        return window.AriaGridUtils.parseAriaGrid(table.element);
+      case 'css-grid': {
+        const columnCount = window.AriaGridUtils.countGridTracks(this.computedStyle(table.element).gridTemplateColumns);
+        return window.AriaGridUtils.parseCssGrid(table.element, columnCount);
+      }
+      default:
+        return null;
+    }
+  }
+  
+  /**
+   * Parse a table into rows that keep their logical row index when the page exposes one
+   * (aria-rowindex, data-index, ...). Used when harvesting virtualized tables.
+   */
+  parseTableRows(table) {
+    if (table.type === 'aria-grid') {
+      return window.AriaGridUtils.parseAriaGridRows(table.element);
+    }
+    const data = this.parseTableElement(table) || [];
+    if (table.type === 'html') {
+      // Stacked header rows are merged into one, so line the row elements up from the bottom
+      const rowElements = Array.from(table.element.querySelectorAll('tr')).filter(tr => tr.querySelector('td, th'))
+        .slice(-data.length);
+      if (data.length > 0 && rowElements.length === data.length) {
+        return data.map((values, i) => ({ rowIndex: window.RowHarvestUtils.getRowIndexAttribute(rowElements[i]), values }));
+      }
+    }
+    return data.map(values => ({ rowIndex: null, values }));
+  }
+  
+  canWatch(table) {
+    return !!(table && table.element && ['html', 'aria-grid', 'css-grid'].includes(table.type));
+  }
+  
+  /**
+   * Open the table viewer from the page so it can keep receiving messages from this content script.
+   * getPayload is called when the viewer asks for its data, so it always gets the latest snapshot.
+   */
+  openTableViewerWindow(getPayload) {
+    const viewerWindow = window.open(chrome.runtime.getURL('table-viewer.html'), '_blank');
+    if (!viewerWindow) return null;
+    
+    const requestListener = (event) => {
+      if (event.source === viewerWindow && event.data && event.data.type === 'REQUEST_TABLE_DATA') {
+        viewerWindow.postMessage({ type: 'TABLE_DATA', ...getPayload() }, '*');
+        window.removeEventListener('message', requestListener);
+      }
+    };
+    window.addEventListener('message', requestListener);
+    return viewerWindow;
+  }
+  
+  openTableEntryInViewer(index) {
+    const entry = this.tables[index];
+    return this.openTableViewerWindow(() => ({
+      tableData: entry.data,
+      richCells: this.getRichCells(entry),
+      headerHierarchy: entry.headerHierarchy || null,
+      fixedWidth: entry.fixedWidth || null,
+      tableInfo: { type: entry.type, id: entry.id, persistedId: entry.id, preview: entry.preview }
+    }));
+  }
+  
+  /**
+   * Live watch mode: open the table in the viewer and push incremental updates while the source changes
+   */
+  startWatching(index) {
+    const table = this.tables[index];
+    if (!this.canWatch(table)) {
+      return { success: false, error: 'This table has no live source on the page' };
+    }
+    this.stopWatching(table.id);
+    
+    const watcher = {
+      table,
+      snapshot: table.data.map(row => [...row]),
+      observer: null,
+      viewerWindow: null,
+      debounceTimer: null,
+      closeCheck: null,
+      paused: false
+    };
+    
+    watcher.viewerWindow = this.openTableViewerWindow(() => ({
+      tableData: watcher.snapshot,
+      tableInfo: { type: table.type, id: table.id, persistedId: table.id, preview: table.preview, live: true }
+    }));
+    if (!watcher.viewerWindow) {
+      return { success: false, error: 'Failed to open new window. Popup blocked?' };
+    }
+    
+    watcher.observer = new MutationObserver(() => this.scheduleWatchUpdate(watcher));
+    this.observeWatchedTable(watcher);
+    // Stop observing once the viewer is gone
+    watcher.closeCheck = setInterval(() => {
+      if (watcher.viewerWindow.closed) this.stopWatching(table.id);
+    }, 2000);
+    
+    this.watchers.set(table.id, watcher);
+    return { success: true };
+  }
+  
+  stopWatching(tableId) {
+    const watcher = this.watchers.get(tableId);
+    if (!watcher) return;
+    watcher.observer && watcher.observer.disconnect();
+    clearTimeout(watcher.debounceTimer);
+    clearInterval(watcher.closeCheck);
+    this.watchers.delete(tableId);
+  }
+  
+  observeWatchedTable(watcher) {
+    const element = watcher.table.element;
+    watcher.observer.disconnect();
+    watcher.observer.observe(element, { childList: true, subtree: true, characterData: true });
+    // Frameworks often swap the whole table element on re-render; watch its parent for that
+    if (element.parentNode) {
+      watcher.observer.observe(element.parentNode, { childList: true });
+    }
+  }
+  
+  scheduleWatchUpdate(watcher) {
+    // Debounce bursts of mutations (a row re-render touches many nodes)
+    clearTimeout(watcher.debounceTimer);
+    watcher.debounceTimer = setTimeout(() => this.flushWatchUpdate(watcher), 400);
+  }
+  
+  flushWatchUpdate(watcher) {
+    const table = watcher.table;
+    if (watcher.viewerWindow.closed) {
+      this.stopWatching(table.id);
+      return;
+    }
+    if (watcher.paused) return;
+    if (!table.element.isConnected && !this.relocateWatchedTable(watcher)) return;
+    
+    const next = this.parseTableElement(table);
+    if (!next || next.length === 0) return;
+    
+    const patch = window.TableDiffUtils.diffTableData(watcher.snapshot, next);
+    if (patch.kind === 'none') return;
+    
+    watcher.snapshot = next;
+    table.data = next;
+    table.preview = this.generatePreview(next);
+    watcher.viewerWindow.postMessage({
+      type: 'TABLE_UPDATE',
+      tableId: table.id,
+      patch,
+      timestamp: Date.now()
+    }, '*');
+  }
+  
+  /**
+   * Find the replacement element after the page re-rendered the watched table (same header row)
+   */
+  relocateWatchedTable(watcher) {
+    const table = watcher.table;
+    const replacement = this.findTableByHeader(table.type, watcher.snapshot[0] || []);
+    if (!replacement) return false;
+    
+    table.element = replacement;
+    this.observeWatchedTable(watcher);
+    return true;
+  }
+  
+  /**
+   * Find an element of the given table type whose parsed header matches (page or fetched document)
+   */
+  findTableByHeader(type, header, root = document) {
+    const selector = type === 'html' ? 'table' :
+      type === 'aria-grid' ? window.AriaGridUtils.ARIA_TABLE_SELECTOR : null;
+    if (!selector) return null;
+    
+    return Array.from(root.querySelectorAll(selector)).find(candidate => {
+      const data = this.parseTableElement({ type, element: candidate });
+      return data && data.length > 0 && window.PaginationUtils.headersMatch(data[0], header);
+    }) || null;
+  }
+  
+  /**
+   * Parse a user-picked element with the table, ARIA grid, list and repeated-card parsers.
+   * The structure the element sits in wins over structures it contains; when nothing matches,
+   * a few ancestors are tried for repeated cards (e.g. a single card was clicked).
+   * @returns {{type: string, element: Element, data: string[][], parser: string}|null}
+   */
+  parsePickedElement(element) {
+    const ariaSelector = window.AriaGridUtils ? window.AriaGridUtils.ARIA_TABLE_SELECTOR : null;
+    const parsers = [
+      { parser: 'table', type: 'html', find: el => el.closest('table'), parse: el => this.parseTableElement({ type: 'html', element: el }) },
+      { parser: 'aria', type: 'aria-grid', find: el => ariaSelector && el.closest(ariaSelector), parse: el => window.AriaGridUtils.parseAriaGrid(el) },
+      { parser: 'list', type: 'list', find: el => el.closest('ul, ol, dl'), parse: el => window.CardLayoutUtils.parseListElement(el) },
+      { parser: 'cards', type: 'list', find: el => el, parse: el => window.CardLayoutUtils.parseRepeatedCards(window.CardLayoutUtils.findRepeatedChildren(el)) },
+      { parser: 'table', type: 'html', find: el => el.querySelector('table'), parse: el => this.parseTableElement({ type: 'html', element: el }) },
+      { parser: 'aria', type: 'aria-grid', find: el => ariaSelector && el.querySelector(ariaSelector), parse: el => window.AriaGridUtils.parseAriaGrid(el) },
+      { parser: 'list', type: 'list', find: el => el.querySelector('ul, ol, dl'), parse: el => window.CardLayoutUtils.parseListElement(el) }
+    ];
+    
+    for (const candidate of parsers) {
+      const target = candidate.find(element);
+      if (!target) continue;
+      const data = candidate.parse(target);
+      if (data && data.length > 1) return { type: candidate.type, element: target, data, parser: candidate.parser };
+    }
+    
+    let ancestor = element.parentElement;
+    for (let level = 0; ancestor && ancestor !== document.body && level < 3; level++, ancestor = ancestor.parentElement) {
+      const data = window.CardLayoutUtils.parseRepeatedCards(window.CardLayoutUtils.findRepeatedChildren(ancestor));
+      if (data.length > 1) return { type: 'list', element: ancestor, data, parser: 'cards' };
+    }
+    return null;
+  }
+  
+  /**
+   * Entry for the table or ARIA grid under a right-click (context menu actions). A detected entry
+   * for the same element is reused so the viewer keeps its id (and saved state).
+   * @param {Array<EventTarget>} path - composedPath() of the contextmenu event
+   */
+  contextTableEntry(path) {
+    const ariaSelector = window.AriaGridUtils ? window.AriaGridUtils.ARIA_TABLE_SELECTOR : null;
+    const target = window.ContextMenuUtils.findContextTable(path, ariaSelector);
+    if (!target) return null;
+    const detected = this.tables.find(t => t.element === target.element);
+    if (detected) return detected;
+    const data = target.type === 'html'
+      ? TableParser.parseHTMLTable(target.element)
+      : window.AriaGridUtils.parseAriaGrid(target.element);
+    if (!data || data.length === 0) return null;
+    return this.createTableEntry({ element: target.element, data }, target.type, 0);
+  }
+  
+  handleWatchControl(event) {
+    const watcher = this.watchers.get(event.data.tableId);
+    if (!watcher || event.source !== watcher.viewerWindow) return;
+    if (event.data.type === 'LIVE_WATCH_STOP') {
+      this.stopWatching(event.data.tableId);
+    } else {
+      watcher.paused = !!event.data.paused;
+      // Catch up on anything that changed while paused
+      if (!watcher.paused) this.flushWatchUpdate(watcher);
+    }
+  }
+}
+
+/**
+ * Multi-page capture: the user marks the "next" control once, then pages are visited and their
+ * rows appended to the first page while the header stays the same.
+ * Link-based pagination is fetched in the background (the page itself never navigates away,
+ * which would unload this script); script-driven pagination is clicked and awaited in place.
+ */
+class PaginationCapture {
+  constructor(detector) {
+    this.detector = detector;
+    this.state = null;
+    this.banner = new CaptureBanner();
+    this.markingHandlers = null;
+  }
+  
+  isActive() {
+    return !!(this.state && (this.state.phase === 'marking' || this.state.phase === 'capturing'));
+  }
+  
+  getStatus() {
+    if (!this.state) return { active: false };
+    const { phase, page, maxPages, message } = this.state;
+    return {
+      active: this.isActive(),
+      phase,
+      page,
+      maxPages,
+      rows: Math.max(0, this.state.merged.length - 1),
+      message
+    };
+  }
+  
+  start(index, maxPages) {
+    if (this.isActive() || rowHarvester.isActive() || elementPicker.isActive()) {
+      return { success: false, error: 'Another capture is already running on this page' };
+    }
+    const table = this.detector.tables[index];
+    if (!this.detector.canWatch(table)) {
+      return { success: false, error: 'This table has no live source on the page' };
+    }
+    
+    this.state = {
+      table,
+      maxPages: Math.max(2, Math.min(parseInt(maxPages, 10) || 10, 100)),
+      page: 1,
+      merged: table.data.map(row => [...row]),
+      phase: 'marking',
+      cancelled: false,
+      control: null,
+      descriptor: null,
+      message: 'Click the "Next" control of this table (Esc to cancel)'
+    };
+    this.showBanner();
+    this.beginMarking();
+    return { success: true };
+  }
+  
+  cancel() {
+    if (!this.isActive()) return;
+    this.state.cancelled = true;
+    if (this.state.phase === 'marking') {
+      this.endMarking();
+      this.finish('cancelled', 'Multi-page capture cancelled');
+    } else {
+      this.state.message = 'Cancelling after the current page...';
+      this.notifyProgress();
+    }
+  }
+  
+  beginMarking() {
+    let hovered = null;
+    const pickable = (target) => target && target.closest ?
+      target.closest('a, button, [role="button"], [role="link"], input[type="button"], input[type="submit"], li') : null;
+    
+    const onOver = (e) => {
+      if (this.banner.contains(e.target)) return;
+      const el = pickable(e.target);
+      if (hovered && hovered !== el) hovered.classList.remove('tablelens-pick-hover');
+      hovered = el;
+      if (el) el.classList.add('tablelens-pick-hover');
+    };
+    const onClick = (e) => {
+      if (this.banner.contains(e.target)) return;
+      const el = pickable(e.target);
+      if (!el) return;
+      e.preventDefault();
+      e.stopPropagation();
+      this.endMarking();
+      // A clicked <li> usually wraps the real control
+      const control = el.tagName === 'LI' ? (el.querySelector('a, button') || el) : el;
+      this.state.control = control;
+      this.state.descriptor = window.PaginationUtils.describeNextControl(control);
+      this.run();
+    };
+    const onKey = (e) => {
+      if (e.key === 'Escape') this.cancel();
+    };
+    
+    document.addEventListener('mouseover', onOver, true);
+    document.addEventListener('click', onClick, true);
+    document.addEventListener('keydown', onKey, true);
+    this.markingHandlers = { onOver, onClick, onKey, clearHover: () => hovered && hovered.classList.remove('tablelens-pick-hover') };
+  }
+  
+  endMarking() {
+    if (!this.markingHandlers) return;
+    const { onOver, onClick, onKey, clearHover } = this.markingHandlers;
+    document.removeEventListener('mouseover', onOver, true);
+    document.removeEventListener('click', onClick, true);
+    document.removeEventListener('keydown', onKey, true);
+    clearHover();
+    this.markingHandlers = null;
+  }
+  
+  async run() {
+    const state = this.state;
+    state.phase = 'capturing';
+    state.message = `Captured page 1 (${state.merged.length - 1} rows)`;
+    this.notifyProgress();
+    
+    // Background fetching only works for real links whose target document contains the table
+    const href = state.control.tagName === 'A' ? state.control.getAttribute('href') : null;
+    let fetchMode = !!href && !href.startsWith('#') && !/^javascript:/i.test(href) && state.table.type !== 'css-grid';
+    let currentDoc = document;
+    let currentUrl = location.href;
+    let previousFingerprint = window.PaginationUtils.pageFingerprint(state.table.data);
+    
+    try {
+      while (state.page < state.maxPages && !state.cancelled) {
+        let pageData = null;
+        
+        if (fetchMode) {
+          const next = await this.fetchNextPage(currentDoc, currentUrl);
+          if (next) {
+            pageData = next.data;
+            currentDoc = next.doc;
+            currentUrl = next.url;
+          } else if (state.page === 1) {
+            // The link target is rendered client-side; fall back to clicking
+            fetchMode = false;
+          } else {
+            state.message = 'No further pages';
+            break;
+          }
+        }
+        if (!fetchMode) {
+          pageData = await this.clickNextAndWait(previousFingerprint);
+        }
+        if (!pageData) break; // message already set
+        
+        const fingerprint = window.PaginationUtils.pageFingerprint(pageData);
+        if (fingerprint === previousFingerprint) {
+          state.message = 'Page did not change; assuming the last page was reached';
+          break;
+        }
+        const result = window.PaginationUtils.mergePageData(state.merged, pageData);
+        if (result.error) {
+          state.message = `Stopped: ${result.error}`;
+          break;
+        }
+        
+        state.merged = result.merged;
+        state.page++;
+        previousFingerprint = fingerprint;
+        state.message = `Captured page ${state.page} of up to ${state.maxPages} (${state.merged.length - 1} rows)`;
+        this.notifyProgress();
+        
+        // Be gentle with the site between requests
+        await new Promise(resolve => setTimeout(resolve, 400));
+      }
+    } catch (e) {
+      console.error('Multi-page capture failed:', e);
+      state.message = `Stopped: ${e.message}`;
+    }
+    
+    this.finish(state.cancelled ? 'cancelled' : 'done', state.message);
+  }
+  
+  async fetchNextPage(doc, baseUrl) {
+    const control = doc === document && this.state.control.isConnected
+      ? this.state.control
+      : window.PaginationUtils.findNextControl(doc, this.state.descriptor);
+    if (!control || window.PaginationUtils.isControlDisabled(control)) return null;
+    const href = control.getAttribute('href');
+    if (!href || href.startsWith('#') || /^javascript:/i.test(href)) return null;
+    
+    const url = new URL(href, baseUrl).href;
+    const response = await fetch(url, { credentials: 'include' });
+    if (!response.ok) throw new Error(`HTTP ${response.status} loading ${url}`);
+    const nextDoc = new DOMParser().parseFromString(await response.text(), 'text/html');
+    
+    const element = this.detector.findTableByHeader(this.state.table.type, this.state.merged[0], nextDoc);
+    if (!element) return null;
+    return { doc: nextDoc, url, data: this.detector.parseTableElement({ type: this.state.table.type, element }) };
+  }
+  
+  async clickNextAndWait(previousFingerprint) {
+    const state = this.state;
+    let control = state.control.isConnected ? state.control : window.PaginationUtils.findNextControl(document, state.descriptor);
+    if (!control || window.PaginationUtils.isControlDisabled(control)) {
+      state.message = 'Last page reached';
+      return null;
+    }
+    state.control = control;
+    control.click();
+    
+    // Wait until the table shows different rows and two consecutive polls agree (render finished)
+    const deadline = Date.now() + 10000;
+    let lastSeen = null;
+    while (Date.now() < deadline && !state.cancelled) {
+      await new Promise(resolve => setTimeout(resolve, 300));
+      if (!state.table.element.isConnected) {
+        const replacement = this.detector.findTableByHeader(state.table.type, state.merged[0]);
+        if (!replacement) continue;
+        state.table.element = replacement;
+      }
+      const data = this.detector.parseTableElement(state.table);
+      const fingerprint = window.PaginationUtils.pageFingerprint(data);
+      if (fingerprint !== previousFingerprint && fingerprint === lastSeen) {
+        return data;
+      }
+      lastSeen = fingerprint;
+    }
+    state.message = state.cancelled ? 'Multi-page capture cancelled' : 'Timed out waiting for the next page to render';
+    return null;
+  }
+  
+  finish(phase, message) {
+    const state = this.state;
+    state.phase = phase;
+    state.message = message;
+    
+    let summary = null;
+    if (state.page > 1) {
+      const data = state.merged;
+      const entry = {
+        type: 'paginated',
+        element: state.table.element,
+        data,
+        preview: this.detector.generatePreview(data),
+        id: this.detector.generateTableId({ data }, 'paginated', this.detector.tables.length),
+        metadata: { pages: state.page, sourceTableId: state.table.id }
+      };
+      this.detector.tables.push(entry);
+      summary = {
+        type: entry.type,
+        preview: entry.preview,
+        id: entry.id,
+        columns: data[0] || [],
+        pages: state.page
+      };
+      state.resultIndex = this.detector.tables.length - 1;
+      state.message = `${message}. Combined ${state.page} pages into ${data.length - 1} rows.`;
+    }
+    
+    this.showBanner();
+    this.notifyExtension({ action: 'paginationComplete', status: this.getStatus(), table: summary });
+  }
+  
+  notifyProgress() {
+    this.showBanner();
+    this.notifyExtension({ action: 'paginationProgress', status: this.getStatus() });
+  }
+  
+  notifyExtension(message) {
+    try {
+      // The popup is usually closed while the user interacts with the page
+      chrome.runtime.sendMessage(message).catch(() => {});
+    } catch (_) {}
+  }
+  
+  showBanner() {
+    const state = this.state;
+    const finished = !this.isActive();
+    const actions = [];
+    if (finished && state.resultIndex != null) {
+      actions.push({ label: 'Open in viewer', onClick: () => {
+        this.detector.openTableEntryInViewer(state.resultIndex);
+        this.banner.hide();
+      } });
+    }
+    actions.push(finished
+      ? { label: 'Close', onClick: () => this.banner.hide() }
+      : { label: 'Cancel', onClick: () => this.cancel() });
+    
+    this.banner.render({
+      message: state.message,
+      progress: state.phase === 'capturing' ? state.page / state.maxPages : null,
+      actions
+    });
+  }
+}
+
+/**
+ * Element picker: hover highlights page elements, clicking one parses its subtree
+ * (see TableDetector.parsePickedElement) and adds the result to the detected tables.
+ */
+class ElementPicker {
+  constructor(detector) {
+    this.detector = detector;
+    this.banner = new CaptureBanner();
+    this.handlers = null;
+    this.resultIndex = null;
+  }
+  
+  isActive() {
+    return !!this.handlers;
+  }
+  
+  start() {
+    if (paginationCapture.isActive() || rowHarvester.isActive()) {
+      return { success: false, error: 'Another capture is already running on this page' };
+    }
+    if (this.isActive()) return { success: true };
+    
+    let hovered = null;
+    const clearHover = () => hovered && hovered.classList.remove('tablelens-pick-hover');
+    const onOver = (e) => {
+      if (this.banner.contains(e.target) || !e.target.classList) return;
+      clearHover();
+      hovered = e.target;
+      hovered.classList.add('tablelens-pick-hover');
+    };
+    const onClick = (e) => {
+      if (this.banner.contains(e.target)) return;
+      e.preventDefault();
+      e.stopPropagation();
+      this.pick(e.target);
+    };
+    const onKey = (e) => {
+      if (e.key === 'Escape') this.cancel();
+    };
+    
+    document.addEventListener('mouseover', onOver, true);
+    document.addEventListener('click', onClick, true);
+    document.addEventListener('keydown', onKey, true);
+    this.handlers = { onOver, onClick, onKey, clearHover };
+    this.showBanner('Click a table, list or region to extract (Esc to cancel)');
+    return { success: true };
+  }
+  
+  stop() {
+    if (!this.handlers) return;
+    const { onOver, onClick, onKey, clearHover } = this.handlers;
+    document.removeEventListener('mouseover', onOver, true);
+    document.removeEventListener('click', onClick, true);
+    document.removeEventListener('keydown', onKey, true);
+    clearHover();
+    this.handlers = null;
+  }
+  
+  cancel() {
+    this.stop();
+    this.banner.hide();
+  }
+  
+  pick(element) {
+    const result = this.detector.parsePickedElement(element);
+    if (!result) {
+      this.showBanner('No rows found in that element. Try a larger region (Esc to cancel)');
+      return;
+    }
+    this.stop();
+    
+    const { type, data } = result;
+    const entry = {
+      type,
+      element: result.element,
+      data,
+      preview: this.detector.generatePreview(data),
+      id: this.detector.generateTableId({ data }, type, this.detector.tables.length),
+      metadata: {
+        picked: true,
+        parser: result.parser,
+        dataDensity: type === 'list' ? window.CardLayoutUtils.cardTableDensity(data) : undefined
+      }
+    };
+    this.detector.tables.push(entry);
+    this.resultIndex = this.detector.tables.length - 1;
+    
+    // Still inside the click handler, so opening the viewer is not blocked as a pop-up
+    const opened = !!this.detector.openTableEntryInViewer(this.resultIndex);
+    const message = `Picked ${data.length - 1} rows × ${data[0].length} columns`;
+    this.showBanner(message, !opened);
+    paginationCapture.notifyExtension({
+      action: 'elementPicked',
+      table: { type: entry.type, preview: entry.preview, id: entry.id, columns: data[0], watchable: this.detector.canWatch(entry) },
+      message
+    });
+  }
+  
+  showBanner(message, offerOpen = false) {
+    const actions = [];
+    if (this.isActive()) {
+      actions.push({ label: 'Cancel', onClick: () => this.cancel() });
+    } else {
+      if (offerOpen) {
+        actions.push({ label: 'Open in viewer', onClick: () => {
+          this.detector.openTableEntryInViewer(this.resultIndex);
+          this.banner.hide();
+        } });
+      }
+      actions.push({ label: 'Pick another', onClick: () => this.start() });
+      actions.push({ label: 'Close', onClick: () => this.banner.hide() });
+    }
+    this.banner.render({ message, actions });
+  }
+}
+
+/**
+ * On-page status banner shared by the capture modes (the popup closes while the user works on the page)
+ */
+class CaptureBanner {
+  constructor() {
+    this.element = null;
+  }
+  
+  contains(node) {
+    return !!(this.element && this.element.contains(node));
+  }
+  
+  /**
+   * @param {{message: string, progress: number|null, actions: Array<{label: string, onClick: Function}>}} options
+   */
+  render({ message, progress = null, actions = [] }) {
+    if (!this.element) {
+      this.element = document.createElement('div');
+      this.element.className = 'tablelens-capture-banner';
+      document.body.appendChild(this.element);
+    }
+    this.element.innerHTML = '';
+    
+    const text = document.createElement('span');
+    text.className = 'tablelens-banner-text';
+    text.textContent = `TableLens · ${message}`;
+    this.element.appendChild(text);
+    
+    if (progress != null) {
+      const bar = document.createElement('span');
+      bar.className = 'tablelens-banner-progress';
+      const fill = document.createElement('span');
+      fill.style.width = `${Math.round(Math.min(1, progress) * 100)}%`;
+      bar.appendChild(fill);
+      this.element.appendChild(bar);
+    }
+    
+    actions.forEach(action => {
+      const button = document.createElement('button');
+      button.textContent = action.label;
+      button.addEventListener('click', action.onClick);
+      this.element.appendChild(button);
+    });
+  }
+  
+  hide() {
+    if (this.element) {
+      this.element.remove();
+      this.element = null;
+    }
+  }
+}
+
+/**
+ * Auto-scroll harvesting for virtualized / infinite-scroll tables: scrolls the table's container
+ * step by step and merges every snapshot of visible rows until no new rows show up.
+ */
+class RowHarvester {
+  constructor(detector) {
+    this.detector = detector;
+    this.state = null;
+    this.banner = new CaptureBanner();
+  }
+  
+  isActive() {
+    return !!(this.state && this.state.running);
+  }
+  
+  start(index) {
+    if (this.isActive() || paginationCapture.isActive() || elementPicker.isActive()) {
+      return { success: false, error: 'Another capture is already running on this page' };
+    }
+    const table = this.detector.tables[index];
+    if (!this.detector.canWatch(table)) {
+      return { success: false, error: 'This table has no live source on the page' };
+    }
+    
+    this.state = {
+      table: { ...table },
+      container: this.findScrollContainer(table.element),
+      store: window.RowHarvestUtils.createHarvestStore(),
+      running: true,
+      cancelled: false,
+      steps: 0,
+      resultIndex: null,
+      message: 'Scrolling through the table...'
+    };
+    this.run();
+    return { success: true };
+  }
+  
+  cancel() {
+    if (this.isActive()) this.state.cancelled = true;
+  }
+  
+  /**
+   * Nearest scrollable ancestor; grids that scroll an inner viewport are searched below the element;
+   * infinite-scroll pages fall back to the document itself.
+   */
+  findScrollContainer(element) {
+    const isScrollable = (el) => el.scrollHeight > el.clientHeight + 10 &&
+      /(auto|scroll|overlay)/.test(window.getComputedStyle(el).overflowY);
+    
+    for (let el = element; el && el !== document.body && el !== document.documentElement; el = el.parentElement) {
+      if (isScrollable(el)) return el;
+    }
+    const inner = Array.from(element.querySelectorAll('*')).find(isScrollable);
+    return inner || document.scrollingElement || document.documentElement;
+  }
+  
+  collect() {
+    const { table, store } = this.state;
+    if (!table.element.isConnected && store.header) {
+      const replacement = this.detector.findTableByHeader(table.type, store.header);
+      if (!replacement) return 0;
+      table.element = replacement;
+    }
+    return window.RowHarvestUtils.mergeHarvestSnapshot(store, this.detector.parseTableRows(table));
+  }
+  
+  async run() {
+    const state = this.state;
+    const container = state.container;
+    const originalScrollTop = container.scrollTop;
+    const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+    
+    try {
+      container.scrollTop = 0;
+      await wait(400);
+      this.collect();
+      
+      let idleSteps = 0;
+      while (!state.cancelled && state.steps < 1000 && state.store.rows.size < 100000) {
+        const atBottom = container.scrollTop + container.clientHeight >= container.scrollHeight - 2;
+        if (!atBottom) {
+          container.scrollTop += Math.max(50, Math.floor(container.clientHeight * 0.8));
+        }
+        state.steps++;
+        // At the bottom, give infinite-scroll loaders time to append the next batch
+        await wait(atBottom ? 900 : 350);
+        
+        idleSteps = this.collect() > 0 ? 0 : idleSteps + 1;
+        if (idleSteps >= 3) break;
+        
+        state.message = `Harvested ${state.store.rows.size} rows, scrolling...`;
+        this.showBanner();
+      }
+    } catch (e) {
+      console.error('Row harvesting failed:', e);
+      state.message = `Stopped: ${e.message}`;
+    }
+    
+    container.scrollTop = originalScrollTop;
+    this.finish();
+  }
+  
+  finish() {
+    const state = this.state;
+    state.running = false;
+    const data = window.RowHarvestUtils.harvestedTableData(state.store);
+    
+    let summary = null;
+    if (data.length > 1) {
+      const entry = {
+        type: 'harvested',
+        element: state.table.element,
+        data,
+        preview: this.detector.generatePreview(data),
+        id: this.detector.generateTableId({ data }, 'harvested', this.detector.tables.length),
+        metadata: { harvestedRows: data.length - 1, sourceTableId: state.table.id }
+      };
+      this.detector.tables.push(entry);
+      state.resultIndex = this.detector.tables.length - 1;
+      summary = { type: entry.type, preview: entry.preview, id: entry.id, columns: data[0] };
+      
+      const prefix = state.cancelled ? 'Stopped early. ' : '';
+      state.message = `${prefix}Harvested ${data.length - 1} rows`;
+      // Try to open right away; pop-up blockers may require the banner button instead
+      state.opened = !!this.detector.openTableEntryInViewer(state.resultIndex);
+    } else {
+      state.message = 'No rows could be harvested from this table';
+    }
+    
+    this.showBanner();
+    paginationCapture.notifyExtension({ action: 'harvestComplete', table: summary, message: state.message });
+  }
+  
+  showBanner() {
+    const state = this.state;
+    const actions = [];
+    if (state.running) {
+      actions.push({ label: 'Stop', onClick: () => this.cancel() });
+    } else {
+      if (state.resultIndex != null && !state.opened) {
+        actions.push({ label: 'Open in viewer', onClick: () => {
+          this.detector.openTableEntryInViewer(state.resultIndex);
+          this.banner.hide();
+        } });
+      }
+      actions.push({ label: 'Close', onClick: () => this.banner.hide() });
+    }
+    
+    const container = state.container;
+    const scrollable = container.scrollHeight - container.clientHeight;
+    this.banner.render({
+      message: state.message,
+      progress: state.running && scrollable > 0 ? container.scrollTop / scrollable : null,
+      actions
+    });
+  }
+}
+
+/**
+ * Optional floating toolbar next to each detected table (switched on or off per site; see
+ * utils/pageToolbar.js). Toolbars live in the top document and follow their table on scroll and resize.
+ */
+class TableToolbarOverlay {
+  constructor(detector) {
+    this.detector = detector;
+    this.enabled = false;
+    this.bars = []; // { entry, element }
+    this.repositionScheduled = false;
+    this.onViewportChange = () => this.scheduleReposition();
+  }
+  
+  async init() {
+    const key = window.PageToolbarUtils.PAGE_TOOLBAR_STORAGE_KEY;
+    const stored = await chrome.storage.local.get(key);
+    if (window.PageToolbarUtils.isPageToolbarEnabled(stored[key], location.hostname)) this.show();
+  }
+  
+  async setEnabled(enabled) {
+    const key = window.PageToolbarUtils.PAGE_TOOLBAR_STORAGE_KEY;
+    const stored = await chrome.storage.local.get(key);
+    await chrome.storage.local.set({ [key]: window.PageToolbarUtils.withPageToolbarSetting(stored[key], location.hostname, enabled) });
+    if (enabled) this.show();
+    else this.hide();
+    return { success: true, enabled: this.enabled };
+  }
+  
+  show() {
+    this.enabled = true;
+    if (this.detector.tables.length === 0) this.detector.detectTables();
+    this.render();
+    window.addEventListener('resize', this.onViewportChange);
+    document.addEventListener('scroll', this.onViewportChange, true);
+  }
+  
+  hide() {
+    this.enabled = false;
+    this.removeBars();
+    window.removeEventListener('resize', this.onViewportChange);
+    document.removeEventListener('scroll', this.onViewportChange, true);
+  }
+  
+  // A new scan replaces the table list; the toolbars follow it
+  refresh() {
+    if (this.enabled) this.render();
+  }
+  
+  render() {
+    this.removeBars();
+    this.detector.tables.forEach(entry => {
+      // Tables in frames would need coordinates of their own document
+      if (!entry.element || entry.element.ownerDocument !== document || !entry.element.isConnected) return;
+      const element = this.createBar(entry);
+      document.body.appendChild(element);
+      this.bars.push({ entry, element });
+    });
+    this.reposition();
+  }
+  
+  removeBars() {
+    this.bars.forEach(({ element }) => element.remove());
+    this.bars = [];
+  }
+  
+  createBar(entry) {
+    const bar = document.createElement('div');
+    bar.className = 'tablelens-table-toolbar';
+    window.PageToolbarUtils.PAGE_TOOLBAR_ACTIONS.forEach(({ action, label, title }) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.textContent = label;
+      button.title = title;
+      button.addEventListener('click', (event) => {
+        event.preventDefault();
+        event.stopPropagation();
+        this.runAction(entry, action);
+      });
+      bar.appendChild(button);
+    });
+    return bar;
+  }
+  
+  reposition() {
+    const scroll = { x: window.scrollX, y: window.scrollY };
+    this.bars.forEach(({ entry, element }) => {
+      const rect = entry.element.getBoundingClientRect();
+      const hidden = rect.width === 0 && rect.height === 0;
+      element.style.display = hidden ? 'none' : '';
+      if (hidden) return;
+      const position = window.PageToolbarUtils.pageToolbarPosition(rect, scroll, element.offsetWidth);
+      element.style.top = `${position.top}px`;
+      element.style.left = `${position.left}px`;
+    });
+  }
+  
+  scheduleReposition() {
+    if (this.repositionScheduled) return;
+    this.repositionScheduled = true;
+    requestAnimationFrame(() => {
+      this.repositionScheduled = false;
+      this.reposition();
+    });
+  }
+  
+  async runAction(entry, action) {
+    this.detector.lastUsedTable = entry;
+    const rows = entry.data.length - 1;
+    if (action === 'open') {
+      if (!this.detector.openTableEntryInViewer(this.detector.tables.indexOf(entry))) showPageNotice('Popup blocked opening the viewer');
+    } else if (action === 'csv' || action === 'markdown' || action === 'tsv') {
+      try {
+        await copyTextToClipboard(window.TableTextUtils.tableToText(entry.data, action));
+        showPageNotice(`Copied ${rows} row(s) as ${action === 'markdown' ? 'Markdown' : action.toUpperCase()}`);
+      } catch (e) {
+        showPageNotice(`Copy failed: ${e.message}`);
+      }
+    } else if (action === 'xlsx') {
+      // The background worker builds the workbook, saves it and counts the export
+      showPageNotice('Preparing XLSX...');
+      const filename = `${location.hostname.replace(/^www\./, '') || 'table'}_table_${new Date().toISOString().split('T')[0]}.xlsx`;
+      const result = await chrome.runtime.sendMessage({ action: 'exportTableXLSX', data: entry.data, filename }).catch(e => ({ success: false, error: e.message }));
+      showPageNotice(result && result.success ? `Saved ${filename}` : `XLSX export ${result && result.error ? `failed: ${result.error}` : 'cancelled'}`);
+    } else if (action === 'chart') {
+      const chart = window.PageToolbarUtils.suggestQuickChart(entry.data, window.ColumnTypeUtils.analyzeColumnTypes(entry.data));
+      if (!chart) {
+        showPageNotice('No numeric column to chart - open the table in the viewer to pick columns');
+        return;
+      }
+      this.detector.openChartWindow({ data: entry.data, ...chart });
+    } else if (action === 'dismiss') {
+      await this.setEnabled(false);
+      showPageNotice('Table toolbar hidden on this site - turn it back on from the TableLens popup');
+    }
+  }
 }
 
 // Global instance
 const tableDetector = new TableDetector();
+const paginationCapture = new PaginationCapture(tableDetector);
+const rowHarvester = new RowHarvester(tableDetector);
+const elementPicker = new ElementPicker(tableDetector);
+const tableToolbar = new TableToolbarOverlay(tableDetector);
 
 // Make it available globally for OCR integration
 window.tableDetector = tableDetector;
 
+// Path of the last right-click; the context menu action arrives later through the background worker
+let lastContextMenuPath = [];
+document.addEventListener('contextmenu', (event) => {
+  lastContextMenuPath = event.composedPath();
+}, true);
+
+// Path of the element under the mouse, for keyboard commands when nothing inside a table has focus
+let lastPointerPath = [];
+document.addEventListener('pointerover', (event) => {
+  lastPointerPath = event.composedPath();
+}, true);
+
+const pageNotice = new CaptureBanner();
+let pageNoticeTimer = null;
+
+function showPageNotice(message) {
+  pageNotice.render({ message });
+  clearTimeout(pageNoticeTimer);
+  pageNoticeTimer = setTimeout(() => pageNotice.hide(), 2500);
+}
+
+async function copyTextToClipboard(text) {
+  try {
+    await navigator.clipboard.writeText(text);
+  } catch (e) {
+    // The async clipboard API needs a focused document; fall back to a hidden textarea
+    const textarea = document.createElement('textarea');
+    textarea.value = text;
+    textarea.style.position = 'fixed';
+    textarea.style.opacity = '0';
+    document.body.appendChild(textarea);
+    textarea.select();
+    const copied = document.execCommand('copy');
+    textarea.remove();
+    if (!copied) throw new Error('Clipboard is not available on this page');
+  }
+}
+
+// TABLE_DATA payload for a viewer opened by the background worker
+function viewerPayload(entry) {
+  return {
+    tableData: entry.data,
+    richCells: tableDetector.getRichCells(entry),
+    headerHierarchy: entry.headerHierarchy || null,
+    tableInfo: { type: entry.type, id: entry.id, persistedId: entry.id, preview: entry.preview }
+  };
+}
+
+/**
+ * Run a context menu action on the right-clicked table
+ * @param {string} mode - open | csv | markdown
+ * @returns {Promise<Object>} for "open", the viewer payload (the background worker opens the tab)
+ */
+async function runContextMenuAction(mode) {
+  const entry = tableDetector.contextTableEntry(lastContextMenuPath);
+  if (!entry) {
+    showPageNotice('No table under the cursor');
+    return { success: false, error: 'No table under the cursor' };
+  }
+  tableDetector.lastUsedTable = entry;
+  if (mode === 'open') return { success: true, table: viewerPayload(entry) };
+  try {
+    await copyTextToClipboard(window.TableTextUtils.tableToText(entry.data, mode));
+    showPageNotice(`Copied ${entry.data.length - 1} row(s) as ${mode === 'markdown' ? 'Markdown' : 'CSV'}`);
+    return { success: true };
+  } catch (e) {
+    showPageNotice(`Copy failed: ${e.message}`);
+    return { success: false, error: e.message };
+  }
+}
+
+/**
+ * Keyboard commands (manifest "commands", relayed by the background worker)
+ * @param {string} command - open-focused-table | export-last-table-csv
+ */
+function runKeyboardCommand(command) {
+  if (command === 'open-focused-table') {
+    // The table holding keyboard focus, else the one under the mouse, else the one selected in the popup
+    const focused = window.DeepDomUtils.composedAncestors(window.DeepDomUtils.deepActiveElement(document));
+    const entry = tableDetector.contextTableEntry(focused) || tableDetector.contextTableEntry(lastPointerPath) ||
+      tableDetector.getSelectedTable();
+    if (!entry) {
+      showPageNotice('No table has focus - click inside a table first');
+      return { success: false, error: 'No table under focus' };
+    }
+    tableDetector.lastUsedTable = entry;
+    return { success: true, table: viewerPayload(entry) };
+  }
+  if (command === 'export-last-table-csv') {
+    if (tableDetector.tables.length === 0 && !tableDetector.lastUsedTable) tableDetector.detectTables();
+    const entry = tableDetector.lastUsedTable || tableDetector.tables[0];
+    if (!entry) {
+      showPageNotice('No table found on this page');
+      return { success: false, error: 'No table found' };
+    }
+    showPageNotice(`Exporting ${entry.data.length - 1} row(s) as CSV`);
+    return { success: true, csv: window.TableTextUtils.toDelimitedText(entry.data, ','), type: entry.type };
+  }
+  return { success: false, error: `Unknown command: ${command}` };
+}
+
+function summarizeDetectedTable(t) {
+  return {
+    type: t.type,
+    preview: t.preview,
+    id: t.id,
+    columns: t.data.length > 0 ? t.data[0] : [],
+    density: t.metadata ? t.metadata.dataDensity : undefined,
+    watchable: tableDetector.canWatch(t),
+    location: window.DeepDomUtils ? window.DeepDomUtils.describeLocation(t.location) : '',
+    name: t.name
+  };
+}
+
+// The script runs in every frame. The top frame answers the popup and scans same-origin frames
+// itself; a frame it cannot reach (cross-origin) reports its own tables when a scan starts and
+// otherwise only handles messages the popup addresses to it (frameTarget + frameId).
+const isTopFrame = window === window.top;
+
+if (isTopFrame) tableToolbar.init().catch(() => {});
+
+function reportFrameTables() {
+  if (window.DeepDomUtils && window.DeepDomUtils.isReachableFromTop(window)) return;
+  const tables = tableDetector.detectTables();
+  if (tables.length === 0) return;
+  chrome.runtime.sendMessage({
+    action: 'frameTablesDetected',
+    frameUrl: location.href,
+    // Data is included so the popup can search and export these tables with the others
+    tables: tables.map(t => ({ ...summarizeDetectedTable(t), data: t.data }))
+  }).catch(() => {});
+}
+
 // Message passing with popup
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  if (!isTopFrame && !request.frameTarget) {
+    if (request.action === 'detectTables') reportFrameTables();
+    return;
+  }
   if (request.action === 'detectTables') {
-    const tables = tableDetector.detectTables();
-    sendResponse({ tables: tables.map(t => ({
-      type: t.type,
-      preview: t.preview,
-      id: t.id,
-      columns: t.data.length > 0 ? t.data[0] : []
-    }))});
+    const tables = tableDetector.detectTables().map(summarizeDetectedTable);
+    sendResponse({ tables });
+    tableToolbar.refresh();
+    // The background worker caches the list so a reopened popup can show it again
+    chrome.runtime.sendMessage({ action: 'tablesDetected', url: location.href, tables }).catch(() => {});
+  } else if (request.action === 'getTableToolbar') {
+    sendResponse({ success: true, enabled: tableToolbar.enabled });
+  } else if (request.action === 'setTableToolbar') {
+    tableToolbar.setEnabled(!!request.enabled).then(sendResponse, error => sendResponse({ success: false, error: error.message }));
+    return true; // async response
+  } else if (request.action === 'keyboardCommand') {
+    sendResponse(runKeyboardCommand(request.command));
+  } else if (request.action === 'showPageNotice') {
+    showPageNotice(request.message);
+    sendResponse({ success: true });
+  } else if (request.action === 'contextMenuTable') {
+    runContextMenuAction(request.mode).then(sendResponse);
+    return true; // async response
   } else if (request.action === 'selectTable') {
     tableDetector.selectTable(request.index);
     sendResponse({ success: true });
@@ -479,7 +1907,9 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     // Do NOT re-run detectTables() here; it would wipe dynamically added pdf-batch tables
     const tables = tableDetector.tables;
     if (request.index >= 0 && request.index < tables.length) {
-      sendResponse({ success: true, data: tables[request.index].data });
+      const table = tables[request.index];
+      tableDetector.lastUsedTable = table;
+      sendResponse({ success: true, data: table.data, richCells: tableDetector.getRichCells(table), headerHierarchy: table.headerHierarchy || null, fixedWidth: table.fixedWidth || null });
     } else {
       sendResponse({ 
         success: false, 
@@ -499,31 +1929,18 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     } else {
       sendResponse({ success: false, error: 'No table selected' });
     }
-  } else if (request.action === 'startOCR') {
-    if (window.ocrCapture) {
-      window.ocrCapture.startCapture();
-      sendResponse({ success: true });
-    } else {
-      sendResponse({ success: false, error: 'OCR functionality not available' });
-    }
-  } else if (request.action === 'startImageCapture') {
-    if (window.ocrCapture) {
-      try {
-        window.ocrCapture.imageServiceMode = true; // flag to use image service
-        window.ocrCapture.startCapture();
-        sendResponse({ success: true });
-      } catch (e) {
-        sendResponse({ success: false, error: e.message });
-      }
-    } else {
-      sendResponse({ success: false, error: 'Capture functionality not available' });
-    }
+  } else if (request.action === 'startOCR' || request.action === 'startImageCapture') {
+    // Both capture buttons pick a page region with the in-page element picker
+    sendResponse(elementPicker.start());
   } else if (request.action === 'pdfTableDetected') {
     // Handle PDF table detection notification
     sendResponse({ success: true });
   } else if (request.action === 'getPDFContextInfo') {
     try {
-      const pdfUrl = (window.ocrCapture && window.ocrCapture.getPDFUrl) ? window.ocrCapture.getPDFUrl() : null;
+      // Chrome's viewer wraps the file in an <embed>; the document URL is the PDF itself
+      const embed = document.querySelector('embed[type="application/pdf"]');
+      const isPdf = document.contentType === 'application/pdf' || !!embed || /\.pdf($|[?#])/i.test(location.href);
+      const pdfUrl = isPdf ? location.href : null;
       if (!pdfUrl) {
         sendResponse({ success:false, error:'PDF URL not found' });
       } else {
@@ -591,7 +2008,11 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
         id: t.id,
         columns: Array.isArray(t.data) && Array.isArray(t.data[0]) ? t.data[0] : [],
         page: t.page,
-        tableIndex: t.tableIndex
+        tableIndex: t.tableIndex,
+        density: t.metadata ? t.metadata.dataDensity : undefined,
+        watchable: tableDetector.canWatch(t),
+        location: window.DeepDomUtils ? window.DeepDomUtils.describeLocation(t.location) : '',
+        name: t.name
       }));
       sendResponse({ success:true, tables: meta });
     } catch (e) {
@@ -601,7 +2022,9 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     try {
       const payload = tableDetector.tables.map(t => ({
         id: t.id,
-        data: t.data
+        data: t.data,
+        richCells: tableDetector.getRichCells(t),
+        headerHierarchy: t.headerHierarchy || null
       }));
       sendResponse({ success:true, tables: payload });
     } catch (e) {
@@ -656,6 +2079,17 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       console.error('Error clearing tables:', e);
       sendResponse({ success: false, error: e.message });
     }
+  } else if (request.action === 'watchTable') {
+    sendResponse(tableDetector.startWatching(request.index));
+  } else if (request.action === 'startPaginationCapture') {
+    sendResponse(paginationCapture.start(request.index, request.maxPages));
+  } else if (request.action === 'startRowHarvest') {
+    sendResponse(rowHarvester.start(request.index));
+  } else if (request.action === 'getPaginationStatus') {
+    sendResponse({ success: true, status: paginationCapture.getStatus() });
+  } else if (request.action === 'cancelPaginationCapture') {
+    paginationCapture.cancel();
+    sendResponse({ success: true, status: paginationCapture.getStatus() });
   } else if (request.action === 'loadSavedState') {
     try {
       const savedState = request.savedState;
@@ -676,6 +2110,8 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
             // Reconstruct the table data from the saved state
             const tableData = {
               tableData: savedState.state.tableData,
+              richCells: savedState.state.richCells || null,
+              headerHierarchy: savedState.state.headerHierarchy || null,
               tableInfo: {
                 type: 'saved-state',
                 source: savedState.name,
@@ -741,14 +2177,21 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
 
 // Listen for chart export messages
 window.addEventListener('message', (event) => {
+  if (!event.data) return;
   if (event.data.type === 'CHART_EXPORT') {
-    // Forward to popup
+    // Page scripts can post messages too: only the chart window this script opened may export
+    const chartWindow = tableDetector.chartWindow;
+    if (!chartWindow || event.source !== chartWindow || event.origin !== new URL(chrome.runtime.getURL('')).origin) return;
+    // The background worker saves the file (the popup may be closed)
     chrome.runtime.sendMessage({
       action: 'chartExport',
       format: event.data.format,
       data: event.data.data,
       filename: event.data.filename
     });
+  } else if (event.data.type === 'LIVE_WATCH_CONTROL' || event.data.type === 'LIVE_WATCH_STOP') {
+    // Pause/resume/stop requests from a live table viewer
+    tableDetector.handleWatchControl(event);
   }
 });
 
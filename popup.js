@@ -11,6 +11,8 @@ class PopupController {
     this.attachEventListeners();
     // Removed automatic table scanning - now done via Extract All Tables button
   this.restoreExistingTables();
+  this.loadPageToolbarState();
+  this.checkPaginationStatus();
   this.loadSavedStates();
   this.initializeSavedStateListener();
   this.initializeLicense();
@@ -27,6 +29,8 @@ class PopupController {
       yColumns: document.getElementById('yColumns'),
       scanTables: document.getElementById('scanTables'),
       ocrCapture: document.getElementById('ocrCapture'),
+      openFile: document.getElementById('openFile'),
+      openFileInput: document.getElementById('openFileInput'),
       imageCapture: document.getElementById('imageCapture'),
       allTables: document.getElementById('allTables'),
       exportAllTablesXLSX: document.getElementById('exportAllTablesXLSX'),
@@ -34,7 +38,12 @@ class PopupController {
       generateChart: document.getElementById('generateChart'),
       exportPNG: document.getElementById('exportPNG'),
       exportSVG: document.getElementById('exportSVG'),
-      status: document.getElementById('status')
+      status: document.getElementById('status'),
+      paginationProgress: document.getElementById('paginationProgress'),
+      paginationProgressText: document.getElementById('paginationProgressText'),
+      paginationProgressFill: document.getElementById('paginationProgressFill'),
+      cancelPagination: document.getElementById('cancelPagination'),
+      pageToolbarToggle: document.getElementById('pageToolbarToggle')
     };
     
     // Initialize theme
@@ -44,7 +53,23 @@ class PopupController {
     this.elements.ocrCapture.addEventListener('click', () => this.startOCRCapture());
     this.elements.imageCapture.addEventListener('click', () => this.startImageCapture());
     this.elements.allTables.addEventListener('click', () => this.startAllTablesExtraction());
+    this.elements.pageToolbarToggle?.addEventListener('change', () => this.setPageToolbar(this.elements.pageToolbarToggle.checked));
+    // Paste anywhere outside the search box (the paste zone just gives it a visible target)
+    document.addEventListener('paste', (event) => {
+      if (event.target.closest && event.target.closest('input, textarea')) return;
+      this.handlePaste(event);
+    });
+    if (this.elements.openFile && this.elements.openFileInput) {
+      this.elements.openFileInput.accept = FileImportUtils.IMPORT_FILE_ACCEPT;
+      this.elements.openFile.addEventListener('click', () => this.elements.openFileInput.click());
+      this.elements.openFileInput.addEventListener('change', () => {
+        const file = this.elements.openFileInput.files[0];
+        this.elements.openFileInput.value = '';
+        if (file) this.openLocalFile(file);
+      });
+    }
     this.elements.exportAllTablesXLSX.addEventListener('click', () => this.exportAllTablesToXLSX());
+    this.elements.cancelPagination?.addEventListener('click', () => this.cancelPaginationCapture());
     this.elements.themeToggle?.addEventListener('click', () => this.toggleTheme());
     if (this.elements.tableSearch) {
       this.elements.tableSearch.addEventListener('input', () => this.renderTableList());
@@ -77,77 +102,105 @@ class PopupController {
     }
   }
 
+  // Parse a local CSV/TSV/XLSX/JSON file and open it in the table viewer
+  async openLocalFile(file) {
+    this.showStatus(`Reading ${file.name}...`, 'info');
+    try {
+      const imported = await FileImportUtils.readTableFile(file, window.XLSX);
+      const sheets = imported.tables.length > 1 ? ` (${imported.tables.length} sheets)` : '';
+      this.openImportInViewer(imported, `${file.name}${sheets}`);
+    } catch (e) {
+      console.error('File import error:', e);
+      this.showStatus('Could not open file: ' + e.message, 'error');
+    }
+  }
+
+  // Smart paste: spreadsheet HTML, TSV, markdown or aligned text pasted into the popup
+  handlePaste(event) {
+    const clipboard = {
+      html: event.clipboardData.getData('text/html'),
+      text: event.clipboardData.getData('text/plain')
+    };
+    event.preventDefault();
+    const pasted = SmartPasteUtils.parseClipboardData(clipboard);
+    if (!pasted) {
+      this.showStatus('No table found in the pasted content', 'error');
+      return;
+    }
+    this.openImportInViewer(SmartPasteUtils.pastedTableImport(pasted), `pasted ${pasted.data.length - 1} row table`);
+  }
+
+  // Open imported tables (files or pastes) in a new viewer through a transfer key
+  openImportInViewer(imported, label) {
+    let transferKey;
+    try {
+      transferKey = FileImportUtils.storeImportTransfer(localStorage, imported, 0);
+    } catch (e) {
+      this.showStatus('Table is too large to open in the viewer', 'error');
+      console.error('Transfer storage error:', e);
+      return;
+    }
+    const tableViewerURL = `${chrome.runtime.getURL('table-viewer.html')}?transfer=${encodeURIComponent(transferKey)}`;
+    const newWindow = window.open(tableViewerURL, '_blank');
+    if (!newWindow) {
+      localStorage.removeItem(transferKey);
+      this.showStatus('Popup blocked opening viewer', 'error');
+      return;
+    }
+    this.showStatus(`✅ Opening ${label}`, 'success');
+    setTimeout(() => window.close(), 800);
+  }
+
   async extractFromPDF(tab) {
-    this.showStatus('Extracting all tables from PDF...', 'info');
     try {
-      // Ask content script to provide PDF URL
-      const pdfInfo = await chrome.tabs.sendMessage(tab.id, { action: 'getPDFContextInfo' });
-      if (!pdfInfo || !pdfInfo.success) {
-        this.showStatus('Cannot detect PDF URL. Please refresh the page.', 'error');
+      // Ask content script to provide PDF URL (the tab URL works for directly opened files)
+      let pdfUrl = tab.url;
+      try {
+        const pdfInfo = await chrome.tabs.sendMessage(tab.id, { action: 'getPDFContextInfo' });
+        if (pdfInfo && pdfInfo.success) pdfUrl = pdfInfo.pdfUrl;
+      } catch (e) {
+        // No content script in the PDF viewer (e.g. file:// without access): keep the tab URL
+      }
+
+      const input = prompt('Pages to extract (e.g. 1-3,5). Leave empty for all pages.', '');
+      if (input == null) {
+        this.showStatus('PDF extraction cancelled.', 'info');
+        setTimeout(() => this.hideStatus(), 2000);
         return;
       }
-      const resp = await chrome.runtime.sendMessage({
-        action: 'extractAllTablesFromPDF',
-        pdfUrl: pdfInfo.pdfUrl
-      });
-      if (!resp || !resp.success) {
-        // Fallback: some service versions still require explicit pages
-        const errMsg = resp?.error || 'Unknown error';
-        if (/no pages specified/i.test(errMsg)) {
-          const fallback = await this.fallbackPageRangeFlow(pdfInfo.pdfUrl, tab.id);
-          if (!fallback) {
-            this.showStatus('Extraction cancelled (pages required).', 'error');
-          }
+      let pages = null;
+      if (input.trim()) {
+        const parsed = this.parsePageRange(input);
+        if (!parsed.success) {
+          this.showStatus('Page range error: ' + parsed.error, 'error');
           return;
         }
-        this.showStatus('PDF extraction failed: ' + errMsg, 'error');
-        return;
+        pages = parsed.pages;
       }
-      const result = resp.data;
-      let rawTables;
-      if (Array.isArray(result)) {
-        rawTables = result;
-      } else if (Array.isArray(result?.tables)) {
-        rawTables = result.tables;
-      } else {
-        rawTables = [];
-      }
-      if (rawTables.length === 0) {
-        this.showStatus('No tables found in PDF.', 'error');
+
+      this.showStatus('Extracting all tables from PDF...', 'info');
+      // The background worker downloads and parses the PDF, so closing the popup does not cancel it
+      const result = await chrome.runtime.sendMessage({ action: 'extractAllTablesFromPDF', tabId: tab.id, pdfUrl, pages });
+      if (!result || !result.success) {
+        this.showStatus('Error during PDF extraction: ' + ((result && result.error) || 'no response'), 'error');
         return;
       }
-      // Normalize and inject tables
-      const normalized = rawTables.map(rt => {
-        const rows = rt.rows || rt.data || (rt.table && rt.table.rows) || [];
-        return {
-          rows,
-          page: rt.page != null ? rt.page : rt.table?.page,
-          table_index: rt.table_index != null ? rt.table_index : rt.table?.table_index,
-          bbox: rt.bbox || rt.table?.bbox || null
-        };
-      });
-      const addResp = await chrome.tabs.sendMessage(tab.id, { action: 'addBatchExtractedTables', tables: normalized });
-      if (!addResp || !addResp.success) {
-        this.showStatus('Failed processing extracted tables.', 'error');
+      if (result.count === 0) {
+        const scope = pages ? 'the selected pages' : `${result.pageCount} page(s)`;
+        this.showStatus(`No tables found in ${scope}. Scanned PDFs without a text layer are not supported.`, 'error');
         return;
       }
-      // Add to popup list
-      normalized.forEach((t, index) => {
-        const preview = this.generatePreviewFromRaw(t.rows || []);
-        const tableId = `pdf_p${t.page || 0}_t${t.table_index || index}_${Date.now()}`;
-        this.tables.push({
-          id: tableId, // Add consistent ID for state management
-          type: 'pdf-batch',
-          columns: (t.rows && Array.isArray(t.rows[0]) ? t.rows[0] : []),
-          preview,
-          page: t.page,
-          tableIndex: t.table_index
-        });
-      });
+      this.applyLicenseState(result.licenseState);
+
+      // The content script owns the table list (and ids); re-sync instead of building entries here
+      const listResp = await chrome.tabs.sendMessage(tab.id, { action: 'listCurrentTables' });
+      if (listResp && listResp.success && Array.isArray(listResp.tables)) {
+        this.tables = listResp.tables;
+      }
       this.renderTableList();
       // Build search cache after adding tables
       this.buildSearchCache(tab.id);
-      this.showStatus(`Successfully extracted ${normalized.length} table(s) from PDF`, 'success');
+      this.showStatus(`Successfully extracted ${result.count} table(s) from PDF`, 'success');
       setTimeout(() => this.hideStatus(), 2500);
     } catch (e) {
       console.error('PDF extraction error:', e);
@@ -158,11 +211,14 @@ class PopupController {
   async extractFromWebpage(tab) {
     this.showStatus('Scanning webpage for tables...', 'info');
     try {
+      // Sent to every frame: the top frame answers, cross-origin frames report their tables
+      // separately (frameTablesDetected) during the scan
+      this.tables = [];
       const response = await chrome.tabs.sendMessage(tab.id, {
         action: 'detectTables'
       });
       
-      this.tables = response.tables || [];
+      this.tables = [...(response.tables || []), ...this.tables.filter(t => t.frameId != null)];
       this.renderTableList();
   this.buildSearchCache(tab.id);
       
@@ -189,25 +245,111 @@ class PopupController {
     }
   }
 
+  /**
+   * Send a per-table message (message.index = index in this.tables). Tables found in a
+   * cross-origin frame are handled by that frame's content script under its own index.
+   */
+  sendTableMessage(tabId, message) {
+    const table = this.tables[message.index];
+    if (table && table.frameId != null) {
+      return chrome.tabs.sendMessage(tabId, { ...message, index: table.frameIndex, frameTarget: true }, { frameId: table.frameId });
+    }
+    return chrome.tabs.sendMessage(tabId, message, { frameId: 0 });
+  }
+
+  /**
+   * Tables reported by a frame the top page cannot scan (listed after the top frame's tables,
+   * so top-frame indices stay aligned with the content script)
+   */
+  addFrameTables(frameId, frameUrl, tables) {
+    this.tables = this.tables.filter(t => t.frameId !== frameId);
+    tables.forEach((t, frameIndex) => {
+      this.tables.push({ ...t, frameId, frameIndex, location: this.frameLocation(frameUrl, t.location) });
+    });
+    this.renderTableList();
+    this.buildSearchCache();
+  }
+
+  frameLocation(frameUrl, location) {
+    let host = '';
+    try { host = new URL(frameUrl).hostname; } catch (_) {}
+    return [host ? `frame ${host}` : 'frame', location].filter(Boolean).join(' › ');
+  }
+
+  // Top-frame tables stay ahead of the frame tables so their indices match the content script
+  insertTopFrameTable(table) {
+    const firstFrameTable = this.tables.findIndex(t => t.frameId != null);
+    this.tables.splice(firstFrameTable < 0 ? this.tables.length : firstFrameTable, 0, table);
+  }
+
+  /**
+   * List a table added after the scan (capture, harvest, multi-page or picked table). Tables of
+   * another frame are appended to that frame's tables, as the frame's content script does.
+   */
+  addDetectedTable(table, frameId = 0, frameUrl = '') {
+    if (this.tables.some(t => t.id === table.id)) return;
+    if (frameId) {
+      const frameIndex = this.tables.filter(t => t.frameId === frameId).length;
+      this.tables.push({ ...table, frameId, frameIndex, location: this.frameLocation(frameUrl, table.location) });
+    } else {
+      this.insertTopFrameTable(table);
+    }
+    this.renderTableList();
+  }
+
+  // On-page table toolbar: the content script keeps the per-site setting
+  async loadPageToolbarState() {
+    try {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      const resp = await chrome.tabs.sendMessage(tab.id, { action: 'getTableToolbar' }, { frameId: 0 });
+      if (resp && resp.success) this.elements.pageToolbarToggle.checked = resp.enabled;
+    } catch (e) {
+      // No content script on this page (browser pages, PDF viewer)
+      this.elements.pageToolbarToggle.disabled = true;
+    }
+  }
+
+  async setPageToolbar(enabled) {
+    try {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      const resp = await chrome.tabs.sendMessage(tab.id, { action: 'setTableToolbar', enabled }, { frameId: 0 });
+      if (!resp || !resp.success) throw new Error((resp && resp.error) || 'no response');
+      this.showStatus(enabled ? 'Table toolbar shown on this site' : 'Table toolbar hidden on this site', 'success');
+      setTimeout(() => this.hideStatus(), 2000);
+    } catch (e) {
+      this.elements.pageToolbarToggle.checked = !enabled;
+      this.showStatus('Could not change the table toolbar: ' + e.message, 'error');
+    }
+  }
+
   async restoreExistingTables() {
     try {
       const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
       if (!tab) return;
-      const resp = await chrome.tabs.sendMessage(tab.id, { action: 'listCurrentTables' });
-      if (!resp || !resp.success || !Array.isArray(resp.tables) || resp.tables.length === 0) return;
+      const resp = await chrome.tabs.sendMessage(tab.id, { action: 'listCurrentTables' }, { frameId: 0 });
+      const listed = resp && resp.success && Array.isArray(resp.tables) ? resp.tables : [];
       // Deduplicate by id if popup was reopened rapidly
       const existingIds = new Set(this.tables.map(t => t.id));
       let added = 0;
-      resp.tables.forEach((t, index) => {
+      listed.forEach((t, index) => {
         if (existingIds.has(t.id)) return;
         // Ensure table has an ID for state management
         if (!t.id) {
           t.id = `restored_${t.type || 'table'}_${index}_${Date.now()}`;
         }
-        this.tables.push(t);
+        this.insertTopFrameTable(t);
         existingIds.add(t.id);
         added++;
       });
+      // Tables of cross-origin frames are only known to the background worker's tab cache
+      const cached = await chrome.runtime.sendMessage({ action: 'getTabTables', tabId: tab.id }).catch(() => null);
+      const frameTables = cached && cached.success ? cached.tables.filter(t => t.frameId != null && !existingIds.has(t.id)) : [];
+      if (frameTables.length > 0) {
+        const byFrame = new Map();
+        frameTables.forEach(t => byFrame.set(t.frameId, (byFrame.get(t.frameId) || []).concat(t)));
+        byFrame.forEach((tables, frameId) => this.addFrameTables(frameId, tables[0].frameUrl, tables));
+        added += frameTables.length;
+      }
       if (added > 0) {
         this.renderTableList();
         this.buildSearchCache(tab.id);
@@ -232,7 +374,7 @@ class PopupController {
       if (!resp || !resp.success) return;
       const map = new Map(resp.tables.map(t => [t.id, t.data]));
       this.tableSearchCache = this.tables.map(t => {
-        const data = map.get(t.id);
+        const data = map.get(t.id) || t.data;
         if (!data) return (t.preview||'').toLowerCase();
         // Flatten rows to a single search blob
         try {
@@ -252,75 +394,7 @@ class PopupController {
     }
   }
 
-  // Fallback flow when backend insists on pages parameter
-  async fallbackPageRangeFlow(pdfUrl, tabId) {
-    try {
-      const input = prompt('Service requires explicit page list. Enter page range (e.g. 1-3,5). Max 20 pages.');
-      if (input == null) return false;
-      const parsed = this.parsePageRange(input);
-      if (!parsed.success) {
-        this.showStatus('Page range error: ' + parsed.error, 'error');
-        return false;
-      }
-      if (parsed.pages.length === 0) {
-        this.showStatus('No valid pages specified.', 'error');
-        return false;
-      }
-      this.showStatus('Retrying with pages: ' + parsed.pages.map(p=>p+1).join(', '), 'info');
-      const resp = await chrome.runtime.sendMessage({
-        action: 'extractAllTablesFromPDF',
-        pdfUrl,
-        pages: parsed.pages
-      });
-      if (!resp || !resp.success) {
-        this.showStatus('Fallback extraction failed: ' + (resp?.error || 'Unknown error'), 'error');
-        return false;
-      }
-      const result = resp.data;
-      let rawTables;
-      if (Array.isArray(result)) rawTables = result; else if (Array.isArray(result?.tables)) rawTables = result.tables; else rawTables = [];
-      if (rawTables.length === 0) {
-        this.showStatus('No tables found for specified pages.', 'error');
-        return true; // handled, but empty
-      }
-      const normalized = rawTables.map(rt => {
-        const rows = rt.rows || rt.data || (rt.table && rt.table.rows) || [];
-        return {
-          rows,
-          page: rt.page != null ? rt.page : rt.table?.page,
-          table_index: rt.table_index != null ? rt.table_index : rt.table?.table_index,
-          bbox: rt.bbox || rt.table?.bbox || null
-        };
-      });
-      const addResp = await chrome.tabs.sendMessage(tabId, { action: 'addBatchExtractedTables', tables: normalized });
-      if (!addResp || !addResp.success) {
-        this.showStatus('Failed injecting tables after fallback.', 'error');
-        return false;
-      }
-      normalized.forEach((t, index) => {
-        const preview = this.generatePreviewFromRaw(t.rows || []);
-        const tableId = `fallback_p${t.page || 0}_t${t.table_index || index}_${Date.now()}`;
-        this.tables.push({
-          id: tableId, // Add consistent ID for state management
-          type: 'pdf-batch',
-          columns: (t.rows && Array.isArray(t.rows[0]) ? t.rows[0] : []),
-          preview,
-          page: t.page,
-          tableIndex: t.table_index
-        });
-      });
-      this.renderTableList();
-      this.showStatus(`Added ${normalized.length} table(s) from specified pages`, 'success');
-      setTimeout(()=>this.hideStatus(), 2500);
-      return true;
-    } catch (e) {
-      console.error('Fallback page flow error:', e);
-      this.showStatus('Fallback error: ' + e.message, 'error');
-      return false;
-    }
-  }
-
-  // Reintroduced page range parser for fallback only
+  // Page range parser for PDF extraction (1-based input, 0-based pages, max 20)
   parsePageRange(input) {
     try {
       const cleaned = (input||'').replace(/\s+/g,'');
@@ -366,11 +440,13 @@ class PopupController {
     try {
       const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
       
+      // Frame tables reported during the scan are kept after the top frame's tables
+      this.tables = [];
       const response = await chrome.tabs.sendMessage(tab.id, {
         action: 'detectTables'
       });
       
-      this.tables = response.tables || [];
+      this.tables = [...(response.tables || []), ...this.tables.filter(t => t.frameId != null)];
       this.renderTableList();
       
       if (this.tables.length === 0) {
@@ -387,23 +463,16 @@ class PopupController {
   
   async startOCRCapture() {
     try {
-      this.showStatus('Starting table capture...', 'info');
+      this.showStatus('Starting element picker...', 'info');
       
       const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
       
-      // Check if we're on a PDF page first to show appropriate message
-      const isPDFPage = tab.url && (tab.url.endsWith('.pdf') || tab.url.includes('.pdf'));
-      
       const response = await chrome.tabs.sendMessage(tab.id, {
         action: 'startOCR'
       });
       
       if (response.success) {
-        if (isPDFPage) {
-          this.showStatus('Select a table area - will use advanced extraction service', 'info');
-        } else {
-          this.showStatus('Select a table area on the page', 'info');
-        }
+        this.showStatus('Click a table, list or region on the page', 'info');
         // Close popup to allow full screen interaction
         setTimeout(() => window.close(), 1000);
       } else {
@@ -421,7 +490,7 @@ class PopupController {
       const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
       const response = await chrome.tabs.sendMessage(tab.id, { action: 'startImageCapture' });
       if (response && response.success) {
-        this.showStatus('Select an area – will use image extraction service', 'info');
+        this.showStatus('Click a table, list or region on the page', 'info');
         setTimeout(() => window.close(), 800);
       } else {
         this.showStatus('Image capture not available: ' + (response?.error || 'Unknown error'), 'error');
@@ -467,11 +536,28 @@ class PopupController {
       const metaBits = [];
       if (typeof table.page === 'number') metaBits.push('p' + (table.page+1));
       if (typeof table.tableIndex === 'number') metaBits.push('#' + table.tableIndex);
+      // Tables inside iframes or web components show where they were found
+      if (table.location) metaBits.push(`in ${this.escapeHtml(table.location)}`);
+      // Card/list layouts are heuristic: show the type and how filled the extracted cells are
+      if (table.type === 'list') {
+        metaBits.push(this.getTableTypeDisplay(table.type));
+        if (typeof table.density === 'number') metaBits.push(`${Math.round(table.density * 100)}% filled`);
+      }
+      // Embedded JSON tables are named after their script and the path of the array
+      if (table.type === 'embedded-json') {
+        metaBits.push(this.getTableTypeDisplay(table.type));
+        if (table.name) metaBits.push(this.escapeHtml(table.name));
+      }
       const meta = metaBits.length ? metaBits.join(' ') : '';
       return `
       <div class="table-item" data-index="${originalIndex}">
         <div class="table-item-header">
           <span>${table.columns.length} cols ${meta ? '• ' + meta : ''}</span>
+          ${table.watchable ? `<span>
+            <button class="live-btn pages-btn" data-index="${originalIndex}" title="Capture rows across the table's pages (mark the Next control once)">📑 Pages</button>
+            <button class="live-btn harvest-btn" data-index="${originalIndex}" title="Scroll through a virtualized / infinite-scroll table and collect every row">🧲 Scroll</button>
+            <button class="live-btn" data-index="${originalIndex}" title="Open in the viewer and keep it updated as the page table changes">📡 Live</button>
+          </span>` : ''}
         </div>
         <div class="table-preview">${previewHtml}</div>
       </div>`;
@@ -486,6 +572,19 @@ class PopupController {
         this.openTableViewer(index);
       });
     });
+    this.elements.tableList.querySelectorAll('.live-btn').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        const index = parseInt(btn.dataset.index, 10);
+        if (btn.classList.contains('pages-btn')) {
+          this.startPaginationCapture(index);
+        } else if (btn.classList.contains('harvest-btn')) {
+          this.startRowHarvest(index);
+        } else {
+          this.watchTable(index);
+        }
+      });
+    });
     
     // Show export button when tables are available
     if (this.elements.exportAllTablesXLSX && this.tables.length > 0) {
@@ -498,12 +597,26 @@ class PopupController {
       'html': '🏷️ HTML Table',
       'csv': '📊 CSV Data',
       'csv-selection': '📊 CSV Selection',
+      'fixed-width': '📏 Fixed-Width Text',
+      'fixed-width-selection': '📏 Fixed-Width Selection',
+      'pasted': '📋 Pasted Table',
+      'tsv': '📊 TSV Data',
+      'xlsx': '📗 Spreadsheet',
+      'json': '🧾 JSON Data',
       'markdown': '📝 Markdown Table',
       'markdown-selection': '📝 Markdown Selection',
       'ocr': '📸 Captured from Screen',
       'pdf': '📄 Extracted from PDF',
       'image': '🖼️ Image Extraction',
-      'pdf-batch': '📄 PDF Table (Batch)'
+      'pdf-batch': '📄 PDF Table (Batch)',
+      'aria-grid': '🧩 ARIA Grid',
+      'paginated': '📑 Paginated Table',
+      'harvested': '🧲 Harvested Table',
+      'css-grid': '🧩 CSS Grid Layout',
+      'list': '🗂️ List',
+      'key-value': '🔑 Key-Value Block',
+      'key-value-merged': '🔑 Key-Value Records',
+      'embedded-json': '🧾 Embedded JSON'
     };
     
     return typeMap[type] || '📋 Table';
@@ -524,7 +637,7 @@ class PopupController {
       
       // Get full table data from content script
       const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-      const response = await chrome.tabs.sendMessage(tab.id, {
+      const response = await this.sendTableMessage(tab.id, {
         action: 'getTableData',
         index: index
       });
@@ -554,6 +667,9 @@ class PopupController {
           viewerWindow.postMessage({
             type: 'TABLE_DATA',
             tableData: response.data,
+            richCells: response.richCells || null,
+            headerHierarchy: response.headerHierarchy || null,
+            fixedWidth: response.fixedWidth || null,
             tableInfo: { ...this.selectedTable, persistedId: this.selectedTable.id }
           }, '*');
           window.removeEventListener('message', messageListener);
@@ -568,6 +684,9 @@ class PopupController {
           viewerWindow.postMessage({
             type: 'TABLE_DATA',
             tableData: response.data,
+            richCells: response.richCells || null,
+            headerHierarchy: response.headerHierarchy || null,
+            fixedWidth: response.fixedWidth || null,
             tableInfo: { ...this.selectedTable, persistedId: this.selectedTable.id }
           }, '*');
           window.removeEventListener('message', messageListener);
@@ -583,6 +702,107 @@ class PopupController {
     }
   }
   
+  /**
+   * Live watch mode: the content script opens the viewer itself so it can keep pushing updates
+   */
+  async watchTable(index) {
+    try {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      const response = await this.sendTableMessage(tab.id, { action: 'watchTable', index });
+      if (!response || !response.success) {
+        this.showStatus((response && response.error) || 'Could not start live mode', 'error');
+        return;
+      }
+      this.showStatus('Live viewer opened. It updates as the page table changes.', 'success');
+      setTimeout(() => window.close(), 1000);
+    } catch (error) {
+      console.error('Error starting live watch:', error);
+      this.showStatus('Error starting live mode', 'error');
+    }
+  }
+  
+  /**
+   * Multi-page capture: the user marks the "Next" control on the page, the content script does the rest.
+   * The popup closes while the user clicks the page, so progress is also shown in an on-page banner.
+   */
+  async startPaginationCapture(index) {
+    if (!this.guardExtraction()) return;
+    const input = prompt('Capture how many pages at most? (2-100)', '10');
+    if (input == null) return;
+    const maxPages = parseInt(input, 10);
+    if (isNaN(maxPages) || maxPages < 2 || maxPages > 100) {
+      this.showStatus('Enter a number of pages between 2 and 100', 'error');
+      return;
+    }
+    try {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      const response = await this.sendTableMessage(tab.id, { action: 'startPaginationCapture', index, maxPages });
+      if (!response || !response.success) {
+        this.showStatus((response && response.error) || 'Could not start multi-page capture', 'error');
+        return;
+      }
+      this.showStatus('Now click the table\'s "Next" control on the page', 'info');
+      setTimeout(() => window.close(), 1200);
+    } catch (error) {
+      console.error('Error starting multi-page capture:', error);
+      this.showStatus('Error starting multi-page capture', 'error');
+    }
+  }
+  
+  /**
+   * Auto-scroll harvesting for virtualized tables; the result opens in the viewer when done
+   */
+  async startRowHarvest(index) {
+    if (!this.guardExtraction()) return;
+    try {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      const response = await this.sendTableMessage(tab.id, { action: 'startRowHarvest', index });
+      if (!response || !response.success) {
+        this.showStatus((response && response.error) || 'Could not start scrolling capture', 'error');
+        return;
+      }
+      this.showStatus('Scrolling through the table. Progress is shown on the page.', 'info');
+      setTimeout(() => window.close(), 1200);
+    } catch (error) {
+      console.error('Error starting row harvest:', error);
+      this.showStatus('Error starting scrolling capture', 'error');
+    }
+  }
+  
+  async checkPaginationStatus() {
+    try {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      if (!tab) return;
+      const response = await chrome.tabs.sendMessage(tab.id, { action: 'getPaginationStatus' });
+      if (response && response.success) this.renderPaginationProgress(response.status);
+    } catch (_) {
+      // No content script on this page
+    }
+  }
+  
+  async cancelPaginationCapture() {
+    try {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      const response = await chrome.tabs.sendMessage(tab.id, { action: 'cancelPaginationCapture' });
+      if (response && response.success) this.renderPaginationProgress(response.status);
+    } catch (error) {
+      console.error('Error cancelling multi-page capture:', error);
+    }
+  }
+  
+  renderPaginationProgress(status) {
+    const section = this.elements.paginationProgress;
+    if (!section) return;
+    if (!status || !status.active) {
+      section.style.display = 'none';
+      return;
+    }
+    section.style.display = 'block';
+    this.elements.paginationProgressText.textContent = status.message || 'Multi-page capture';
+    const percent = status.maxPages ? Math.round((status.page / status.maxPages) * 100) : 0;
+    this.elements.paginationProgressFill.style.width = `${percent}%`;
+  }
+  
   async selectTable(index) {
     // Update visual selection
     this.elements.tableList.querySelectorAll('.table-item').forEach((item, i) => {
@@ -595,7 +815,7 @@ class PopupController {
     // Highlight table on page
     try {
       const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-      await chrome.tabs.sendMessage(tab.id, {
+      await this.sendTableMessage(tab.id, {
         action: 'selectTable',
         index: index
       });
@@ -620,7 +840,7 @@ class PopupController {
     // Highlight table on page
     try {
       const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-      await chrome.tabs.sendMessage(tab.id, {
+      await this.sendTableMessage(tab.id, {
         action: 'selectTable',
         index: index
       });
@@ -725,8 +945,9 @@ class PopupController {
       this.showStatus('Generating chart...', 'info');
       
       const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-      const response = await chrome.tabs.sendMessage(tab.id, {
+      const response = await this.sendTableMessage(tab.id, {
         action: 'generateChart',
+        index: this.selectedTableIndex,
         ...chartConfig
       });
       
@@ -808,9 +1029,14 @@ class PopupController {
       let successCount = 0;
       
       // Process each table
-      for (let i = 0; i < this.tables.length && i < response.tables.length; i++) {
+      for (let i = 0; i < this.tables.length; i++) {
         const table = this.tables[i];
-        const tableData = response.tables.find(t => t.id === table.id);
+        // Tables from cross-origin frames carry their own data; large ones restored from the
+        // worker's cache come without it and are asked from their frame
+        let tableData = table.frameId != null ? table : response.tables.find(t => t.id === table.id);
+        if (table.frameId != null && !table.data) {
+          tableData = await this.sendTableMessage(tab.id, { action: 'getTableData', index: i }).catch(() => null);
+        }
         
         if (!tableData || !tableData.data || tableData.data.length === 0) {
           console.warn(`Skipping table ${i + 1}: No data available`);
@@ -818,7 +1044,14 @@ class PopupController {
         }
 
         // Create worksheet from table data
-        const ws = XLSX.utils.aoa_to_sheet(tableData.data);
+        const sheet = window.HeaderBandUtils
+          ? window.HeaderBandUtils.buildHeaderedSheetRows(tableData.data, tableData.headerHierarchy)
+          : { rows: tableData.data, merges: [], headerOffset: 0 };
+        const ws = XLSX.utils.aoa_to_sheet(sheet.rows);
+        if (sheet.merges.length > 0) ws['!merges'] = sheet.merges;
+        if (tableData.richCells && window.RichCellUtils) {
+          window.RichCellUtils.addSheetHyperlinks(ws, [...new Array(sheet.headerOffset).fill(null), ...tableData.richCells]);
+        }
         
         // Create a safe sheet name (max 31 chars, no special chars)
         let sheetName = `Table_${i + 1}`;
@@ -856,126 +1089,30 @@ class PopupController {
       const siteName = this.getSiteName(tab.url);
       const fileName = `${siteName}_all_tables_${timestamp}.xlsx`;
 
-      // Mark usage function for when export actually happens
-      const markUsage = () => {
-        if (this.licenseManager && !this.licenseManager.isPremium()) {
-          this.licenseManager.markExportAllXLSX().then(() => {
-            this.updateLicenseUI();
-          }).catch(err => {
-            console.warn('[LICENSE][ExportAllXLSX] markExportAllXLSX() error', err);
-          });
-        }
-      };
-
-      // Write and download the file with Chrome downloads API if available
-      const wbout = XLSX.write(wb, { bookType: 'xlsx', type: 'array' });
-      const blob = new Blob([wbout], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
-      const url = URL.createObjectURL(blob);
-
-      if (typeof chrome !== 'undefined' && chrome.downloads && chrome.downloads.download) {
-        // Use Chrome downloads API and only mark usage on successful completion (after user presses Save)
-        chrome.downloads.download({ url, filename: fileName, saveAs: true }, (downloadId) => {
-          if (!downloadId) {
-            URL.revokeObjectURL(url);
-            this.showStatus('XLSX export cancelled', 'error');
-            return;
-          }
-
-            // Inform user to finish the save dialog
-            this.showStatus('Confirm save location to complete export...', 'info');
-
-            let usageMarked = false;
-            let finished = false;
-            const startedAt = Date.now();
-
-            const finalize = (success) => {
-              if (finished) return;
-              finished = true;
-              chrome.downloads.onChanged.removeListener(listener);
-              URL.revokeObjectURL(url);
-              if (success) {
-                this.showStatus(`Successfully exported ${successCount} table(s) to ${fileName}`, 'success');
-                
-                // Show warning if approaching export all limit
-                setTimeout(() => {
-                  if (this.licenseManager && this.licenseManager.isNearExportAllLimit && this.licenseManager.isNearExportAllLimit()) {
-                    const { all } = this.licenseManager._getMonthlyExportLimits();
-                    const remaining = all - this.licenseManager.state.exportAllCount;
-                    setTimeout(() => {
-                      this.showStatus(`⚠️ Only ${remaining} "Export All" left this month`, 'warning');
-                    }, 3500);
-                  }
-                }, 100);
-                
-                setTimeout(()=>this.hideStatus(),3000);
-              } else {
-                this.showStatus('XLSX export cancelled', 'error');
-                setTimeout(()=>this.hideStatus(),3000);
-              }
-            };
-
-            const markIfNeeded = () => {
-              if (!usageMarked) {
-                usageMarked = true;
-                markUsage();
-              }
-            };
-
-            const listener = (delta) => {
-              if (delta.id !== downloadId) return;
-              if (delta.state && delta.state.current) {
-                const state = delta.state.current;
-                if (state === 'complete') {
-                  // Only now do we count usage (user pressed Save and download finished)
-                  markIfNeeded();
-                  finalize(true);
-                } else if (state === 'interrupted') {
-                  finalize(false);
-                }
-              }
-            };
-            chrome.downloads.onChanged.addListener(listener);
-
-            // Fallback polling for browsers (Edge) that may miss completion event
-            const pollIntervalMs = 3000;
-            const maxWaitMs = 30000; // 30s before giving up (do not mark usage if unknown)
-            const poll = () => {
-              if (finished) return;
-              chrome.downloads.search({ id: downloadId }, (results) => {
-                if (finished) return;
-                const item = Array.isArray(results) ? results[0] : null;
-                if (item) {
-                  if (item.state === 'complete') {
-                    markIfNeeded();
-                    finalize(true);
-                    return;
-                  } else if (item.state === 'interrupted') {
-                    finalize(false);
-                    return;
-                  }
-                }
-                if (Date.now() - startedAt < maxWaitMs) {
-                  setTimeout(poll, pollIntervalMs);
-                } else {
-                  // Timed out waiting; assume user cancelled (do not mark usage)
-                  finalize(false);
-                }
-              });
-            };
-            setTimeout(poll, pollIntervalMs);
-        });
-      } else {
-        // Fallback to direct XLSX.writeFile
-        try {
-          XLSX.writeFile(wb, fileName);
-          // Direct write implies user accepted (no Save As dialog path)
-          this.showStatus(`Successfully exported ${successCount} table(s) to ${fileName}`, 'success');
-          markUsage();
-        } finally {
-          URL.revokeObjectURL(url);
-        }
+      // The background worker saves the file and counts the export once it is saved,
+      // even if the popup closes while the Save As dialog is open
+      const base64 = XLSX.write(wb, { bookType: 'xlsx', type: 'base64' });
+      this.showStatus('Confirm save location to complete export...', 'info');
+      const result = await chrome.runtime.sendMessage({
+        action: 'downloadFile',
+        url: `data:application/vnd.openxmlformats-officedocument.spreadsheetml.sheet;base64,${base64}`,
+        filename: fileName,
+        saveAs: true,
+        usage: 'exportAll'
+      });
+      if (!result || !result.success) {
+        this.showStatus('XLSX export cancelled', 'error');
+        setTimeout(() => this.hideStatus(), 3000);
+        return;
       }
-
+      this.applyLicenseState(result.licenseState);
+      this.showStatus(`Successfully exported ${successCount} table(s) to ${fileName}`, 'success');
+      if (this.licenseManager && this.licenseManager.isNearExportAllLimit && this.licenseManager.isNearExportAllLimit()) {
+        const { all } = this.licenseManager._getMonthlyExportLimits();
+        const remaining = all - this.licenseManager.state.exportAllCount;
+        setTimeout(() => this.showStatus(`⚠️ Only ${remaining} "Export All" left this month`, 'warning'), 3500);
+      }
+      setTimeout(() => this.hideStatus(), 3000);
       // hideStatus handled in lifecycle above
 
     } catch (error) {
@@ -1212,9 +1349,19 @@ class PopupController {
     modal.addEventListener('click', (e) => { if (e.target === modal) modal.style.display='none'; }, { once:true });
   }
 
+  // Usage counters are updated by the background worker only
   async recordExtractionUsage(foundTables) {
-    if (!this.licenseManager) return;
-    await this.licenseManager.recordExtraction(foundTables);
+    try {
+      const result = await chrome.runtime.sendMessage({ action: 'recordUsage', kind: 'extract', count: foundTables });
+      this.applyLicenseState(result && result.licenseState);
+    } catch (e) {
+      console.warn('Could not record extraction usage:', e.message);
+    }
+  }
+
+  applyLicenseState(state) {
+    if (!state || !this.licenseManager) return;
+    this.licenseManager.state = { ...this.licenseManager.state, ...state };
     this.updateLicenseUI();
   }
 
@@ -1395,8 +1542,9 @@ class PopupController {
 
       // Decrement license workspace count (only if free tier had one)
       if (this.licenseManager && !this.licenseManager.isPremium()) {
-        this.licenseManager.decrementWorkspaceCount();
-        this.updateLicenseUI?.();
+        chrome.runtime.sendMessage({ action: 'recordUsage', kind: 'workspaceRemoved' })
+          .then(result => this.applyLicenseState(result && result.licenseState))
+          .catch(() => {});
       }
       
       // Re-render the list
@@ -1446,30 +1594,43 @@ class PopupController {
   }
 }
 
-// Handle chart export messages from content script
+// Notifications from content scripts (also seen by the background worker)
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   if (request.action === 'chartExport') {
-    // Trigger download
-    const link = document.createElement('a');
-    link.download = request.filename;
-    link.href = request.data;
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
-    
-    // Show success message
+    // The background worker saves the file; just confirm it here
     if (popupController) {
       popupController.showStatus(`Chart exported as ${request.format.toUpperCase()}`, 'success');
       setTimeout(() => popupController.hideStatus(), 3000);
     }
+  } else if (request.action === 'frameTablesDetected') {
+    if (popupController && sender.tab && Array.isArray(request.tables)) {
+      popupController.addFrameTables(sender.frameId, request.frameUrl, request.tables);
+    }
   } else if (request.action === 'ocrTableDetected' || request.action === 'pdfTableDetected') {
     // Handle OCR/PDF table detection
     if (popupController) {
-      popupController.tables.push(request.table);
-      popupController.renderTableList();
-      const method = request.action === 'pdfTableDetected' ? 'advanced extraction service' : 'screen capture';
+      // Batch PDF tables are also re-synced by extractFromPDF; ids already listed are skipped
+      popupController.addDetectedTable(request.table);
+      const method = request.action === 'pdfTableDetected' ? 'local PDF extraction' : 'screen capture';
       popupController.showStatus(`Table extracted using ${method} successfully!`, 'success');
     }
+  } else if (request.action === 'harvestComplete' || request.action === 'elementPicked') {
+    if (popupController) {
+      if (request.table) {
+        popupController.addDetectedTable(request.table, sender.frameId || 0, sender.url);
+      }
+      popupController.showStatus(request.message, request.table ? 'success' : 'error');
+    }
+  } else if (request.action === 'paginationProgress') {
+    popupController && popupController.renderPaginationProgress(request.status);
+  } else if (request.action === 'paginationComplete') {
+    if (popupController) {
+      popupController.renderPaginationProgress(request.status);
+      if (request.table) {
+        popupController.addDetectedTable(request.table, sender.frameId || 0, sender.url);
+      }
+      popupController.showStatus(request.status.message, request.table ? 'success' : 'info');
+    }
   }
 });
 
@@ -5,14 +5,23 @@ class TableViewer {
     this.filteredData = null;
     this.originalData = null; // Store original order
     this.currentSort = { column: -1, direction: 'none' };
+    this.focusedColumn = 0; // target of the "/" and "s" shortcuts (last clicked column)
     this.columnTypes = []; // 'categorical' or 'numeric'
     this.columnStats = []; // Selected stat function per column
     this.charts = new Map(); // chartId -> chart instance
     this.chartCounter = 0;
+    this.pivotCounter = 0;
   this.licenseManager = null; // will lazy-load
     this.numericFormatMap = {}; // columnIndex -> { thousand: ',', decimal: '.' }
     this.stateManager = null; // Will be initialized when table data is loaded
     this.savedFilters = {}; // Persisted filters per column
+    this.liveSourceData = null; // Raw (uncleaned) snapshot kept in sync with the page in live watch mode
+    this.livePaused = false;
+    this.richRowMap = new WeakMap(); // row array -> rich cells (links, images, attributes) of that row
+    this.cleanupMap = null; // rows/columns kept by the last cleanTableData() call
+    this.headerHierarchy = null; // stacked header rows merged into row 0 (see utils/headerBands.js)
+    this.computedColumns = []; // { column, name, formula } for columns added with a formula (see utils/formula.js)
+    this.columnLayout = null; // display order, hidden/deleted columns and renamed headers (see utils/columnLayout.js)
     
     // Define chart type requirements
     this.chartTypeDefinitions = {
@@ -200,12 +209,20 @@ class TableViewer {
       dataTableBody: document.getElementById('dataTableBody'),
       dataToolbar: document.querySelector('.data-toolbar'),
       newChartBtn: document.getElementById('newChartBtn'),
+      pivotBtn: document.getElementById('pivotBtn'),
+      openFileBtn: document.getElementById('openFileBtn'),
+      openFileInput: document.getElementById('openFileInput'),
+      sheetSelect: document.getElementById('sheetSelect'),
+      pasteTableBtn: document.getElementById('pasteTableBtn'),
       // Data controls
       filterColumn: document.getElementById('filterColumn'),
       filterValue: document.getElementById('filterValue'),
       resetFiltersAndSort: document.getElementById('resetFiltersAndSort'),
       exportData: document.getElementById('exportData'),
-      saveState: document.getElementById('saveStateBtn')
+      saveState: document.getElementById('saveStateBtn'),
+      liveIndicator: document.getElementById('liveIndicator'),
+      liveIndicatorText: document.getElementById('liveIndicatorText'),
+      liveToggleBtn: document.getElementById('liveToggleBtn')
     };
     
     // Initialize theme
@@ -214,8 +231,37 @@ class TableViewer {
   
   attachEventListeners() {
     this.elements.newChartBtn.addEventListener('click', () => this.createNewChart());
+    this.elements.pivotBtn?.addEventListener('click', () => this.createPivotTab());
     this.elements.themeToggle?.addEventListener('click', () => this.toggleTheme());
     
+    // Local file import (CSV/TSV/XLSX/JSON)
+    if (this.elements.openFileBtn && this.elements.openFileInput) {
+      this.elements.openFileInput.accept = FileImportUtils.IMPORT_FILE_ACCEPT;
+      this.elements.openFileBtn.addEventListener('click', () => this.elements.openFileInput.click());
+      this.elements.openFileInput.addEventListener('change', () => {
+        const file = this.elements.openFileInput.files[0];
+        this.elements.openFileInput.value = '';
+        if (file) this.openLocalFile(file);
+      });
+    }
+    this.elements.sheetSelect?.addEventListener('change', () => this.switchImportedTable(parseInt(this.elements.sheetSelect.value, 10)));
+    
+    // Smart paste: Ctrl+V outside form fields opens the clipboard table
+    this.elements.pasteTableBtn?.addEventListener('click', () => {
+      this.showGlobalStatus('📋 Press Ctrl+V to paste a table from Excel, Sheets, a web page, Markdown or aligned text', 'info');
+    });
+    document.addEventListener('paste', (event) => {
+      if (event.target.closest && event.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+      this.handlePaste(event);
+    });
+    
+    // Keyboard shortcuts (single keys, ignored while typing)
+    document.addEventListener('keydown', (event) => this.handleShortcut(event));
+    this.elements.dataTable?.addEventListener('click', (event) => {
+      const cell = event.target.closest('th, td');
+      if (cell && this.filteredData) this.setFocusedColumn(this.getDisplayColumns()[cell.cellIndex]);
+    });
+    
     // Export button (static HTML, only attach once)
     if (this.elements.exportData) {
       this.elements.exportData.addEventListener('click', () => this.showExportFormatModal());
@@ -226,6 +272,9 @@ class TableViewer {
       this.elements.saveState.addEventListener('click', () => this.showSaveStateDialog());
     }
     
+    // Live watch pause/resume
+    this.elements.liveToggleBtn?.addEventListener('click', () => this.toggleLivePause());
+    
     // Note: Filter event listeners are attached in attachFilterEventListeners()
     // which is called from setupDataControls()
     
@@ -250,6 +299,8 @@ class TableViewer {
       } else if (event.data.type === 'RESTORE_SAVED_STATE') {
         console.log('Received saved state to restore:', event.data);
         this.restoreFromSavedState(event.data.savedState);
+      } else if (event.data.type === 'TABLE_UPDATE') {
+        this.applyLiveUpdate(event.data);
       }
     });
 
@@ -279,6 +330,70 @@ class TableViewer {
     resetBtn.title = 'Reset all filters and sorting';
     resetBtn.addEventListener('click', () => this.fullResetTable());
     left.appendChild(resetBtn);
+    // Extract links button (only shown when the table has links)
+    const linksBtn = document.createElement('button');
+    linksBtn.id = 'extractLinksBtn';
+    linksBtn.className = 'btn btn-secondary btn-sm';
+    linksBtn.style.marginLeft = '6px';
+    linksBtn.style.display = 'none';
+    linksBtn.textContent = '🔗 Links → Column';
+    linksBtn.title = 'Extract the URLs of a linked column into a new column';
+    linksBtn.addEventListener('click', () => this.showExtractLinksDialog());
+    left.appendChild(linksBtn);
+    // Computed column from a formula
+    const formulaBtn = document.createElement('button');
+    formulaBtn.id = 'addComputedColumnBtn';
+    formulaBtn.className = 'btn btn-secondary btn-sm';
+    formulaBtn.style.marginLeft = '6px';
+    formulaBtn.textContent = '➕ Add Column';
+    formulaBtn.title = 'Add a column calculated from a formula';
+    formulaBtn.addEventListener('click', () => this.showAddColumnDialog());
+    left.appendChild(formulaBtn);
+    // Column manager (order, visibility, names)
+    const columnsBtn = document.createElement('button');
+    columnsBtn.id = 'manageColumnsBtn';
+    columnsBtn.className = 'btn btn-secondary btn-sm';
+    columnsBtn.style.marginLeft = '6px';
+    columnsBtn.textContent = '🧱 Columns';
+    columnsBtn.title = 'Reorder, hide, rename or delete columns';
+    columnsBtn.addEventListener('click', () => this.showColumnManager());
+    left.appendChild(columnsBtn);
+    // Join or append another extracted / saved table
+    const joinBtn = document.createElement('button');
+    joinBtn.id = 'joinTablesBtn';
+    joinBtn.className = 'btn btn-secondary btn-sm';
+    joinBtn.style.marginLeft = '6px';
+    joinBtn.textContent = '🔀 Join with…';
+    joinBtn.title = 'Join or append another extracted or saved table';
+    joinBtn.addEventListener('click', () => this.showJoinDialog());
+    left.appendChild(joinBtn);
+    // Reshaping opens derived tables (wide to long, rows <-> columns)
+    const unpivotBtn = document.createElement('button');
+    unpivotBtn.id = 'unpivotColumnsBtn';
+    unpivotBtn.className = 'btn btn-secondary btn-sm';
+    unpivotBtn.style.marginLeft = '6px';
+    unpivotBtn.textContent = '↧ Unpivot';
+    unpivotBtn.title = 'Turn columns (e.g. one per year) into variable/value rows';
+    unpivotBtn.addEventListener('click', () => this.showUnpivotDialog());
+    left.appendChild(unpivotBtn);
+    const transposeBtn = document.createElement('button');
+    transposeBtn.id = 'transposeTableBtn';
+    transposeBtn.className = 'btn btn-secondary btn-sm';
+    transposeBtn.style.marginLeft = '6px';
+    transposeBtn.textContent = '⇄ Transpose';
+    transposeBtn.title = 'Swap rows and columns';
+    transposeBtn.addEventListener('click', () => this.openTransposed());
+    left.appendChild(transposeBtn);
+    // Key-value blocks can be transposed into a single record (only shown for key-value tables)
+    const recordBtn = document.createElement('button');
+    recordBtn.id = 'transposeRecordBtn';
+    recordBtn.className = 'btn btn-secondary btn-sm';
+    recordBtn.style.marginLeft = '6px';
+    recordBtn.style.display = 'none';
+    recordBtn.textContent = '📇 One Record';
+    recordBtn.title = 'Open the label/value pairs as a single record (labels become columns)';
+    recordBtn.addEventListener('click', () => this.openAsRecord());
+    left.appendChild(recordBtn);
   }
   
   loadTableData() {
@@ -288,6 +403,11 @@ class TableViewer {
     const urlParams = new URLSearchParams(window.location.search);
     const transferKey = urlParams.get('transfer');
 
+    if (transferKey && urlParams.get('store') === 'session') {
+      this.loadSessionTransfer(transferKey);
+      return;
+    }
+
     if (transferKey) {
       // Attempt to read transfer payload
       try {
@@ -299,6 +419,10 @@ class TableViewer {
         const payload = JSON.parse(raw);
         // Clean up transfer key to avoid buildup
         localStorage.removeItem(transferKey);
+        if (payload && payload.imported) {
+          this.showImportedTable(payload.imported, payload.tableIndex || 0);
+          return;
+        }
         if (!payload || !payload.savedState || !payload.savedState.tableData) {
           headerEl && (headerEl.textContent = '❌ Invalid workspace payload');
           return;
@@ -306,6 +430,8 @@ class TableViewer {
         // Construct minimal data object for existing handler
         this.handleTableData({
           tableData: payload.savedState.tableData,
+          richCells: payload.savedState.richCells || null,
+          headerHierarchy: payload.savedState.headerHierarchy || null,
           tableInfo: {
             type: 'saved-state',
             source: payload.name,
@@ -336,10 +462,204 @@ class TableViewer {
       }, 8000);
     } else {
       headerEl && (headerEl.textContent = '❌ No workspace key provided');
+      this.elements.tableInfo.textContent = 'Use 📂 Open File to load a CSV, TSV, XLSX or JSON file, or press Ctrl+V to paste a table';
     }
   }
   
+  // Tables opened by the background worker (context menu) arrive through chrome.storage.session
+  async loadSessionTransfer(transferKey) {
+    const headerEl = document.getElementById('headerTitle');
+    try {
+      const items = await chrome.storage.session.get(transferKey);
+      const payload = items[transferKey];
+      await chrome.storage.session.remove(transferKey);
+      if (!payload || !payload.table || !payload.table.tableData) {
+        headerEl && (headerEl.textContent = '❌ Table not found');
+        return;
+      }
+      this.handleTableData(payload.table);
+    } catch (e) {
+      console.error('Failed to load table transfer:', e);
+      headerEl && (headerEl.textContent = '❌ Failed to load table');
+    }
+  }
+
+  /**
+   * Show one table (sheet) of an imported file
+   * @param {{fileName: string, tables: Array<{name: string, type: string, data: string[][]}>}} imported
+   * @param {number} tableIndex
+   */
+  showImportedTable(imported, tableIndex) {
+    const index = imported.tables[tableIndex] ? tableIndex : 0;
+    const table = imported.tables[index];
+    this.importedFile = { imported, tableIndex: index };
+    this.handleTableData({
+      tableData: table.data,
+      headerHierarchy: table.headerHierarchy || null,
+      fixedWidth: table.fixedWidth || null,
+      tableInfo: {
+        type: table.type,
+        format: table.format || null,
+        source: imported.fileName,
+        sheetName: imported.tables.length > 1 ? table.name : null
+      }
+    });
+    const sourceIcons = { paste: '📋', derived: '🧮' };
+    this.elements.headerTitle.textContent = `${sourceIcons[imported.source] || '📂'} ${imported.fileName}`;
+
+    const select = this.elements.sheetSelect;
+    if (select) {
+      select.innerHTML = '';
+      imported.tables.forEach((t, i) => {
+        const option = document.createElement('option');
+        option.value = String(i);
+        option.textContent = t.name;
+        select.appendChild(option);
+      });
+      select.value = String(index);
+      select.style.display = imported.tables.length > 1 ? '' : 'none';
+    }
+  }
+
+  // Sheets are reloaded through a fresh transfer key so every view starts from a clean state
+  switchImportedTable(tableIndex) {
+    if (!this.importedFile || tableIndex === this.importedFile.tableIndex) return;
+    try {
+      const transferKey = FileImportUtils.storeImportTransfer(localStorage, this.importedFile.imported, tableIndex);
+      window.location.replace(`${window.location.pathname}?transfer=${encodeURIComponent(transferKey)}`);
+    } catch (e) {
+      console.error('Failed to switch sheet:', e);
+      this.showGlobalStatus('❌ Could not switch sheet: ' + e.message, 'error');
+    }
+  }
+
+  // Parse a local file and open it in a new viewer
+  async openLocalFile(file) {
+    try {
+      const imported = await FileImportUtils.readTableFile(file, window.XLSX);
+      this.openImportInViewer(imported);
+    } catch (e) {
+      console.error('File import error:', e);
+      this.showGlobalStatus('❌ Could not open file: ' + e.message, 'error');
+    }
+  }
+
+  handlePaste(event) {
+    const clipboard = {
+      html: event.clipboardData.getData('text/html'),
+      text: event.clipboardData.getData('text/plain')
+    };
+    const pasted = SmartPasteUtils.parseClipboardData(clipboard);
+    if (!pasted) {
+      this.showGlobalStatus('❌ No table found in the pasted content', 'error');
+      return;
+    }
+    event.preventDefault();
+    this.openImportInViewer(SmartPasteUtils.pastedTableImport(pasted));
+  }
+
+  // Imports open in a new viewer, or in this one when nothing is loaded yet
+  openImportInViewer(imported) {
+    try {
+      const transferKey = FileImportUtils.storeImportTransfer(localStorage, imported, 0);
+      const url = `${window.location.pathname}?transfer=${encodeURIComponent(transferKey)}`;
+      if (!this.tableData) {
+        window.location.replace(url);
+        return;
+      }
+      if (!window.open(url, '_blank')) {
+        localStorage.removeItem(transferKey);
+        this.showGlobalStatus('❌ Popup blocked opening the table', 'error');
+      }
+    } catch (e) {
+      console.error('Failed to open imported table:', e);
+      this.showGlobalStatus('❌ Could not open table: ' + e.message, 'error');
+    }
+  }
+
+  /**
+   * Column boundary editor for fixed-width text, shown before the table is loaded.
+   * Clicking the text adds a boundary at that character position; clicking next to a
+   * boundary removes it. The table is rebuilt from the raw text with the final boundaries.
+   */
+  showFixedWidthEditor(data) {
+    // The opener may deliver the same payload twice (request + load fallback)
+    if (document.querySelector('.fw-editor')) return;
+    const { text } = data.fixedWidth;
+    const detected = data.fixedWidth.columns.slice(1).map(column => column.start);
+    let boundaries = [...detected];
+    const lines = text.replace(/\r/g, '').replace(/\t/g, '    ').split('\n').filter(line => line.trim()).slice(0, 40);
+    const width = Math.max(...lines.map(line => line.length));
+    const buildRows = () => TextTableUtils.buildFixedWidthRows(text, TextTableUtils.columnsFromBoundaries(boundaries));
+
+    if (this.elements.headerTitle) this.elements.headerTitle.textContent = '📏 Adjust columns';
+    const modal = document.createElement('div');
+    modal.className = 'set-header-modal';
+    modal.innerHTML = `
+      <div class="set-header-content" role="dialog" aria-modal="true" style="background:var(--bg-secondary);padding:16px;border-radius:8px;width:min(900px, 92vw);box-shadow:0 8px 32px rgba(0,0,0,0.35);">
+        <h3 style="margin-top:0;">Adjust Column Boundaries</h3>
+        <p style="font-size:12px;line-height:1.4;">This text is aligned with spaces. Click where a column should start to add a boundary; click a boundary to remove it.</p>
+        <div class="fw-editor"><div class="fw-canvas"><pre></pre></div></div>
+        <div data-role="summary" style="font-size:12px;margin-top:8px;color:var(--text-tertiary);"></div>
+        <div style="display:flex; gap:8px; justify-content:flex-end; margin-top:14px;">
+          <button class="btn btn-secondary" data-action="reset">Reset</button>
+          <button class="btn btn-primary" data-action="apply">Load Table</button>
+        </div>
+      </div>`;
+    Object.assign(modal.style, {position:'fixed', inset:'0', background:'rgba(0,0,0,0.45)', display:'flex', alignItems:'center', justifyContent:'center', zIndex:9999});
+    const canvas = modal.querySelector('.fw-canvas');
+    const pre = canvas.querySelector('pre');
+    pre.textContent = lines.join('\n');
+    document.body.appendChild(modal);
+
+    const render = () => {
+      canvas.querySelectorAll('.fw-marker').forEach(marker => marker.remove());
+      boundaries.forEach(position => {
+        const marker = document.createElement('div');
+        marker.className = 'fw-marker';
+        marker.style.left = `calc(8px + ${position}ch)`;
+        canvas.appendChild(marker);
+      });
+      const rows = buildRows();
+      const header = (rows[0] || []).map(cell => cell || '—').join('  |  ');
+      modal.querySelector('[data-role="summary"]').textContent =
+        `${boundaries.length + 1} columns · ${Math.max(rows.length - 1, 0)} rows · ${header}`;
+    };
+
+    pre.addEventListener('click', (event) => {
+      const charWidth = pre.getBoundingClientRect().width / Math.max(width, 1);
+      const position = Math.round((event.clientX - pre.getBoundingClientRect().left) / charWidth);
+      const existing = boundaries.find(b => Math.abs(b - position) <= 1);
+      if (existing !== undefined) {
+        boundaries = boundaries.filter(b => b !== existing);
+      } else if (position > 0 && position < width) {
+        boundaries = [...boundaries, position].sort((a, b) => a - b);
+      }
+      render();
+    });
+    modal.querySelector('[data-action="reset"]').addEventListener('click', () => {
+      boundaries = [...detected];
+      render();
+    });
+    modal.querySelector('[data-action="apply"]').addEventListener('click', () => {
+      modal.remove();
+      this.handleTableData({
+        ...data,
+        tableData: buildRows(),
+        fixedWidth: { text, columns: TextTableUtils.columnsFromBoundaries(boundaries) },
+        fixedWidthConfirmed: true
+      });
+    });
+    render();
+  }
+
   handleTableData(data) {
+    // Fixed-width text: let the user confirm or move the column boundaries first
+    if (data.fixedWidth && !data.fixedWidthConfirmed && typeof TextTableUtils !== 'undefined') {
+      this.showFixedWidthEditor(data);
+      return;
+    }
+    
     // Clean empty rows and columns before processing
     const cleanedData = this.cleanTableData(data.tableData);
     
@@ -347,10 +667,22 @@ class TableViewer {
     this.tableInfo = data.tableInfo;
     this.originalData = [...this.tableData]; // Store original order
     this.filteredData = [...this.tableData];
+    this.attachRichCells(data.richCells);
+    this.updateRecordToolbarState();
+    this.computedColumns = [];
+    this.columnLayout = null;
+    this.headerHierarchy = data.headerHierarchy && typeof HeaderBandUtils !== 'undefined'
+      ? HeaderBandUtils.remapHeaderHierarchy(data.headerHierarchy, this.cleanupMap && this.cleanupMap.columns)
+      : null;
+    
+    // Live watch mode keeps the raw snapshot so incremental patches can be applied before cleanup
+    this.liveSourceData = this.tableInfo && this.tableInfo.live ? data.tableData.map(row => [...row]) : null;
+    this.updateLiveIndicator(this.liveSourceData ? 'waiting for changes' : null);
     
     // Initialize state manager with table ID (but don't auto-restore)
     const tableId = this.generateTableId();
     this.stateManager = new TableStateManager(tableId);
+    this.rememberRecentTable();
     
     // Always analyze column types normally (no automatic restoration)
     this.analyzeColumnTypes();
@@ -369,6 +701,7 @@ class TableViewer {
    * @returns {Array} Cleaned table data
    */
   cleanTableData(tableData) {
+    this.cleanupMap = null;
     if (!tableData || tableData.length === 0) return tableData;
     
     // Ensure all rows have the same length (fill missing columns with empty strings)
@@ -441,6 +774,7 @@ class TableViewer {
     
     // Filter out empty columns and empty rows
     const cleanedRows = [];
+    const keptRows = [];
     
     for (let rowIndex = 0; rowIndex < normalizedData.length; rowIndex++) {
       const originalRow = normalizedData[rowIndex];
@@ -457,6 +791,7 @@ class TableViewer {
       // But be more lenient about what constitutes an \"empty\" row
       if (rowIndex === 0 || rowHasData) {
         cleanedRows.push(filteredRow);
+        keptRows.push(rowIndex);
       }
     }
     
@@ -468,7 +803,728 @@ class TableViewer {
       console.log(`🧹 Table cleanup: removed ${removedRows} empty rows and ${removedColumns} empty columns (${normalizedData.length}x${maxCols} → ${cleanedRows.length}x${validColumns.length})`);
     }
     
-    return cleanedRows.length > 0 ? cleanedRows : normalizedData;
+    if (cleanedRows.length === 0) return normalizedData;
+    // Remember what was kept so parallel data (rich cells) can be aligned with the cleaned table
+    this.cleanupMap = { rows: keptRows, columns: validColumns };
+    return cleanedRows;
+  }
+  
+  /**
+   * Associate rich cells (links, images, title/data-*) with the rows of the cleaned table.
+   * Rows are tracked by array identity so sorting and filtering keep their rich cells.
+   * @param {Array|null} richCells - grid aligned with the raw table data passed to cleanTableData
+   */
+  attachRichCells(richCells) {
+    this.richRowMap = new WeakMap();
+    if (richCells && typeof RichCellUtils !== 'undefined') {
+      const aligned = RichCellUtils.alignRichGrid(richCells, this.cleanupMap) || [];
+      this.tableData.forEach((row, i) => {
+        if (aligned[i] && aligned[i].some(Boolean)) this.richRowMap.set(row, aligned[i]);
+      });
+    }
+    this.updateLinkToolbarState();
+  }
+  
+  getRichRows(rows) {
+    return rows.map(row => this.richRowMap.get(row) || null);
+  }
+  
+  /**
+   * Column indices of the current table that contain at least one link
+   */
+  getLinkColumns() {
+    const columns = new Set();
+    (this.tableData || []).slice(1).forEach(row => {
+      const rich = this.richRowMap.get(row);
+      if (rich) rich.forEach((cell, ci) => { if (cell && cell.href) columns.add(ci); });
+    });
+    return Array.from(columns).sort((a, b) => a - b);
+  }
+  
+  updateLinkToolbarState() {
+    const btn = document.getElementById('extractLinksBtn');
+    if (btn) btn.style.display = this.getLinkColumns().length > 0 ? '' : 'none';
+  }
+  
+  updateRecordToolbarState() {
+    const btn = document.getElementById('transposeRecordBtn');
+    if (btn) btn.style.display = this.tableInfo && this.tableInfo.type === 'key-value' ? '' : 'none';
+  }
+  
+  // Transpose the Field/Value pairs into one row and open it as a derived table
+  openAsRecord() {
+    if (!this.tableData || typeof KeyValueUtils === 'undefined') return;
+    const name = 'Record view';
+    this.openImportInViewer({
+      fileName: name,
+      source: 'derived',
+      tables: [{ name, type: 'key-value-record', data: KeyValueUtils.pairsTableToRecord(this.originalData) }]
+    });
+  }
+  
+  showExtractLinksDialog() {
+    const linkColumns = this.getLinkColumns();
+    if (linkColumns.length === 0) return;
+    const headers = this.getColumnNames();
+    const modal = document.createElement('div');
+    modal.className = 'set-header-modal';
+    const options = linkColumns.map(ci => `<option value="${ci}">${this.escapeHtml(headers[ci] || `Column ${ci + 1}`)}</option>`).join('');
+    modal.innerHTML = `
+      <div class="set-header-content" role="dialog" aria-modal="true" style="background:var(--bg-secondary);padding:16px;border-radius:8px;width:420px;box-shadow:0 8px 32px rgba(0,0,0,0.35);">
+        <h3 style="margin-top:0;">Extract Links as Column</h3>
+        <p style="font-size:12px;line-height:1.4;">Adds a new column at the end of the table with the URL of each link in the chosen column.</p>
+        <select class="form-control" data-role="column" style="width:100%;">${options}</select>
+        <div style="display:flex; gap:8px; justify-content:flex-end; margin-top:14px;">
+          <button class="btn btn-secondary" data-action="cancel">Cancel</button>
+          <button class="btn btn-primary" data-action="apply">Extract</button>
+        </div>
+      </div>`;
+    Object.assign(modal.style, {position:'fixed', inset:'0', background:'rgba(0,0,0,0.45)', display:'flex', alignItems:'center', justifyContent:'center', zIndex:9999});
+    document.body.appendChild(modal);
+    modal.querySelector('[data-action="cancel"]').addEventListener('click', () => modal.remove());
+    modal.querySelector('[data-action="apply"]').addEventListener('click', () => {
+      this.extractLinksColumn(parseInt(modal.querySelector('[data-role="column"]').value, 10));
+      modal.remove();
+    });
+    modal.addEventListener('click', e => { if (e.target === modal) modal.remove(); });
+  }
+  
+  /**
+   * Append a column with the link URLs of `columnIndex`. Appending (rather than inserting)
+   * keeps every existing column index - and therefore filters, stats and charts - valid.
+   */
+  extractLinksColumn(columnIndex) {
+    const result = RichCellUtils.linksToColumn(this.tableData, this.getRichRows(this.tableData), columnIndex);
+    this.stopLiveWatch('a column was added');
+    
+    this.tableData = result.tableData;
+    this.richRowMap = new WeakMap();
+    this.tableData.forEach((row, i) => this.richRowMap.set(row, result.richRows[i]));
+    this.originalData = [...this.tableData];
+    this.columnTypes.push('categorical');
+    this.columnStats.push('count');
+    
+    this.updateHeader();
+    this.applyColumnFilters();
+    this.showGlobalStatus(`🔗 Extracted ${result.linkCount} link${result.linkCount === 1 ? '' : 's'} into "${this.tableData[0][this.tableData[0].length - 1]}"`, 'success');
+  }
+  
+  escapeHtml(text) {
+    return String(text == null ? '' : text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  }
+  
+  showAddColumnDialog() {
+    if (!this.tableData || typeof FormulaUtils === 'undefined') return;
+    const headers = this.getColumnNames();
+    const chips = headers.map((h, i) => `<button type="button" class="btn btn-secondary btn-sm formula-column-chip" data-column="${i}">${this.escapeHtml(h || `Column ${i + 1}`)}</button>`).join('');
+    const modal = document.createElement('div');
+    modal.className = 'set-header-modal';
+    modal.innerHTML = `
+      <div class="set-header-content" role="dialog" aria-modal="true" style="background:var(--bg-secondary);padding:16px;border-radius:8px;width:520px;box-shadow:0 8px 32px rgba(0,0,0,0.35);">
+        <h3 style="margin-top:0;">Add Computed Column</h3>
+        <label style="font-size:12px;">Column name</label>
+        <input type="text" class="form-control" data-role="name" style="width:100%;" value="Computed ${this.computedColumns.length + 1}">
+        <label style="font-size:12px; display:block; margin-top:10px;">Formula</label>
+        <textarea class="form-control formula-input" data-role="formula" rows="3" style="width:100%;" spellcheck="false" placeholder="[Revenue] / [Units]"></textarea>
+        <div class="formula-columns">${chips}</div>
+        <p class="formula-help">Operators + - * / % ^ &amp; = &lt;&gt; &lt; &gt;. Functions: ${FormulaUtils.FORMULA_FUNCTION_NAMES.join(', ')}. SUM([Col]) and other aggregates of a single column use the whole column; PREV([Col]) reads the row above.</p>
+        <div class="formula-preview" data-role="preview"></div>
+        <div style="display:flex; gap:8px; justify-content:flex-end; margin-top:14px;">
+          <button class="btn btn-secondary" data-action="cancel">Cancel</button>
+          <button class="btn btn-primary" data-action="apply" disabled>Add Column</button>
+        </div>
+      </div>`;
+    Object.assign(modal.style, {position:'fixed', inset:'0', background:'rgba(0,0,0,0.45)', display:'flex', alignItems:'center', justifyContent:'center', zIndex:9999});
+    document.body.appendChild(modal);
+    
+    const formulaInput = modal.querySelector('[data-role="formula"]');
+    const nameInput = modal.querySelector('[data-role="name"]');
+    const preview = modal.querySelector('[data-role="preview"]');
+    const applyBtn = modal.querySelector('[data-action="apply"]');
+    const updatePreview = () => {
+      applyBtn.disabled = true;
+      if (!formulaInput.value.trim()) {
+        preview.textContent = '';
+        return;
+      }
+      try {
+        const result = FormulaUtils.computeFormulaColumn(this.formulaTable(), formulaInput.value, this.formulaOptions());
+        const sample = result.values.slice(0, 5).map(v => v === '' ? '(blank)' : v).join(' · ');
+        preview.className = 'formula-preview';
+        preview.textContent = `Preview: ${sample}${result.values.length > 5 ? ' …' : ''}`;
+        if (result.errorCount > 0) preview.textContent += ` — ${result.errorCount} row error${result.errorCount === 1 ? '' : 's'} (${result.firstError})`;
+        applyBtn.disabled = !nameInput.value.trim();
+      } catch (e) {
+        preview.className = 'formula-preview formula-error';
+        preview.textContent = e.message;
+      }
+    };
+    modal.querySelectorAll('.formula-column-chip').forEach(chip => chip.addEventListener('click', () => {
+      const reference = `[${headers[parseInt(chip.dataset.column, 10)]}]`;
+      const start = formulaInput.selectionStart != null ? formulaInput.selectionStart : formulaInput.value.length;
+      const end = formulaInput.selectionEnd != null ? formulaInput.selectionEnd : start;
+      formulaInput.value = formulaInput.value.slice(0, start) + reference + formulaInput.value.slice(end);
+      formulaInput.focus();
+      formulaInput.selectionStart = formulaInput.selectionEnd = start + reference.length;
+      updatePreview();
+    }));
+    formulaInput.addEventListener('input', updatePreview);
+    nameInput.addEventListener('input', updatePreview);
+    modal.querySelector('[data-action="cancel"]').addEventListener('click', () => modal.remove());
+    applyBtn.addEventListener('click', () => {
+      if (this.addComputedColumn(nameInput.value.trim(), formulaInput.value.trim())) modal.remove();
+    });
+    modal.addEventListener('click', e => { if (e.target === modal) modal.remove(); });
+    formulaInput.focus();
+  }
+  
+  // Formulas refer to columns by their displayed (possibly renamed) headers
+  formulaTable() {
+    return [this.getColumnNames(), ...this.tableData.slice(1)];
+  }
+  
+  // Numeric columns are read with the viewer's locale-aware parser
+  formulaOptions() {
+    return {
+      columnTypes: this.columnTypes,
+      parseNumber: (value, columnIndex) => /\d/.test(value) ? this.parseNumericValue(value, columnIndex) : NaN
+    };
+  }
+  
+  /**
+   * Append a column calculated from `formula` over the unfiltered rows (appending keeps every
+   * existing column index valid, as in extractLinksColumn). Only the new column is typed.
+   * @returns {boolean} false when the formula does not parse
+   */
+  addComputedColumn(name, formula) {
+    let result;
+    try {
+      result = FormulaUtils.addComputedColumn(this.formulaTable(), name, formula, this.formulaOptions());
+    } catch (e) {
+      this.showGlobalStatus(`❌ ${e.message}`, 'error');
+      return false;
+    }
+    result.tableData[0] = [...this.tableData[0], name];
+    this.stopLiveWatch('a column was added');
+    
+    const richRows = this.getRichRows(this.tableData);
+    this.tableData = result.tableData;
+    this.richRowMap = new WeakMap();
+    this.tableData.forEach((row, i) => {
+      if (richRows[i]) this.richRowMap.set(row, [...richRows[i], null]);
+    });
+    this.originalData = [...this.tableData];
+    
+    const column = this.tableData[0].length - 1;
+    const type = ColumnTypeUtils.analyzeColumnTypes(this.tableData.map(row => [row[column]]))[0] || 'categorical';
+    this.columnTypes.push(type);
+    this.columnStats.push(type === 'percentage' ? 'avg' : 'count');
+    // Formula results are written with a "." decimal point and no grouping
+    if (['numeric', 'money', 'percentage'].includes(type)) this.numericFormatMap[column] = { thousand: ',', decimal: '.' };
+    this.computedColumns.push({ column, name, formula });
+    
+    this.updateHeader();
+    this.applyColumnFilters();
+    const errors = result.errorCount ? ` (${result.errorCount} row error${result.errorCount === 1 ? '' : 's'})` : '';
+    this.showGlobalStatus(`➕ Added "${name}"${errors}`, 'success');
+    return true;
+  }
+  
+  /**
+   * Display layout of the current table (order, hidden/deleted columns, renamed headers).
+   * tableData keeps the source column order; column-indexed state uses source indices.
+   */
+  getColumnLayout() {
+    const count = this.tableData && this.tableData[0] ? this.tableData[0].length : 0;
+    return ColumnLayoutUtils.normalizeColumnLayout(this.columnLayout, count);
+  }
+  
+  // Source indices of the displayed columns, in display order
+  getDisplayColumns() {
+    return ColumnLayoutUtils.visibleColumns(this.getColumnLayout());
+  }
+  
+  // Headers indexed by source column, with renames applied
+  getColumnNames() {
+    return this.tableData ? ColumnLayoutUtils.displayHeaders(this.getColumnLayout(), this.tableData[0]) : [];
+  }
+  
+  // Rows as displayed (used by exports)
+  getDisplayData(rows = this.filteredData) {
+    return ColumnLayoutUtils.applyColumnLayout(rows, this.getColumnLayout());
+  }
+  
+  getDisplayRichRows(rows = this.filteredData) {
+    const columns = this.getDisplayColumns();
+    return this.getRichRows(rows).map(rich => (rich ? columns.map(i => rich[i] || null) : null));
+  }
+  
+  getDisplayHeaderHierarchy() {
+    if (!this.headerHierarchy) return null;
+    const columns = this.getDisplayColumns();
+    // Group headers only make sense while the columns keep their relative order
+    if (columns.some((column, i) => i > 0 && column < columns[i - 1])) return null;
+    return HeaderBandUtils.remapHeaderHierarchy(this.headerHierarchy, columns);
+  }
+  
+  showColumnManager() {
+    if (!this.tableData || typeof ColumnLayoutUtils === 'undefined') return;
+    const headers = this.tableData[0];
+    let draft = this.getColumnLayout();
+    const modal = document.createElement('div');
+    modal.className = 'set-header-modal';
+    modal.innerHTML = `
+      <div class="set-header-content" role="dialog" aria-modal="true" style="background:var(--bg-secondary);padding:16px;border-radius:8px;width:460px;box-shadow:0 8px 32px rgba(0,0,0,0.35);">
+        <h3 style="margin-top:0;">Columns</h3>
+        <p style="font-size:12px;line-height:1.4;">Drag to reorder, untick to hide, edit a name to rename. Deleted columns are left out of the table, exports and chart choices.</p>
+        <ul class="column-manager-list" data-role="columns"></ul>
+        <div class="column-manager-deleted" data-role="deleted"></div>
+        <div style="display:flex; gap:8px; justify-content:flex-end; margin-top:14px;">
+          <button class="btn btn-secondary" data-action="reset" style="margin-right:auto;">Reset</button>
+          <button class="btn btn-secondary" data-action="cancel">Cancel</button>
+          <button class="btn btn-primary" data-action="apply">Apply</button>
+        </div>
+      </div>`;
+    Object.assign(modal.style, {position:'fixed', inset:'0', background:'rgba(0,0,0,0.45)', display:'flex', alignItems:'center', justifyContent:'center', zIndex:9999});
+    document.body.appendChild(modal);
+    
+    const list = modal.querySelector('[data-role="columns"]');
+    const deletedBox = modal.querySelector('[data-role="deleted"]');
+    const applyBtn = modal.querySelector('[data-action="apply"]');
+    let dragged = null;
+    const button = (text, title, onClick) => {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'btn btn-secondary btn-sm';
+      btn.textContent = text;
+      btn.title = title;
+      btn.addEventListener('click', onClick);
+      return btn;
+    };
+    const render = () => {
+      const kept = draft.order.filter(i => !draft.deleted.includes(i));
+      list.innerHTML = '';
+      kept.forEach((column, position) => {
+        const item = document.createElement('li');
+        item.className = 'column-manager-item';
+        item.draggable = true;
+        item.dataset.column = column;
+        const handle = document.createElement('span');
+        handle.className = 'column-manager-handle';
+        handle.textContent = '⋮⋮';
+        const visible = document.createElement('input');
+        visible.type = 'checkbox';
+        visible.checked = !draft.hidden.includes(column);
+        visible.title = 'Show this column';
+        visible.addEventListener('change', () => {
+          draft = ColumnLayoutUtils.setColumnHidden(draft, column, !visible.checked);
+          render();
+        });
+        const name = document.createElement('input');
+        name.type = 'text';
+        name.className = 'form-control';
+        name.value = ColumnLayoutUtils.displayColumnName(draft, headers, column);
+        name.placeholder = headers[column] || `Column ${column + 1}`;
+        name.title = `Original header: ${headers[column] || '(empty)'}`;
+        name.addEventListener('change', () => {
+          draft = ColumnLayoutUtils.renameColumn(draft, headers, column, name.value);
+        });
+        item.append(handle, visible, name,
+          button('↑', 'Move left', () => { draft = ColumnLayoutUtils.moveColumn(draft, column, position - 1); render(); }),
+          button('↓', 'Move right', () => { draft = ColumnLayoutUtils.moveColumn(draft, column, position + 1); render(); }),
+          button('🗑', 'Delete column', () => { draft = ColumnLayoutUtils.setColumnDeleted(draft, column, true); render(); }));
+        item.addEventListener('dragstart', (e) => {
+          dragged = column;
+          e.dataTransfer.effectAllowed = 'move';
+          e.dataTransfer.setData('text/plain', String(column));
+        });
+        item.addEventListener('dragover', (e) => {
+          e.preventDefault();
+          item.classList.add('drag-over');
+        });
+        item.addEventListener('dragleave', () => item.classList.remove('drag-over'));
+        item.addEventListener('drop', (e) => {
+          e.preventDefault();
+          if (dragged === null || dragged === column) return render();
+          draft = ColumnLayoutUtils.moveColumn(draft, dragged, position);
+          dragged = null;
+          render();
+        });
+        list.appendChild(item);
+      });
+      
+      deletedBox.innerHTML = '';
+      if (draft.deleted.length > 0) {
+        deletedBox.append('Deleted: ');
+        draft.deleted.forEach(column => deletedBox.appendChild(button(`↺ ${ColumnLayoutUtils.displayColumnName(draft, headers, column)}`, 'Restore column', () => {
+          draft = ColumnLayoutUtils.setColumnDeleted(draft, column, false);
+          render();
+        })));
+      }
+      applyBtn.disabled = ColumnLayoutUtils.visibleColumns(draft).length === 0;
+    };
+    render();
+    
+    modal.querySelector('[data-action="reset"]').addEventListener('click', () => {
+      draft = ColumnLayoutUtils.createColumnLayout(headers.length);
+      render();
+    });
+    modal.querySelector('[data-action="cancel"]').addEventListener('click', () => modal.remove());
+    applyBtn.addEventListener('click', () => {
+      // A rename typed just before clicking Apply has not fired "change" yet
+      list.querySelectorAll('.column-manager-item').forEach(item => {
+        draft = ColumnLayoutUtils.renameColumn(draft, headers, Number(item.dataset.column), item.querySelector('input[type="text"]').value);
+      });
+      this.setColumnLayout(draft);
+      modal.remove();
+    });
+    modal.addEventListener('click', e => { if (e.target === modal) modal.remove(); });
+  }
+  
+  /**
+   * Switch to a new column layout. Filters and sort on deleted columns are dropped; everything else
+   * is keyed by source column and carries over unchanged.
+   */
+  setColumnLayout(layout) {
+    const normalized = ColumnLayoutUtils.normalizeColumnLayout(layout, this.tableData[0].length);
+    this.columnLayout = ColumnLayoutUtils.isIdentityColumnLayout(normalized) ? null : normalized;
+    normalized.deleted.forEach(column => {
+      delete this.savedFilters[column];
+      if (this.currentSort.column === column) this.currentSort = { column: -1, direction: 'none' };
+    });
+    const visible = ColumnLayoutUtils.visibleColumns(normalized);
+    if (!visible.includes(this.focusedColumn)) this.focusedColumn = visible[0] || 0;
+    
+    this.applyColumnFilters();
+    this.refreshChartColumnLabels();
+    Array.from(this.charts.keys()).forEach(chartId => this.generateChart(chartId));
+    this.showGlobalStatus(`🧱 Showing ${visible.length} of ${normalized.order.length - normalized.deleted.length} columns`, 'success');
+  }
+  
+  // Renamed headers in the chart axis pickers (selections are kept)
+  refreshChartColumnLabels() {
+    const headers = this.getColumnNames();
+    const label = (index) => `${this.getColumnTypeInfo(this.columnTypes[index]).icon} ${headers[index]}`;
+    document.querySelectorAll('.chart-controls select[id$="-x"] option[value], .chart-controls select[id$="-y-single"] option[value]').forEach(option => {
+      if (option.value !== '' && headers[option.value] !== undefined) option.textContent = label(Number(option.value));
+    });
+    document.querySelectorAll('.chart-controls .checkbox-item input[type="checkbox"]').forEach(input => {
+      const text = input.parentElement.querySelector('label');
+      if (text && headers[input.value] !== undefined) text.textContent = label(Number(input.value));
+    });
+  }
+  
+  // Short label for lists of tables: source and first headers
+  describeTable() {
+    const headers = this.tableData[0];
+    const source = (this.tableInfo && this.tableInfo.source) || this.getTableTypeDisplay(this.tableInfo && this.tableInfo.type);
+    return `${source} (${headers.slice(0, 3).join(', ')}${headers.length > 3 ? ', …' : ''})`;
+  }
+  
+  // Offered to other viewers for joins (see utils/recentTables.js)
+  rememberRecentTable() {
+    if (typeof RecentTableUtils === 'undefined') return;
+    try {
+      RecentTableUtils.rememberRecentTable(localStorage, { id: this.generateTableId(), name: this.describeTable(), data: this.tableData });
+    } catch (e) {
+      console.warn('Could not remember table for joins:', e);
+    }
+  }
+  
+  showJoinDialog() {
+    if (!this.tableData || typeof TableJoinUtils === 'undefined') return;
+    const applyLayout = (data, layout) => ColumnLayoutUtils.applyColumnLayout(data, ColumnLayoutUtils.normalizeColumnLayout(layout, data[0].length));
+    const candidates = RecentTableUtils.listJoinableTables(localStorage, this.generateTableId(), applyLayout);
+    if (candidates.length === 0) {
+      this.showGlobalStatus('No other tables yet – open or save another table first', 'info');
+      return;
+    }
+    // The current view: displayed columns (renamed) and filtered rows
+    const left = this.getDisplayData();
+    const groups = Array.from(new Set(candidates.map(c => c.group)));
+    const tableOptions = groups.map(group => `<optgroup label="${group}">${candidates.map((c, i) => c.group === group ? `<option value="${i}">${this.escapeHtml(c.name)}</option>` : '').join('')}</optgroup>`).join('');
+    const modal = document.createElement('div');
+    modal.className = 'set-header-modal';
+    modal.innerHTML = `
+      <div class="set-header-content" role="dialog" aria-modal="true" style="background:var(--bg-secondary);padding:16px;border-radius:8px;width:520px;box-shadow:0 8px 32px rgba(0,0,0,0.35);">
+        <h3 style="margin-top:0;">Join with…</h3>
+        <label style="font-size:12px;">Other table</label>
+        <select class="form-control" data-role="table" style="width:100%;">${tableOptions}</select>
+        <label style="font-size:12px; display:block; margin-top:10px;">Mode</label>
+        <select class="form-control" data-role="mode" style="width:100%;">
+          <option value="inner">Inner join – rows with a match in both tables</option>
+          <option value="left">Left join – every row of this table</option>
+          <option value="full">Full join – every row of both tables</option>
+          <option value="append">Append rows – tables with the same headers</option>
+        </select>
+        <div data-role="keys-section">
+          <label style="font-size:12px; display:block; margin-top:10px;">Key columns (this table = other table)</label>
+          <div data-role="keys"></div>
+          <button type="button" class="btn btn-secondary btn-sm" data-action="add-key">+ Key column</button>
+        </div>
+        <div style="display:flex; gap:14px; margin-top:10px; font-size:12px;">
+          <label><input type="checkbox" data-role="trim" checked> Trim whitespace</label>
+          <label><input type="checkbox" data-role="case"> Ignore case</label>
+          <label data-role="source-option"><input type="checkbox" data-role="source" checked> Add source column</label>
+        </div>
+        <div class="formula-preview" data-role="preview" style="margin-top:10px;"></div>
+        <div style="display:flex; gap:8px; justify-content:flex-end; margin-top:14px;">
+          <button class="btn btn-secondary" data-action="cancel">Cancel</button>
+          <button class="btn btn-primary" data-action="apply">Open Result</button>
+        </div>
+      </div>`;
+    Object.assign(modal.style, {position:'fixed', inset:'0', background:'rgba(0,0,0,0.45)', display:'flex', alignItems:'center', justifyContent:'center', zIndex:9999});
+    document.body.appendChild(modal);
+    
+    const get = (role) => modal.querySelector(`[data-role="${role}"]`);
+    const keysBox = get('keys');
+    const applyBtn = modal.querySelector('[data-action="apply"]');
+    const other = () => candidates[parseInt(get('table').value, 10)];
+    const columnOptions = (headers) => headers.map((h, i) => `<option value="${i}">${this.escapeHtml(h || `Column ${i + 1}`)}</option>`).join('');
+    const addKey = (leftIndex, rightIndex) => {
+      const row = document.createElement('div');
+      row.className = 'join-key';
+      row.innerHTML = `
+        <select class="form-control" data-role="left-key">${columnOptions(left[0])}</select>
+        <span style="align-self:center;">=</span>
+        <select class="form-control" data-role="right-key">${columnOptions(other().data[0])}</select>
+        <button type="button" class="btn btn-secondary btn-sm" data-action="remove-key" title="Remove key">✕</button>`;
+      row.querySelector('[data-role="left-key"]').value = String(leftIndex);
+      row.querySelector('[data-role="right-key"]').value = String(rightIndex);
+      row.querySelector('[data-action="remove-key"]').addEventListener('click', () => {
+        row.remove();
+        update();
+      });
+      keysBox.appendChild(row);
+    };
+    // Start with the first pair of columns sharing a header name
+    const resetKeys = () => {
+      keysBox.innerHTML = '';
+      const rightHeaders = other().data[0].map(h => String(h).trim().toLowerCase());
+      const leftIndex = left[0].findIndex(h => rightHeaders.includes(String(h).trim().toLowerCase()));
+      addKey(Math.max(0, leftIndex), leftIndex < 0 ? 0 : rightHeaders.indexOf(String(left[0][leftIndex]).trim().toLowerCase()));
+    };
+    
+    const compute = () => {
+      const table = other();
+      const mode = get('mode').value;
+      const options = { trim: get('trim').checked, caseFold: get('case').checked };
+      if (mode === 'append') {
+        const data = TableJoinUtils.appendTables([{ name: this.describeTable(), data: left }, { name: table.name, data: table.data }],
+          { ...options, sourceColumn: get('source').checked ? 'Source' : null });
+        return { data, type: 'appended', summary: `${data.length - 1} rows (${left.length - 1} + ${table.data.length - 1})` };
+      }
+      const keyRows = Array.from(keysBox.querySelectorAll('.join-key'));
+      const result = TableJoinUtils.joinTables(left, table.data, {
+        ...options,
+        type: mode,
+        leftKeys: keyRows.map(row => parseInt(row.querySelector('[data-role="left-key"]').value, 10)),
+        rightKeys: keyRows.map(row => parseInt(row.querySelector('[data-role="right-key"]').value, 10)),
+        rightName: table.name.split(' (')[0]
+      });
+      return {
+        data: result.data,
+        type: 'joined',
+        summary: `${result.data.length - 1} rows · ${result.matchedRows} of ${left.length - 1} rows matched · ${result.unmatchedRight} unmatched in the other table`
+      };
+    };
+    const update = () => {
+      const append = get('mode').value === 'append';
+      get('keys-section').style.display = append ? 'none' : '';
+      get('source-option').style.display = append ? '' : 'none';
+      const preview = get('preview');
+      try {
+        preview.className = 'formula-preview';
+        preview.textContent = compute().summary;
+        applyBtn.disabled = false;
+      } catch (e) {
+        preview.className = 'formula-preview formula-error';
+        preview.textContent = e.message;
+        applyBtn.disabled = true;
+      }
+    };
+    
+    resetKeys();
+    update();
+    get('table').addEventListener('change', () => { resetKeys(); update(); });
+    modal.querySelector('[data-action="add-key"]').addEventListener('click', () => { addKey(0, 0); update(); });
+    modal.querySelector('.set-header-content').addEventListener('change', (e) => {
+      if (e.target !== get('table')) update();
+    });
+    modal.querySelector('[data-action="cancel"]').addEventListener('click', () => modal.remove());
+    applyBtn.addEventListener('click', () => {
+      const result = compute();
+      const name = get('mode').value === 'append' ? `${this.describeTable()} + ${other().name}` : `${this.describeTable()} ⋈ ${other().name}`;
+      this.openImportInViewer({
+        fileName: name,
+        source: 'derived',
+        tables: [{ name: result.type === 'appended' ? 'Appended' : 'Joined', type: result.type, data: result.data }]
+      });
+      modal.remove();
+    });
+    modal.addEventListener('click', e => { if (e.target === modal) modal.remove(); });
+  }
+  
+  // Derived tables load through handleTableData, so their column types are detected again
+  openDerivedTable(label, type, data) {
+    this.openImportInViewer({
+      fileName: `${label} – ${this.describeTable()}`,
+      source: 'derived',
+      tables: [{ name: label, type, data }]
+    });
+  }
+  
+  openTransposed() {
+    if (!this.tableData || typeof ReshapeUtils === 'undefined') return;
+    this.openDerivedTable('Transposed', 'transposed', ReshapeUtils.transposeTable(this.getDisplayData()));
+  }
+  
+  showUnpivotDialog() {
+    if (!this.tableData || typeof ReshapeUtils === 'undefined') return;
+    // Displayed columns (renamed) and filtered rows
+    const source = this.getDisplayData();
+    const displayed = this.getDisplayColumns();
+    const headers = source[0];
+    const suggested = ReshapeUtils.suggestUnpivotIdColumns(headers, displayed.map(i => this.columnTypes[i]));
+    const modal = document.createElement('div');
+    modal.className = 'set-header-modal';
+    modal.innerHTML = `
+      <div class="set-header-content" role="dialog" aria-modal="true" style="background:var(--bg-secondary);padding:16px;border-radius:8px;width:460px;box-shadow:0 8px 32px rgba(0,0,0,0.35);">
+        <h3 style="margin-top:0;">Unpivot Columns</h3>
+        <p style="font-size:12px;line-height:1.4;">Tick the id columns to keep. Every other column becomes one row per value, with its header in the variable column.</p>
+        <div class="column-manager-list" data-role="ids">
+          ${headers.map((h, i) => `<label class="checkbox-item"><input type="checkbox" value="${i}" ${suggested.includes(i) ? 'checked' : ''}> ${this.escapeHtml(h)}</label>`).join('')}
+        </div>
+        <div style="display:flex; gap:8px; margin-top:10px;">
+          <input type="text" class="form-control" data-role="variable" value="Variable" title="Header of the variable column">
+          <input type="text" class="form-control" data-role="value" value="Value" title="Header of the value column">
+        </div>
+        <label style="font-size:12px; display:block; margin-top:8px;"><input type="checkbox" data-role="skip-empty" checked> Skip empty values</label>
+        <div class="formula-preview" data-role="preview" style="margin-top:8px;"></div>
+        <div style="display:flex; gap:8px; justify-content:flex-end; margin-top:14px;">
+          <button class="btn btn-secondary" data-action="cancel">Cancel</button>
+          <button class="btn btn-primary" data-action="apply">Unpivot</button>
+        </div>
+      </div>`;
+    Object.assign(modal.style, {position:'fixed', inset:'0', background:'rgba(0,0,0,0.45)', display:'flex', alignItems:'center', justifyContent:'center', zIndex:9999});
+    document.body.appendChild(modal);
+    
+    const get = (role) => modal.querySelector(`[data-role="${role}"]`);
+    const applyBtn = modal.querySelector('[data-action="apply"]');
+    const compute = () => ReshapeUtils.unpivotTable(source, {
+      idColumns: Array.from(get('ids').querySelectorAll('input:checked')).map(input => parseInt(input.value, 10)),
+      variableName: get('variable').value.trim() || 'Variable',
+      valueName: get('value').value.trim() || 'Value',
+      skipEmpty: get('skip-empty').checked
+    });
+    const update = () => {
+      const preview = get('preview');
+      try {
+        const data = compute();
+        preview.className = 'formula-preview';
+        preview.textContent = `${data.length - 1} rows × ${data[0].length} columns`;
+        applyBtn.disabled = false;
+      } catch (e) {
+        preview.className = 'formula-preview formula-error';
+        preview.textContent = e.message;
+        applyBtn.disabled = true;
+      }
+    };
+    update();
+    modal.querySelector('.set-header-content').addEventListener('change', update);
+    modal.querySelector('[data-action="cancel"]').addEventListener('click', () => modal.remove());
+    applyBtn.addEventListener('click', () => {
+      this.openDerivedTable('Unpivoted', 'unpivoted', compute());
+      modal.remove();
+    });
+    modal.addEventListener('click', e => { if (e.target === modal) modal.remove(); });
+  }
+  
+  /**
+   * Apply an incremental update pushed by the content script (live watch mode).
+   * Filters, sorting, stats and charts are recomputed against the new data.
+   */
+  applyLiveUpdate(message) {
+    if (!this.liveSourceData || !this.tableInfo || message.tableId !== this.tableInfo.id) return;
+    
+    const previousRowCount = this.liveSourceData.length;
+    this.liveSourceData = TableDiffUtils.applyTableDiff(this.liveSourceData, message.patch);
+    
+    const cleanedData = this.cleanTableData(this.liveSourceData);
+    const previousHeader = this.tableData ? this.tableData[0] : [];
+    const sameColumns = cleanedData[0].length === previousHeader.length &&
+      cleanedData[0].every((header, index) => header === previousHeader[index]);
+    
+    this.tableData = cleanedData;
+    this.originalData = [...cleanedData];
+    
+    // Same columns: keep column types (including user overrides), stat selections, filters and sort
+    if (!sameColumns) {
+      // Column layout changed: column-indexed state no longer applies
+      this.currentSort = { column: -1, direction: 'none' };
+      this.savedFilters = {};
+      this.numericFormatMap = {};
+      this.headerHierarchy = null;
+      this.columnLayout = null;
+      this.analyzeColumnTypes();
+      this.initializeColumnStats();
+    }
+    
+    this.updateHeader();
+    // Re-filter, re-sort and re-render (stats are recalculated on render)
+    this.applyColumnFilters();
+    
+    // Regenerate charts from the refreshed filtered data
+    Array.from(this.charts.keys()).forEach(chartId => this.generateChart(chartId));
+    
+    this.updateLiveIndicator(TableDiffUtils.describeTableDiff(message.patch, previousRowCount), message.timestamp);
+  }
+  
+  updateLiveIndicator(detail, timestamp = null) {
+    const indicator = this.elements.liveIndicator;
+    if (!indicator) return;
+    if (!this.liveSourceData) {
+      indicator.style.display = 'none';
+      return;
+    }
+    indicator.style.display = 'flex';
+    indicator.classList.toggle('paused', this.livePaused);
+    if (this.elements.liveToggleBtn) {
+      this.elements.liveToggleBtn.textContent = this.livePaused ? 'Resume' : 'Pause';
+    }
+    if (timestamp) {
+      this.lastLiveUpdate = timestamp;
+    }
+    const when = this.lastLiveUpdate ? ` · updated ${new Date(this.lastLiveUpdate).toLocaleTimeString()}` : '';
+    const state = this.livePaused ? 'Live (paused)' : 'Live';
+    this.elements.liveIndicatorText.textContent = `${state}${when}${detail ? ` (${detail})` : ''}`;
+    this.elements.liveIndicatorText.title = this.lastLiveUpdate ? new Date(this.lastLiveUpdate).toLocaleString() : '';
+    
+    if (timestamp) {
+      indicator.classList.add('flash');
+      clearTimeout(this.liveFlashTimer);
+      this.liveFlashTimer = setTimeout(() => indicator.classList.remove('flash'), 1200);
+    }
+  }
+  
+  toggleLivePause() {
+    if (!this.liveSourceData || !window.opener) return;
+    this.livePaused = !this.livePaused;
+    window.opener.postMessage({ type: 'LIVE_WATCH_CONTROL', tableId: this.tableInfo.id, paused: this.livePaused }, '*');
+    this.updateLiveIndicator(this.livePaused ? 'updates paused' : 'resumed');
+  }
+  
+  /**
+   * Leave live watch mode (e.g. after structural edits that no longer match the page table)
+   */
+  stopLiveWatch(reason) {
+    if (!this.liveSourceData) return;
+    if (window.opener) {
+      window.opener.postMessage({ type: 'LIVE_WATCH_STOP', tableId: this.tableInfo.id }, '*');
+    }
+    this.liveSourceData = null;
+    this.updateLiveIndicator(null);
+    this.showGlobalStatus(`⏹️ Live updates stopped: ${reason}`, 'info');
   }
   
   updateHeader() {
@@ -482,13 +1538,33 @@ class TableViewer {
     const typeMap = {
       'html': 'HTML Table',
       'csv': 'CSV Data',
+      'fixed-width': 'Fixed-Width Text',
+      'fixed-width-selection': 'Fixed-Width Selection',
+      'pasted': 'Pasted Table',
+      'tsv': 'TSV Data',
+      'xlsx': 'Spreadsheet',
+      'json': 'JSON Data',
       'csv-selection': 'CSV Selection',
       'markdown': 'Markdown Table',
       'markdown-selection': 'Markdown Selection',
       'ocr': 'Screen Captured',
       'pdf': 'PDF Extracted',
       'image': 'Image Extracted',
-      'pdf-batch': 'PDF Table'
+      'pdf-batch': 'PDF Table',
+      'aria-grid': 'ARIA Grid',
+      'paginated': 'Paginated Table',
+      'harvested': 'Harvested Table',
+      'css-grid': 'CSS Grid Layout',
+      'list': 'List',
+      'key-value': 'Key-Value Block',
+      'key-value-merged': 'Key-Value Records',
+      'key-value-record': 'Record',
+      'embedded-json': 'Embedded JSON',
+      'pivot': 'Pivot Table',
+      'joined': 'Joined Table',
+      'appended': 'Appended Tables',
+      'unpivoted': 'Unpivoted Table',
+      'transposed': 'Transposed Table'
     };
     return typeMap[type] || 'Table';
   }
@@ -706,13 +1782,16 @@ class TableViewer {
   renderDataTable() {
     if (!this.filteredData || this.filteredData.length === 0) return;
     
-    const headers = this.filteredData[0];
+    const headers = this.getColumnNames();
     const rows = this.filteredData.slice(1);
+    // Source column indices in display order (hidden and deleted columns are skipped)
+    const columns = this.getDisplayColumns();
     
     // Create table headers with sorting capability and type indicators
     this.elements.dataTableHead.innerHTML = '';
     const headerRow = document.createElement('tr');
-    headers.forEach((header, index) => {
+    columns.forEach(index => {
+      const header = headers[index];
       const th = document.createElement('th');
       const columnType = this.columnTypes[index] || 'categorical';
       
@@ -732,9 +1811,11 @@ class TableViewer {
             <span class="category-indicator category-${columnType} type-edit-trigger" data-column="${index}" title="${typeInfo.description} (click to change type)">${typeInfo.icon}</span>
           </div>
         </div>`;
-      th.className = `sortable ${columnType}`;
+      th.className = `sortable ${columnType}${this.focusedColumn === index ? ' column-focused' : ''}`;
       th.setAttribute('data-column', index);
       th.title = `${typeInfo.description} - Click to sort`;
+      const computed = this.computedColumns.find(c => c.column === index);
+      if (computed) th.title += `\nFormula: ${computed.formula}`;
       
       // Add current sort indicator
       if (this.currentSort.column === index) {
@@ -756,7 +1837,7 @@ class TableViewer {
     // Create stats row
     const statsRow = document.createElement('tr');
     statsRow.className = 'stats-row';
-    headers.forEach((header, index) => {
+    columns.forEach(index => {
       const td = document.createElement('td');
       const columnType = this.columnTypes[index] || 'categorical';
       
@@ -773,9 +1854,10 @@ class TableViewer {
     this.elements.dataTableBody.innerHTML = '';
     rows.forEach(row => {
       const tr = document.createElement('tr');
-      row.forEach(cell => {
+      const richRow = this.richRowMap.get(row);
+      columns.forEach(ci => {
         const td = document.createElement('td');
-        td.textContent = cell || '';
+        this.renderCellContent(td, row[ci], richRow ? richRow[ci] : null);
         tr.appendChild(td);
       });
       this.elements.dataTableBody.appendChild(tr);
@@ -783,6 +1865,8 @@ class TableViewer {
     
     // Calculate and display initial stats
     this.calculateAllStats();
+    // Pivot tabs follow the filtered rows
+    document.querySelectorAll('.pivot-table').forEach(table => this.renderPivot(table.id.replace(/-table$/, '')));
     
     // Add filter buttons to headers after table is rendered
     setTimeout(() => {
@@ -792,6 +1876,46 @@ class TableViewer {
     // Note: Manual save required to persist structural changes
   }
 
+  /**
+   * Render a cell: plain text, or a clickable link / image thumbnail when rich cell data is available
+   */
+  renderCellContent(td, text, rich) {
+    const value = text || '';
+    if (!rich) {
+      td.textContent = value;
+      return;
+    }
+    if (rich.title) td.title = rich.title;
+    
+    if (rich.href && RichCellUtils.isSafeUrl(rich.href)) {
+      const link = document.createElement('a');
+      link.href = rich.href;
+      link.target = '_blank';
+      link.rel = 'noopener noreferrer';
+      link.className = 'cell-link';
+      link.textContent = value || rich.href;
+      link.title = rich.title || rich.href;
+      td.appendChild(link);
+      return;
+    }
+    
+    if (!value && rich.images && rich.images.length > 0) {
+      const image = rich.images[0];
+      if (/^(https?:|data:image\/)/i.test(image.src)) {
+        const img = document.createElement('img');
+        img.src = image.src;
+        img.alt = image.alt;
+        img.className = 'cell-image';
+        td.appendChild(img);
+      } else {
+        td.textContent = image.alt;
+      }
+      td.title = rich.title || image.alt;
+      return;
+    }
+    td.textContent = value;
+  }
+  
   showSetHeaderRowDialog() {
     if (!this.tableData || this.tableData.length === 0) return;
     const modal = document.createElement('div');
@@ -852,6 +1976,10 @@ class TableViewer {
     this.tableData = newData;
     this.originalData = [...newData];
     this.filteredData = [...newData];
+    // The merged multi-row header no longer describes the new header row
+    this.headerHierarchy = null;
+    // Page updates are positional against the original header; they no longer apply
+    this.stopLiveWatch('header row changed');
     // Recompute types & stats
     this.analyzeColumnTypes();
     this.initializeColumnStats();
@@ -889,10 +2017,11 @@ class TableViewer {
       return;
     }
     
-    const tableHeaders = this.elements.dataTable.querySelectorAll('th');
-    const headers = this.filteredData[0];
+    const tableHeaders = this.elements.dataTable.querySelectorAll('th[data-column]');
+    const headers = this.getColumnNames();
     
-    tableHeaders.forEach((th, index) => {
+    tableHeaders.forEach(th => {
+      const index = parseInt(th.getAttribute('data-column'), 10);
       if (index < headers.length) {
         // Remove existing filter button if any
         const existingBtn = th.querySelector('.filter-btn');
@@ -1289,6 +2418,66 @@ class TableViewer {
     });
   }
 
+  setFocusedColumn(index) {
+    if (!this.filteredData || !this.getDisplayColumns().includes(index)) return;
+    this.focusedColumn = index;
+    this.elements.dataTableHead.querySelectorAll('th.sortable').forEach(th => th.classList.toggle('column-focused', Number(th.getAttribute('data-column')) === index));
+  }
+
+  handleShortcut(event) {
+    const action = ViewerShortcutUtils.resolveViewerShortcut(event);
+    if (!action) return;
+    // Dialogs own the keyboard while they are open
+    const exportModal = document.getElementById('exportFormatModal');
+    if (document.querySelector('[aria-modal="true"]') || (exportModal && exportModal.style.display === 'flex')) return;
+    if (action !== 'help' && (!this.filteredData || this.filteredData.length === 0)) return;
+    event.preventDefault();
+    const displayed = this.filteredData ? this.getDisplayColumns() : [];
+    const column = displayed.includes(this.focusedColumn) ? this.focusedColumn : (displayed[0] || 0);
+    if (action === 'filter') {
+      const filterBtn = this.elements.dataTable.querySelector(`th[data-column="${column}"] .filter-btn`);
+      if (!filterBtn) return;
+      this.showFilterPopup(column, filterBtn, this.getColumnNames()[column], this.columnTypes[column] || 'categorical');
+      const input = this.activeFilterPopup && this.activeFilterPopup.querySelector('input, select');
+      if (input) input.focus();
+    } else if (action === 'sort') {
+      this.sortTable(column);
+    } else if (action === 'chart') {
+      this.createNewChart();
+    } else if (action === 'export') {
+      this.showExportFormatModal();
+    } else if (action === 'help') {
+      this.showShortcutHelp();
+    }
+  }
+
+  showShortcutHelp() {
+    const existing = document.querySelector('.shortcut-help-modal');
+    if (existing) {
+      existing.remove();
+      return;
+    }
+    const modal = document.createElement('div');
+    modal.className = 'shortcut-help-modal';
+    const rows = ViewerShortcutUtils.VIEWER_SHORTCUTS.map(shortcut =>
+      `<tr><td><kbd>${shortcut.key}</kbd></td><td>${shortcut.description}</td></tr>`).join('');
+    modal.innerHTML = `
+      <div role="dialog" aria-modal="true" tabindex="-1" style="background:var(--bg-secondary);padding:16px;border-radius:8px;width:360px;box-shadow:0 8px 32px rgba(0,0,0,0.35);">
+        <h3 style="margin-top:0;">⌨️ Keyboard Shortcuts</h3>
+        <table class="shortcut-table">${rows}</table>
+        <p style="font-size:12px;margin-bottom:0;">Click a column to focus it. Page shortcuts (extract, open, export CSV) can be changed at chrome://extensions/shortcuts.</p>
+      </div>`;
+    Object.assign(modal.style, {position:'fixed', inset:'0', background:'rgba(0,0,0,0.45)', display:'flex', alignItems:'center', justifyContent:'center', zIndex:9999});
+    document.body.appendChild(modal);
+    modal.addEventListener('click', e => { if (e.target === modal) modal.remove(); });
+    modal.addEventListener('keydown', e => {
+      if (e.key !== 'Escape' && e.key !== '?') return;
+      e.stopPropagation(); // "?" would reopen it from the document listener
+      modal.remove();
+    });
+    modal.querySelector('[role="dialog"]').focus();
+  }
+
   /**
    * Clear a specific column filter
    */
@@ -1733,111 +2922,48 @@ class TableViewer {
     if (!this.filteredData || this.filteredData.length === 0) return Promise.resolve(false);
 
     if (format === 'xlsx') {
-      const markUsage = () => {
-        this.ensureLicenseManager().then(lm => {
-          if (!lm) { 
-            console.warn('[LICENSE][SingleXLSX] markUsage: licenseManager missing'); 
-            return; 
-          }
-          if (lm && !lm.isPremium()) {
-            lm.markExportSingleXLSX().then(()=>{
-            }).catch(err => {
-              console.warn('[LICENSE][SingleXLSX] markExportSingleXLSX() error', err);
-            });
-          }
-        }).catch(err => {
-          console.warn('[DEBUG][XLSX] ensureLicenseManager failed in markUsage:', err);
-        });
-      };
       try {
         const wb = XLSX.utils.book_new();
-        const ws = XLSX.utils.aoa_to_sheet(this.filteredData);
+        // Multi-row headers are rebuilt as stacked rows with merged group cells
+        const sheet = HeaderBandUtils.buildHeaderedSheetRows(this.getDisplayData(), this.getDisplayHeaderHierarchy());
+        const ws = XLSX.utils.aoa_to_sheet(sheet.rows);
+        if (sheet.merges.length > 0) ws['!merges'] = sheet.merges;
+        // Linked cells become real spreadsheet hyperlinks
+        RichCellUtils.addSheetHyperlinks(ws, [...new Array(sheet.headerOffset).fill(null), ...this.getDisplayRichRows()]);
         XLSX.utils.book_append_sheet(wb, ws, "Sheet1");
         const fileName = `table-data-${new Date().toISOString().split('T')[0]}.xlsx`;
-        const wbout = XLSX.write(wb, { bookType: 'xlsx', type: 'array' });
-        const blob = new Blob([wbout], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
-        const url = URL.createObjectURL(blob);
-
-        if (typeof chrome !== 'undefined' && chrome.downloads && chrome.downloads.download) {
-          return new Promise((resolve) => {
-            chrome.downloads.download({ url, filename: fileName, saveAs: true }, (downloadId) => {
-              if (!downloadId) {
-                URL.revokeObjectURL(url);
-                this.showGlobalStatus('XLSX export cancelled', 'error');
-                resolve(false);
-                return;
-              }
-
-              // Mark usage immediately when download starts successfully
-              // This fixes the issue where Edge doesn't properly trigger completion events
-              this.showGlobalStatus('Data exported as XLSX successfully!', 'success');
-              markUsage();
-              
-              // Show warning if approaching single export limit
-              setTimeout(() => {
-                this.ensureLicenseManager().then(lm => {
-                  if (lm && lm.isNearExportSingleLimit && lm.isNearExportSingleLimit()) {
-                    const { single } = lm._getMonthlyExportLimits();
-                    const remaining = single - lm.state.exportSingleCount;
-                    setTimeout(() => {
-                      this.showGlobalStatus(`⚠️ Only ${remaining} single XLSX export${remaining === 1 ? '' : 's'} left this month`, 'warning');
-                    }, 3000);
-                  }
-                }).catch(() => {});
-              }, 100);
-              setTimeout(() => {
-                this.ensureLicenseManager().then(lm => {
-                  if (lm && lm.isNearExportSingleLimit && lm.isNearExportSingleLimit()) {
-                    const { single } = lm._getMonthlyExportLimits();
-                    const remaining = single - lm.state.exportSingleCount;
-                    setTimeout(() => {
-                      this.showGlobalStatus(`⚠️ Only ${remaining} single XLSX export${remaining === 1 ? '' : 's'} left this month`, 'warning');
-                    }, 3000);
-                  }
-                }).catch(() => {});
-              }, 100);
-              
-              // Set up listener for completion tracking (but don't rely on it for usage marking)
-              let hasResolved = false;
-              const listener = (delta) => {
-                if (delta.id === downloadId && delta.state && delta.state.current && !hasResolved) {
-                  const state = delta.state.current;
-                  if (state === 'complete') {
-                    hasResolved = true;
-                    resolve(true);
-                    chrome.downloads.onChanged.removeListener(listener);
-                    URL.revokeObjectURL(url);
-                  } else if (state === 'interrupted') {
-                    hasResolved = true;
-                    resolve(false);
-                    chrome.downloads.onChanged.removeListener(listener);
-                    URL.revokeObjectURL(url);
-                  }
-                }
-              };
-              chrome.downloads.onChanged.addListener(listener);
-              
-              // Fallback timeout in case the listener never fires (Edge issue)
-              setTimeout(() => {
-                if (!hasResolved) {
-                  hasResolved = true;
-                  chrome.downloads.onChanged.removeListener(listener);
-                  URL.revokeObjectURL(url);
-                  resolve(true);
-                }
-              }, 5000);
-            });
+
+        if (typeof chrome !== 'undefined' && chrome.runtime && chrome.runtime.sendMessage) {
+          // The background worker saves the file and counts the export once it is saved
+          const base64 = XLSX.write(wb, { bookType: 'xlsx', type: 'base64' });
+          const result = await chrome.runtime.sendMessage({
+            action: 'downloadFile',
+            url: `data:application/vnd.openxmlformats-officedocument.spreadsheetml.sheet;base64,${base64}`,
+            filename: fileName,
+            saveAs: true,
+            usage: 'exportSingle'
           });
+          if (!result || !result.success) {
+            this.showGlobalStatus('XLSX export cancelled', 'error');
+            return false;
+          }
+          this.showGlobalStatus('Data exported as XLSX successfully!', 'success');
+          const lm = await this.ensureLicenseManager().catch(() => null);
+          this.applyLicenseState(lm, result.licenseState);
+          if (lm && lm.isNearExportSingleLimit && lm.isNearExportSingleLimit()) {
+            const { single } = lm._getMonthlyExportLimits();
+            const remaining = single - lm.state.exportSingleCount;
+            setTimeout(() => {
+              this.showGlobalStatus(`⚠️ Only ${remaining} single XLSX export${remaining === 1 ? '' : 's'} left this month`, 'warning');
+            }, 3000);
+          }
+          return true;
         } else {
           // Fallback path – cannot detect cancel; assume success
-            try {
-              XLSX.writeFile(wb, fileName);
-              this.showGlobalStatus('Data exported as XLSX successfully!', 'success');
-              markUsage();
-              return true;
-            } finally {
-              URL.revokeObjectURL(url);
-            }
+          XLSX.writeFile(wb, fileName);
+          this.showGlobalStatus('Data exported as XLSX successfully!', 'success');
+          this.recordUsage('exportSingle');
+          return true;
         }
       } catch (error) {
         console.error('XLSX export error:', error);
@@ -1848,16 +2974,7 @@ class TableViewer {
 
     if (format === 'md') {
       // Markdown table export
-      const headers = this.filteredData[0];
-      const rows = this.filteredData.slice(1);
-      const escapeCell = (v) => {
-        const s = (v == null ? '' : v.toString()).replace(/\|/g, '\\|');
-        return s.replace(/\r?\n/g, ' ');
-      };
-      const headerLine = `| ${headers.map(escapeCell).join(' | ')} |`;
-      const alignLine = `| ${headers.map(()=>'---').join(' | ')} |`;
-      const rowLines = rows.map(r => `| ${r.map(escapeCell).join(' | ')} |`);
-      const mdContent = [headerLine, alignLine, ...rowLines].join('\n');
+      const mdContent = TableTextUtils.toMarkdownTable(this.getDisplayData());
       const blob = new Blob([mdContent], { type: 'text/markdown' });
       const url = URL.createObjectURL(blob);
       const link = document.createElement('a');
@@ -1876,15 +2993,7 @@ class TableViewer {
     const extension = format === 'tsv' ? 'tsv' : 'csv';
     const mimeType = format === 'tsv' ? 'text/tab-separated-values' : 'text/csv';
 
-    const textContent = this.filteredData.map(row =>
-      row.map(cell => {
-        const cellStr = (cell || '').toString();
-        if (cellStr.includes(separator) || cellStr.includes('"') || cellStr.includes('\n')) {
-          return `"${cellStr.replace(/"/g, '""')}"`;
-        }
-        return cellStr;
-      }).join(separator)
-    ).join('\n');
+    const textContent = TableTextUtils.toDelimitedText(this.getDisplayData(), separator);
 
     const blob = new Blob([textContent], { type: mimeType });
     const url = URL.createObjectURL(blob);
@@ -1925,6 +3034,212 @@ class TableViewer {
     this.initializeChartControls(chartId);
   }
   
+  // Pivot tabs sit next to the chart tabs; each one groups the filtered rows (see utils/pivot.js)
+  createPivotTab() {
+    if (!this.tableData || typeof PivotUtils === 'undefined') return;
+    const pivotId = `pivot-${++this.pivotCounter}`;
+    
+    const tab = document.createElement('button');
+    tab.className = 'tab';
+    tab.setAttribute('data-tab', pivotId);
+    tab.innerHTML = `🧮 Pivot ${this.pivotCounter} <span class="close-btn" title="Close pivot">×</span>`;
+    this.elements.tabBar.appendChild(tab);
+    
+    const panel = document.createElement('div');
+    panel.className = 'tab-panel';
+    panel.id = `${pivotId}-panel`;
+    panel.innerHTML = this.createPivotPanelHTML(pivotId);
+    document.querySelector('.tab-content').appendChild(panel);
+    
+    this.switchTab(pivotId);
+    this.initializePivotControls(pivotId);
+  }
+  
+  // Columns offered by the pivot controls: everything not deleted, in display order
+  getPivotColumns() {
+    const layout = this.getColumnLayout();
+    const names = this.getColumnNames();
+    return layout.order.filter(i => !layout.deleted.includes(i)).map(index => ({
+      index,
+      name: names[index],
+      type: this.columnTypes[index] || 'categorical',
+      icon: this.getColumnTypeInfo(this.columnTypes[index]).icon
+    }));
+  }
+  
+  createPivotPanelHTML(pivotId) {
+    const columns = this.getPivotColumns();
+    const options = columns.map(col => `<option value="${col.index}">${col.icon} ${this.escapeHtml(col.name)}</option>`).join('');
+    return `
+      <div class="chart-controls pivot-controls">
+        <div class="form-row">
+          <div class="form-group">
+            <label>Rows (group by):</label>
+            <div class="checkbox-group" id="${pivotId}-rows">
+              ${columns.map(col => `
+                <div class="checkbox-item">
+                  <input type="checkbox" id="${pivotId}-row-${col.index}" value="${col.index}">
+                  <label for="${pivotId}-row-${col.index}">${col.icon} ${this.escapeHtml(col.name)}</label>
+                </div>`).join('')}
+            </div>
+          </div>
+        </div>
+        <div class="form-row">
+          <div class="form-group">
+            <label for="${pivotId}-column">Columns (optional):</label>
+            <select id="${pivotId}-column" class="form-control">
+              <option value="">None</option>
+              ${options}
+            </select>
+          </div>
+          <div class="form-group">
+            <label><input type="checkbox" id="${pivotId}-totals" checked> Total row</label>
+          </div>
+        </div>
+        <div class="form-group">
+          <label>Values:</label>
+          <div class="pivot-values" id="${pivotId}-values"></div>
+          <button type="button" class="btn btn-secondary btn-sm" id="${pivotId}-add-value">+ Add value</button>
+        </div>
+      </div>
+      <div class="pivot-actions">
+        <span class="pivot-summary" id="${pivotId}-summary"></span>
+        <button type="button" class="btn btn-primary btn-sm" id="${pivotId}-open" title="Open the pivot as a table to chart, filter or export it">↗ Open as Table</button>
+        <button type="button" class="btn btn-accent btn-sm" id="${pivotId}-export" title="Download the pivot as CSV">⬇ CSV</button>
+      </div>
+      <div class="data-table-container">
+        <table class="data-table pivot-table" id="${pivotId}-table"></table>
+      </div>`;
+  }
+  
+  initializePivotControls(pivotId) {
+    const columns = this.getPivotColumns();
+    const valuesBox = document.getElementById(`${pivotId}-values`);
+    const numeric = columns.find(col => ['numeric', 'money', 'percentage'].includes(col.type));
+    const category = columns.find(col => col.type === 'categorical');
+    
+    const addValue = (column, aggregate) => {
+      const row = document.createElement('div');
+      row.className = 'pivot-value';
+      row.innerHTML = `
+        <select class="form-control" data-role="column">${columns.map(col => `<option value="${col.index}">${col.icon} ${this.escapeHtml(col.name)}</option>`).join('')}</select>
+        <select class="form-control" data-role="aggregate">${PivotUtils.PIVOT_AGGREGATES.map(a => `<option value="${a.id}">${a.label}</option>`).join('')}</select>
+        <button type="button" class="btn btn-secondary btn-sm" data-action="remove" title="Remove value">✕</button>`;
+      row.querySelector('[data-role="column"]').value = String(column);
+      row.querySelector('[data-role="aggregate"]').value = aggregate;
+      row.querySelector('[data-action="remove"]').addEventListener('click', () => {
+        row.remove();
+        this.renderPivot(pivotId);
+      });
+      valuesBox.appendChild(row);
+    };
+    
+    // Sensible start: group by the first text column, sum the first numeric column
+    if (category) document.getElementById(`${pivotId}-row-${category.index}`).checked = true;
+    if (numeric) addValue(numeric.index, 'sum');
+    else if (columns.length > 0) addValue(columns[0].index, 'count');
+    
+    document.getElementById(`${pivotId}-add-value`).addEventListener('click', () => {
+      addValue(numeric ? numeric.index : columns[0].index, numeric ? 'sum' : 'count');
+      this.renderPivot(pivotId);
+    });
+    const panel = document.getElementById(`${pivotId}-panel`);
+    panel.querySelector('.pivot-controls').addEventListener('change', () => this.renderPivot(pivotId));
+    document.getElementById(`${pivotId}-open`).addEventListener('click', () => this.openPivotAsTable(pivotId));
+    document.getElementById(`${pivotId}-export`).addEventListener('click', () => this.exportPivot(pivotId));
+    this.renderPivot(pivotId);
+  }
+  
+  getPivotConfig(pivotId) {
+    const column = document.getElementById(`${pivotId}-column`).value;
+    return {
+      rows: Array.from(document.querySelectorAll(`#${pivotId}-rows input:checked`)).map(input => parseInt(input.value, 10)),
+      column: column === '' ? null : parseInt(column, 10),
+      values: Array.from(document.querySelectorAll(`#${pivotId}-values .pivot-value`)).map(row => ({
+        column: parseInt(row.querySelector('[data-role="column"]').value, 10),
+        aggregate: row.querySelector('[data-role="aggregate"]').value
+      })),
+      totals: document.getElementById(`${pivotId}-totals`).checked,
+      headers: this.getColumnNames(),
+      // Numeric cells are read with the column's detected number format
+      parseNumber: (value, columnIndex) => /\d/.test(value) ? this.parseNumericValue(value, columnIndex) : NaN
+    };
+  }
+  
+  /**
+   * Rebuild a pivot from the rows that pass the current filters
+   * @returns {string[][]|null} the pivot grid
+   */
+  buildPivot(pivotId) {
+    const summary = document.getElementById(`${pivotId}-summary`);
+    try {
+      const result = PivotUtils.buildPivotTable(this.filteredData, this.getPivotConfig(pivotId));
+      const sourceRows = this.filteredData.length - 1;
+      summary.textContent = `${result.groupCount} group${result.groupCount === 1 ? '' : 's'} from ${sourceRows} row${sourceRows === 1 ? '' : 's'}` +
+        (result.truncated ? ` · only the first ${PivotUtils.PIVOT_MAX_COLUMN_KEYS} column keys are shown` : '');
+      summary.classList.remove('pivot-error');
+      return result.data;
+    } catch (e) {
+      summary.textContent = e.message;
+      summary.classList.add('pivot-error');
+      return null;
+    }
+  }
+  
+  renderPivot(pivotId) {
+    const table = document.getElementById(`${pivotId}-table`);
+    if (!table) return;
+    const data = this.buildPivot(pivotId);
+    table.innerHTML = '';
+    if (!data) return;
+    const thead = document.createElement('thead');
+    const headRow = document.createElement('tr');
+    data[0].forEach(header => {
+      const th = document.createElement('th');
+      th.textContent = header;
+      headRow.appendChild(th);
+    });
+    thead.appendChild(headRow);
+    const tbody = document.createElement('tbody');
+    data.slice(1).forEach(row => {
+      const tr = document.createElement('tr');
+      row.forEach(cell => {
+        const td = document.createElement('td');
+        td.textContent = cell;
+        tr.appendChild(td);
+      });
+      tbody.appendChild(tr);
+    });
+    table.append(thead, tbody);
+  }
+  
+  // The pivot opens as a derived table, where it can be charted, filtered and exported in every format
+  openPivotAsTable(pivotId) {
+    const data = this.buildPivot(pivotId);
+    if (!data) return;
+    const source = this.tableInfo && this.tableInfo.source ? ` – ${this.tableInfo.source}` : '';
+    this.openImportInViewer({
+      fileName: `Pivot${source}`,
+      source: 'derived',
+      tables: [{ name: 'Pivot', type: 'pivot', data }]
+    });
+  }
+  
+  exportPivot(pivotId) {
+    const data = this.buildPivot(pivotId);
+    if (!data) return;
+    const blob = new Blob([TableTextUtils.toDelimitedText(data, ',')], { type: 'text/csv' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `pivot-${new Date().toISOString().split('T')[0]}.csv`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+    this.showGlobalStatus('Pivot exported as CSV successfully!', 'success');
+  }
+  
   createChartPanelHTML(chartId, chartName) {
     if (!this.tableData || this.tableData.length === 0) {
       return '<div class="chart-placeholder">No data available for charting</div>';
@@ -2010,7 +3325,8 @@ class TableViewer {
   getValidColumnsForAxis(axisRequirements) {
     if (!this.tableData || !this.columnTypes) return [];
     
-    const headers = this.tableData[0];
+    const headers = this.getColumnNames();
+    const deleted = this.getColumnLayout().deleted;
     return headers.map((header, index) => {
       const columnType = this.columnTypes[index];
       const typeIcon = this.getColumnTypeInfo(columnType).icon;
@@ -2020,7 +3336,7 @@ class TableViewer {
         header,
         type: columnType,
         icon: typeIcon,
-        valid: axisRequirements.types.includes(columnType)
+        valid: axisRequirements.types.includes(columnType) && !deleted.includes(index)
       };
     }).filter(col => col.valid);
   }
@@ -2393,7 +3709,7 @@ class TableViewer {
   }
   
   processChartData(xColumn, yColumns, chartType) {
-    const headers = this.filteredData[0];
+    const headers = this.getColumnNames();
     const rows = this.filteredData.slice(1);
     
     // Special handling for scatter plots
@@ -2619,7 +3935,7 @@ class TableViewer {
   }
 
   createChartConfig(chartType, chartData, xColumn, yColumns) {
-    const headers = this.filteredData[0];
+    const headers = this.getColumnNames();
     
     const baseConfig = {
       type: chartType === 'horizontalBar' ? 'bar' : chartType,
@@ -2656,7 +3972,7 @@ class TableViewer {
   }
   
   generateChartTitle(chartType, xColumn, yColumns) {
-    const headers = this.filteredData[0];
+    const headers = this.getColumnNames();
     const chartTypeNames = {
       line: 'Line Chart',
       bar: 'Bar Chart', 
@@ -3153,10 +4469,10 @@ class TableViewer {
         }
         savedStates.push(newState);
         console.log(`💾 Creating new workspace "${stateName}"`);
-        if (lm && !lm.isPremium()) lm.incrementWorkspaceCount();
-        this._finalizeStateSave(savedStates, stateName, btn => {
+        const saved = this._finalizeStateSave(savedStates, stateName, btn => {
           btn.disabled = true; btn.textContent = '✔ Saved'; setTimeout(() => { btn.disabled = false; btn.textContent = '💾 Save'; }, 1200);
         });
+        if (saved && lm && !lm.isPremium()) this.recordUsage('workspaceSaved');
       });
       return; // Wait for async gating branch
     }
@@ -3168,15 +4484,29 @@ class TableViewer {
   }
 
   _finalizeStateSave(savedStates, stateName, animateBtnCb) {
+    if (savedStates.length > 50) savedStates.splice(0, savedStates.length - 50);
+    const serialized = JSON.stringify(savedStates);
+    try {
+      localStorage.setItem('tableLensSavedStates', serialized);
+    } catch (e) {
+      // Storage full: the recently opened tables (kept for joins) can go, workspaces matter more
+      try {
+        if (typeof RecentTableUtils !== 'undefined') RecentTableUtils.clearRecentTables(localStorage);
+        localStorage.setItem('tableLensSavedStates', serialized);
+      } catch (retryError) {
+        console.error('Could not save workspace:', retryError);
+        this.showGlobalStatus(`Could not save "${stateName}": browser storage is full. Delete some saved workspaces and try again.`, 'error');
+        return false;
+      }
+    }
     // Update current workspace name
     this.currentWorkspaceName = stateName;
     this.elements.headerTitle.textContent = `💾 ${stateName}`;
-    if (savedStates.length > 50) savedStates.splice(0, savedStates.length - 50);
-    localStorage.setItem('tableLensSavedStates', JSON.stringify(savedStates));
     this.showGlobalStatus(`✅ Saved "${stateName}"`, 'success');
     const btn = this.elements.saveState;
     if (btn && animateBtnCb) animateBtnCb(btn);
     try { chrome.runtime?.sendMessage({ action: 'refreshSavedStates'}); } catch(_) {}
+    return true;
   }
 
   /**
@@ -3229,7 +4559,24 @@ class TableViewer {
       this.stateManager.clearState();
     }
     // Decrement workspace count when a workspace is cleared (user flow may need a hook where deletion occurs)
-    this.ensureLicenseManager().then(lm => { if (lm && !lm.isPremium()) lm.decrementWorkspaceCount(); });
+    this.ensureLicenseManager().then(lm => { if (lm && !lm.isPremium()) this.recordUsage('workspaceRemoved'); });
+  }
+
+  /**
+   * Record a usage event through the background worker (the only writer of the usage counters)
+   * @param {string} kind - exportSingle | workspaceSaved | workspaceRemoved
+   */
+  async recordUsage(kind) {
+    try {
+      const result = await chrome.runtime.sendMessage({ action: 'recordUsage', kind });
+      this.applyLicenseState(await this.ensureLicenseManager(), result && result.licenseState);
+    } catch (e) {
+      console.warn(`[LICENSE] Could not record ${kind}:`, e.message);
+    }
+  }
+
+  applyLicenseState(lm, state) {
+    if (lm && state) lm.state = { ...lm.state, ...state };
   }
 }
 
@@ -0,0 +1,131 @@
+const assert = require('assert');
+const { parseHTML } = require('./helpers/miniDom');
+const { findAriaGrids, parseAriaGrid, parseAriaGridRows, parseCssGrid, countGridTracks, ARIA_TABLE_SELECTOR } = require('../utils/ariaGrid');
+const { detectTablesWithNestingLogic } = require('../utils/tableNesting');
+
+const simpleGrid = `
+  <div role="grid" id="orders">
+    <div role="row">
+      <div role="columnheader">Order</div><div role="columnheader">Customer</div><div role="columnheader">Total</div>
+    </div>
+    <div role="row">
+      <div role="gridcell">1001</div><div role="gridcell">Acme</div><div role="gridcell">$ 250</div>
+    </div>
+    <div role="row">
+      <div role="gridcell">1002</div><div role="gridcell">Globex</div><div role="gridcell">$ 90</div>
+    </div>
+  </div>`;
+
+// Virtualized grid: rows rendered out of order, columns 3-4 not rendered,
+// pinned first column lives in a separate row container with the same aria-rowindex
+const virtualizedGrid = `
+  <div role="grid" aria-rowcount="100" aria-colcount="6">
+    <div class="pinned">
+      <div role="row" aria-rowindex="1"><span role="columnheader" aria-colindex="1">Name</span></div>
+      <div role="row" aria-rowindex="3"><span role="rowheader" aria-colindex="1">Bob</span></div>
+      <div role="row" aria-rowindex="2"><span role="rowheader" aria-colindex="1">Ann</span></div>
+    </div>
+    <div class="scroll">
+      <div role="row" aria-rowindex="1">
+        <span role="columnheader" aria-colindex="2">Age</span><span role="columnheader" aria-colindex="5">City</span>
+      </div>
+      <div role="row" aria-rowindex="3">
+        <span role="gridcell" aria-colindex="2">41</span><span role="gridcell" aria-colindex="5">Lima</span>
+      </div>
+      <div role="row" aria-rowindex="2">
+        <span role="gridcell" aria-colindex="2">35</span><span role="gridcell" aria-colindex="5">Quito</span>
+      </div>
+    </div>
+  </div>`;
+
+function testSimpleGrid() {
+  const root = parseHTML(simpleGrid);
+  const grids = findAriaGrids(root);
+  assert.strictEqual(grids.length, 1, 'Should find one ARIA grid');
+  assert.deepStrictEqual(parseAriaGrid(grids[0]), [
+    ['Order', 'Customer', 'Total'],
+    ['1001', 'Acme', '$ 250'],
+    ['1002', 'Globex', '$ 90']
+  ]);
+}
+
+function testVirtualizedGrid() {
+  const root = parseHTML(virtualizedGrid);
+  const [grid] = findAriaGrids(root);
+  const rows = parseAriaGridRows(grid);
+  assert.deepStrictEqual(rows.map(r => r.rowIndex), [1, 2, 3], 'Rows should be sorted by aria-rowindex');
+  assert.deepStrictEqual(rows.map(r => r.values), [
+    ['Name', 'Age', 'City'],
+    ['Ann', '35', 'Quito'],
+    ['Bob', '41', 'Lima']
+  ]);
+}
+
+function testColspanAndRoleTable() {
+  const root = parseHTML(`
+    <div role="table">
+      <div role="row"><div role="columnheader" aria-colspan="2">Person</div><div role="columnheader">Score</div></div>
+      <div role="row"><div role="cell">Ann</div><div role="cell">Lee</div><div role="cell">9</div></div>
+    </div>
+    <table role="table"><tr><td>skip</td></tr></table>`);
+  const grids = findAriaGrids(root);
+  assert.strictEqual(grids.length, 1, 'Real <table> elements are handled by the HTML pass');
+  assert.deepStrictEqual(parseAriaGrid(grids[0]), [
+    ['Person', '', 'Score'],
+    ['Ann', 'Lee', '9']
+  ]);
+}
+
+function testNestedGridPrioritization() {
+  const root = parseHTML(`
+    <div role="grid" id="layout">
+      <div role="row">
+        <div role="gridcell">Sidebar</div>
+        <div role="gridcell">${simpleGrid}</div>
+      </div>
+      <div role="row"><div role="gridcell">Footer</div><div role="gridcell"></div></div>
+    </div>`);
+  const grids = findAriaGrids(root);
+  assert.strictEqual(grids.length, 2);
+  // Outer grid must not absorb the inner grid's rows
+  assert.strictEqual(parseAriaGrid(grids[0]).length, 2, 'Outer grid keeps its own rows only');
+  const prioritized = detectTablesWithNestingLogic(grids, parseAriaGrid, `table, ${ARIA_TABLE_SELECTOR}`);
+  assert.strictEqual(prioritized.length, 1, 'Container grid should be dropped in favour of the inner data grid');
+  assert.strictEqual(prioritized[0].id, 'orders');
+}
+
+function testCssGrid() {
+  assert.strictEqual(countGridTracks('120px 80px 80px'), 3);
+  assert.strictEqual(countGridTracks('repeat(4, 1fr)'), 4);
+  assert.strictEqual(countGridTracks('[a] minmax(10px, 1fr) [b] 20px'), 2);
+  assert.strictEqual(countGridTracks('none'), 0);
+
+  const root = parseHTML(`
+    <div id="g"><div>Fruit</div><div>Qty</div><div>Apple</div><div>3</div><div>Pear</div><div>5</div></div>
+    <div id="cards">
+      <div><h3>A</h3><p>x</p><p>y</p><a href="#">more</a><img src="a.png"></div><div><h3>B</h3></div>
+      <div><h3>C</h3></div><div><h3>D</h3></div>
+    </div>`);
+  assert.deepStrictEqual(parseCssGrid(root.querySelector('#g'), 2), [
+    ['Fruit', 'Qty'], ['Apple', '3'], ['Pear', '5']
+  ]);
+  assert.deepStrictEqual(parseCssGrid(root.querySelector('#cards'), 2), [], 'Card layouts are not tables');
+
+  const layouts = parseHTML(`
+    <ul id="nav"><li><a href="/">Home</a></li><li><a href="/docs">Docs</a></li><li><a href="/blog">Blog</a></li><li><a href="/about">About</a></li></ul>
+    <div id="icons"><div><img src="a.svg"></div><div><img src="b.svg"></div><div>Share</div><div><img src="c.svg"></div></div>
+    <div id="sparse"><div>Name</div><div></div><div>Ann</div><div></div><div>Bob</div><div>3</div></div>
+    <div id="linked"><div><a href="/a">Ann</a></div><div>3</div><div><a href="/b">Bob</a></div><div>5</div></div>`);
+  assert.deepStrictEqual(parseCssGrid(layouts.querySelector('#nav'), 2), [], 'Navigation link lists are not tables');
+  assert.deepStrictEqual(parseCssGrid(layouts.querySelector('#icons'), 2), [], 'Icon grids without text are not tables');
+  assert.deepStrictEqual(parseCssGrid(layouts.querySelector('#sparse'), 2), [], 'Rows need text in at least two cells');
+  assert.strictEqual(parseCssGrid(layouts.querySelector('#linked'), 2).length, 2, 'A link column is fine');
+}
+
+module.exports = [
+  { name: 'ARIA grid - role based rows and cells', fn: testSimpleGrid },
+  { name: 'ARIA grid - virtualized rows/columns via aria-rowindex/aria-colindex', fn: testVirtualizedGrid },
+  { name: 'ARIA grid - aria-colspan and role="table"', fn: testColspanAndRoleTable },
+  { name: 'ARIA grid - nested grids go through nesting prioritization', fn: testNestedGridPrioritization },
+  { name: 'CSS grid - track counting and cell chunking', fn: testCssGrid }
+];
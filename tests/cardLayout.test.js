@@ -0,0 +1,80 @@
+const assert = require('assert');
+const { parseHTML } = require('./helpers/miniDom');
+const { shapePaths, shapeSimilarity, findRepeatedChildren, parseRepeatedCards, parseListElement, findCardRuns } = require('../utils/cardLayout');
+
+function productCard(name, price, slug, badge = '') {
+  return `<div class="product css-1a2b">
+    <img src="https://shop.test/${slug}.jpg" alt="${name}">
+    <h3><a href="https://shop.test/${slug}">${name}</a></h3>
+    ${badge ? `<span class="badge">${badge}</span>` : ''}
+    <div class="product-price"><span class="label">Price:</span> <span class="amount">${price}</span></div>
+    <button>Add to cart</button>
+  </div>`;
+}
+
+const listing = `<section id="results">
+  <h2>Results</h2>
+  ${productCard('Blue Pen', '$2.50', 'blue-pen', 'Sale')}
+  ${productCard('Red Pen', '$2.75', 'red-pen')}
+  ${productCard('Notebook', '$5.00', 'notebook', 'New')}
+  ${productCard('Stapler', '$9.99', 'stapler')}
+</section>`;
+
+function testRepeatedChildren() {
+  const section = parseHTML(listing).querySelector('#results');
+  const cards = findRepeatedChildren(section);
+  assert.strictEqual(cards.length, 4, 'Optional badge does not break the group; the heading is not a card');
+  assert.ok(shapeSimilarity(shapePaths(cards[0]), shapePaths(cards[1])) >= 0.6);
+  assert.deepStrictEqual(findRepeatedChildren(parseHTML('<div><p>a</p><span>b</span></div>').querySelector('div')), []);
+}
+
+function testCardColumns() {
+  const cards = findRepeatedChildren(parseHTML(listing).querySelector('#results'));
+  const data = parseRepeatedCards(cards);
+  assert.deepStrictEqual(data[0], ['Image', 'Link', 'Title', 'Badge', 'Price']);
+  assert.deepStrictEqual(data[1], ['https://shop.test/blue-pen.jpg', 'https://shop.test/blue-pen', 'Blue Pen', 'Sale', '$2.50']);
+  assert.deepStrictEqual(data[2], ['https://shop.test/red-pen.jpg', 'https://shop.test/red-pen', 'Red Pen', '', '$2.75']);
+  assert.strictEqual(data.length, 5);
+}
+
+function testLists() {
+  const root = parseHTML(`
+    <ul id="plain"><li>Alpha</li><li> Beta  item </li></ul>
+    <ol id="rich">
+      <li><a href="https://jobs.test/1">Engineer</a><span class="job-location">Lima</span></li>
+      <li><a href="https://jobs.test/2">Designer</a><span class="job-location">Quito</span></li>
+    </ol>
+    <dl id="specs">
+      <dt>Weight</dt><dd>1 kg</dd>
+      <div><dt>Colors</dt><dd>Red</dd><dd>Blue</dd></div>
+    </dl>`);
+  assert.deepStrictEqual(parseListElement(root.querySelector('#plain')), [['Item'], ['Alpha'], ['Beta item']]);
+  assert.deepStrictEqual(parseListElement(root.querySelector('#rich')), [
+    ['Link', 'Text', 'Job Location'],
+    ['https://jobs.test/1', 'Engineer', 'Lima'],
+    ['https://jobs.test/2', 'Designer', 'Quito']
+  ]);
+  assert.deepStrictEqual(parseListElement(root.querySelector('#specs')), [['Term', 'Description'], ['Weight', '1 kg'], ['Colors', 'Red; Blue']]);
+  assert.deepStrictEqual(parseListElement(parseHTML('<ul><li>only</li></ul>').querySelector('ul')), []);
+}
+
+function testPageCardRuns() {
+  const root = parseHTML(`
+    <nav><ul><li><a href="/a">A</a></li><li><a href="/b">B</a></li><li><a href="/c">C</a></li></ul></nav>
+    <ul class="links"><li><a href="/x">X</a></li><li><a href="/y">Y</a></li><li><a href="/z">Z</a></li></ul>
+    <main><div class="wrapper">${listing}</div></main>
+    <table><tr><td><div><b>1</b><i>a</i></div><div><b>2</b><i>b</i></div><div><b>3</b><i>c</i></div></td></tr></table>`);
+  const runs = findCardRuns(root, { isExcluded: el => !!el.closest('nav, table') });
+  assert.strictEqual(runs.length, 1, 'Menus, plain link lists and excluded regions are not reported');
+  assert.strictEqual(runs[0].element.getAttribute('id'), 'results');
+  assert.strictEqual(runs[0].data.length, 5);
+  // 4 cards x 5 columns, two cards without badge
+  assert.strictEqual(runs[0].dataDensity, 18 / 20);
+}
+
+module.exports = [
+  { name: 'Card layout - similar siblings are grouped as cards', fn: testRepeatedChildren },
+  { name: 'Card layout - shared sub-paths become named columns', fn: testCardColumns },
+  { name: 'Card layout - ul/ol/dl lists', fn: testLists },
+  { name: 'Card layout - page-wide runs with density, skipping menus', fn: testPageCardRuns }
+];
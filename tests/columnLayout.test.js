@@ -0,0 +1,72 @@
+const assert = require('assert');
+const {
+  createColumnLayout, normalizeColumnLayout, isIdentityColumnLayout, visibleColumns, displayHeaders,
+  moveColumn, setColumnHidden, setColumnDeleted, renameColumn, applyColumnLayout
+} = require('../utils/columnLayout');
+const { TableStateManager } = require('../utils/tableState');
+
+const TABLE = [
+  ['Country', 'Population', 'Area', 'Capital'],
+  ['Chile', '19,500,000', '756,102', 'Santiago'],
+  ['Peru', '33,700,000', '1,285,216', 'Lima']
+];
+
+function testLayoutEdits() {
+  const headers = TABLE[0];
+  let layout = createColumnLayout(4);
+  assert.ok(isIdentityColumnLayout(layout));
+
+  layout = moveColumn(layout, 3, 1);
+  assert.deepStrictEqual(layout.order, [0, 3, 1, 2], 'Capital moved next to Country');
+  layout = setColumnHidden(layout, 2, true);
+  layout = renameColumn(layout, headers, 1, '  Inhabitants ');
+  assert.deepStrictEqual(visibleColumns(layout), [0, 3, 1]);
+  assert.deepStrictEqual(displayHeaders(layout, headers), ['Country', 'Inhabitants', 'Area', 'Capital'], 'Names stay indexed by source column');
+
+  layout = setColumnDeleted(layout, 0, true);
+  layout = moveColumn(layout, 2, 0);
+  assert.deepStrictEqual(layout.order, [0, 2, 3, 1], 'Positions count displayed and hidden columns only');
+  assert.deepStrictEqual(visibleColumns(layout), [3, 1], 'Hidden and deleted columns are not displayed');
+
+  assert.deepStrictEqual(renameColumn(layout, headers, 1, 'Population').names, {}, 'The original name clears the rename');
+  assert.ok(isIdentityColumnLayout(createColumnLayout(2)));
+  assert.ok(!isIdentityColumnLayout(layout));
+}
+
+function testApplyLayout() {
+  let layout = createColumnLayout(4);
+  layout = moveColumn(layout, 3, 0);
+  layout = setColumnDeleted(layout, 2, true);
+  layout = renameColumn(layout, TABLE[0], 1, 'People');
+  assert.deepStrictEqual(applyColumnLayout(TABLE, layout), [
+    ['Capital', 'Country', 'People'],
+    ['Santiago', 'Chile', '19,500,000'],
+    ['Lima', 'Peru', '33,700,000']
+  ]);
+  assert.deepStrictEqual(TABLE[0], ['Country', 'Population', 'Area', 'Capital'], 'Source data is not changed');
+}
+
+function testNormalize() {
+  const stored = { order: [2, 0, 9, 0], hidden: [1, 7], deleted: [], names: { 0: 'Name', 8: 'Gone' } };
+  assert.deepStrictEqual(normalizeColumnLayout(stored, 4), { order: [2, 0, 1, 3], hidden: [1], deleted: [], names: { 0: 'Name' } },
+    'Unknown columns are dropped and new columns (e.g. computed) appended');
+  assert.deepStrictEqual(normalizeColumnLayout(null, 2), createColumnLayout(2));
+}
+
+function testSavedState() {
+  const layout = setColumnHidden(moveColumn(createColumnLayout(4), 3, 0), 1, true);
+  const manager = new TableStateManager('layout_test');
+  const state = JSON.parse(JSON.stringify(manager.generateState({ tableData: TABLE, columnLayout: layout, charts: new Map() })));
+  const restored = { tableData: TABLE, setTheme() {} };
+  manager.applyState(restored, state);
+  assert.deepStrictEqual(restored.columnLayout, layout, 'Workspaces keep the column layout');
+  manager.applyState(restored, { ...state, columnLayout: undefined });
+  assert.strictEqual(restored.columnLayout, null, 'Older workspaces open with the source layout');
+}
+
+module.exports = [
+  { name: 'Column layout: reorder, hide, delete and rename', fn: testLayoutEdits },
+  { name: 'Column layout: displayed grid for exports', fn: testApplyLayout },
+  { name: 'Column layout: stored layouts aligned with the table', fn: testNormalize },
+  { name: 'Column layout: saved with workspaces', fn: testSavedState }
+];
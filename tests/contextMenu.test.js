@@ -0,0 +1,43 @@
+const assert = require('assert');
+const { parseHTML } = require('./helpers/miniDom');
+const { CONTEXT_MENU_ITEMS, findContextTable } = require('../utils/contextMenu');
+const { ARIA_TABLE_SELECTOR } = require('../utils/ariaGrid');
+const { tableToText } = require('../utils/tableText');
+
+// Event.composedPath() stand-in: the target and its ancestors, innermost first
+function pathFrom(element) {
+  const path = [];
+  for (let node = element; node; node = node.parentElement) path.push(node);
+  return path;
+}
+
+function testFindsInnermostTable() {
+  const root = parseHTML(`
+    <table id="outer"><tr><td>
+      <table id="inner"><tr><th>Name</th></tr><tr><td><a id="link">Ada</a></td></tr></table>
+    </td></tr></table>
+    <div role="grid" id="grid"><div role="row"><span id="cell" role="gridcell">1</span></div></div>
+    <p id="text">No table here</p>`);
+  const fromLink = findContextTable(pathFrom(root.querySelector('#link')), ARIA_TABLE_SELECTOR);
+  assert.strictEqual(fromLink.type, 'html');
+  assert.strictEqual(fromLink.element.getAttribute('id'), 'inner', 'Nested tables resolve to the one under the cursor');
+
+  const fromCell = findContextTable(pathFrom(root.querySelector('#cell')), ARIA_TABLE_SELECTOR);
+  assert.deepStrictEqual([fromCell.type, fromCell.element.getAttribute('id')], ['aria-grid', 'grid']);
+
+  assert.strictEqual(findContextTable(pathFrom(root.querySelector('#text')), ARIA_TABLE_SELECTOR), null);
+  assert.strictEqual(findContextTable([], ARIA_TABLE_SELECTOR), null);
+}
+
+function testCopyFormats() {
+  const data = [['Item', 'Note'], ['Desk, oak', 'a|b'], ['Lamp', 'say "hi"']];
+  assert.strictEqual(tableToText(data, 'csv'), 'Item,Note\n"Desk, oak",a|b\nLamp,"say ""hi"""');
+  assert.strictEqual(tableToText(data, 'markdown'), '| Item | Note |\n| --- | --- |\n| Desk, oak | a\\|b |\n| Lamp | say "hi" |');
+  assert.strictEqual(tableToText([['a', 'b'], ['1', '2']], 'tsv'), 'a\tb\n1\t2');
+  assert.deepStrictEqual(CONTEXT_MENU_ITEMS.map(item => item.mode), ['open', 'csv', 'markdown']);
+}
+
+module.exports = [
+  { name: 'Context menu: innermost table or ARIA grid under the cursor', fn: testFindsInnermostTable },
+  { name: 'Context menu: copy as CSV, Markdown and TSV', fn: testCopyFormats }
+];
@@ -0,0 +1,53 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { parseCSV, detectDelimiter, looksLikeCSV } = require('../utils/csvParser');
+const { parseImportedFile } = require('../utils/fileImport');
+
+const FIXTURES = [
+  { input: 'csv-rfc4180-input.csv', expected: 'csv-rfc4180-output-correct.json', delimiter: ',' },
+  { input: 'csv-semicolon-input.csv', expected: 'csv-semicolon-output-correct.json', delimiter: ';' },
+  { input: 'csv-pipe-input.txt', expected: 'csv-pipe-output-correct.json', delimiter: '|' },
+  { input: 'csv-tab-input.tsv', expected: 'csv-tab-output-correct.json', delimiter: '\t' }
+];
+
+function readFixture(name) {
+  return fs.readFileSync(path.join(__dirname, 'examples', name), 'utf8');
+}
+
+function testFixtures() {
+  FIXTURES.forEach(fixture => {
+    const text = readFixture(fixture.input);
+    const expected = JSON.parse(readFixture(fixture.expected));
+    assert.strictEqual(detectDelimiter(text), fixture.delimiter, `${fixture.input}: delimiter`);
+    assert.deepStrictEqual(parseCSV(text), expected, `${fixture.input}: sniffed parse`);
+    assert.deepStrictEqual(parseImportedFile(fixture.input, text).tables[0].data, expected, `${fixture.input}: file import`);
+  });
+}
+
+function testQuotingRules() {
+  assert.deepStrictEqual(parseCSV('a,"b ""quoted"" c",d', ','), [['a', 'b "quoted" c', 'd']], 'Escaped quotes');
+  assert.deepStrictEqual(parseCSV('"multi\nline",x\ny,z', ','), [['multi\nline', 'x'], ['y', 'z']], 'Line breaks inside quotes stay in the field');
+  assert.deepStrictEqual(parseCSV('5" disk,3', ','), [['5" disk', '3']], 'Quotes inside unquoted fields are literal');
+  assert.deepStrictEqual(parseCSV('a,b,\n1,2,', ','), [['a', 'b', ''], ['1', '2', '']], 'Trailing delimiter is an empty cell');
+  assert.deepStrictEqual(parseCSV('"unterminated,x\ny', ','), [['unterminated,x\ny']], 'An unterminated quote runs to the end');
+  assert.deepStrictEqual(parseCSV(''), []);
+}
+
+function testDetection() {
+  assert.strictEqual(detectDelimiter('"a,b";c\n"d,e";f\n"g,h";i'), ';', 'Delimiters inside quotes are ignored');
+  assert.strictEqual(detectDelimiter('"x\ny",1\n"z\nw",2'), ',', 'Multi-line fields count as one record');
+  assert.ok(looksLikeCSV('name;age\nAna;30\nBo;25'), 'Semicolons are accepted (not only commas)');
+  assert.ok(looksLikeCSV('"Line\none",2\n"Line\ntwo",3'));
+  assert.ok(!looksLikeCSV('Hello, world. This is prose.'), 'One record is not a table');
+  assert.ok(!looksLikeCSV('Total  1,234\nCount  12\nMean   5'), 'A thousands separator in one line is not a delimiter');
+  assert.ok(!looksLikeCSV('| Name | Age |\n|------|-----|\n| Ana  | 30  |\n| Bo   | 25  |'), 'Markdown pipe tables are not CSV');
+  assert.ok(!looksLikeCSV('Name | Age | City\n--- | --- | ---\nAna | 30 | Lima'), 'Also without outer pipes');
+  assert.ok(looksLikeCSV('host|status\nweb-1|up\ndb-1|down'), 'Pipe-delimited text without a separator row is');
+}
+
+module.exports = [
+  { name: 'CSV parser - fixtures (BOM, CRLF, multi-line, ; | tab)', fn: testFixtures },
+  { name: 'CSV parser - RFC 4180 quoting', fn: testQuotingRules },
+  { name: 'CSV parser - delimiter and table detection', fn: testDetection }
+];
@@ -0,0 +1,71 @@
+const assert = require('assert');
+const { parseHTML } = require('./helpers/miniDom');
+const {
+  collectSearchRoots, deepQuerySelectorAll, elementLocation, resolveLocation, describeLocation
+} = require('../utils/deepDom');
+
+// Attach an open shadow root (nodeType 11 with a host) to an element
+function attachShadow(host, html) {
+  const shadow = parseHTML(html);
+  shadow.nodeType = 11;
+  shadow.host = host;
+  host.shadowRoot = shadow;
+  return shadow;
+}
+
+// Give an iframe a same-origin document whose window knows its frame element
+function attachFrameDocument(frame, html) {
+  const doc = parseHTML(html);
+  doc.nodeType = 9;
+  doc.defaultView = { frameElement: frame };
+  frame.contentDocument = doc;
+  return doc;
+}
+
+function buildPage() {
+  const doc = parseHTML(`
+    <table id="top"><tr><th>A</th></tr><tr><td>1</td></tr></table>
+    <report-card></report-card>
+    <report-card></report-card>
+    <iframe src="https://other.example/embed"></iframe>
+    <iframe src="/report"></iframe>`);
+  const [firstCard, secondCard] = doc.querySelectorAll('report-card');
+  attachShadow(firstCard, '<p>No data</p>');
+  const shadow = attachShadow(secondCard, '<table id="in-shadow"><tr><th>B</th></tr><tr><td>2</td></tr></table>');
+  const [crossOrigin, sameOrigin] = doc.querySelectorAll('iframe');
+  crossOrigin.contentDocument = null; // cross-origin: not accessible
+  const frameDoc = attachFrameDocument(sameOrigin, '<data-grid></data-grid>');
+  const frameShadow = attachShadow(frameDoc.querySelector('data-grid'), '<table id="in-frame-shadow"><tr><th>C</th></tr><tr><td>3</td></tr></table>');
+  return { doc, shadow, frameDoc, frameShadow };
+}
+
+function testDeepQuery() {
+  const { doc, shadow, frameDoc, frameShadow } = buildPage();
+  const roots = collectSearchRoots(doc);
+  assert.strictEqual(roots.length, 5, 'Document, two shadow roots, the same-origin frame and its shadow root');
+  assert.ok(roots.includes(shadow) && roots.includes(frameDoc) && roots.includes(frameShadow));
+  assert.deepStrictEqual(deepQuerySelectorAll(doc, 'table').map(table => table.id), ['top', 'in-shadow', 'in-frame-shadow']);
+}
+
+function testLocationPaths() {
+  const { doc } = buildPage();
+  const [top, inShadow, inFrameShadow] = deepQuerySelectorAll(doc, 'table');
+  assert.deepStrictEqual(elementLocation(top), []);
+  assert.deepStrictEqual(elementLocation(inShadow), [{ type: 'shadow', host: 'report-card', index: 1 }]);
+  const framePath = elementLocation(inFrameShadow);
+  assert.deepStrictEqual(framePath, [
+    { type: 'frame', index: 1 },
+    { type: 'shadow', host: 'data-grid', index: 0 }
+  ], 'Frame index counts every iframe, including cross-origin ones');
+  assert.strictEqual(describeLocation(framePath), 'iframe 2 › data-grid');
+  assert.strictEqual(describeLocation([]), '');
+
+  // The path leads back to the root holding the table
+  assert.strictEqual(resolveLocation(doc, framePath).querySelector('table'), inFrameShadow);
+  assert.strictEqual(resolveLocation(doc, [{ type: 'frame', index: 0 }]), null, 'Cross-origin frames cannot be resolved');
+}
+
+module.exports = [
+  { name: 'Deep DOM: tables in shadow roots and same-origin frames', fn: testDeepQuery },
+  { name: 'Deep DOM: frame and shadow paths', fn: testLocationPaths }
+];
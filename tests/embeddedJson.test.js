@@ -0,0 +1,89 @@
+const assert = require('assert');
+const { parseHTML } = require('./helpers/miniDom');
+const {
+  isHomogeneousRecordArray, findRecordArrays, flattenRecord, recordsToTable,
+  parseStateAssignments, parseScriptData, extractMicrodataGroups, embeddedJsonTables
+} = require('../utils/embeddedJson');
+
+function testJsonLdItemList() {
+  const root = parseHTML(`<script type="application/ld+json">{
+    "@context": "https://schema.org",
+    "@type": "ItemList",
+    "itemListElement": [
+      { "@type": "ListItem", "position": 1, "item": { "@type": "Product", "name": "Desk lamp", "offers": { "price": "24.99", "priceCurrency": "USD" } } },
+      { "@type": "ListItem", "position": 2, "item": { "@type": "Product", "name": "Monitor arm", "offers": { "price": "89.00", "priceCurrency": "USD" } } }
+    ]
+  }</script>`);
+  const tables = embeddedJsonTables(parseScriptData(root.querySelector('script')));
+  assert.strictEqual(tables.length, 1);
+  assert.strictEqual(tables[0].name, 'JSON-LD › itemListElement');
+  assert.deepStrictEqual(tables[0].data, [
+    ['@type', 'position', 'item.@type', 'item.name', 'item.offers.price', 'item.offers.priceCurrency'],
+    ['ListItem', '1', 'Product', 'Desk lamp', '24.99', 'USD'],
+    ['ListItem', '2', 'Product', 'Monitor arm', '89.00', 'USD']
+  ], 'Nested objects become dotted columns');
+}
+
+function testNextDataAndState() {
+  const nextData = parseHTML(`<script id="__NEXT_DATA__" type="application/json">{
+    "props": { "pageProps": { "title": "Rankings", "teams": [
+      { "rank": 1, "team": "Ajax", "points": 64, "form": ["W", "W", "D"] },
+      { "rank": 2, "team": "PSV", "points": 61, "form": ["W", "L", "W"] }
+    ] } }
+  }</script>`).querySelector('script');
+  const [table] = embeddedJsonTables(parseScriptData(nextData));
+  assert.strictEqual(table.name, '__NEXT_DATA__ › props.pageProps.teams');
+  assert.deepStrictEqual(table.data[1], ['1', 'Ajax', '64', 'W, W, D'], 'Lists of plain values are joined');
+
+  const state = parseStateAssignments('window.__INITIAL_STATE__ = {"orders":[{"id":7,"total":"12.50"},{"id":8,"total":"3.20"}]}; var config = {debug: true};');
+  assert.deepStrictEqual(state.map(entry => entry.name), ['__INITIAL_STATE__']);
+  assert.deepStrictEqual(findRecordArrays(state[0].value).map(found => found.path), ['orders']);
+
+  const plainScript = parseHTML('<script>var appState = {ready: true};</script>').querySelector('script');
+  assert.deepStrictEqual(parseScriptData(plainScript), [], 'Object literals that are not JSON are skipped');
+}
+
+function testHomogeneity() {
+  assert.strictEqual(isHomogeneousRecordArray([{ a: 1, b: 2 }, { a: 3, b: 4, c: 5 }]), true);
+  assert.strictEqual(isHomogeneousRecordArray([{ a: 1, b: 2 }, { x: 1, y: 2 }]), false, 'Records must share keys');
+  assert.strictEqual(isHomogeneousRecordArray([{ a: 1, b: 2 }, 'text', 3]), false, 'Mostly objects');
+  assert.strictEqual(isHomogeneousRecordArray([{ a: 1, b: 2 }]), false, 'At least two records');
+
+  assert.deepStrictEqual(flattenRecord({ '@context': 'https://schema.org', name: 'A', tags: [{ id: 1 }], empty: {} }),
+    { name: 'A', tags: '[{"id":1}]', empty: '{}' }, 'Lists of objects are kept as JSON; @context is dropped');
+  assert.deepStrictEqual(recordsToTable([{ a: '1', b: null }, { a: '2', b: '' }]), [['a'], ['1'], ['2']],
+    'Columns empty in every record are dropped');
+}
+
+function testMicrodata() {
+  const root = parseHTML(`
+    <div itemscope itemtype="https://schema.org/Product">
+      <h2 itemprop="name">Trail shoe</h2>
+      <a itemprop="url" href="/p/trail">View</a>
+      <div itemprop="offers" itemscope itemtype="https://schema.org/Offer">
+        <meta itemprop="price" content="120.00"><span itemprop="priceCurrency">EUR</span>
+      </div>
+    </div>
+    <div itemscope itemtype="https://schema.org/Product">
+      <h2 itemprop="name">Road shoe</h2>
+      <a itemprop="url" href="/p/road">View</a>
+      <div itemprop="offers" itemscope itemtype="https://schema.org/Offer">
+        <meta itemprop="price" content="95.00"><span itemprop="priceCurrency">EUR</span>
+      </div>
+    </div>`);
+  const groups = extractMicrodataGroups(root);
+  assert.strictEqual(groups.length, 1, 'Nested items are part of their parent');
+  assert.strictEqual(groups[0].type, 'Product');
+  assert.deepStrictEqual(recordsToTable(groups[0].records), [
+    ['@type', 'name', 'url', 'offers.@type', 'offers.price', 'offers.priceCurrency'],
+    ['Product', 'Trail shoe', '/p/trail', 'Offer', '120.00', 'EUR'],
+    ['Product', 'Road shoe', '/p/road', 'Offer', '95.00', 'EUR']
+  ]);
+}
+
+module.exports = [
+  { name: 'Embedded JSON: JSON-LD item list flattened to dotted columns', fn: testJsonLdItemList },
+  { name: 'Embedded JSON: __NEXT_DATA__ and inline state assignments', fn: testNextDataAndState },
+  { name: 'Embedded JSON: homogeneous arrays and flattening rules', fn: testHomogeneity },
+  { name: 'Embedded JSON: microdata items grouped by type', fn: testMicrodata }
+];
@@ -1,26 +1,6 @@
 // Tests for export formats (CSV, TSV, Markdown, XLSX)
-// We test the pure transformation logic by replicating the logic from exportData
-// while ensuring any change in implementation will be caught if logic diverges.
-
-function toDelimited(data, separator) {
-  return data.map(row => row.map(cell => {
-    const cellStr = (cell || '').toString();
-    if (cellStr.includes(separator) || cellStr.includes('"') || cellStr.includes('\n')) {
-      return `"${cellStr.replace(/"/g, '""')}"`;
-    }
-    return cellStr;
-  }).join(separator)).join('\n');
-}
-
-function toMarkdown(data) {
-  const headers = data[0];
-  const rows = data.slice(1);
-  const escapeCell = (v) => (v == null ? '' : v.toString()).replace(/\|/g,'\\|').replace(/\r?\n/g,' ');
-  const headerLine = `| ${headers.map(escapeCell).join(' | ')} |`;
-  const alignLine = `| ${headers.map(()=>'---').join(' | ')} |`;
-  const rowLines = rows.map(r => `| ${r.map(escapeCell).join(' | ')} |`);
-  return [headerLine, alignLine, ...rowLines].join('\n');
-}
+// CSV/TSV and Markdown text come from utils/tableText.js, which the viewer exports use.
+const { toDelimitedText: toDelimited, toMarkdownTable: toMarkdown } = require('../utils/tableText');
 
 function validateXLSXData(data) {
   // Validate data structure for XLSX compatibility
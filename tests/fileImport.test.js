@@ -0,0 +1,78 @@
+const assert = require('assert');
+const XLSX = require('../libs/xlsx.full.min.js');
+const { parseCSV, detectDelimiter } = require('../utils/csvParser');
+const { parseJSONRecords, parseImportedFile, storeImportTransfer } = require('../utils/fileImport');
+
+function testDelimiterSniffing() {
+  assert.strictEqual(detectDelimiter('name;price\nPen;2,50\nInk;1,00'), ';', 'Decimal commas must not win over semicolons');
+  assert.strictEqual(detectDelimiter('a\tb\tc\n1\t2\t3'), '\t');
+  assert.strictEqual(detectDelimiter('a|b\n1|2\n3|4'), '|');
+  assert.strictEqual(detectDelimiter('"Doe, John",42\n"Roe, Jane",37'), ',', 'Quoted commas are counted once per line');
+  assert.strictEqual(detectDelimiter('just one column\nof text'), ',', 'Falls back to comma');
+  assert.deepStrictEqual(parseCSV('a;b\n1;"x;y"', ';'), [['a', 'b'], ['1', 'x;y']]);
+}
+
+function testDelimitedFiles() {
+  const csv = parseImportedFile('sales.csv', '\uFEFFRegion;Units\r\nNorth;12\r\nSouth;7\r\n');
+  assert.strictEqual(csv.fileName, 'sales.csv');
+  assert.strictEqual(csv.tables.length, 1);
+  assert.strictEqual(csv.tables[0].type, 'csv');
+  assert.deepStrictEqual(csv.tables[0].data, [['Region', 'Units'], ['North', '12'], ['South', '7']], 'BOM and CR are stripped');
+
+  const tsv = parseImportedFile('sales.tsv', 'Region\tNote\nNorth\ta, b\n');
+  assert.strictEqual(tsv.tables[0].type, 'tsv');
+  assert.deepStrictEqual(tsv.tables[0].data, [['Region', 'Note'], ['North', 'a, b']], '.tsv always splits on tabs');
+
+  assert.strictEqual(parseImportedFile('data.txt', 'a\tb\n1\t2').tables[0].type, 'tsv', 'Sniffed tabs in a .txt file');
+  assert.throws(() => parseImportedFile('empty.csv', '  \n'), /does not contain any rows/);
+  assert.throws(() => parseImportedFile('slides.pptx', ''), /Unsupported file type: \.pptx/);
+}
+
+function testJsonRecords() {
+  const records = [
+    { id: 1, name: 'Pen', tags: ['blue'], price: null },
+    { id: 2, name: 'Ink', stock: true }
+  ];
+  assert.deepStrictEqual(parseJSONRecords(records), [
+    ['id', 'name', 'tags', 'price', 'stock'],
+    ['1', 'Pen', '["blue"]', '', ''],
+    ['2', 'Ink', '', '', 'true']
+  ]);
+  const wrapped = parseImportedFile('api.json', JSON.stringify({ total: 2, items: records }));
+  assert.strictEqual(wrapped.tables[0].type, 'json');
+  assert.strictEqual(wrapped.tables[0].data.length, 3, 'Record arrays under a top-level key are found');
+  assert.throws(() => parseImportedFile('list.json', '[1, 2, 3]'), /array of objects/);
+  assert.throws(() => parseImportedFile('bad.json', '{"a":'), /Invalid JSON/);
+}
+
+function testWorkbookSheets() {
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([['Region', 'Units'], ['North', 12], ['South', 7]]), 'Sales');
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([]), 'Empty');
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([['Name'], ['Ana', 'extra'], [], ['Bo']]), 'People');
+  const bytes = new Uint8Array(XLSX.write(workbook, { type: 'array', bookType: 'xlsx' }));
+
+  const result = parseImportedFile('report.xlsx', bytes, XLSX);
+  assert.deepStrictEqual(result.tables.map(t => t.name), ['Sales', 'People'], 'Every non-empty sheet is imported');
+  assert.ok(result.tables.every(t => t.type === 'xlsx'));
+  assert.deepStrictEqual(result.tables[0].data, [['Region', 'Units'], ['North', '12'], ['South', '7']]);
+  assert.deepStrictEqual(result.tables[1].data, [['Name', ''], ['Ana', 'extra'], ['Bo', '']], 'Blank rows dropped, rows padded');
+  assert.throws(() => parseImportedFile('report.xlsx', bytes), /Spreadsheet support/);
+}
+
+function testImportTransfer() {
+  const store = new Map();
+  const storage = { setItem: (key, value) => store.set(key, value) };
+  const imported = parseImportedFile('a.csv', 'x,y\n1,2');
+  const key = storeImportTransfer(storage, imported, 1);
+  assert.ok(key.startsWith('tableLens_transfer_'), 'Uses the viewer transfer key format');
+  assert.deepStrictEqual(JSON.parse(store.get(key)), { imported, tableIndex: 1 });
+}
+
+module.exports = [
+  { name: 'File import - delimiter sniffing', fn: testDelimiterSniffing },
+  { name: 'File import - CSV/TSV files', fn: testDelimitedFiles },
+  { name: 'File import - JSON arrays of objects', fn: testJsonRecords },
+  { name: 'File import - every XLSX sheet', fn: testWorkbookSheets },
+  { name: 'File import - viewer transfer payload', fn: testImportTransfer }
+];
@@ -0,0 +1,73 @@
+const assert = require('assert');
+const {
+  detectFixedWidthColumns, buildFixedWidthRows, columnsFromBoundaries, parseFixedWidth, looksLikeFixedWidth
+} = require('../utils/textTables');
+const { parseImportedFile } = require('../utils/fileImport');
+
+const report = [
+  'Region        Units    Revenue',
+  '------------  -----  ---------',
+  'North            12     340.00',
+  'South West        7   1,250.50',
+  'East            150      90.00'
+].join('\n');
+
+function testRightAlignedNumbers() {
+  assert.deepStrictEqual(detectFixedWidthColumns(report), [
+    { start: 0, end: 10 }, { start: 14, end: 19 }, { start: 22, end: 30 }
+  ], 'Left-aligned headers and right-aligned numbers share a column');
+  assert.deepStrictEqual(parseFixedWidth(report), [
+    ['Region', 'Units', 'Revenue'],
+    ['North', '12', '340.00'],
+    ['South West', '7', '1,250.50'],
+    ['East', '150', '90.00']
+  ], 'Ruler lines are dropped and spaces inside cells are kept');
+}
+
+function testWrappedCells() {
+  const text = [
+    'ID  Description          Qty',
+    '1   Blue ballpoint pen   10',
+    '    with cap',
+    '2   Ink refill           4'
+  ].join('\n');
+  assert.deepStrictEqual(parseFixedWidth(text), [
+    ['ID', 'Description', 'Qty'],
+    ['1', 'Blue ballpoint pen with cap', '10'],
+    ['2', 'Ink refill', '4']
+  ]);
+}
+
+function testContinuousRulerAndTabs() {
+  const text = 'Name\tScore\n====================\nAna\t10\nBo\t7';
+  assert.deepStrictEqual(parseFixedWidth(text), [['Name', 'Score'], ['Ana', '10'], ['Bo', '7']], 'Tabs expand to aligned columns; full-width rulers do not bridge gutters');
+}
+
+function testBoundaryAdjustment() {
+  const columns = columnsFromBoundaries([14, 0, 14, 22]);
+  assert.deepStrictEqual(columns.map(c => c.start), [0, 14, 22], 'Boundaries are deduplicated and sorted');
+  const merged = buildFixedWidthRows(report, columnsFromBoundaries([14]));
+  assert.deepStrictEqual(merged[1], ['North', '12     340.00'], 'Removing a boundary merges columns');
+  const split = buildFixedWidthRows(report, columnsFromBoundaries([6, 14, 22]));
+  assert.deepStrictEqual(split[2], ['South', 'West', '7', '1,250.50'], 'Adding a boundary splits a column');
+}
+
+function testDetection() {
+  assert.ok(looksLikeFixedWidth(report));
+  assert.ok(!looksLikeFixedWidth('First paragraph of prose text.\nSecond line of the paragraph,\nand a third one.'), 'Prose is not a table');
+  assert.ok(!looksLikeFixedWidth('function add(a, b) {\n  return a + b;\n}'), 'Code is not a table');
+  assert.ok(!looksLikeFixedWidth('| a | b |\n|---|---|\n| 1 | 2 |'), 'Markdown tables are handled by the markdown parser');
+
+  const imported = parseImportedFile('report.txt', report);
+  assert.strictEqual(imported.tables[0].type, 'fixed-width', 'Aligned .txt files import as fixed-width tables');
+  assert.strictEqual(imported.tables[0].fixedWidth.text, report);
+  assert.strictEqual(imported.tables[0].data.length, 4);
+}
+
+module.exports = [
+  { name: 'Fixed-width - right-aligned numbers and ruler lines', fn: testRightAlignedNumbers },
+  { name: 'Fixed-width - wrapped cells join the row above', fn: testWrappedCells },
+  { name: 'Fixed-width - tabs and full-width rulers', fn: testContinuousRulerAndTabs },
+  { name: 'Fixed-width - boundary adjustment', fn: testBoundaryAdjustment },
+  { name: 'Fixed-width - detection and .txt import', fn: testDetection }
+];
@@ -0,0 +1,100 @@
+const assert = require('assert');
+const { FormulaError, compileFormula, computeFormulaColumn, addComputedColumn } = require('../utils/formula');
+const { TableStateManager } = require('../utils/tableState');
+
+const SALES = [
+  ['Region', 'Unit price', 'Qty', 'Order date'],
+  ['North', '$1,200.50', '3', '2024-01-15'],
+  ['South', '$800', '0', '15/02/2024'],
+  ['East', '', '2', '2024-03-01']
+];
+const OPTIONS = { columnTypes: ['categorical', 'money', 'numeric', 'date'] };
+
+function values(formula, table = SALES, options = OPTIONS) {
+  return computeFormulaColumn(table, formula, options).values;
+}
+
+function testArithmeticAndReferences() {
+  assert.deepStrictEqual(values('[Unit price] * Qty'), ['3601.5', '0', ''], 'Blank cells stay blank');
+  assert.deepStrictEqual(values('=qty + 1'), ['4', '1', '3'], 'Bare names match headers case-insensitively');
+  assert.deepStrictEqual(values('0.1 + 0.2'), ['0.3', '0.3', '0.3'], 'Floating point noise is dropped');
+  assert.deepStrictEqual(values('-2^2 + 10 % 4'), ['-2', '-2', '-2']);
+  assert.deepStrictEqual(values('(Qty > 1) & "|" & (Region = "north")'), ['TRUE|TRUE', 'FALSE|FALSE', 'TRUE|FALSE']);
+}
+
+function testFunctionsAndAggregates() {
+  assert.deepStrictEqual(values('IF(Qty > 0, ROUND([Unit price] / Qty, 2), "n/a")'), ['400.17', 'n/a', '']);
+  assert.deepStrictEqual(values('ROUND(100 * [Unit price] / SUM([Unit price]), 1)'), ['60', '40', ''], 'SUM of a column uses every row');
+  assert.deepStrictEqual(values('COUNT([Unit price]) & "/" & MAX(Qty, 1)'), ['2/3', '2/1', '2/2']);
+  assert.deepStrictEqual(values('IFERROR((Qty - PREV(Qty)) / PREV(Qty), "-")'), ['', '-1', '-'], 'PREV reads the row above');
+  assert.deepStrictEqual(values('CONCAT(ROWNUM(), ":", UPPER(LEFT(Region, 3)), LEN(TRIM("  a  b ")))'), ['1:NOR3', '2:SOU3', '3:EAS3']);
+  assert.deepStrictEqual(values('YEAR([Order date]) & "-" & MONTH([Order date])'), ['2024-1', '2024-2', '2024-3'], 'dd/mm/yyyy dates are read');
+  assert.deepStrictEqual(values('DATEDIFF([Order date], DATE(2024, 1, 1))'), ['14', '45', '60']);
+  assert.deepStrictEqual(values('ADDDAYS([Order date], 30)'), ['2024-02-14', '2024-03-16', '2024-03-31'], 'Dates are written as yyyy-mm-dd');
+  assert.deepStrictEqual(values('DATE(Year, Month, 1)', [['Year', 'Month'], ['2024', '2'], ['', '3']], { columnTypes: ['numeric', 'numeric'] }),
+    ['2024-02-01', ''], 'DATE with a blank part is blank');
+}
+
+function testComparisons() {
+  const codes = [['Code'], ['1.2.3'], ['..'], ['007'], ['$5'], ['']];
+  const options = { columnTypes: ['categorical'] };
+  assert.deepStrictEqual(values('Code = "1.2.3"', codes, options), ['TRUE', 'FALSE', 'FALSE', 'FALSE', 'FALSE'], 'Version-like text compares as text');
+  assert.deepStrictEqual(values('Code = 7', codes, options), ['FALSE', 'FALSE', 'TRUE', 'FALSE', 'FALSE'], 'Numeric text compares as a number');
+  assert.deepStrictEqual(values('Code > 4', codes, options), ['FALSE', 'FALSE', 'TRUE', 'TRUE', 'FALSE']);
+}
+
+function testErrors() {
+  const result = computeFormulaColumn(SALES, '[Unit price] / Qty', OPTIONS);
+  assert.deepStrictEqual(result.values, ['400.1666666667', '#DIV/0!', '']);
+  assert.strictEqual(result.errorCount, 1);
+  assert.strictEqual(result.firstError, 'Row 2: Division by zero');
+  assert.deepStrictEqual(values('Region * 2'), ['#VALUE!', '#VALUE!', '#VALUE!'], 'Text is not silently treated as zero');
+
+  const parseError = (formula) => {
+    try {
+      compileFormula(formula, SALES[0]);
+    } catch (e) {
+      assert.ok(e instanceof FormulaError, formula);
+      return e;
+    }
+    assert.fail(`"${formula}" should not parse`);
+  };
+  assert.strictEqual(parseError('Price * 2').position, 0, 'Unknown columns are reported');
+  assert.ok(/Unknown function EVAL/.test(parseError('EVAL("1")').message));
+  assert.ok(/IF takes 2-3/.test(parseError('IF(Qty)').message));
+  assert.ok(/ends too early/.test(parseError('Qty +').message));
+  assert.ok(/Unclosed/.test(parseError('"abc').message));
+  assert.ok(/nested too deeply/.test(parseError('-'.repeat(100) + '1').message));
+  assert.ok(/empty/.test(parseError(' = ').message));
+}
+
+function testAddColumnAndState() {
+  const parse = (value) => parseFloat(String(value).replace(/\./g, '').replace(',', '.'));
+  const european = [['Item', 'Net'], ['A', '1.234,50'], ['B', '10,00']];
+  const result = addComputedColumn(european, 'Gross', 'Net * 1.2', { columnTypes: ['categorical', 'numeric'], parseNumber: parse });
+  assert.deepStrictEqual(result.tableData, [['Item', 'Net', 'Gross'], ['A', '1.234,50', '1481.4'], ['B', '10,00', '12']], 'The viewer parser reads numeric cells');
+  assert.strictEqual(european[0].length, 2, 'The input table is not changed');
+
+  const manager = new TableStateManager('formula_test');
+  const viewer = {
+    tableData: result.tableData,
+    columnTypes: ['categorical', 'numeric', 'numeric'],
+    columnStats: ['count', 'count', 'count'],
+    computedColumns: [{ column: 2, name: 'Gross', formula: 'Net * 1.2' }],
+    charts: new Map(),
+    setTheme() {}
+  };
+  const state = JSON.parse(JSON.stringify(manager.generateState(viewer)));
+  assert.deepStrictEqual(state.computedColumns, viewer.computedColumns);
+  const restored = { tableData: state.tableData, computedColumns: [], setTheme() {} };
+  manager.applyState(restored, state);
+  assert.deepStrictEqual(restored.computedColumns, viewer.computedColumns, 'Formulas are restored with a workspace');
+}
+
+module.exports = [
+  { name: 'Formula: arithmetic, comparisons and column references', fn: testArithmeticAndReferences },
+  { name: 'Formula: IF, text, date functions and column aggregates', fn: testFunctionsAndAggregates },
+  { name: 'Formula: numbers and text in comparisons', fn: testComparisons },
+  { name: 'Formula: row errors and parse errors', fn: testErrors },
+  { name: 'Formula: computed column appended and kept in saved state', fn: testAddColumnAndState }
+];
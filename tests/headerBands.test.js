@@ -0,0 +1,85 @@
+const assert = require('assert');
+const { parseHTML } = require('./helpers/miniDom');
+const { detectHeaderBand, compositeHeaderNames, applyHeaderBand, remapHeaderHierarchy, buildHeaderedSheetRows } = require('../utils/headerBands');
+const { parseHTMLTable } = require('../utils/tableNesting');
+
+const quarterly = `
+  <table>
+    <thead>
+      <tr><th rowspan="2">Region</th><th colspan="2">2023</th><th colspan="2">2024</th></tr>
+      <tr><th>Q1</th><th>Q2</th><th>Q1</th><th>Q2</th></tr>
+    </thead>
+    <tbody>
+      <tr><td>North</td><td>1</td><td>2</td><td>3</td><td>4</td></tr>
+      <tr><td>South</td><td>5</td><td>6</td><td>7</td><td>8</td></tr>
+    </tbody>
+  </table>`;
+
+function testCompositeNames() {
+  const table = parseHTML(quarterly).querySelector('table');
+  const hierarchy = detectHeaderBand(table);
+  assert.strictEqual(hierarchy.depth, 2);
+  const data = applyHeaderBand(parseHTMLTable(table), hierarchy);
+  assert.deepStrictEqual(data[0], ['Region', '2023 · Q1', '2023 · Q2', '2024 · Q1', '2024 · Q2']);
+  assert.deepStrictEqual(data[1], ['North', '1', '2', '3', '4']);
+  assert.strictEqual(data.length, 3);
+}
+
+function testThreeLevelsWithoutRowspan() {
+  const table = parseHTML(`
+    <table>
+      <tr><th>Item</th><th colspan="4">Sales</th></tr>
+      <tr><th></th><th colspan="2">EU</th><th colspan="2">US</th></tr>
+      <tr><th></th><th>Units</th><th>Revenue</th><th>Units</th><th>Revenue</th></tr>
+      <tr><td>Pen</td><td>1</td><td>2</td><td>3</td><td>4</td></tr>
+    </table>`).querySelector('table');
+  const hierarchy = detectHeaderBand(table);
+  assert.strictEqual(hierarchy.depth, 3);
+  assert.deepStrictEqual(compositeHeaderNames(hierarchy, 5), ['Item', 'Sales · EU · Units', 'Sales · EU · Revenue', 'Sales · US · Units', 'Sales · US · Revenue']);
+  const item = hierarchy.cells.find(cell => cell.label === 'Item');
+  assert.strictEqual(item.rowSpan, 3, 'Label without cells below spans the whole band');
+}
+
+function testSingleHeaderIsNotABand() {
+  const plain = parseHTML('<table><tr><th>A</th><th>B</th></tr><tr><td>1</td><td>2</td></tr></table>').querySelector('table');
+  assert.strictEqual(detectHeaderBand(plain), null);
+  // Two header rows without grouping (e.g. a units row) are left alone
+  const units = parseHTML('<table><tr><th>Speed</th><th>Mass</th></tr><tr><th>m/s</th><th>kg</th></tr><tr><td>1</td><td>2</td></tr></table>').querySelector('table');
+  assert.strictEqual(detectHeaderBand(units), null);
+}
+
+function testRemapAfterColumnCleanup() {
+  const hierarchy = detectHeaderBand(parseHTML(quarterly).querySelector('table'));
+  // Drop source column 2 (2023 · Q2)
+  const remapped = remapHeaderHierarchy(hierarchy, [0, 1, 3, 4]);
+  assert.deepStrictEqual(compositeHeaderNames(remapped, 4), ['Region', '2023 · Q1', '2024 · Q1', '2024 · Q2']);
+  assert.strictEqual(remapHeaderHierarchy(hierarchy, null), hierarchy);
+}
+
+function testHeaderedSheetRows() {
+  const table = parseHTML(quarterly).querySelector('table');
+  const hierarchy = detectHeaderBand(table);
+  const data = applyHeaderBand(parseHTMLTable(table), hierarchy);
+  // A column added in the viewer after the hierarchy was built
+  const extended = data.map((row, i) => [...row, i === 0 ? 'Note' : 'x']);
+  const sheet = buildHeaderedSheetRows(extended, hierarchy);
+  assert.strictEqual(sheet.headerOffset, 1);
+  assert.deepStrictEqual(sheet.rows[0], ['Region', '2023', '', '2024', '', 'Note']);
+  assert.deepStrictEqual(sheet.rows[1], ['', 'Q1', 'Q2', 'Q1', 'Q2', '']);
+  assert.deepStrictEqual(sheet.rows[2], ['North', '1', '2', '3', '4', 'x']);
+  assert.deepStrictEqual(sheet.merges, [
+    { s: { r: 0, c: 0 }, e: { r: 1, c: 0 } },
+    { s: { r: 0, c: 1 }, e: { r: 0, c: 2 } },
+    { s: { r: 0, c: 3 }, e: { r: 0, c: 4 } },
+    { s: { r: 0, c: 5 }, e: { r: 1, c: 5 } }
+  ]);
+  assert.deepStrictEqual(buildHeaderedSheetRows(extended, null), { rows: extended, merges: [], headerOffset: 0 });
+}
+
+module.exports = [
+  { name: 'Header bands - colspan groups become composite names', fn: testCompositeNames },
+  { name: 'Header bands - three levels and labels without rowspan', fn: testThreeLevelsWithoutRowspan },
+  { name: 'Header bands - single header rows are left alone', fn: testSingleHeaderIsNotABand },
+  { name: 'Header bands - hierarchy follows empty column cleanup', fn: testRemapAfterColumnCleanup },
+  { name: 'Header bands - XLSX header rows with merged cells', fn: testHeaderedSheetRows }
+];
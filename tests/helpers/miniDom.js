@@ -0,0 +1,251 @@
+/**
+ * Minimal DOM builder for Node tests.
+ * Parses a small HTML string into element objects exposing the subset of the DOM API
+ * used by the utils under test (querySelectorAll, closest, getAttribute, textContent, ...).
+ * Supported selectors: tag, #id, .class, [attr], [attr="value"], compound forms of those,
+ * comma-separated lists and the descendant combinator (space).
+ */
+
+const VOID_TAGS = new Set(['br', 'hr', 'img', 'input', 'meta', 'link', 'col', 'source', 'wbr']);
+
+class MiniText {
+  constructor(text) {
+    this.nodeType = 3;
+    this.textContent = text;
+    this.parentNode = null;
+  }
+}
+
+class MiniElement {
+  constructor(tagName, attributes = {}) {
+    this.nodeType = 1;
+    this.tagName = tagName.toUpperCase();
+    this.localName = tagName.toLowerCase();
+    this.attributes = attributes;
+    this.childNodes = [];
+    this.parentNode = null;
+    this.style = {};
+    this.shadowRoot = null;
+  }
+
+  get children() {
+    return this.childNodes.filter(n => n.nodeType === 1);
+  }
+
+  get parentElement() {
+    return this.parentNode && this.parentNode.nodeType === 1 ? this.parentNode : null;
+  }
+
+  get previousElementSibling() {
+    if (!this.parentNode) return null;
+    const siblings = this.parentNode.children;
+    const index = siblings.indexOf(this);
+    return index > 0 ? siblings[index - 1] : null;
+  }
+
+  get id() {
+    return this.attributes.id || '';
+  }
+
+  get className() {
+    return this.attributes.class || '';
+  }
+
+  get classList() {
+    const classes = (this.attributes.class || '').split(/\s+/).filter(Boolean);
+    return {
+      contains: (c) => classes.includes(c),
+      add: (c) => { if (!classes.includes(c)) classes.push(c); this.attributes.class = classes.join(' '); },
+      remove: (c) => { this.attributes.class = classes.filter(x => x !== c).join(' '); },
+      length: classes.length,
+      [Symbol.iterator]: () => classes[Symbol.iterator]()
+    };
+  }
+
+  get textContent() {
+    return this.childNodes.map(n => n.textContent).join('');
+  }
+
+  get innerText() {
+    return this.textContent;
+  }
+
+  get innerHTML() {
+    return this.childNodes.map(serialize).join('');
+  }
+
+  get href() {
+    return this.attributes.href || '';
+  }
+
+  get src() {
+    return this.attributes.src || '';
+  }
+
+  get alt() {
+    return this.attributes.alt || '';
+  }
+
+  get isConnected() {
+    return true;
+  }
+
+  get dataset() {
+    const data = {};
+    Object.keys(this.attributes).forEach(name => {
+      if (name.startsWith('data-')) {
+        const key = name.slice(5).replace(/-([a-z])/g, (_, ch) => ch.toUpperCase());
+        data[key] = this.attributes[name];
+      }
+    });
+    return data;
+  }
+
+  getAttribute(name) {
+    return Object.prototype.hasOwnProperty.call(this.attributes, name) ? this.attributes[name] : null;
+  }
+
+  hasAttribute(name) {
+    return Object.prototype.hasOwnProperty.call(this.attributes, name);
+  }
+
+  setAttribute(name, value) {
+    this.attributes[name] = String(value);
+  }
+
+  appendChild(node) {
+    node.parentNode = this;
+    this.childNodes.push(node);
+    return node;
+  }
+
+  getRootNode() {
+    let node = this;
+    while (node.parentNode) node = node.parentNode;
+    return node;
+  }
+
+  contains(node) {
+    for (let el = node; el; el = el.parentNode) {
+      if (el === this) return true;
+    }
+    return false;
+  }
+
+  matches(selector) {
+    return parseSelectorList(selector).some(chain => matchesChain(this, chain));
+  }
+
+  closest(selector) {
+    let el = this;
+    while (el && el.nodeType === 1) {
+      if (el.matches(selector)) return el;
+      el = el.parentElement;
+    }
+    return null;
+  }
+
+  querySelectorAll(selector) {
+    const chains = parseSelectorList(selector);
+    const results = [];
+    const walk = (node) => {
+      node.children.forEach(child => {
+        if (chains.some(chain => matchesChain(child, chain, this))) results.push(child);
+        walk(child);
+      });
+    };
+    walk(this);
+    return results;
+  }
+
+  querySelector(selector) {
+    return this.querySelectorAll(selector)[0] || null;
+  }
+}
+
+function serialize(node) {
+  if (node.nodeType === 3) return node.textContent;
+  const attrs = Object.entries(node.attributes).map(([k, v]) => ` ${k}="${v}"`).join('');
+  if (VOID_TAGS.has(node.localName)) return `<${node.localName}${attrs}>`;
+  return `<${node.localName}${attrs}>${node.innerHTML}</${node.localName}>`;
+}
+
+function parseSimpleSelector(text) {
+  const simple = { tag: null, id: null, classes: [], attrs: [] };
+  const re = /^([a-zA-Z][\w-]*|\*)|#([\w-]+)|\.([\w-]+)|\[([\w-]+)(?:\s*=\s*["']?([^"'\]]*)["']?)?\]/g;
+  let m;
+  while ((m = re.exec(text)) !== null) {
+    if (m[1]) simple.tag = m[1] === '*' ? null : m[1].toUpperCase();
+    else if (m[2]) simple.id = m[2];
+    else if (m[3]) simple.classes.push(m[3]);
+    else if (m[4]) simple.attrs.push({ name: m[4], value: m[5] });
+  }
+  return simple;
+}
+
+function parseSelectorList(selector) {
+  return selector.split(',').map(s => s.trim()).filter(Boolean)
+    .map(s => s.replace(/^:scope\s*>\s*/, '').split(/\s+/).map(parseSimpleSelector));
+}
+
+function matchesSimple(el, simple) {
+  if (simple.tag && el.tagName !== simple.tag) return false;
+  if (simple.id && el.id !== simple.id) return false;
+  if (simple.classes.some(c => !el.classList.contains(c))) return false;
+  return simple.attrs.every(a => a.value === undefined ? el.hasAttribute(a.name) : el.getAttribute(a.name) === a.value);
+}
+
+function matchesChain(el, chain, scope = null) {
+  if (!matchesSimple(el, chain[chain.length - 1])) return false;
+  let idx = chain.length - 2;
+  let ancestor = el.parentElement;
+  while (idx >= 0 && ancestor && ancestor !== scope) {
+    if (matchesSimple(ancestor, chain[idx])) idx--;
+    ancestor = ancestor.parentElement;
+  }
+  return idx < 0;
+}
+
+function decodeEntities(text) {
+  return text
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Parse an HTML string into a root <body> MiniElement.
+ */
+function parseHTML(html) {
+  const root = new MiniElement('body');
+  const stack = [root];
+  const tokenRe = /<!--[\s\S]*?-->|<\/([a-zA-Z][\w-]*)\s*>|<([a-zA-Z][\w-]*)((?:\s+[^\s=>\/]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+))?)*)\s*(\/?)>|([^<]+)/g;
+  let m;
+  while ((m = tokenRe.exec(html)) !== null) {
+    const current = stack[stack.length - 1];
+    if (m[1]) {
+      const tag = m[1].toUpperCase();
+      for (let i = stack.length - 1; i > 0; i--) {
+        if (stack[i].tagName === tag) { stack.length = i; break; }
+      }
+    } else if (m[2]) {
+      const attributes = {};
+      const attrRe = /([^\s=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+      let a;
+      while ((a = attrRe.exec(m[3] || '')) !== null) {
+        attributes[a[1].toLowerCase()] = decodeEntities(a[2] ?? a[3] ?? a[4] ?? '');
+      }
+      const el = new MiniElement(m[2], attributes);
+      current.appendChild(el);
+      if (!m[4] && !VOID_TAGS.has(el.localName)) stack.push(el);
+    } else if (m[5]) {
+      current.appendChild(new MiniText(decodeEntities(m[5])));
+    }
+  }
+  return root;
+}
+
+module.exports = { parseHTML, MiniElement, MiniText };
@@ -0,0 +1,106 @@
+const assert = require('assert');
+const { parseHTML } = require('./helpers/miniDom');
+const {
+  extractKeyValuePairs, isKeyValueTable, pairsToTable, pairsTableToRecord,
+  groupSimilarBlocks, mergeKeyValueBlocks, keyValueBlockTitle
+} = require('../utils/keyValue');
+const { parseHTMLTable } = require('../utils/tableNesting');
+
+function testInfoboxTable() {
+  const root = parseHTML(`
+    <table class="infobox">
+      <tr><td colspan="2"><img src="logo.png"></td></tr>
+      <tr><th>Founded</th><td>1998</td></tr>
+      <tr><th>Headquarters</th><td>Menlo Park, California</td></tr>
+      <tr><th>Employees</th><td>182,502</td></tr>
+    </table>`);
+  const table = root.querySelector('table');
+  assert.strictEqual(isKeyValueTable(table), true, 'th labels with td values are key-value rows');
+  const pairs = extractKeyValuePairs(table);
+  assert.deepStrictEqual(pairsToTable(pairs), [
+    ['Field', 'Value'],
+    ['Founded', '1998'],
+    ['Headquarters', 'Menlo Park, California'],
+    ['Employees', '182,502']
+  ]);
+  // rowIndex points at the parsed table row so rich cells can follow the pairs
+  const parsed = parseHTMLTable(table);
+  pairs.forEach(pair => assert.strictEqual(parsed[pair.rowIndex][0], pair.key));
+}
+
+function testLabelMarkers() {
+  const settings = parseHTML(`
+    <table>
+      <tr><td>Username:</td><td>jdoe</td></tr>
+      <tr><td><b>Plan</b></td><td>Pro</td></tr>
+      <tr><td>Region:</td><td>EU</td></tr>
+    </table>`).querySelector('table');
+  assert.strictEqual(isKeyValueTable(settings), true, 'Trailing colons and bold labels mark label cells');
+  assert.deepStrictEqual(extractKeyValuePairs(settings).map(pair => pair.key), ['Username', 'Plan', 'Region']);
+
+  const dataTable = parseHTML(`
+    <table>
+      <tr><th>Country</th><th>Population</th></tr>
+      <tr><td>Chile</td><td>19.6M</td></tr>
+      <tr><td>Peru</td><td>34.0M</td></tr>
+    </table>`).querySelector('table');
+  assert.strictEqual(isKeyValueTable(dataTable), false, 'A two-column data table with a header row is not key-value');
+
+  const wideTable = parseHTML(`
+    <table>
+      <tr><th>Size</th><td>M</td><td>L</td></tr>
+      <tr><th>Color</th><td>Red</td><td>Blue</td></tr>
+    </table>`).querySelector('table');
+  assert.strictEqual(isKeyValueTable(wideTable), false, 'Rows with more than two cells are not pairs');
+}
+
+function testDescriptionList() {
+  const dl = parseHTML(`
+    <dl>
+      <div><dt>Weight:</dt><dd>1.2 kg</dd></div>
+      <div><dt>Colors</dt><dd>Black</dd><dd>Silver</dd></div>
+      <dt>Warranty</dt><dd>2 years</dd>
+    </dl>`).querySelector('dl');
+  assert.deepStrictEqual(extractKeyValuePairs(dl), [
+    { key: 'Weight', value: '1.2 kg' },
+    { key: 'Colors', value: 'Black; Silver' },
+    { key: 'Warranty', value: '2 years' }
+  ], 'div groups are read and several dd values are joined');
+}
+
+function testRecordTranspose() {
+  const table = [['Field', 'Value'], ['Name', 'Ada'], ['Phone', '555-1234'], ['Phone', '555-9876']];
+  assert.deepStrictEqual(pairsTableToRecord(table), [
+    ['Name', 'Phone', 'Phone 2'],
+    ['Ada', '555-1234', '555-9876']
+  ], 'Labels become columns; repeated labels get a suffix');
+}
+
+function testMergeSimilarBlocks() {
+  const root = parseHTML(`
+    <h3>Model A</h3>
+    <dl><dt>Weight</dt><dd>1.2 kg</dd><dt>Battery</dt><dd>10 h</dd><dt>Price</dt><dd>$999</dd></dl>
+    <div><h3>Model B</h3></div>
+    <dl><dt>Weight</dt><dd>1.4 kg</dd><dt>Battery</dt><dd>12 h</dd><dt>Ports</dt><dd>3</dd><dt>Price</dt><dd>$1,199</dd></dl>
+    <h3>Shipping</h3>
+    <dl><dt>Carrier</dt><dd>UPS</dd><dt>Days</dt><dd>3-5</dd></dl>`);
+  const lists = root.querySelectorAll('dl');
+  const blocks = lists.map(element => ({ title: keyValueBlockTitle(element), pairs: extractKeyValuePairs(element) }));
+  assert.deepStrictEqual(blocks.map(block => block.title), ['Model A', 'Model B', 'Shipping']);
+
+  const groups = groupSimilarBlocks(blocks);
+  assert.deepStrictEqual(groups, [[0, 1]], 'Only blocks with overlapping labels are grouped');
+  assert.deepStrictEqual(mergeKeyValueBlocks(groups[0].map(i => blocks[i])), [
+    ['Title', 'Weight', 'Battery', 'Price', 'Ports'],
+    ['Model A', '1.2 kg', '10 h', '$999', ''],
+    ['Model B', '1.4 kg', '12 h', '$1,199', '3']
+  ], 'One row per block over the union of labels');
+}
+
+module.exports = [
+  { name: 'Key-value: infobox table with th labels', fn: testInfoboxTable },
+  { name: 'Key-value: colon and bold labels, data tables rejected', fn: testLabelMarkers },
+  { name: 'Key-value: description list with div groups', fn: testDescriptionList },
+  { name: 'Key-value: transpose pairs into one record', fn: testRecordTranspose },
+  { name: 'Key-value: merge similar blocks with titles', fn: testMergeSimilarBlocks }
+];
@@ -0,0 +1,40 @@
+const assert = require('assert');
+const { parseHTML } = require('./helpers/miniDom');
+const { VIEWER_SHORTCUTS, resolveViewerShortcut } = require('../utils/viewerShortcuts');
+const { composedAncestors, deepActiveElement } = require('../utils/deepDom');
+
+function testViewerBindings() {
+  const root = parseHTML('<div id="grid"></div><input id="search"><div contenteditable="true"><span id="note"></span></div>');
+  const grid = root.querySelector('#grid');
+  assert.deepStrictEqual(['/', 's', 'c', 'e', '?'].map(key => resolveViewerShortcut({ key, target: grid })),
+    ['filter', 'sort', 'chart', 'export', 'help']);
+  assert.strictEqual(resolveViewerShortcut({ key: 'S', target: grid }), 'sort', 'Caps lock still sorts');
+  assert.strictEqual(resolveViewerShortcut({ key: 's', target: root.querySelector('#search') }), null, 'Typing in a field');
+  assert.strictEqual(resolveViewerShortcut({ key: 'e', target: root.querySelector('#note') }), null, 'Editable content');
+  assert.strictEqual(resolveViewerShortcut({ key: 'c', ctrlKey: true, target: grid }), null, 'Ctrl+C stays copy');
+  assert.strictEqual(resolveViewerShortcut({ key: 'x', target: grid }), null);
+  assert.strictEqual(VIEWER_SHORTCUTS.length, 5, 'Every binding is listed in the help overlay');
+}
+
+function testFocusedTablePath() {
+  const doc = parseHTML('<iframe></iframe>');
+  doc.nodeType = 9;
+  const frame = doc.querySelector('iframe');
+  const inner = parseHTML('<table id="t"><tr><td><a id="cell" href="#">1</a></td></tr></table>');
+  inner.nodeType = 9;
+  inner.defaultView = { frameElement: frame };
+  frame.contentDocument = inner;
+  const cell = inner.querySelector('#cell');
+  doc.activeElement = frame;
+  inner.activeElement = cell;
+
+  assert.strictEqual(deepActiveElement(doc), cell, 'Focus is followed into same-origin frames');
+  const path = composedAncestors(cell);
+  assert.deepStrictEqual(path.map(el => el.tagName), ['A', 'TD', 'TR', 'TABLE', 'IFRAME'],
+    'Ancestors continue past the frame boundary');
+}
+
+module.exports = [
+  { name: 'Keyboard: viewer single-key bindings', fn: testViewerBindings },
+  { name: 'Keyboard: focused element path across frames', fn: testFocusedTablePath }
+];
@@ -0,0 +1,42 @@
+const assert = require('assert');
+const { analyzeColumnTypes } = require('../utils/columnTypes');
+const {
+  PAGE_TOOLBAR_ACTIONS, isPageToolbarEnabled, withPageToolbarSetting, suggestQuickChart, pageToolbarPosition
+} = require('../utils/pageToolbar');
+
+function testPerSiteSetting() {
+  assert.strictEqual(isPageToolbarEnabled(undefined, 'example.com'), false, 'Off until switched on');
+  const on = withPageToolbarSetting({ 'other.org': true }, 'example.com', true);
+  assert.deepStrictEqual(on, { 'other.org': true, 'example.com': true });
+  assert.strictEqual(isPageToolbarEnabled(on, 'example.com'), true);
+  const dismissed = withPageToolbarSetting(on, 'example.com', false);
+  assert.strictEqual(isPageToolbarEnabled(dismissed, 'example.com'), false);
+  assert.strictEqual(isPageToolbarEnabled(dismissed, 'other.org'), true, 'Other sites keep their setting');
+  assert.strictEqual(on['example.com'], true, 'Settings are not mutated');
+  assert.deepStrictEqual(PAGE_TOOLBAR_ACTIONS.map(a => a.action), ['open', 'csv', 'markdown', 'tsv', 'xlsx', 'chart', 'dismiss']);
+}
+
+function testQuickChart() {
+  const sales = [['Region', 'Q1', 'Q2', 'Share'], ['North', '1,200', '1,350', '12%'], ['South', '980', '1,010', '9%']];
+  assert.deepStrictEqual(suggestQuickChart(sales, analyzeColumnTypes(sales)), { chartType: 'bar', xColumn: 0, yColumns: [1, 2, 3] });
+
+  const series = [['Date', 'Visits'], ['2026-01-01', '40'], ['2026-01-02', '52']];
+  assert.deepStrictEqual(suggestQuickChart(series, analyzeColumnTypes(series)), { chartType: 'line', xColumn: 0, yColumns: [1] },
+    'Dates on the x-axis give a line chart');
+
+  const names = [['Name', 'Team'], ['Ada', 'Core'], ['Lin', 'Docs']];
+  assert.strictEqual(suggestQuickChart(names, analyzeColumnTypes(names)), null, 'Nothing numeric to plot');
+}
+
+function testPosition() {
+  assert.deepStrictEqual(pageToolbarPosition({ top: 200, left: 50, right: 650 }, { x: 0, y: 1000 }, 180), { top: 1170, left: 470 },
+    'Above the top-right corner, in document coordinates');
+  assert.deepStrictEqual(pageToolbarPosition({ top: 5, left: 10, right: 100 }, { x: 0, y: 0 }, 180), { top: 7, left: 10 },
+    'Inside the table when there is no room above; never left of the table');
+}
+
+module.exports = [
+  { name: 'Page toolbar: per-site on/off setting', fn: testPerSiteSetting },
+  { name: 'Page toolbar: quick chart column choice', fn: testQuickChart },
+  { name: 'Page toolbar: placement next to the table', fn: testPosition }
+];
@@ -0,0 +1,73 @@
+const assert = require('assert');
+const { parseHTML } = require('./helpers/miniDom');
+const { headersMatch, pageFingerprint, mergePageData, isControlDisabled, describeNextControl, findNextControl } = require('../utils/pagination');
+
+const page1 = [['Name', 'Score ▲'], ['Ann', '9'], ['Bob', '7']];
+const page2 = [['name', ' Score '], ['Cid', '8'], ['Name', 'Score'], ['Dee', '6']];
+
+function testHeadersMatch() {
+  assert.ok(headersMatch(page1[0], page2[0]), 'Case, whitespace and sort arrows are ignored');
+  assert.ok(!headersMatch(['Name', 'Score'], ['Name', 'Points']));
+  assert.ok(!headersMatch(['Name'], ['Name', 'Score']));
+}
+
+function testMergePages() {
+  const first = mergePageData([], page1);
+  assert.strictEqual(first.added, 2);
+  const second = mergePageData(first.merged, page2);
+  assert.strictEqual(second.error, null);
+  assert.strictEqual(second.added, 2, 'Repeated header rows inside a page are skipped');
+  assert.deepStrictEqual(second.merged, [['Name', 'Score ▲'], ['Ann', '9'], ['Bob', '7'], ['Cid', '8'], ['Dee', '6']]);
+  assert.strictEqual(first.merged.length, 3, 'Merging must not mutate the accumulated table');
+}
+
+function testMergeHeaderMismatch() {
+  const result = mergePageData(page1, [['Product', 'Price'], ['Pen', '2']]);
+  assert.ok(result.error && result.error.includes('Header mismatch'));
+  assert.strictEqual(result.merged, page1);
+}
+
+function testFingerprint() {
+  assert.strictEqual(pageFingerprint(page1), pageFingerprint(page1.map(r => [...r])));
+  assert.notStrictEqual(pageFingerprint(page1), pageFingerprint(page2));
+  assert.strictEqual(pageFingerprint([['A']]), '', 'Header-only page has an empty fingerprint');
+}
+
+function testNextControlHeuristics() {
+  const root = parseHTML(`
+    <ul class="pager">
+      <li><a href="?p=1">1</a></li>
+      <li><a href="?p=2">2</a></li>
+      <li><a class="next" rel="next" href="?p=2" aria-label="Next page">›</a></li>
+    </ul>
+    <ul class="pager2"><li class="disabled"><a href="#">Next</a></li></ul>
+    <button aria-disabled="true">Next</button>`);
+  const next = root.querySelector('a.next');
+  const descriptor = describeNextControl(next);
+  assert.strictEqual(descriptor.rel, 'next');
+  assert.strictEqual(descriptor.text, '›');
+
+  // Same pager re-rendered (e.g. in the fetched next page document)
+  const nextPage = parseHTML(`
+    <ul class="pager">
+      <li><a href="?p=1">1</a></li>
+      <li><a class="next" rel="next" href="?p=3" aria-label="Next page">›</a></li>
+    </ul>`);
+  const found = findNextControl(nextPage, descriptor);
+  assert.ok(found, 'Next control should be found again');
+  assert.strictEqual(found.getAttribute('href'), '?p=3');
+
+  assert.strictEqual(findNextControl(parseHTML('<a href="/x">Home</a>'), descriptor), null, 'Unrelated links are not matched');
+
+  assert.ok(!isControlDisabled(next));
+  assert.ok(isControlDisabled(root.querySelector('.pager2 a')), 'Disabled parent <li> marks the last page');
+  assert.ok(isControlDisabled(root.querySelector('button')), 'aria-disabled marks the last page');
+}
+
+module.exports = [
+  { name: 'Pagination - header matching ignores case/whitespace/sort arrows', fn: testHeadersMatch },
+  { name: 'Pagination - merging pages skips repeated headers', fn: testMergePages },
+  { name: 'Pagination - header mismatch stops merging', fn: testMergeHeaderMismatch },
+  { name: 'Pagination - page fingerprint', fn: testFingerprint },
+  { name: 'Pagination - next control description, lookup and disabled state', fn: testNextControlHeuristics }
+];
@@ -0,0 +1,123 @@
+const assert = require('assert');
+const zlib = require('zlib');
+const { extractPdfTextRuns, parseToUnicodeCMap } = require('../utils/pdfText');
+const { groupRunsIntoLines, detectPdfTables, extractPdfTables } = require('../utils/pdfTables');
+
+// Build a minimal PDF: objects are strings or { dict, data } streams, numbered from 1
+function buildPdf(objects) {
+  const parts = [Buffer.from('%PDF-1.5\n')];
+  objects.forEach((obj, i) => {
+    if (typeof obj === 'string') {
+      parts.push(Buffer.from(`${i + 1} 0 obj\n${obj}\nendobj\n`));
+    } else {
+      parts.push(Buffer.from(`${i + 1} 0 obj\n<< ${obj.dict} /Length ${obj.data.length} >>\nstream\n`));
+      parts.push(obj.data);
+      parts.push(Buffer.from('\nendstream\nendobj\n'));
+    }
+  });
+  parts.push(Buffer.from('trailer\n<< /Root 1 0 R >>\n%%EOF\n'));
+  return new Uint8Array(Buffer.concat(parts));
+}
+
+function tableContent(rows, startY) {
+  let ops = 'BT /F1 10 Tf\n';
+  rows.forEach((row, r) => {
+    row.forEach((cell, c) => {
+      // Numbers right-aligned at the column end, text left-aligned
+      const x = /^\d/.test(cell) && c > 0 ? 100 + c * 100 + 40 - cell.length * 5 : 50 + c * 100;
+      ops += `1 0 0 1 ${x} ${startY - r * 14} Tm (${cell}) Tj\n`;
+    });
+  });
+  return ops + 'ET\n';
+}
+
+const cmap = `/CIDInit /ProcSet findresource begin
+begincmap
+1 begincodespacerange <0000> <FFFF> endcodespacerange
+2 beginbfchar <0001> <0041> <0002> <0042> endbfchar
+1 beginbfrange <0010> <0012> <0031> endbfrange
+endcmap`;
+
+function samplePdf() {
+  const page1 = tableContent([['Region', 'Units', 'Revenue'], ['North', '12', '340'], ['South', '7', '1250'], ['East', '150', '90']], 700) +
+    'BT /F1 10 Tf 50 600 Td (Just a paragraph of text below the table.) Tj ET';
+  // Page 2: compressed stream, Type0 font with a ToUnicode map, TJ with a wide kerning gap between cells
+  const page2 = 'BT /F2 10 Tf 50 700 Td [<00010002> -3000 <00100011>] TJ 0 -14 Td [<0002> -3000 <0012>] TJ 0 -14 Td [<0001> -3000 <0011>] TJ ET';
+  return buildPdf([
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R 4 0 R] /Count 2 /MediaBox [0 0 612 792] /Resources << /Font << /F1 5 0 R /F2 6 0 R >> >> >>',
+    '<< /Type /Page /Parent 2 0 R /Contents 7 0 R >>',
+    '<< /Type /Page /Parent 2 0 R /Contents 8 0 R >>',
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>',
+    '<< /Type /Font /Subtype /Type0 /BaseFont /Custom /Encoding /Identity-H /DescendantFonts [10 0 R] /ToUnicode 9 0 R >>',
+    { dict: '', data: Buffer.from(page1) },
+    { dict: '/Filter /FlateDecode', data: zlib.deflateSync(Buffer.from(page2)) },
+    { dict: '', data: Buffer.from(cmap) },
+    '<< /Type /Font /Subtype /CIDFontType2 /DW 600 >>'
+  ]);
+}
+
+async function testTextRuns() {
+  const result = await extractPdfTextRuns(samplePdf());
+  assert.strictEqual(result.pageCount, 2);
+  const first = result.pages[0].runs[0];
+  assert.strictEqual(first.text, 'Region');
+  assert.strictEqual(first.x, 50);
+  assert.strictEqual(first.y, 92, 'y is measured from the top of the page');
+  assert.strictEqual(first.width, 30, 'Default width is half an em per glyph');
+  const page2 = result.pages[1].runs.map(run => run.text);
+  assert.deepStrictEqual(page2, ['AB', '12', 'B', '3', 'A', '2'], 'ToUnicode map decodes 2-byte codes; wide TJ gaps split cells');
+}
+
+async function testPageSelection() {
+  const result = await extractPdfTextRuns(samplePdf(), { pages: [1] });
+  assert.deepStrictEqual(result.pages.map(p => p.pageIndex), [1]);
+  await assert.rejects(extractPdfTextRuns(new Uint8Array(Buffer.from('hello'))), /Not a PDF/);
+}
+
+async function testTablesFromPdf() {
+  const tables = extractPdfTables(await extractPdfTextRuns(samplePdf()));
+  assert.strictEqual(tables.length, 2);
+  assert.deepStrictEqual(tables[0].rows, [['Region', 'Units', 'Revenue'], ['North', '12', '340'], ['South', '7', '1250'], ['East', '150', '90']]);
+  assert.strictEqual(tables[0].page, 0);
+  assert.deepStrictEqual(tables[1].rows, [['AB', '12'], ['B', '3'], ['A', '2']]);
+  assert.strictEqual(tables[1].page, 1);
+  assert.strictEqual(tables[1].table_index, 0);
+}
+
+function testLayoutGrouping() {
+  const run = (text, x, y, width = text.length * 5) => ({ text, x, y, width, fontSize: 10 });
+  const lines = groupRunsIntoLines([run('Total', 50, 100), run('sales', 77, 100.5), run('42', 200, 100)]);
+  assert.deepStrictEqual(lines[0].segments.map(s => s.text), ['Total sales', '42'], 'Word gaps join, column gaps split');
+
+  const tables = detectPdfTables([
+    run('Name', 50, 100), run('Notes', 150, 100),
+    run('Pen', 50, 114), run('Blue ink,', 150, 114),
+    run('refillable', 150, 126),
+    run('Ink', 50, 140), run('Black', 150, 140),
+    run('Cap', 50, 154), run('Red', 150, 154)
+  ]);
+  assert.deepStrictEqual(tables[0].rows, [['Name', 'Notes'], ['Pen', 'Blue ink, refillable'], ['Ink', 'Black'], ['Cap', 'Red']]);
+
+  const prose = [];
+  for (let i = 0; i < 5; i++) {
+    prose.push(run('This is a long sentence in the left column of an article', 50, 100 + i * 14));
+    prose.push(run('and this is another long sentence in the right column', 340, 100 + i * 14));
+  }
+  assert.strictEqual(detectPdfTables(prose).length, 0, 'Two-column prose is not a table');
+}
+
+function testCMapParsing() {
+  const { map, codeLength } = parseToUnicodeCMap(cmap);
+  assert.strictEqual(codeLength, 2);
+  assert.strictEqual(map.get(1), 'A');
+  assert.strictEqual(map.get(0x11), '2');
+}
+
+module.exports = [
+  { name: 'PDF - text runs with positions, fonts and compressed streams', fn: testTextRuns },
+  { name: 'PDF - page selection and non-PDF input', fn: testPageSelection },
+  { name: 'PDF - tables from a generated PDF', fn: testTablesFromPdf },
+  { name: 'PDF - line/segment grouping, wrapped cells and prose', fn: testLayoutGrouping },
+  { name: 'PDF - ToUnicode CMap parsing', fn: testCMapParsing }
+];
@@ -0,0 +1,63 @@
+const assert = require('assert');
+const { PIVOT_MAX_COLUMN_KEYS, aggregatePivotValues, buildPivotTable } = require('../utils/pivot');
+
+const SALES = [
+  ['Region', 'Year', 'Sales', 'Rep'],
+  ['North', '2023', '100', 'Ann'],
+  ['South', '2023', '50', 'Bob'],
+  ['North', '2024', '$1,200', 'Ann'],
+  ['North', '2024', '30', 'Cid'],
+  ['', '2023', '5', 'Bob']
+];
+
+function testGroupBy() {
+  const result = buildPivotTable(SALES, {
+    rows: [0],
+    values: [{ column: 2, aggregate: 'sum' }, { column: 2, aggregate: 'avg' }, { column: 3, aggregate: 'distinct' }, { column: 3, aggregate: 'count' }],
+    totals: true
+  });
+  assert.deepStrictEqual(result.data, [
+    ['Region', 'Sum of Sales', 'Average of Sales', 'Distinct count of Rep', 'Count of Rep'],
+    ['North', '1330', '443.3333333333', '2', '3'],
+    ['South', '50', '50', '1', '1'],
+    ['(blank)', '5', '5', '1', '1'],
+    ['Total', '1385', '277', '3', '5']
+  ], 'Blank keys sort last; the total row aggregates the source rows');
+  assert.strictEqual(result.groupCount, 3);
+}
+
+function testPivotColumns() {
+  const result = buildPivotTable(SALES, { rows: [1], column: 0, values: [{ column: 2, aggregate: 'max' }] });
+  assert.deepStrictEqual(result.data, [
+    ['Year', 'North', 'South', '(blank)'],
+    ['2023', '100', '50', '5'],
+    ['2024', '1200', '', '']
+  ], 'Empty cells for missing combinations');
+  assert.deepStrictEqual(result.columnKeys, ['North', 'South', '(blank)']);
+
+  const twoValues = buildPivotTable(SALES, { rows: [0], column: 1, values: [{ column: 2, aggregate: 'min' }, { column: 3, aggregate: 'count' }], headers: ['Zone', 'Year', 'Revenue', 'Rep'] });
+  assert.deepStrictEqual(twoValues.data[0], ['Zone', '2023 · Min of Revenue', '2023 · Count of Rep', '2024 · Min of Revenue', '2024 · Count of Rep'], 'Renamed headers are used');
+  assert.deepStrictEqual(twoValues.data[1], ['North', '100', '1', '30', '2']);
+}
+
+function testOptionsAndLimits() {
+  const european = [['Item', 'Net'], ['A', '1.234,5'], ['A', '10,5'], ['B', 'n/a']];
+  const parse = (value) => (/\d/.test(value) ? parseFloat(value.replace(/\./g, '').replace(',', '.')) : NaN);
+  assert.deepStrictEqual(buildPivotTable(european, { rows: [0], values: [{ column: 1, aggregate: 'sum' }], parseNumber: parse }).data,
+    [['Item', 'Sum of Net'], ['A', '1245'], ['B', '']], 'The viewer number parser is used; text is skipped');
+
+  assert.deepStrictEqual(buildPivotTable(SALES, { rows: [], values: [{ column: 2, aggregate: 'sum' }] }).data, [['Sum of Sales'], ['1385']], 'No row keys: one summary row');
+  assert.throws(() => buildPivotTable(SALES, { rows: [0], values: [] }), /at least one value/);
+
+  const wide = [['Key', 'Id', 'Value'], ...Array.from({ length: PIVOT_MAX_COLUMN_KEYS + 5 }, (_, i) => ['k', `id${i}`, '1'])];
+  const capped = buildPivotTable(wide, { rows: [0], column: 1, values: [{ column: 2, aggregate: 'sum' }] });
+  assert.ok(capped.truncated);
+  assert.strictEqual(capped.data[0].length, PIVOT_MAX_COLUMN_KEYS + 1);
+  assert.strictEqual(aggregatePivotValues(['1', '', 'x'], 'count', Number), '2', 'Count ignores blanks');
+}
+
+module.exports = [
+  { name: 'Pivot: group by rows with several aggregates and totals', fn: testGroupBy },
+  { name: 'Pivot: column keys spread across the header', fn: testPivotColumns },
+  { name: 'Pivot: number parsing, summary row and column key limit', fn: testOptionsAndLimits }
+];
@@ -0,0 +1,48 @@
+const assert = require('assert');
+const { suggestUnpivotIdColumns, unpivotTable, transposeTable } = require('../utils/reshape');
+
+const POPULATION = [
+  ['Country', 'Code', '2000', '2010', '2020'],
+  ['Chile', 'CL', '15.2', '17.1', '19.1'],
+  ['Peru', 'PE', '26.5', '', '33.0']
+];
+
+function testSuggestIds() {
+  assert.deepStrictEqual(suggestUnpivotIdColumns(POPULATION[0], ['text', 'text', 'numeric', 'numeric', 'numeric']), [0, 1]);
+  assert.deepStrictEqual(suggestUnpivotIdColumns(['Name', '2000'], ['text', 'text']), [0], 'Year headers are not ids');
+  assert.deepStrictEqual(suggestUnpivotIdColumns(['A', 'B'], ['numeric', 'numeric']), [0], 'Falls back to the first column');
+  assert.deepStrictEqual(suggestUnpivotIdColumns(['A', 'B'], ['text', 'text']), [0], 'Leaves something to unpivot');
+}
+
+function testUnpivot() {
+  const long = unpivotTable(POPULATION, { idColumns: [0], valueColumns: [2, 3, 4], variableName: 'Year', valueName: 'Millions', skipEmpty: true });
+  assert.deepStrictEqual(long, [
+    ['Country', 'Year', 'Millions'],
+    ['Chile', '2000', '15.2'],
+    ['Chile', '2010', '17.1'],
+    ['Chile', '2020', '19.1'],
+    ['Peru', '2000', '26.5'],
+    ['Peru', '2020', '33.0']
+  ]);
+  const all = unpivotTable(POPULATION, { idColumns: [0, 1] });
+  assert.deepStrictEqual(all[0], ['Country', 'Code', 'Variable', 'Value']);
+  assert.strictEqual(all.length, 7, 'Empty values are kept by default');
+  assert.deepStrictEqual(all[5], ['Peru', 'PE', '2010', '']);
+  assert.throws(() => unpivotTable(POPULATION, { idColumns: [0, 1, 2, 3, 4] }), /at least one column/);
+}
+
+function testTranspose() {
+  assert.deepStrictEqual(transposeTable([['Metric', 'Q1', 'Q2'], ['Sales', '10'], ['Cost', '4', '5']]), [
+    ['Metric', 'Sales', 'Cost'],
+    ['Q1', '10', '4'],
+    ['Q2', '', '5']
+  ], 'Ragged rows are padded');
+  assert.deepStrictEqual(transposeTable(transposeTable(POPULATION)), POPULATION);
+  assert.deepStrictEqual(transposeTable([]), []);
+}
+
+module.exports = [
+  { name: 'Reshape: suggested id columns for unpivoting', fn: testSuggestIds },
+  { name: 'Reshape: unpivot wide columns into variable/value rows', fn: testUnpivot },
+  { name: 'Reshape: transpose rows and columns', fn: testTranspose }
+];
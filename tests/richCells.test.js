@@ -0,0 +1,77 @@
+const assert = require('assert');
+const { parseHTML } = require('./helpers/miniDom');
+const { isSafeUrl, extractRichCell, compactRichGrid, alignRichGrid, linksToColumn, addSheetHyperlinks } = require('../utils/richCells');
+const { parseHTMLTable } = require('../utils/tableNesting');
+
+const html = `
+  <table>
+    <tr><th>Product</th><th colspan="2">Details</th></tr>
+    <tr><td><a href="https://shop.test/pen" title="Blue pen">Pen</a></td><td data-sku="P1">2.50</td><td><img src="https://shop.test/pen.png" alt="pen"></td></tr>
+    <tr><td><a href="javascript:alert(1)">Ink</a></td><td>1.00</td><td>stock</td></tr>
+  </table>`;
+
+function testExtractRichCell() {
+  const cells = parseHTML(html).querySelectorAll('td');
+  const link = extractRichCell(cells[0]);
+  assert.strictEqual(link.text, 'Pen');
+  assert.strictEqual(link.href, 'https://shop.test/pen');
+  assert.strictEqual(link.title, 'Blue pen');
+  assert.ok(link.html.includes('<a'));
+
+  assert.deepStrictEqual(extractRichCell(cells[1]).data, { sku: 'P1' });
+  assert.deepStrictEqual(extractRichCell(cells[2]).images, [{ src: 'https://shop.test/pen.png', alt: 'pen' }]);
+  assert.strictEqual(extractRichCell(cells[3]).href, undefined, 'javascript: links are dropped');
+}
+
+function testRichParseAlignedWithData() {
+  const table = parseHTML(html).querySelector('table');
+  const plain = parseHTMLTable(table);
+  const { data, richCells } = parseHTMLTable(table, { rich: true });
+  assert.deepStrictEqual(data, plain, 'Rich mode must not change the text grid');
+  assert.strictEqual(richCells.length, data.length);
+  assert.strictEqual(richCells[0][2], null, 'Colspan continuation cells have no rich data');
+  assert.strictEqual(richCells[1][0].href, 'https://shop.test/pen');
+  assert.strictEqual(richCells[1][2].images[0].alt, 'pen');
+
+  const compact = compactRichGrid(richCells);
+  assert.strictEqual(compact[0][0], null, 'Plain cells are compacted to null');
+  assert.strictEqual(compactRichGrid(parseHTMLTable(parseHTML('<table><tr><td>a</td></tr></table>').querySelector('table'), { rich: true }).richCells), null);
+}
+
+function testAlignAfterCleanup() {
+  const grid = [[null, { href: 'https://a.test' }, null], [{ title: 't' }, null, null]];
+  // Row 0 kept, column 0 dropped
+  assert.deepStrictEqual(alignRichGrid(grid, { rows: [0], columns: [1, 2] }), [[{ href: 'https://a.test' }, null]]);
+  assert.strictEqual(alignRichGrid(grid, null), grid);
+}
+
+function testLinksToColumn() {
+  const tableData = [['Name', 'Price'], ['Pen', '2'], ['Ink', '1']];
+  const richRows = [null, [{ text: 'Pen', href: 'https://shop.test/pen' }, null], null];
+  const result = linksToColumn(tableData, richRows, 0);
+  assert.deepStrictEqual(result.tableData, [['Name', 'Price', 'Name (link)'], ['Pen', '2', 'https://shop.test/pen'], ['Ink', '1', '']]);
+  assert.strictEqual(result.linkCount, 1);
+  assert.strictEqual(result.richRows[1][2].href, 'https://shop.test/pen');
+  assert.strictEqual(result.richRows[2].length, 3);
+  assert.strictEqual(tableData[0].length, 2, 'Input table is not mutated');
+}
+
+function testSheetHyperlinks() {
+  const ws = { A1: { v: 'Name' }, A2: { v: 'Pen' }, B2: { v: '2' }, AA3: { v: 'x' } };
+  const rich = [null, [{ href: 'https://shop.test/pen', title: 'Blue' }, { href: 'javascript:void(0)' }]];
+  rich[2] = new Array(27).fill(null);
+  rich[2][26] = { href: 'mailto:a@b.test' };
+  assert.strictEqual(addSheetHyperlinks(ws, rich), 2);
+  assert.deepStrictEqual(ws.A2.l, { Target: 'https://shop.test/pen', Tooltip: 'Blue' });
+  assert.strictEqual(ws.B2.l, undefined);
+  assert.deepStrictEqual(ws.AA3.l, { Target: 'mailto:a@b.test' });
+  assert.ok(isSafeUrl('ftp://x') && !isSafeUrl('data:text/html,x'));
+}
+
+module.exports = [
+  { name: 'Rich cells - links, images, title and data attributes', fn: testExtractRichCell },
+  { name: 'Rich cells - rich parse stays aligned with the text grid', fn: testRichParseAlignedWithData },
+  { name: 'Rich cells - alignment after empty row/column cleanup', fn: testAlignAfterCleanup },
+  { name: 'Rich cells - extract links as a new column', fn: testLinksToColumn },
+  { name: 'Rich cells - XLSX hyperlinks', fn: testSheetHyperlinks }
+];
@@ -0,0 +1,73 @@
+const assert = require('assert');
+const { parseHTML } = require('./helpers/miniDom');
+const { getRowIndexAttribute, createHarvestStore, mergeHarvestSnapshot, harvestedTableData } = require('../utils/rowHarvest');
+const { parseAriaGridRows } = require('../utils/ariaGrid');
+
+// Builds the DOM a virtualized ARIA grid renders for a window of rows (header stays sticky)
+function renderWindow(from, to) {
+  let rows = '<div role="row" aria-rowindex="1"><div role="columnheader">Id</div><div role="columnheader">Name</div></div>';
+  for (let i = from; i <= to; i++) {
+    rows += `<div role="row" aria-rowindex="${i + 1}"><div role="gridcell">${i}</div><div role="gridcell">Item ${i}</div></div>`;
+  }
+  return parseHTML(`<div role="grid">${rows}</div>`).querySelector('[role="grid"]');
+}
+
+function testIndexedHarvest() {
+  const store = createHarvestStore();
+  // Overlapping windows as the container scrolls
+  mergeHarvestSnapshot(store, parseAriaGridRows(renderWindow(1, 30)));
+  assert.strictEqual(store.rows.size, 30);
+  const added = mergeHarvestSnapshot(store, parseAriaGridRows(renderWindow(25, 54)));
+  assert.strictEqual(added, 24, 'Only rows not seen before count as new');
+  assert.strictEqual(mergeHarvestSnapshot(store, parseAriaGridRows(renderWindow(40, 54))), 0, 'No new rows at the end');
+
+  const data = harvestedTableData(store);
+  assert.strictEqual(data.length, 55);
+  assert.deepStrictEqual(data[0], ['Id', 'Name']);
+  assert.deepStrictEqual(data[1], ['1', 'Item 1']);
+  assert.deepStrictEqual(data[54], ['54', 'Item 54']);
+}
+
+function testOutOfOrderIndexedRows() {
+  const store = createHarvestStore();
+  mergeHarvestSnapshot(store, [
+    { rowIndex: 1, values: ['H'] },
+    { rowIndex: 5, values: ['e'] },
+    { rowIndex: 2, values: ['b'] }
+  ]);
+  mergeHarvestSnapshot(store, [{ rowIndex: 3, values: ['c'] }, { rowIndex: 4, values: ['d'] }]);
+  assert.deepStrictEqual(harvestedTableData(store).map(r => r[0]), ['H', 'b', 'c', 'd', 'e']);
+}
+
+function testContentHashHarvest() {
+  const store = createHarvestStore();
+  const snap = (rows) => rows.map(values => ({ rowIndex: null, values }));
+  mergeHarvestSnapshot(store, snap([['City', 'Pop'], ['Lima', '10'], ['Quito', '2']]));
+  // Header repeated (sticky), one overlapping row, one new row
+  const added = mergeHarvestSnapshot(store, snap([['City', 'Pop'], ['Quito', '2'], ['Cusco', '0.4']]));
+  assert.strictEqual(added, 1);
+  assert.deepStrictEqual(harvestedTableData(store), [['City', 'Pop'], ['Lima', '10'], ['Quito', '2'], ['Cusco', '0.4']]);
+}
+
+function testPlaceholderCellsFilledLater() {
+  const store = createHarvestStore();
+  mergeHarvestSnapshot(store, [{ rowIndex: 1, values: ['A', 'B'] }, { rowIndex: 2, values: ['x', ''] }]);
+  mergeHarvestSnapshot(store, [{ rowIndex: 2, values: ['x', 'loaded'] }]);
+  assert.deepStrictEqual(harvestedTableData(store)[1], ['x', 'loaded']);
+}
+
+function testRowIndexAttributes() {
+  const root = parseHTML('<table><tr data-index="7"><td>a</td></tr><tr aria-rowindex="3"><td>b</td></tr><tr><td>c</td></tr></table>');
+  const rows = root.querySelectorAll('tr');
+  assert.strictEqual(getRowIndexAttribute(rows[0]), 7);
+  assert.strictEqual(getRowIndexAttribute(rows[1]), 3);
+  assert.strictEqual(getRowIndexAttribute(rows[2]), null);
+}
+
+module.exports = [
+  { name: 'Row harvest - virtualized ARIA grid windows dedupe by aria-rowindex', fn: testIndexedHarvest },
+  { name: 'Row harvest - indexed rows are ordered by logical index', fn: testOutOfOrderIndexedRows },
+  { name: 'Row harvest - content hash dedupe without row indices', fn: testContentHashHarvest },
+  { name: 'Row harvest - lazily loaded cells are filled in', fn: testPlaceholderCellsFilledLater },
+  { name: 'Row harvest - row index attributes', fn: testRowIndexAttributes }
+];
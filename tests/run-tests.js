@@ -42,6 +42,150 @@ try {
 } catch (e) {
   console.error('Failed loading nested table integration tests', e);
 }
+try {
+  const collectionAria = require('./ariaGrid.test.js');
+  tests = tests.concat(collectionAria);
+} catch (e) {
+  console.error('Failed loading ARIA grid tests', e);
+}
+try {
+  const collectionDiff = require('./tableDiff.test.js');
+  tests = tests.concat(collectionDiff);
+} catch (e) {
+  console.error('Failed loading table diff tests', e);
+}
+try {
+  const collectionPagination = require('./pagination.test.js');
+  tests = tests.concat(collectionPagination);
+} catch (e) {
+  console.error('Failed loading pagination tests', e);
+}
+try {
+  const collectionHarvest = require('./rowHarvest.test.js');
+  tests = tests.concat(collectionHarvest);
+} catch (e) {
+  console.error('Failed loading row harvest tests', e);
+}
+try {
+  const collectionRich = require('./richCells.test.js');
+  tests = tests.concat(collectionRich);
+} catch (e) {
+  console.error('Failed loading rich cell tests', e);
+}
+try {
+  const collectionHeaderBands = require('./headerBands.test.js');
+  tests = tests.concat(collectionHeaderBands);
+} catch (e) {
+  console.error('Failed loading header band tests', e);
+}
+try {
+  const collectionCards = require('./cardLayout.test.js');
+  tests = tests.concat(collectionCards);
+} catch (e) {
+  console.error('Failed loading card layout tests', e);
+}
+try {
+  const collectionPdf = require('./pdfTables.test.js');
+  tests = tests.concat(collectionPdf);
+} catch (e) {
+  console.error('Failed loading PDF table tests', e);
+}
+try {
+  const collectionFileImport = require('./fileImport.test.js');
+  tests = tests.concat(collectionFileImport);
+} catch (e) {
+  console.error('Failed loading file import tests', e);
+}
+try {
+  const collectionSmartPaste = require('./smartPaste.test.js');
+  tests = tests.concat(collectionSmartPaste);
+} catch (e) {
+  console.error('Failed loading smart paste tests', e);
+}
+try {
+  const collectionFixedWidth = require('./fixedWidth.test.js');
+  tests = tests.concat(collectionFixedWidth);
+} catch (e) {
+  console.error('Failed loading fixed-width tests', e);
+}
+try {
+  const collectionCsvParser = require('./csvParser.test.js');
+  tests = tests.concat(collectionCsvParser);
+} catch (e) {
+  console.error('Failed loading CSV parser tests', e);
+}
+try {
+  const collectionKeyValue = require('./keyValue.test.js');
+  tests = tests.concat(collectionKeyValue);
+} catch (e) {
+  console.error('Failed loading key-value tests', e);
+}
+try {
+  const collectionDeepDom = require('./deepDom.test.js');
+  tests = tests.concat(collectionDeepDom);
+} catch (e) {
+  console.error('Failed loading deep DOM tests', e);
+}
+try {
+  const collectionEmbeddedJson = require('./embeddedJson.test.js');
+  tests = tests.concat(collectionEmbeddedJson);
+} catch (e) {
+  console.error('Failed loading embedded JSON tests', e);
+}
+try {
+  const collectionTabCache = require('./tabCache.test.js');
+  tests = tests.concat(collectionTabCache);
+} catch (e) {
+  console.error('Failed loading tab cache tests', e);
+}
+try {
+  const collectionContextMenu = require('./contextMenu.test.js');
+  tests = tests.concat(collectionContextMenu);
+} catch (e) {
+  console.error('Failed loading context menu tests', e);
+}
+try {
+  const collectionKeyboardShortcuts = require('./keyboardShortcuts.test.js');
+  tests = tests.concat(collectionKeyboardShortcuts);
+} catch (e) {
+  console.error('Failed loading keyboard shortcut tests', e);
+}
+try {
+  const collectionPageToolbar = require('./pageToolbar.test.js');
+  tests = tests.concat(collectionPageToolbar);
+} catch (e) {
+  console.error('Failed loading page toolbar tests', e);
+}
+try {
+  const formulaTests = require('./formula.test.js');
+  tests = tests.concat(formulaTests);
+} catch (e) {
+  console.error('Failed loading formula tests', e);
+}
+try {
+  const columnLayoutTests = require('./columnLayout.test.js');
+  tests = tests.concat(columnLayoutTests);
+} catch (e) {
+  console.error('Failed loading column layout tests', e);
+}
+try {
+  const pivotTests = require('./pivot.test.js');
+  tests = tests.concat(pivotTests);
+} catch (e) {
+  console.error('Failed loading pivot tests', e);
+}
+try {
+  const tableJoinTests = require('./tableJoin.test.js');
+  tests = tests.concat(tableJoinTests);
+} catch (e) {
+  console.error('Failed loading table join tests', e);
+}
+try {
+  const reshapeTests = require('./reshape.test.js');
+  tests = tests.concat(reshapeTests);
+} catch (e) {
+  console.error('Failed loading reshape tests', e);
+}
 try {
   const stateTestModule = require('./tableState.test.js');
   // The state test module exports functions, so we need to wrap them in the expected format
@@ -85,16 +229,19 @@ try {
 let passed = 0;
 let failed = 0;
 
-for (const t of tests) {
-  try {
-    t.fn();
-    console.log(`✅ ${t.name}`);
-    passed++;
-  } catch (err) {
-    console.error(`❌ ${t.name}: ${err.message}`);
-    failed++;
+// Tests may be async (e.g. PDF extraction inflates streams)
+(async () => {
+  for (const t of tests) {
+    try {
+      await t.fn();
+      console.log(`✅ ${t.name}`);
+      passed++;
+    } catch (err) {
+      console.error(`❌ ${t.name}: ${err.message}`);
+      failed++;
+    }
   }
-}
 
-console.log(`\nTest Results: ${passed} passed, ${failed} failed`);
-if (failed > 0) process.exit(1);
+  console.log(`\nTest Results: ${passed} passed, ${failed} failed`);
+  if (failed > 0) process.exit(1);
+})();
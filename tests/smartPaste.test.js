@@ -0,0 +1,76 @@
+const assert = require('assert');
+const { parseHTML } = require('./helpers/miniDom');
+const { parseClipboardData, pastedTableImport } = require('../utils/smartPaste');
+const { parseMarkdownTable, parseFixedWidth } = require('../utils/textTables');
+
+const paste = (clipboard) => parseClipboardData(clipboard, { parseHTML });
+
+function testSpreadsheetHTML() {
+  // Shape of a Google Sheets / Excel copy: styled cells, a grouping colspan row
+  const html = `<meta charset="utf-8"><google-sheets-html-origin><style>td{border:1px}</style>
+    <table><tbody>
+      <tr><td rowspan="2">Region</td><td colspan="2">2024</td></tr>
+      <tr><td>Q1</td><td>Q2</td></tr>
+      <tr><td>North</td><td>1,200</td><td>
+        1,350</td></tr>
+      <tr><td>South</td><td>900</td><td>940</td></tr>
+    </tbody></table></google-sheets-html-origin>`;
+  const text = 'Region\t2024\t\n\tQ1\tQ2\nNorth\t1,200\t1,350\nSouth\t900\t940';
+  const result = paste({ html, text });
+  assert.strictEqual(result.format, 'html', 'HTML wins over the plain-text flavour');
+  assert.deepStrictEqual(result.data, [
+    ['Region', '2024', ''],
+    ['Region', 'Q1', 'Q2'],
+    ['North', '1,200', '1,350'],
+    ['South', '900', '940']
+  ], 'Colspans are kept in place and whitespace inside cells is collapsed');
+  assert.strictEqual(result.headerHierarchy, null, 'td-only header rows are not a header band');
+
+  const withHeader = paste({ html: '<table><thead><tr><th rowspan="2">Region</th><th colspan="2">2024</th></tr><tr><th>Q1</th><th>Q2</th></tr></thead><tbody><tr><td>North</td><td>1</td><td>2</td></tr></tbody></table>' });
+  assert.deepStrictEqual(withHeader.data, [['Region', '2024 · Q1', '2024 · Q2'], ['North', '1', '2']]);
+  assert.strictEqual(withHeader.headerHierarchy.depth, 2, 'Stacked th rows keep their hierarchy for exports');
+
+  assert.strictEqual(paste({ html: '<p>Just <b>text</b></p>', text: 'Just text' }), null, 'HTML without a table and prose are ignored');
+}
+
+function testPlainTextFormats() {
+  const tsv = paste({ text: 'Name\tScore\r\nAna\t10\r\nBo\t\r\n' });
+  assert.strictEqual(tsv.format, 'tsv');
+  assert.deepStrictEqual(tsv.data, [['Name', 'Score'], ['Ana', '10'], ['Bo', '']], 'Empty trailing cells are kept');
+
+  const markdown = paste({ text: '| Name | Note | Score |\n|---|:---:|---:|\n| Ana | | 10 |\n| Bo | late | 7 |' });
+  assert.strictEqual(markdown.format, 'markdown');
+  assert.deepStrictEqual(markdown.data, [['Name', 'Note', 'Score'], ['Ana', '', '10'], ['Bo', 'late', '7']]);
+
+  const fixed = paste({ text: 'PID   COMMAND      CPU\n  1   init         0.0\n 42   node server  12.5\n' });
+  assert.strictEqual(fixed.format, 'fixed-width');
+  assert.deepStrictEqual(fixed.data, [['PID', 'COMMAND', 'CPU'], ['1', 'init', '0.0'], ['42', 'node server', '12.5']]);
+  assert.deepStrictEqual(fixed.fixedWidth.columns, [{ start: 0, end: 3 }, { start: 6, end: 17 }, { start: 19, end: 23 }], 'Spans are kept for boundary adjustment');
+
+  const csv = paste({ text: 'a,b,c\n1,2,3\n4,5,6' });
+  assert.strictEqual(csv.format, 'csv');
+  assert.strictEqual(paste({ text: 'single line, with a comma' }), null, 'One line is not a table');
+  assert.strictEqual(paste({ text: 'Some prose that spans\nmore than one line of text.' }), null);
+}
+
+function testTextTableParsers() {
+  assert.deepStrictEqual(parseMarkdownTable('Name | Score\n--- | ---\nAna | 10'), [['Name', 'Score'], ['Ana', '10']], 'Outer pipes are optional');
+  assert.deepStrictEqual(parseFixedWidth('one line only'), []);
+  assert.deepStrictEqual(parseFixedWidth('a b\nc d'), [], 'Single spaces are not gutters');
+}
+
+function testPastedImportShape() {
+  const imported = pastedTableImport({ format: 'tsv', data: [['a', 'b'], ['1', '2']], headerHierarchy: null });
+  assert.strictEqual(imported.source, 'paste');
+  assert.strictEqual(imported.fileName, 'Pasted table (TSV)');
+  assert.deepStrictEqual(imported.tables[0], {
+    name: 'Pasted table (TSV)', type: 'pasted', format: 'tsv', data: [['a', 'b'], ['1', '2']], headerHierarchy: null, fixedWidth: null
+  });
+}
+
+module.exports = [
+  { name: 'Smart paste - spreadsheet HTML keeps colspans', fn: testSpreadsheetHTML },
+  { name: 'Smart paste - TSV, markdown, fixed-width and CSV text', fn: testPlainTextFormats },
+  { name: 'Smart paste - markdown and fixed-width parsers', fn: testTextTableParsers },
+  { name: 'Smart paste - viewer import shape', fn: testPastedImportShape }
+];
@@ -0,0 +1,90 @@
+const assert = require('assert');
+const { TabTableCache, TAB_CACHE_STORAGE_KEY, TAB_CACHE_MAX_PERSISTED_ROWS } = require('../utils/tabCache');
+
+// Storage area stand-in (chrome.storage.session keeps JSON-serialisable values)
+function memoryStorage(quota = Infinity) {
+  const area = {};
+  return {
+    area,
+    get: async () => JSON.parse(JSON.stringify(area)),
+    set: async (items) => {
+      if (JSON.stringify(items).length > quota) throw new Error('QUOTA_BYTES quota exceeded');
+      Object.assign(area, JSON.parse(JSON.stringify(items)));
+    }
+  };
+}
+
+async function testFrameOrdering() {
+  const cache = new TabTableCache(memoryStorage());
+  await cache.setFrameTables(7, 3, [{ id: 'f1', preview: 'Frame A' }, { id: 'f2', preview: 'Frame B' }]);
+  await cache.setFrameTables(7, 0, [{ id: 't1' }, { id: 't2' }], 'https://example.com/report');
+  const tables = await cache.getTables(7);
+  assert.deepStrictEqual(tables.map(t => t.id), ['t1', 't2', 'f1', 'f2'], 'Top-frame tables come first');
+  assert.strictEqual(tables[0].frameId, undefined, 'Top-frame tables keep their content-script indices');
+  assert.deepStrictEqual(tables.slice(2).map(t => [t.frameId, t.frameIndex]), [[3, 0], [3, 1]]);
+
+  await cache.setFrameTables(7, 3, [{ id: 'f3' }]);
+  assert.deepStrictEqual((await cache.getTables(7)).map(t => t.id), ['t1', 't2', 'f3'], 'A rescan replaces the frame');
+  assert.deepStrictEqual(await cache.getTables(8), []);
+}
+
+async function testAddTable() {
+  const cache = new TabTableCache(memoryStorage());
+  await cache.setFrameTables(1, 0, [{ id: 'html_0' }], 'https://example.com/doc.pdf');
+  await cache.addTable(1, 0, { id: 'pdf_1', type: 'pdf' });
+  await cache.addTable(1, 0, { id: 'pdf_1', type: 'pdf' });
+  await cache.addTable(1, 0, null);
+  assert.deepStrictEqual((await cache.getTables(1)).map(t => t.id), ['html_0', 'pdf_1'], 'Known ids are not added twice');
+}
+
+async function testNavigation() {
+  const cache = new TabTableCache(memoryStorage());
+  await cache.setFrameTables(2, 0, [{ id: 'a' }], 'https://example.com/page#top');
+  await cache.handleNavigation(2, 'https://example.com/page#section-2');
+  assert.strictEqual((await cache.getTables(2)).length, 1, 'Hash changes keep the tables');
+  await cache.handleNavigation(2, 'https://example.com/other');
+  assert.deepStrictEqual(await cache.getTables(2), [], 'Another page clears the tab');
+
+  await cache.setFrameTables(3, 0, [{ id: 'b' }], 'https://example.com/');
+  await cache.clearTab(3);
+  assert.deepStrictEqual(await cache.getTables(3), []);
+}
+
+async function testPersistence() {
+  const storage = memoryStorage();
+  const first = new TabTableCache(storage);
+  await first.setFrameTables(5, 0, [{ id: 'kept' }], 'https://example.com/');
+  assert.ok(storage.area[TAB_CACHE_STORAGE_KEY], 'Written through to storage');
+
+  // A restarted service worker starts with an empty instance
+  const restarted = new TabTableCache(storage);
+  assert.deepStrictEqual((await restarted.getTables(5)).map(t => t.id), ['kept']);
+}
+
+async function testQuota() {
+  const rows = (count) => [['A', 'B'], ...Array.from({ length: count }, (_, i) => [`a${i}`, `b${i}`])];
+  const storage = memoryStorage();
+  const cache = new TabTableCache(storage);
+  await cache.setFrameTables(4, 2, [{ id: 'small', data: rows(3) }, { id: 'big', data: rows(TAB_CACHE_MAX_PERSISTED_ROWS + 1) }]);
+  const stored = storage.area[TAB_CACHE_STORAGE_KEY][4].frames[2];
+  assert.strictEqual(stored[0].data.length, 4);
+  assert.ok(!('data' in stored[1]), 'Large table data is not persisted');
+  assert.strictEqual((await cache.getTables(4))[1].data.length, TAB_CACHE_MAX_PERSISTED_ROWS + 2, 'but stays in memory');
+
+  // Storage full: summaries only, then an empty cache, never a stale copy
+  const tight = memoryStorage(300);
+  const limited = new TabTableCache(tight);
+  await limited.setFrameTables(6, 1, [{ id: 'f1', preview: 'x', data: rows(20) }]);
+  assert.deepStrictEqual(tight.area[TAB_CACHE_STORAGE_KEY][6].frames[1], [{ id: 'f1', preview: 'x' }]);
+  await limited.setFrameTables(6, 1, Array.from({ length: 20 }, (_, i) => ({ id: `t${i}`, preview: 'a longer preview text' })));
+  assert.deepStrictEqual(tight.area[TAB_CACHE_STORAGE_KEY], {});
+  assert.strictEqual((await limited.getTables(6)).length, 20);
+}
+
+module.exports = [
+  { name: 'Tab cache: top-frame tables first, frame tables tagged', fn: testFrameOrdering },
+  { name: 'Tab cache: added tables are deduplicated by id', fn: testAddTable },
+  { name: 'Tab cache: navigation clears, hash changes keep', fn: testNavigation },
+  { name: 'Tab cache: survives a service worker restart', fn: testPersistence },
+  { name: 'Tab cache: large data stays in memory when storage is limited', fn: testQuota }
+];
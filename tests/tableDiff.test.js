@@ -0,0 +1,60 @@
+const assert = require('assert');
+const { diffTableData, applyTableDiff, describeTableDiff } = require('../utils/tableDiff');
+
+const base = [
+  ['Service', 'Status', 'Latency'],
+  ['api', 'up', '120'],
+  ['db', 'up', '35'],
+  ['cache', 'up', '2']
+];
+
+function testNoChange() {
+  const patch = diffTableData(base, base.map(r => [...r]));
+  assert.strictEqual(patch.kind, 'none');
+  assert.strictEqual(applyTableDiff(base, patch), base);
+}
+
+function testChangedAndAppendedRows() {
+  const next = base.map(r => [...r]);
+  next[2][1] = 'down';
+  next.push(['queue', 'up', '8']);
+  const patch = diffTableData(base, next);
+  assert.strictEqual(patch.kind, 'patch');
+  assert.deepStrictEqual(patch.changed, [{ index: 2, row: ['db', 'down', '35'] }]);
+  assert.deepStrictEqual(patch.appended, [['queue', 'up', '8']]);
+  assert.deepStrictEqual(applyTableDiff(base, patch), next);
+  assert.strictEqual(describeTableDiff(patch, base.length), '1 changed, 1 added');
+  assert.strictEqual(base[2][1], 'up', 'Applying a patch must not mutate the previous snapshot');
+}
+
+function testRemovedRows() {
+  const next = base.slice(0, 2);
+  const patch = diffTableData(base, next);
+  assert.strictEqual(patch.kind, 'patch');
+  assert.strictEqual(patch.rowCount, 2);
+  assert.deepStrictEqual(applyTableDiff(base, patch), next);
+  assert.strictEqual(describeTableDiff(patch, base.length), '2 removed');
+}
+
+function testHeaderChangeReplaces() {
+  const next = [['Service', 'Status', 'Latency', 'Region'], ['api', 'up', '120', 'us']];
+  const patch = diffTableData(base, next);
+  assert.strictEqual(patch.kind, 'replace');
+  assert.deepStrictEqual(applyTableDiff(base, patch), next);
+  assert.strictEqual(describeTableDiff(patch, base.length), 'table reloaded');
+}
+
+function testMostlyRewrittenReplaces() {
+  const big = [['id', 'v']];
+  for (let i = 0; i < 20; i++) big.push([String(i), 'a']);
+  const next = big.map((r, i) => i === 0 ? r : [r[0], 'b']);
+  assert.strictEqual(diffTableData(big, next).kind, 'replace');
+}
+
+module.exports = [
+  { name: 'Table diff - unchanged snapshot', fn: testNoChange },
+  { name: 'Table diff - changed and appended rows round-trip', fn: testChangedAndAppendedRows },
+  { name: 'Table diff - removed rows round-trip', fn: testRemovedRows },
+  { name: 'Table diff - header change sends full replacement', fn: testHeaderChangeReplaces },
+  { name: 'Table diff - bulk rewrite sends full replacement', fn: testMostlyRewrittenReplaces }
+];
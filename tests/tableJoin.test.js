@@ -0,0 +1,115 @@
+const assert = require('assert');
+const { joinTables, matchHeaders, appendTables } = require('../utils/tableJoin');
+const { RECENT_TABLES_LIMIT, RECENT_TABLE_MAX_CELLS, RECENT_TABLES_MAX_CHARS, rememberRecentTable, clearRecentTables, listJoinableTables } = require('../utils/recentTables');
+const { applyColumnLayout, normalizeColumnLayout } = require('../utils/columnLayout');
+
+const PRICES = [
+  ['Model', 'Price'],
+  ['X100 ', '$499'],
+  ['x200', '$699'],
+  ['X300', '$899'],
+  ['', '$1']
+];
+const SPECS = [
+  ['Model', 'Weight', 'Price'],
+  ['X100', '1.2 kg', 'list'],
+  ['X200', '1.4 kg', 'list'],
+  ['X200', '1.5 kg', 'promo'],
+  ['X400', '2.0 kg', 'list']
+];
+
+function testJoinTypes() {
+  const options = { leftKeys: [0], rightKeys: [0], trim: true, caseFold: true, rightName: 'specs' };
+  const inner = joinTables(PRICES, SPECS, options);
+  assert.deepStrictEqual(inner.data, [
+    ['Model', 'Price', 'Weight', 'Price (specs)'],
+    ['X100 ', '$499', '1.2 kg', 'list'],
+    ['x200', '$699', '1.4 kg', 'list'],
+    ['x200', '$699', '1.5 kg', 'promo']
+  ], 'Trimmed, case-folded keys; one row per match; clashing headers get a suffix');
+  assert.deepStrictEqual([inner.matchedRows, inner.unmatchedLeft, inner.unmatchedRight], [2, 2, 1]);
+
+  const left = joinTables(PRICES, SPECS, { ...options, type: 'left' });
+  assert.deepStrictEqual(left.data.slice(4), [['X300', '$899', '', ''], ['', '$1', '', '']], 'Unmatched and empty-key rows are kept');
+
+  const full = joinTables(PRICES, SPECS, { ...options, type: 'full' });
+  assert.deepStrictEqual(full.data[full.data.length - 1], ['X400', '', '2.0 kg', 'list'], 'The key is filled from the other table');
+
+  assert.strictEqual(joinTables(PRICES, SPECS, { leftKeys: [0], rightKeys: [0] }).data.length, 1, 'Keys are compared exactly by default');
+  assert.throws(() => joinTables(PRICES, SPECS, { leftKeys: [0], rightKeys: [] }), /same number of key columns/);
+}
+
+function testCompositeKeys() {
+  const sales = [['Year', 'Region', 'Sales'], ['2024', 'North', '10'], ['2024', 'South', '20']];
+  const targets = [['Region', 'Year', 'Target'], ['north', '2024', '15'], ['South', '2023', '18']];
+  const result = joinTables(sales, targets, { leftKeys: [0, 1], rightKeys: [1, 0], caseFold: true, type: 'left' });
+  assert.deepStrictEqual(result.data, [['Year', 'Region', 'Sales', 'Target'], ['2024', 'North', '10', '15'], ['2024', 'South', '20', '']]);
+}
+
+function testAppend() {
+  const january = [['Name', 'Amount'], ['Ann', '10']];
+  const february = [['amount ', 'name'], ['20', 'Bob']];
+  assert.deepStrictEqual(matchHeaders(january[0], february[0], { trim: true, caseFold: true }), [1, 0]);
+  assert.strictEqual(matchHeaders(january[0], february[0]), null);
+  assert.deepStrictEqual(appendTables([{ name: 'Jan', data: january }, { name: 'Feb', data: february }], { trim: true, caseFold: true, sourceColumn: 'Source' }),
+    [['Name', 'Amount', 'Source'], ['Ann', '10', 'Jan'], ['Bob', '20', 'Feb']], 'Columns are matched by header');
+  assert.throws(() => appendTables([{ name: 'Jan', data: january }, { name: 'Specs', data: SPECS }]), /"Specs" has different headers/);
+}
+
+function memoryStorage(limit = Infinity) {
+  const items = {};
+  return {
+    items,
+    getItem: (key) => (key in items ? items[key] : null),
+    setItem: (key, value) => {
+      if (value.length > limit) throw new Error('QuotaExceededError');
+      items[key] = value;
+    },
+    removeItem: (key) => { delete items[key]; }
+  };
+}
+
+function testJoinableTables() {
+  const storage = memoryStorage();
+  assert.ok(rememberRecentTable(storage, { id: 'prices', name: 'Prices', data: PRICES }));
+  assert.ok(rememberRecentTable(storage, { id: 'specs', name: 'Specs', data: SPECS }));
+  assert.ok(rememberRecentTable(storage, { id: 'prices', name: 'Prices (again)', data: PRICES }));
+  assert.ok(!rememberRecentTable(storage, { id: 'big', name: 'Big', data: [['A'], ...new Array(RECENT_TABLE_MAX_CELLS).fill(['1'])] }), 'Large tables are skipped');
+  for (let i = 0; i < RECENT_TABLES_LIMIT + 2; i++) rememberRecentTable(storage, { id: `t${i}`, name: `T${i}`, data: PRICES });
+  assert.strictEqual(JSON.parse(storage.items.tableLens_recentTables).length, RECENT_TABLES_LIMIT);
+
+  storage.setItem('tableLensSavedStates', JSON.stringify([
+    { id: '1', name: 'Specs workspace', state: { tableData: SPECS, columnLayout: { order: [2, 0], hidden: [], deleted: [1], names: { 2: 'Channel' } } } },
+    { id: '2', name: 'Broken', state: {} }
+  ]));
+  const layout = (data, stored) => applyColumnLayout(data, normalizeColumnLayout(stored, data[0].length));
+  const tables = listJoinableTables(storage, 't0', layout);
+  assert.ok(!tables.some(t => t.key === 'recent:t0'), 'The current table is not offered');
+  const saved = tables.filter(t => t.group === 'Saved workspaces');
+  assert.deepStrictEqual(saved.map(t => t.name), ['Specs workspace']);
+  assert.deepStrictEqual(saved[0].data[0], ['Channel', 'Model'], 'Workspaces are offered as displayed');
+
+  const tight = memoryStorage(JSON.stringify([{ id: 'a', name: 'A', savedAt: Date.now(), data: SPECS }]).length + 10);
+  rememberRecentTable(tight, { id: 'a', name: 'A', data: SPECS });
+  assert.ok(rememberRecentTable(tight, { id: 'b', name: 'B', data: SPECS }), 'Older entries make room when storage is full');
+  assert.deepStrictEqual(JSON.parse(tight.items.tableLens_recentTables).map(t => t.id), ['b']);
+
+  // The whole list stays inside a size budget (workspaces share the storage quota)
+  const wide = (rows) => [['Name', 'Notes'], ...new Array(rows).fill(['a name', 'x'.repeat(40)])];
+  const rowsPerHalf = Math.floor(RECENT_TABLES_MAX_CHARS / 2 / 50);
+  const budget = memoryStorage();
+  assert.ok(rememberRecentTable(budget, { id: 'w1', name: 'W1', data: wide(rowsPerHalf) }));
+  assert.ok(rememberRecentTable(budget, { id: 'w2', name: 'W2', data: wide(rowsPerHalf) }));
+  assert.deepStrictEqual(JSON.parse(budget.items.tableLens_recentTables).map(t => t.id), ['w2'], 'Older entries are dropped to fit the budget');
+  assert.ok(!rememberRecentTable(budget, { id: 'w3', name: 'W3', data: wide(rowsPerHalf * 3) }), 'A table larger than the budget is skipped');
+  assert.deepStrictEqual(JSON.parse(budget.items.tableLens_recentTables).map(t => t.id), ['w2']);
+  clearRecentTables(budget);
+  assert.strictEqual(budget.getItem('tableLens_recentTables'), null);
+}
+
+module.exports = [
+  { name: 'Join: inner, left and full joins with key normalization', fn: testJoinTypes },
+  { name: 'Join: composite keys in different column orders', fn: testCompositeKeys },
+  { name: 'Join: append tables with matching headers', fn: testAppend },
+  { name: 'Join: recent tables and saved workspaces offered for joins', fn: testJoinableTables }
+];
@@ -0,0 +1,167 @@
+/**
+ * ARIA grid detection utilities
+ * Rebuilds 2D table data from role-based markup (role="grid" / "table" / "treegrid") used by
+ * React/Angular dashboards that render data grids with <div>s instead of <table>.
+ * Virtualized grids expose absolute positions through aria-rowindex / aria-colindex (1-based);
+ * those are honoured so pinned/split row containers merge back into a single row.
+ */
+
+const ARIA_TABLE_SELECTOR = '[role="grid"], [role="table"], [role="treegrid"]';
+const ARIA_ROW_SELECTOR = '[role="row"]';
+const ARIA_CELL_SELECTOR = '[role="cell"], [role="gridcell"], [role="columnheader"], [role="rowheader"]';
+
+/**
+ * Find ARIA table containers below a root, skipping real <table> elements
+ * (those are already handled by the HTML table pass).
+ * @param {Element|Document} root
+ * @returns {Element[]}
+ */
+function findAriaGrids(root) {
+  return Array.from(root.querySelectorAll(ARIA_TABLE_SELECTOR))
+    .filter(el => el.tagName !== 'TABLE');
+}
+
+function parseAriaIndex(el, attr) {
+  const raw = el.getAttribute(attr);
+  if (raw == null || raw === '') return null;
+  const n = parseInt(raw, 10);
+  return isNaN(n) || n < 1 ? null : n;
+}
+
+/**
+ * Parse the rows of an ARIA grid keeping their logical row index.
+ * Rows/cells that belong to a nested grid are ignored.
+ * @param {Element} container - element with role grid/table/treegrid
+ * @returns {Array<{rowIndex: number|null, values: string[]}>}
+ */
+function parseAriaGridRows(container) {
+  const rowEntries = []; // { rowIndex, cells: Map<col, text> }
+  const byIndex = new Map();
+
+  const rows = Array.from(container.querySelectorAll(ARIA_ROW_SELECTOR))
+    .filter(row => row.closest(ARIA_TABLE_SELECTOR) === container);
+
+  rows.forEach(row => {
+    const rowIndex = parseAriaIndex(row, 'aria-rowindex');
+    let entry = rowIndex != null ? byIndex.get(rowIndex) : null;
+    if (!entry) {
+      entry = { rowIndex, cells: new Map(), cursor: 1 };
+      rowEntries.push(entry);
+      if (rowIndex != null) byIndex.set(rowIndex, entry);
+    }
+
+    const cells = Array.from(row.querySelectorAll(ARIA_CELL_SELECTOR))
+      .filter(cell => cell.closest(ARIA_ROW_SELECTOR) === row);
+
+    cells.forEach(cell => {
+      const colIndex = parseAriaIndex(cell, 'aria-colindex') || entry.cursor;
+      const colspan = parseAriaIndex(cell, 'aria-colspan') || 1;
+      entry.cells.set(colIndex, cell.textContent.trim());
+      // For colspan: only put content in the first column (same rule as HTML tables)
+      for (let c = 1; c < colspan; c++) {
+        if (!entry.cells.has(colIndex + c)) entry.cells.set(colIndex + c, '');
+      }
+      entry.cursor = colIndex + colspan;
+    });
+  });
+
+  const populated = rowEntries.filter(entry => entry.cells.size > 0);
+
+  // Compress absolute column indices into dense positions (virtualized grids may skip columns)
+  const usedColumns = new Set();
+  populated.forEach(entry => entry.cells.forEach((_, col) => usedColumns.add(col)));
+  const columnOrder = Array.from(usedColumns).sort((a, b) => a - b);
+
+  // Virtualized grids render rows out of order; sort when every row carries an index
+  if (populated.length > 0 && populated.every(entry => entry.rowIndex != null)) {
+    populated.sort((a, b) => a.rowIndex - b.rowIndex);
+  }
+
+  return populated.map(entry => ({
+    rowIndex: entry.rowIndex,
+    values: columnOrder.map(col => entry.cells.has(col) ? entry.cells.get(col) : '')
+  }));
+}
+
+/**
+ * Parse an ARIA grid into a 2D array (first row = header when present)
+ * @param {Element} container
+ * @returns {string[][]}
+ */
+function parseAriaGrid(container) {
+  return parseAriaGridRows(container).map(row => row.values);
+}
+
+// Share of the cells of a CSS grid that must hold text (icon grids and spacer-heavy layouts fall below it)
+const CSS_GRID_MIN_TEXT_RATIO = 0.6;
+
+// A grid item that is a single value rather than a card/section of the page layout
+function isCellLike(el) {
+  return el.querySelectorAll('*').length <= 4 && el.textContent.trim().length <= 200;
+}
+
+// A grid item that is only a link or button (navigation bars, footers, link lists)
+function isLinkOnlyCell(el) {
+  const target = el.children.length === 1 ? el.children[0] : el;
+  return (target.tagName === 'A' || target.tagName === 'BUTTON') && target.textContent.trim() === el.textContent.trim();
+}
+
+/**
+ * Parse a CSS grid layout (display:grid without ARIA roles) by chunking its direct
+ * children into rows of `columnCount` cells. Returns [] for grids of cards/blocks, link lists
+ * (navigation, footers) and grids whose rows are mostly empty (icon grids).
+ * @param {Element} container
+ * @param {number} columnCount - number of tracks in grid-template-columns
+ * @returns {string[][]}
+ */
+function parseCssGrid(container, columnCount) {
+  const children = Array.from(container.children);
+  if (columnCount < 2 || children.length < columnCount * 2) return [];
+  if (!children.every(isCellLike)) return [];
+  if (children.filter(isLinkOnlyCell).length * 2 > children.length) return [];
+  const data = [];
+  for (let i = 0; i + columnCount <= children.length; i += columnCount) {
+    data.push(children.slice(i, i + columnCount).map(child => child.textContent.trim()));
+  }
+  // Data grids carry text in most cells, and in at least two cells of (nearly) every row
+  const textCells = data.reduce((sum, row) => sum + row.filter(Boolean).length, 0);
+  if (textCells < data.length * columnCount * CSS_GRID_MIN_TEXT_RATIO) return [];
+  const sparseRows = data.filter(row => row.filter(Boolean).length < 2).length;
+  if (sparseRows * 5 > data.length) return [];
+  return data;
+}
+
+/**
+ * Count the tracks of a computed grid-template-columns value ("100px 1fr 1fr" -> 3)
+ * @param {string} template
+ * @returns {number}
+ */
+function countGridTracks(template) {
+  if (!template || template === 'none') return 0;
+  // Computed values are resolved to pixel lists, but handle repeat() defensively
+  const repeat = template.match(/^repeat\(\s*(\d+)\s*,/);
+  if (repeat) return parseInt(repeat[1], 10);
+  return template.replace(/\[[^\]]*\]/g, ' ').trim().split(/\s+(?![^(]*\))/).filter(Boolean).length;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    ARIA_TABLE_SELECTOR,
+    findAriaGrids,
+    parseAriaGridRows,
+    parseAriaGrid,
+    parseCssGrid,
+    countGridTracks
+  };
+}
+
+if (typeof window !== 'undefined') {
+  window.AriaGridUtils = {
+    ARIA_TABLE_SELECTOR,
+    findAriaGrids,
+    parseAriaGridRows,
+    parseAriaGrid,
+    parseCssGrid,
+    countGridTracks
+  };
+}
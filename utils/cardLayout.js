@@ -0,0 +1,265 @@
+/**
+ * List and repeated-card layouts
+ * Product listings, search results and job boards render records as sibling elements with the
+ * same DOM shape instead of table rows. Siblings are grouped by structural similarity and every
+ * value-carrying sub-path (text, link, image) shared by the cards becomes a column.
+ * Also parses plain lists: ul/ol items (one column, or card columns when items are structured)
+ * and dl term/description pairs.
+ */
+
+const CARD_SKIP_TAGS = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'SVG', 'BR', 'HR']);
+const PRICE_PATTERN = /([$€£¥₹]\s?\d)|(\d[\d.,]*\s?([$€£¥₹]|USD|EUR|GBP)\b)/i;
+
+function cardChildren(el) {
+  return Array.from(el.children).filter(child => !CARD_SKIP_TAGS.has(child.tagName));
+}
+
+function normalizeText(text) {
+  return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Tag paths of an element's descendants, used as its structural "shape"
+ * @param {Element} el
+ * @param {number} maxDepth
+ * @returns {Set<string>}
+ */
+function shapePaths(el, maxDepth = 4) {
+  const paths = new Set();
+  const walk = (node, prefix, depth) => {
+    cardChildren(node).forEach(child => {
+      const path = `${prefix}/${child.tagName.toLowerCase()}`;
+      paths.add(path);
+      if (depth < maxDepth) walk(child, path, depth + 1);
+    });
+  };
+  walk(el, el.tagName.toLowerCase(), 1);
+  return paths;
+}
+
+/**
+ * Jaccard similarity of two shapes (1 = identical structure)
+ */
+function shapeSimilarity(a, b) {
+  if (a.size === 0 && b.size === 0) return 1;
+  let shared = 0;
+  a.forEach(path => { if (b.has(path)) shared++; });
+  return shared / (a.size + b.size - shared);
+}
+
+/**
+ * Largest group of structurally similar children of a container
+ * @param {Element} container
+ * @param {number} minCount - minimum group size
+ * @param {number} threshold - minimum shape similarity to the group's first member
+ * @returns {Element[]} the cards (empty when no group is large enough)
+ */
+function findRepeatedChildren(container, minCount = 3, threshold = 0.6) {
+  const groups = [];
+  cardChildren(container).forEach(child => {
+    const shape = shapePaths(child);
+    const group = groups.find(g => g.tagName === child.tagName && shapeSimilarity(g.shape, shape) >= threshold);
+    if (group) {
+      group.items.push(child);
+    } else {
+      groups.push({ tagName: child.tagName, shape, items: [child] });
+    }
+  });
+  const best = groups.reduce((a, b) => (!a || b.items.length > a.items.length ? b : a), null);
+  return best && best.items.length >= minCount ? best.items : [];
+}
+
+function pathSegment(el) {
+  // Skip generated class names (css-1x2y3, sc-abc12) - they differ between otherwise equal cards
+  const cls = (el.getAttribute('class') || '').split(/\s+/).find(c => c && !/\d/.test(c));
+  return cls ? `${el.tagName.toLowerCase()}.${cls}` : el.tagName.toLowerCase();
+}
+
+function ownText(el) {
+  return normalizeText(Array.from(el.childNodes).filter(node => node.nodeType === 3).map(node => node.textContent).join(' '));
+}
+
+/**
+ * Value-carrying sub-paths of one card: own text, link targets and image sources
+ * @param {Element} card
+ * @returns {Map<string, {kind: string, value: string}>} keyed by path relative to the card
+ */
+function extractCardFields(card) {
+  const fields = new Map();
+  const add = (path, kind, value) => {
+    if (!value) return;
+    const key = `${path}#${kind}`;
+    const existing = fields.get(key);
+    fields.set(key, existing ? { kind, path, value: `${existing.value} ${value}` } : { kind, path, value });
+  };
+  const visit = (el, path) => {
+    if (el.tagName === 'IMG') add(path, 'image', el.src || el.getAttribute('src'));
+    if (el.tagName === 'A' && el.getAttribute('href')) add(path, 'link', el.href || el.getAttribute('href'));
+    add(path, 'text', ownText(el));
+
+    const children = cardChildren(el);
+    const segments = children.map(pathSegment);
+    children.forEach((child, i) => {
+      const same = segments.filter(segment => segment === segments[i]).length;
+      const position = segments.slice(0, i).filter(segment => segment === segments[i]).length;
+      visit(child, `${path}/${segments[i]}${same > 1 ? `[${position}]` : ''}`);
+    });
+  };
+  visit(card, '.');
+  return fields;
+}
+
+function humanizeName(text) {
+  return text
+    .replace(/([a-z])([A-Z])/g, '$1 $2')
+    .split(/[-_\s]+/)
+    .filter(Boolean)
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+}
+
+function nameCardColumn(column, values) {
+  if (column.kind === 'link') return 'Link';
+  if (column.kind === 'image') return 'Image';
+  if (/(^|\/)h[1-6]\b/.test(column.path) || /title|heading/i.test(column.path)) return 'Title';
+  const present = values.filter(Boolean);
+  if (present.length > 0 && present.filter(value => PRICE_PATTERN.test(value)).length >= present.length / 2) return 'Price';
+  const segment = column.path.split('/').pop();
+  const cls = segment.split('[')[0].split('.')[1];
+  return cls ? humanizeName(cls) : 'Text';
+}
+
+function buildCardTable(cards) {
+  if (!cards || cards.length < 2) return { data: [], kinds: [] };
+  const records = cards.map(extractCardFields);
+
+  const columns = [];
+  const byKey = new Map();
+  records.forEach(record => {
+    record.forEach((field, key) => {
+      if (!byKey.has(key)) {
+        const column = { key, kind: field.kind, path: field.path, count: 0 };
+        byKey.set(key, column);
+        columns.push(column);
+      }
+      byKey.get(key).count++;
+    });
+  });
+
+  const minCount = Math.max(2, Math.ceil(cards.length * 0.3));
+  const kept = columns.filter(column => {
+    if (column.count < minCount) return false;
+    // Identical in every card: labels ("Price:"), buttons ("Add to cart") or placeholder links
+    const values = new Set(records.map(record => (record.get(column.key) || {}).value || ''));
+    return cards.length < 3 || values.size > 1;
+  });
+  if (kept.length === 0) return { data: [], kinds: [] };
+
+  const rows = records.map(record => kept.map(column => (record.get(column.key) || {}).value || ''));
+  const usedNames = new Map();
+  const header = kept.map((column, i) => {
+    const base = nameCardColumn(column, rows.map(row => row[i]));
+    const count = (usedNames.get(base) || 0) + 1;
+    usedNames.set(base, count);
+    return count > 1 ? `${base} ${count}` : base;
+  });
+  return { data: [header, ...rows], kinds: kept.map(column => column.kind) };
+}
+
+/**
+ * Turn repeated cards into a table: one row per card, one column per shared sub-path
+ * @param {Element[]} cards - sibling elements with a similar shape (see findRepeatedChildren)
+ * @returns {string[][]} header + rows (empty when the cards share no fields)
+ */
+function parseRepeatedCards(cards) {
+  return buildCardTable(cards).data;
+}
+
+/**
+ * Share of non-empty body cells (same measure as the dataDensity of detected HTML tables)
+ * @param {string[][]} data - header + rows
+ * @returns {number} 0..1
+ */
+function cardTableDensity(data) {
+  const cells = data.slice(1).reduce((all, row) => all.concat(row), []);
+  return cells.length > 0 ? cells.filter(cell => cell && cell.trim() !== '').length / cells.length : 0;
+}
+
+/**
+ * Find runs of repeated cards across a page (product listings, search results, job boards)
+ * @param {Element} root
+ * @param {{minCards?: number, isExcluded?: function(Element): boolean}} options
+ *   isExcluded skips containers that are already covered (tables, grids) or are navigation
+ * @returns {Array<{element: Element, cards: Element[], data: string[][], dataDensity: number}>}
+ *   best runs first; a container inside (or around) an accepted run is not reported again
+ */
+function findCardRuns(root, options = {}) {
+  const minCards = options.minCards || 3;
+  const isExcluded = options.isExcluded || (() => false);
+  const candidates = [];
+
+  Array.from(root.querySelectorAll('*')).forEach(container => {
+    if (CARD_SKIP_TAGS.has(container.tagName) || container.children.length < minCards || isExcluded(container)) return;
+    const cards = findRepeatedChildren(container, minCards);
+    if (cards.length === 0) return;
+    const { data, kinds } = buildCardTable(cards);
+    // Link lists (menus, footers) only carry a link and its text; records have at least two values
+    if (kinds.filter(kind => kind !== 'link').length < 2) return;
+    const dataDensity = cardTableDensity(data);
+    candidates.push({
+      element: container,
+      cards,
+      data,
+      dataDensity,
+      score: dataDensity * (data.length - 1) * Math.min(data[0].length, 10)
+    });
+  });
+
+  candidates.sort((a, b) => b.score - a.score);
+  const runs = [];
+  candidates.forEach(candidate => {
+    if (runs.some(run => run.element.contains(candidate.element) || candidate.element.contains(run.element))) return;
+    const { score, ...run } = candidate;
+    runs.push(run);
+  });
+  return runs;
+}
+
+/**
+ * Parse a ul/ol (items, or card columns when the items are structured) or a dl (term/description)
+ * @param {Element} list
+ * @returns {string[][]} header + rows (empty when the list has fewer than two entries)
+ */
+function parseListElement(list) {
+  if (list.tagName === 'DL') {
+    const rows = [];
+    const visit = (el) => {
+      cardChildren(el).forEach(child => {
+        if (child.tagName === 'DT') {
+          rows.push([normalizeText(child.textContent), '']);
+        } else if (child.tagName === 'DD' && rows.length > 0) {
+          const row = rows[rows.length - 1];
+          row[1] = row[1] ? `${row[1]}; ${normalizeText(child.textContent)}` : normalizeText(child.textContent);
+        } else if (child.tagName === 'DIV') {
+          visit(child); // <div> groups around dt/dd pairs are valid HTML
+        }
+      });
+    };
+    visit(list);
+    return rows.length >= 2 ? [['Term', 'Description'], ...rows] : [];
+  }
+
+  const items = cardChildren(list).filter(child => child.tagName === 'LI');
+  if (items.length < 2) return [];
+  const structured = items.some(item => cardChildren(item).length > 0) ? parseRepeatedCards(items) : [];
+  if (structured.length > 0 && structured[0].length > 1) return structured;
+  return [['Item'], ...items.map(item => [normalizeText(item.textContent)])];
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { shapePaths, shapeSimilarity, findRepeatedChildren, extractCardFields, parseRepeatedCards, cardTableDensity, findCardRuns, parseListElement };
+}
+
+if (typeof window !== 'undefined') {
+  window.CardLayoutUtils = { shapePaths, shapeSimilarity, findRepeatedChildren, extractCardFields, parseRepeatedCards, cardTableDensity, findCardRuns, parseListElement };
+}
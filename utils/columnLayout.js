@@ -0,0 +1,134 @@
+/**
+ * Column layout
+ * Maps the source columns of a table (indices into tableData, which never change) to the columns the
+ * viewer displays: their order, which are hidden or deleted, and renamed headers. Everything keyed by
+ * column index (column types, stats, numericFormatMap, filters, sort, chart axes) keeps using source
+ * indices, so it stays valid whatever the layout. Exports and chart labels go through the layout.
+ *
+ * Layout: { order: number[], hidden: number[], deleted: number[], names: { [sourceIndex]: string } }
+ * Layout functions return a new layout and never change their input.
+ */
+
+function createColumnLayout(columnCount) {
+  return { order: Array.from({ length: columnCount }, (_, i) => i), hidden: [], deleted: [], names: {} };
+}
+
+/**
+ * Align a layout with the current column count: unknown or out-of-range indices are dropped and
+ * columns added since (computed columns, extracted links) are appended at the end
+ * @param {Object|null} layout
+ * @param {number} columnCount
+ * @returns {Object}
+ */
+function normalizeColumnLayout(layout, columnCount) {
+  if (!layout || !Array.isArray(layout.order)) return createColumnLayout(columnCount);
+  const inRange = (i) => Number.isInteger(i) && i >= 0 && i < columnCount;
+  const order = [];
+  layout.order.forEach(i => {
+    if (inRange(i) && !order.includes(i)) order.push(i);
+  });
+  for (let i = 0; i < columnCount; i++) {
+    if (!order.includes(i)) order.push(i);
+  }
+  const names = {};
+  Object.keys(layout.names || {}).forEach(key => {
+    const index = Number(key);
+    if (inRange(index) && layout.names[key]) names[index] = String(layout.names[key]);
+  });
+  return {
+    order,
+    hidden: (layout.hidden || []).filter(inRange),
+    deleted: (layout.deleted || []).filter(inRange),
+    names
+  };
+}
+
+function isIdentityColumnLayout(layout) {
+  return !layout || (layout.order.every((source, position) => source === position) &&
+    layout.hidden.length === 0 && layout.deleted.length === 0 && Object.keys(layout.names).length === 0);
+}
+
+/**
+ * Source indices of the displayed columns, in display order
+ */
+function visibleColumns(layout) {
+  return layout.order.filter(i => !layout.hidden.includes(i) && !layout.deleted.includes(i));
+}
+
+/**
+ * Header shown for a source column (renamed or original)
+ */
+function displayColumnName(layout, headers, sourceIndex) {
+  return (layout && layout.names[sourceIndex]) || headers[sourceIndex] || `Column ${sourceIndex + 1}`;
+}
+
+/**
+ * Headers indexed by source column, with renames applied
+ * @param {Object} layout
+ * @param {string[]} headers
+ * @returns {string[]}
+ */
+function displayHeaders(layout, headers) {
+  return headers.map((_, i) => displayColumnName(layout, headers, i));
+}
+
+/**
+ * Move a column to a display position (counted among all non-deleted columns, hidden included)
+ * @param {Object} layout
+ * @param {number} sourceIndex
+ * @param {number} position
+ */
+function moveColumn(layout, sourceIndex, position) {
+  const order = layout.order.filter(i => i !== sourceIndex);
+  const kept = order.filter(i => !layout.deleted.includes(i));
+  const clamped = Math.max(0, Math.min(position, kept.length));
+  // Insert before the column currently at that position (deleted columns keep their slots)
+  const insertAt = clamped === kept.length ? order.length : order.indexOf(kept[clamped]);
+  order.splice(insertAt, 0, sourceIndex);
+  return { ...layout, order };
+}
+
+function setColumnHidden(layout, sourceIndex, hidden) {
+  const others = layout.hidden.filter(i => i !== sourceIndex);
+  return { ...layout, hidden: hidden ? [...others, sourceIndex] : others };
+}
+
+function setColumnDeleted(layout, sourceIndex, deleted) {
+  const others = layout.deleted.filter(i => i !== sourceIndex);
+  return { ...layout, deleted: deleted ? [...others, sourceIndex] : others };
+}
+
+/**
+ * Rename a column; an empty name (or the original header) removes the override
+ */
+function renameColumn(layout, headers, sourceIndex, name) {
+  const names = { ...layout.names };
+  const trimmed = String(name || '').trim();
+  if (!trimmed || trimmed === headers[sourceIndex]) delete names[sourceIndex];
+  else names[sourceIndex] = trimmed;
+  return { ...layout, names };
+}
+
+/**
+ * Grid as displayed: visible columns in display order, renamed headers
+ * @param {string[][]} tableData - header + rows (source column order)
+ * @param {Object} layout
+ * @returns {string[][]}
+ */
+function applyColumnLayout(tableData, layout) {
+  if (!Array.isArray(tableData) || tableData.length === 0) return tableData;
+  const columns = visibleColumns(layout);
+  const headers = tableData[0];
+  return [
+    columns.map(i => displayColumnName(layout, headers, i)),
+    ...tableData.slice(1).map(row => columns.map(i => (row[i] === undefined ? '' : row[i])))
+  ];
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { createColumnLayout, normalizeColumnLayout, isIdentityColumnLayout, visibleColumns, displayColumnName, displayHeaders, moveColumn, setColumnHidden, setColumnDeleted, renameColumn, applyColumnLayout };
+}
+
+if (typeof window !== 'undefined') {
+  window.ColumnLayoutUtils = { createColumnLayout, normalizeColumnLayout, isIdentityColumnLayout, visibleColumns, displayColumnName, displayHeaders, moveColumn, setColumnHidden, setColumnDeleted, renameColumn, applyColumnLayout };
+}
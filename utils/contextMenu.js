@@ -0,0 +1,38 @@
+/**
+ * Right-click actions on page tables
+ * The background worker registers the menu items; the content script of the frame that was
+ * right-clicked resolves the table under the cursor and parses just that element.
+ */
+
+const CONTEXT_MENU_ITEMS = [
+  { id: 'tablelens-open-table', title: 'Open this table in TableLens', mode: 'open' },
+  { id: 'tablelens-copy-csv', title: 'Copy table as CSV', mode: 'csv' },
+  { id: 'tablelens-copy-markdown', title: 'Copy table as Markdown', mode: 'markdown' }
+];
+
+// Pages rarely have a table under a link or image, but right-clicks on cell content land there
+const CONTEXT_MENU_CONTEXTS = ['page', 'frame', 'selection', 'link', 'image'];
+
+/**
+ * Innermost table or ARIA grid on an event path (Event.composedPath(), so tables inside open
+ * shadow roots are found too)
+ * @param {Array<EventTarget>} path - innermost first
+ * @param {string} [ariaSelector] - selector for ARIA grids
+ * @returns {{type: string, element: Element}|null}
+ */
+function findContextTable(path, ariaSelector) {
+  for (const node of path || []) {
+    if (!node || node.nodeType !== 1) continue;
+    if (node.tagName === 'TABLE') return { type: 'html', element: node };
+    if (ariaSelector && node.matches && node.matches(ariaSelector)) return { type: 'aria-grid', element: node };
+  }
+  return null;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { CONTEXT_MENU_ITEMS, CONTEXT_MENU_CONTEXTS, findContextTable };
+}
+
+if (typeof window !== 'undefined') {
+  window.ContextMenuUtils = { CONTEXT_MENU_ITEMS, CONTEXT_MENU_CONTEXTS, findContextTable };
+}
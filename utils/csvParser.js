@@ -0,0 +1,163 @@
+/**
+ * Delimited text parsing shared by the content script (CSV blocks and selections), file import
+ * and smart paste
+ * RFC 4180 parser: quoted fields may contain delimiters, line breaks and escaped quotes ("");
+ * CRLF, LF and CR line endings and a leading BOM are accepted. The delimiter (, ; tab |) is
+ * sniffed from the first records when not given.
+ */
+
+let textTableUtilsForCsv;
+try {
+  // In Node test environment
+  textTableUtilsForCsv = require('./textTables');
+} catch (e) {
+  // In browser utils/textTables.js (loaded after this file) exposes window.TextTableUtils
+  textTableUtilsForCsv = null;
+}
+
+const CSV_DELIMITER_CANDIDATES = [',', '\t', ';', '|'];
+const CSV_SNIFF_RECORDS = 20;
+
+function stripBOM(text) {
+  return text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+}
+
+/**
+ * Parse delimited text into rows of cells
+ * Unquoted fields are trimmed; quoted fields keep their content exactly. Blank lines are
+ * skipped and a trailing delimiter yields an empty last cell.
+ * @param {string} text
+ * @param {string} [delimiter] - field separator (sniffed with detectDelimiter when omitted)
+ * @returns {string[][]}
+ */
+function parseCSV(text, delimiter) {
+  const source = stripBOM(String(text || ''));
+  const separator = delimiter || detectDelimiter(source);
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;   // field started with a quote
+  let inQuotes = false; // currently between the opening and closing quote
+  let i = 0;
+
+  const endField = () => {
+    row.push(quoted ? field : field.trim());
+    field = '';
+    quoted = false;
+  };
+  const endRow = () => {
+    endField();
+    if (row.length > 1 || row[0] !== '') rows.push(row);
+    row = [];
+  };
+
+  while (i < source.length) {
+    const char = source[i];
+    if (inQuotes) {
+      if (char === '"') {
+        if (source[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && !quoted && field.trim() === '') {
+      // Whitespace before an opening quote is ignored
+      quoted = true;
+      inQuotes = true;
+      field = '';
+    } else if (char === separator) {
+      endField();
+    } else if (char === '\r' || char === '\n') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      endRow();
+    } else if (quoted && /\s/.test(char)) {
+      // Whitespace between a closing quote and the delimiter is ignored
+    } else {
+      field += char; // includes stray quotes inside unquoted fields
+    }
+    i++;
+  }
+  if (field !== '' || quoted || row.length > 0) endRow();
+  return rows;
+}
+
+/**
+ * Number of delimiters per record for every candidate, over the first records.
+ * Quote state is tracked across line breaks so multi-line fields count as one record.
+ */
+function countDelimitersPerRecord(text, candidates, maxRecords) {
+  const counts = candidates.map(() => []);
+  let current = candidates.map(() => 0);
+  let inQuotes = false;
+  let hasContent = false;
+  const endRecord = () => {
+    if (hasContent) candidates.forEach((_, c) => counts[c].push(current[c]));
+    current = candidates.map(() => 0);
+    hasContent = false;
+  };
+
+  for (let i = 0; i < text.length && counts[0].length < maxRecords; i++) {
+    const char = text[i];
+    if (char === '"') {
+      inQuotes = !inQuotes;
+      hasContent = true;
+    } else if (!inQuotes && (char === '\n' || char === '\r')) {
+      endRecord();
+    } else if (!inQuotes) {
+      const index = candidates.indexOf(char);
+      if (index >= 0) current[index]++;
+      if (char.trim()) hasContent = true;
+    }
+  }
+  if (counts[0].length < maxRecords) endRecord();
+  return counts;
+}
+
+/**
+ * Pick the delimiter that splits the first records into the most consistent number of fields
+ * @param {string} text
+ * @param {string[]} candidates - checked in order; earlier candidates win ties
+ * @returns {string} the delimiter (comma when nothing splits the text)
+ */
+function detectDelimiter(text, candidates = CSV_DELIMITER_CANDIDATES) {
+  const counts = countDelimitersPerRecord(stripBOM(String(text || '')), candidates, CSV_SNIFF_RECORDS);
+  let best = { delimiter: candidates[0] || ',', score: 0 };
+  candidates.forEach((delimiter, c) => {
+    const tally = new Map();
+    counts[c].forEach(count => { if (count > 0) tally.set(count, (tally.get(count) || 0) + 1); });
+    if (tally.size === 0) return;
+    // Most common field count, weighted by how many records agree with it
+    const [fields, recordCount] = Array.from(tally.entries()).sort((a, b) => b[1] - a[1] || b[0] - a[0])[0];
+    const score = (recordCount / counts[c].length) * (fields + 1);
+    if (score > best.score) best = { delimiter, score };
+  });
+  return best.delimiter;
+}
+
+/**
+ * Whether text is a delimited table: at least two records, and most records have the same
+ * number (2+) of fields with the sniffed delimiter. Markdown pipe tables also split evenly on
+ * '|' but are left to the markdown parser.
+ * @param {string} text
+ * @returns {boolean}
+ */
+function looksLikeCSV(text) {
+  const textTables = textTableUtilsForCsv || (typeof window !== 'undefined' ? window.TextTableUtils : null);
+  if (textTables && textTables.isMarkdownTable(String(text || ''))) return false;
+  const rows = parseCSV(text);
+  if (rows.length < 2) return false;
+  const width = rows[0].length;
+  return width >= 2 && rows.filter(row => row.length === width).length >= rows.length * 0.7;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { CSV_DELIMITER_CANDIDATES, parseCSV, detectDelimiter, looksLikeCSV };
+}
+
+if (typeof window !== 'undefined') {
+  window.CsvParserUtils = { CSV_DELIMITER_CANDIDATES, parseCSV, detectDelimiter, looksLikeCSV };
+}
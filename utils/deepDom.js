@@ -0,0 +1,203 @@
+/**
+ * Deep DOM traversal
+ * document.querySelectorAll does not enter open shadow roots (web components) or iframes
+ * (embedded reports). These helpers search the document, every open shadow root and every
+ * same-origin frame document, and describe where an element lives as a path of frame and shadow
+ * steps so it can be resolved, labelled and scrolled into view again.
+ *
+ * A path is outermost first: [{ type: 'frame', index }, { type: 'shadow', host: 'my-grid', index }].
+ * index is the position of the iframe (or of the host among elements with its tag) in its root.
+ */
+
+const FRAME_SELECTOR = 'iframe, frame';
+
+function frameDocument(frame) {
+  try {
+    // null (or a throw) for cross-origin frames
+    return frame.contentDocument || null;
+  } catch (e) {
+    return null;
+  }
+}
+
+function frameElementOf(doc) {
+  try {
+    return (doc.defaultView && doc.defaultView.frameElement) || null;
+  } catch (e) {
+    return null;
+  }
+}
+
+function isShadowRoot(node) {
+  return !!node && node.nodeType === 11 && !!node.host;
+}
+
+/**
+ * Every root to search: the document, open shadow roots and same-origin frame documents (recursively)
+ * @param {Document} doc
+ * @returns {Array<Document|ShadowRoot>}
+ */
+function collectSearchRoots(doc) {
+  const roots = [];
+  const visit = (root) => {
+    roots.push(root);
+    root.querySelectorAll('*').forEach(el => {
+      if (el.shadowRoot) visit(el.shadowRoot);
+      if (el.tagName === 'IFRAME' || el.tagName === 'FRAME') {
+        const inner = frameDocument(el);
+        if (inner && !roots.includes(inner)) visit(inner);
+      }
+    });
+  };
+  visit(doc);
+  return roots;
+}
+
+/**
+ * querySelectorAll across the document, open shadow roots and same-origin frames
+ * @param {Document} doc
+ * @param {string} selector
+ * @returns {Element[]} document order within each root, outer roots first
+ */
+function deepQuerySelectorAll(doc, selector) {
+  return collectSearchRoots(doc).reduce((all, root) => all.concat(Array.from(root.querySelectorAll(selector))), []);
+}
+
+/**
+ * Frame and shadow path of an element, relative to the top document it can be reached from
+ * @param {Element} element
+ * @returns {Array<{type: string, index: number, host?: string}>} empty for elements of the top document
+ */
+function elementLocation(element) {
+  const path = [];
+  let node = element;
+  while (node) {
+    const root = node.getRootNode();
+    let container = null;
+    if (isShadowRoot(root)) {
+      container = root.host;
+      const hostRoot = container.getRootNode();
+      path.unshift({ type: 'shadow', host: container.localName, index: Array.from(hostRoot.querySelectorAll(container.localName)).indexOf(container) });
+    } else {
+      container = frameElementOf(root);
+      if (container) {
+        path.unshift({ type: 'frame', index: Array.from(container.getRootNode().querySelectorAll(FRAME_SELECTOR)).indexOf(container) });
+      }
+    }
+    node = container;
+  }
+  return path;
+}
+
+/**
+ * Root (frame document or shadow root) a path leads to
+ * @param {Document} doc
+ * @param {Array<Object>} path - see elementLocation
+ * @returns {Document|ShadowRoot|null} null when a step no longer exists or is not accessible
+ */
+function resolveLocation(doc, path) {
+  let root = doc;
+  for (const step of path) {
+    const candidates = root.querySelectorAll(step.type === 'frame' ? FRAME_SELECTOR : step.host);
+    const el = candidates[step.index];
+    root = el ? (step.type === 'frame' ? frameDocument(el) : el.shadowRoot) : null;
+    if (!root) return null;
+  }
+  return root;
+}
+
+/**
+ * Short label for a path, e.g. "iframe 1 › report-grid" (frames and shadow hosts)
+ * @param {Array<Object>} path
+ * @returns {string} empty for the top document
+ */
+function describeLocation(path) {
+  return (path || []).map(step => step.type === 'frame' ? `iframe ${step.index + 1}` : step.host).join(' › ');
+}
+
+/**
+ * Frame elements containing an element, outermost first
+ * @param {Element} element
+ * @returns {Element[]}
+ */
+function frameChain(element) {
+  const frames = [];
+  let doc = element.ownerDocument;
+  let frame = doc ? frameElementOf(doc) : null;
+  while (frame) {
+    frames.unshift(frame);
+    doc = frame.ownerDocument;
+    frame = doc ? frameElementOf(doc) : null;
+  }
+  return frames;
+}
+
+/**
+ * Scroll an element into view, scrolling the frames that contain it first
+ * @param {Element} element
+ */
+function scrollIntoViewDeep(element) {
+  frameChain(element).forEach(frame => frame.scrollIntoView({ block: 'center' }));
+  element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+}
+
+/**
+ * Whether a frame's document can be reached from the top document (every frame up the chain
+ * is same-origin), in which case the top frame's scan already covers it
+ * @param {Window} win
+ * @returns {boolean}
+ */
+function isReachableFromTop(win) {
+  try {
+    for (let w = win; w !== w.top; w = w.parent) {
+      if (!w.parent.document) return false;
+    }
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Focused element, looking into open shadow roots and same-origin frames
+ * @param {Document} doc
+ * @returns {Element|null}
+ */
+function deepActiveElement(doc) {
+  let active = doc.activeElement || null;
+  while (active) {
+    const inner = active.shadowRoot ? active.shadowRoot.activeElement
+      : (active.tagName === 'IFRAME' || active.tagName === 'FRAME') ? (frameDocument(active) || {}).activeElement : null;
+    if (!inner) break;
+    active = inner;
+  }
+  return active;
+}
+
+/**
+ * An element and its ancestors across shadow and frame boundaries, innermost first
+ * (the shape of Event.composedPath() for an event fired on the element)
+ * @param {Element} element
+ * @returns {Element[]}
+ */
+function composedAncestors(element) {
+  const path = [];
+  let node = element;
+  while (node) {
+    if (node.nodeType === 1) path.push(node);
+    const parent = node.parentNode;
+    if (!parent) node = null;
+    else if (isShadowRoot(parent)) node = parent.host;
+    else if (parent.nodeType === 9) node = frameElementOf(parent);
+    else node = parent;
+  }
+  return path;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { collectSearchRoots, deepQuerySelectorAll, elementLocation, resolveLocation, describeLocation, frameChain, scrollIntoViewDeep, isReachableFromTop, deepActiveElement, composedAncestors };
+}
+
+if (typeof window !== 'undefined') {
+  window.DeepDomUtils = { collectSearchRoots, deepQuerySelectorAll, elementLocation, resolveLocation, describeLocation, frameChain, scrollIntoViewDeep, isReachableFromTop, deepActiveElement, composedAncestors };
+}
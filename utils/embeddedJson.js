@@ -0,0 +1,263 @@
+/**
+ * Embedded structured data
+ * Pages often ship the data behind a rendered table as JSON: JSON-LD (<script type="application/ld+json">),
+ * framework state (__NEXT_DATA__, <script type="application/json">, window.__INITIAL_STATE__ = {...})
+ * or schema.org microdata (itemscope/itemprop). This module finds arrays of homogeneous objects in
+ * that data and flattens them into grids with dotted column names (offers.price, author.name).
+ */
+
+const EMBEDDED_JSON_MIN_RECORDS = 2;
+const EMBEDDED_JSON_MIN_COLUMNS = 2;
+const EMBEDDED_JSON_MAX_DEPTH = 8;        // how deep record arrays are searched for
+const EMBEDDED_JSON_FLATTEN_DEPTH = 4;    // nested objects below this are kept as JSON text
+const EMBEDDED_JSON_MAX_SCRIPT_LENGTH = 5000000;
+const EMBEDDED_JSON_DROPPED_KEYS = ['@context'];
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Whether an array lists records of one kind: mostly objects, sharing at least two keys
+ * (keys present in most records), and each record mostly made of those shared keys
+ * @param {Array} items
+ * @returns {boolean}
+ */
+function isHomogeneousRecordArray(items) {
+  if (!Array.isArray(items)) return false;
+  const records = items.filter(isPlainObject);
+  if (records.length < EMBEDDED_JSON_MIN_RECORDS || records.length < items.length * 0.8) return false;
+  const counts = new Map();
+  records.forEach(record => Object.keys(record).forEach(key => counts.set(key, (counts.get(key) || 0) + 1)));
+  const shared = new Set(Array.from(counts.entries()).filter(([, count]) => count > records.length / 2).map(([key]) => key));
+  if (shared.size < EMBEDDED_JSON_MIN_COLUMNS) return false;
+  return records.every(record => {
+    const keys = Object.keys(record);
+    return keys.filter(key => shared.has(key)).length >= keys.length / 2;
+  });
+}
+
+/**
+ * Record arrays anywhere in a JSON value (arrays inside accepted records are not searched)
+ * @param {*} value
+ * @returns {Array<{path: string, records: Object[]}>} path in dotted form ('' for the value itself)
+ */
+function findRecordArrays(value) {
+  const found = [];
+  const seen = new Set();
+  const visit = (node, path, depth) => {
+    if (node === null || typeof node !== 'object' || depth > EMBEDDED_JSON_MAX_DEPTH || seen.has(node)) return;
+    seen.add(node);
+    if (isHomogeneousRecordArray(node)) {
+      found.push({ path, records: node.filter(isPlainObject) });
+      return;
+    }
+    if (Array.isArray(node)) {
+      node.forEach((item, i) => visit(item, path ? `${path}.${i}` : String(i), depth + 1));
+    } else {
+      Object.keys(node).forEach(key => visit(node[key], path ? `${path}.${key}` : key, depth + 1));
+    }
+  };
+  visit(value, '', 0);
+  return found;
+}
+
+function flatCellText(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+/**
+ * Flatten a record: nested objects become dotted keys, lists of plain values are joined with ", "
+ * and anything else (lists of objects, deep nesting) is kept as JSON text
+ * @param {Object} record
+ * @returns {Object<string, string>}
+ */
+function flattenRecord(record) {
+  const flat = {};
+  const visit = (value, prefix, depth) => {
+    if (isPlainObject(value) && depth < EMBEDDED_JSON_FLATTEN_DEPTH && Object.keys(value).length > 0) {
+      Object.keys(value).forEach(key => {
+        if (!EMBEDDED_JSON_DROPPED_KEYS.includes(key)) visit(value[key], prefix ? `${prefix}.${key}` : key, depth + 1);
+      });
+    } else if (Array.isArray(value) && value.every(item => item === null || typeof item !== 'object')) {
+      flat[prefix] = value.map(flatCellText).join(', ');
+    } else {
+      flat[prefix] = flatCellText(value);
+    }
+  };
+  visit(record, '', 0);
+  return flat;
+}
+
+/**
+ * Grid from records; columns are the union of flattened keys in first-seen order
+ * @param {Object[]} records
+ * @returns {string[][]} header + rows
+ */
+function recordsToTable(records) {
+  const flatRecords = records.map(flattenRecord);
+  const columns = [];
+  const seen = new Set();
+  flatRecords.forEach(flat => Object.keys(flat).forEach(key => {
+    if (!seen.has(key)) {
+      seen.add(key);
+      columns.push(key);
+    }
+  }));
+  // Columns that are empty in every record carry nothing
+  const used = columns.filter(key => flatRecords.some(flat => flat[key] !== undefined && flat[key] !== ''));
+  return [used, ...flatRecords.map(flat => used.map(key => flat[key] || ''))];
+}
+
+/**
+ * Index of the bracket closing the object or array that starts at text[start]
+ * (strings are skipped so brackets inside them do not count)
+ */
+function matchingBracket(text, start) {
+  const stack = [];
+  let inString = false;
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+    if (inString) {
+      if (char === '\\') i++;
+      else if (char === '"') inString = false;
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === '{' || char === '[') {
+      stack.push(char);
+    } else if (char === '}' || char === ']') {
+      stack.pop();
+      if (stack.length === 0) return i;
+    }
+  }
+  return -1;
+}
+
+const STATE_ASSIGNMENT_PATTERN = /(?:window\.|self\.|globalThis\.)?(__[A-Za-z0-9_]+__|[A-Za-z_$][\w$]*(?:State|STATE|Data|DATA))\s*=\s*(?=[{[])/g;
+
+/**
+ * JSON values assigned to state globals in an inline script, e.g. window.__INITIAL_STATE__ = {...};
+ * Assignments whose value is not strict JSON are skipped.
+ * @param {string} text - script source
+ * @returns {Array<{name: string, value: *}>}
+ */
+function parseStateAssignments(text) {
+  const values = [];
+  STATE_ASSIGNMENT_PATTERN.lastIndex = 0;
+  let match;
+  while ((match = STATE_ASSIGNMENT_PATTERN.exec(text)) !== null) {
+    const start = match.index + match[0].length;
+    const end = matchingBracket(text, start);
+    if (end < 0) continue;
+    try {
+      values.push({ name: match[1], value: JSON.parse(text.slice(start, end + 1)) });
+      STATE_ASSIGNMENT_PATTERN.lastIndex = end + 1;
+    } catch (e) {
+      // JavaScript object literal rather than JSON
+    }
+  }
+  return values;
+}
+
+/**
+ * JSON carried by a <script> element
+ * @param {Element} script
+ * @returns {Array<{label: string, value: *}>} JSON-LD, JSON data blocks (including __NEXT_DATA__)
+ *   and state assignments in inline scripts
+ */
+function parseScriptData(script) {
+  const text = script.textContent || '';
+  if (!text.trim() || text.length > EMBEDDED_JSON_MAX_SCRIPT_LENGTH) return [];
+  const type = (script.getAttribute('type') || '').trim().toLowerCase();
+  if (type === 'application/ld+json' || type === 'application/json') {
+    try {
+      const label = type === 'application/ld+json' ? 'JSON-LD' : (script.id || 'JSON data');
+      return [{ label, value: JSON.parse(text) }];
+    } catch (e) {
+      return [];
+    }
+  }
+  if (type && !/(java|ecma)script|^module$/.test(type)) return [];
+  if (script.hasAttribute('src')) return [];
+  return parseStateAssignments(text).map(({ name, value }) => ({ label: name, value }));
+}
+
+function microdataValue(el) {
+  if (el.hasAttribute('itemscope')) return microdataItem(el);
+  if (el.hasAttribute('content')) return el.getAttribute('content');
+  const tag = el.tagName;
+  if (tag === 'A' || tag === 'LINK' || tag === 'AREA') return el.getAttribute('href') || '';
+  if (['IMG', 'AUDIO', 'VIDEO', 'SOURCE', 'IFRAME', 'EMBED'].includes(tag)) return el.getAttribute('src') || '';
+  if (tag === 'TIME' && el.hasAttribute('datetime')) return el.getAttribute('datetime');
+  if ((tag === 'DATA' || tag === 'METER') && el.hasAttribute('value')) return el.getAttribute('value');
+  return (el.textContent || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Properties of a microdata item (nested items become nested objects; repeated properties a list)
+ * @param {Element} item - element with itemscope
+ * @returns {Object}
+ */
+function microdataItem(item) {
+  const record = {};
+  const type = item.getAttribute('itemtype');
+  if (type) record['@type'] = type.replace(/^https?:\/\/schema\.org\//, '');
+  Array.from(item.querySelectorAll('[itemprop]')).forEach(el => {
+    // Only properties that belong to this item, not to an item nested inside it
+    let owner = el.parentElement;
+    while (owner && owner !== item && !owner.hasAttribute('itemscope')) owner = owner.parentElement;
+    if (owner !== item) return;
+    const value = microdataValue(el);
+    el.getAttribute('itemprop').split(/\s+/).filter(Boolean).forEach(name => {
+      if (!(name in record)) record[name] = value;
+      else record[name] = [].concat(record[name], value);
+    });
+  });
+  return record;
+}
+
+/**
+ * Top-level microdata items grouped by itemtype (groups of two or more items)
+ * @param {Element|Document} root
+ * @returns {Array<{type: string, elements: Element[], records: Object[]}>}
+ */
+function extractMicrodataGroups(root) {
+  const groups = new Map();
+  Array.from(root.querySelectorAll('[itemscope]')).forEach(el => {
+    if (el.hasAttribute('itemprop')) return; // nested item
+    const type = el.getAttribute('itemtype') || 'Item';
+    if (!groups.has(type)) groups.set(type, { type: type.replace(/^https?:\/\/schema\.org\//, ''), elements: [], records: [] });
+    const group = groups.get(type);
+    group.elements.push(el);
+    group.records.push(microdataItem(el));
+  });
+  return Array.from(groups.values()).filter(group => group.records.length >= EMBEDDED_JSON_MIN_RECORDS);
+}
+
+/**
+ * Tables from embedded JSON values
+ * @param {Array<{label: string, value: *}>} sources - see parseScriptData
+ * @returns {Array<{name: string, label: string, path: string, data: string[][]}>}
+ */
+function embeddedJsonTables(sources) {
+  const tables = [];
+  sources.forEach(source => {
+    findRecordArrays(source.value).forEach(({ path, records }) => {
+      const data = recordsToTable(records);
+      if (data.length - 1 >= EMBEDDED_JSON_MIN_RECORDS && data[0].length >= EMBEDDED_JSON_MIN_COLUMNS) {
+        tables.push({ name: path ? `${source.label} › ${path}` : source.label, label: source.label, path, data });
+      }
+    });
+  });
+  return tables;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { isHomogeneousRecordArray, findRecordArrays, flattenRecord, recordsToTable, parseStateAssignments, parseScriptData, microdataItem, extractMicrodataGroups, embeddedJsonTables };
+}
+
+if (typeof window !== 'undefined') {
+  window.EmbeddedJsonUtils = { isHomogeneousRecordArray, findRecordArrays, flattenRecord, recordsToTable, parseStateAssignments, parseScriptData, microdataItem, extractMicrodataGroups, embeddedJsonTables };
+}
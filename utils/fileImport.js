@@ -0,0 +1,161 @@
+/**
+ * Local file import
+ * Turns CSV/TSV text, every sheet of a spreadsheet workbook (via the bundled SheetJS) and JSON
+ * arrays of objects into tableData grids, and hands them to the table viewer through a
+ * localStorage transfer key (same mechanism as opening a saved workspace).
+ */
+
+let csvUtilsForImport;
+let textTableUtilsForImport;
+try {
+  // In Node test environment
+  csvUtilsForImport = require('./csvParser');
+  textTableUtilsForImport = require('./textTables');
+} catch (e) {
+  // In browser utils/csvParser.js and utils/textTables.js expose window.CsvParserUtils / window.TextTableUtils
+  csvUtilsForImport = null;
+  textTableUtilsForImport = null;
+}
+
+const IMPORT_FILE_ACCEPT = '.csv,.tsv,.tab,.txt,.xlsx,.xls,.ods,.json';
+const SPREADSHEET_EXTENSIONS = ['xlsx', 'xls', 'ods'];
+
+function getCsvUtils() {
+  return csvUtilsForImport || window.CsvParserUtils;
+}
+
+function fileExtension(name) {
+  const match = /\.([a-z0-9]+)$/i.exec(name || '');
+  return match ? match[1].toLowerCase() : '';
+}
+
+function jsonCellText(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+function isRecordArray(value) {
+  return Array.isArray(value) && value.length > 0 &&
+    value.every(item => item !== null && typeof item === 'object' && !Array.isArray(item));
+}
+
+/**
+ * Grid from a JSON array of objects (or the first such array under a top-level property,
+ * e.g. { "data": [...] }); columns are the union of keys in first-seen order
+ * @param {*} value - parsed JSON
+ * @returns {string[][]} header + rows
+ */
+function parseJSONRecords(value) {
+  let records = isRecordArray(value) ? value : null;
+  if (!records && value && typeof value === 'object' && !Array.isArray(value)) {
+    records = Object.values(value).find(isRecordArray) || null;
+  }
+  if (!records) throw new Error('JSON file must contain an array of objects');
+
+  const columns = [];
+  const seen = new Set();
+  records.forEach(record => Object.keys(record).forEach(key => {
+    if (!seen.has(key)) {
+      seen.add(key);
+      columns.push(key);
+    }
+  }));
+  return [columns, ...records.map(record => columns.map(key => jsonCellText(record[key])))];
+}
+
+/**
+ * Every non-empty sheet of a workbook
+ * @param {Object} XLSX - SheetJS
+ * @param {ArrayBuffer|Uint8Array} data
+ * @returns {Array<{name: string, data: string[][]}>}
+ */
+function parseWorkbookSheets(XLSX, data) {
+  const workbook = XLSX.read(data, { type: 'array' });
+  return workbook.SheetNames
+    .map(name => {
+      const rows = XLSX.utils.sheet_to_json(workbook.Sheets[name], { header: 1, raw: false, defval: '' })
+        .map(row => row.map(cell => String(cell).trim()))
+        .filter(row => row.some(cell => cell !== ''));
+      const width = Math.max(0, ...rows.map(row => row.length));
+      return { name, data: rows.map(row => row.concat(new Array(width - row.length).fill(''))) };
+    })
+    .filter(sheet => sheet.data.length > 0);
+}
+
+/**
+ * Parse the content of an imported file
+ * @param {string} fileName - used to pick the format
+ * @param {string|ArrayBuffer|Uint8Array} content - text for CSV/TSV/JSON, bytes for spreadsheets
+ * @param {Object} [XLSX] - SheetJS, required for spreadsheets
+ * @returns {{fileName: string, tables: Array<{name: string, type: string, data: string[][], fixedWidth?: Object}>}}
+ */
+function parseImportedFile(fileName, content, XLSX) {
+  const extension = fileExtension(fileName);
+  let tables;
+
+  if (SPREADSHEET_EXTENSIONS.includes(extension)) {
+    if (!XLSX) throw new Error('Spreadsheet support is not available');
+    tables = parseWorkbookSheets(XLSX, content).map(sheet => ({ name: sheet.name, type: 'xlsx', data: sheet.data }));
+  } else if (extension === 'json') {
+    let value;
+    try {
+      value = JSON.parse(content);
+    } catch (e) {
+      throw new Error('Invalid JSON: ' + e.message);
+    }
+    tables = [{ name: fileName, type: 'json', data: parseJSONRecords(value) }];
+  } else if (['csv', 'tsv', 'tab', 'txt'].includes(extension)) {
+    const csv = getCsvUtils();
+    const text = String(content).replace(/^\uFEFF/, '');
+    const delimiter = extension === 'tsv' || extension === 'tab' ? '\t' : csv.detectDelimiter(text);
+    const data = text.trim() ? csv.parseCSV(text, delimiter) : [];
+    const textTables = textTableUtilsForImport || window.TextTableUtils;
+    const delimited = data.length > 0 && data[0].length >= 2 && data.filter(row => row.length === data[0].length).length >= data.length * 0.8;
+    if (extension === 'txt' && !delimited && textTables.looksLikeFixedWidth(text)) {
+      // Column-aligned report: the viewer offers boundary adjustment before loading
+      const columns = textTables.detectFixedWidthColumns(text);
+      tables = [{ name: fileName, type: 'fixed-width', data: textTables.buildFixedWidthRows(text, columns), fixedWidth: { text, columns } }];
+    } else {
+      tables = data.length > 0 ? [{ name: fileName, type: delimiter === '\t' ? 'tsv' : 'csv', data }] : [];
+    }
+  } else {
+    throw new Error(`Unsupported file type: ${extension ? '.' + extension : fileName}`);
+  }
+
+  if (tables.length === 0) throw new Error('The file does not contain any rows');
+  return { fileName, tables };
+}
+
+/**
+ * Read a File picked by the user and parse it
+ * @param {File} file
+ * @param {Object} [XLSX] - SheetJS
+ * @returns {Promise<{fileName: string, tables: Array<Object>}>}
+ */
+async function readTableFile(file, XLSX) {
+  const binary = SPREADSHEET_EXTENSIONS.includes(fileExtension(file.name));
+  const content = binary ? new Uint8Array(await file.arrayBuffer()) : await file.text();
+  return parseImportedFile(file.name, content, XLSX);
+}
+
+/**
+ * Store an import for the table viewer (table-viewer.html?transfer=<key>)
+ * @param {Storage} storage - localStorage of the extension origin
+ * @param {{fileName: string, tables: Array<Object>}} imported
+ * @param {number} tableIndex - table (sheet) to show first
+ * @returns {string} transfer key
+ */
+function storeImportTransfer(storage, imported, tableIndex = 0) {
+  const transferKey = `tableLens_transfer_${Date.now()}_${Math.random().toString(36).slice(2)}`;
+  storage.setItem(transferKey, JSON.stringify({ imported, tableIndex }));
+  return transferKey;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { IMPORT_FILE_ACCEPT, parseJSONRecords, parseWorkbookSheets, parseImportedFile, readTableFile, storeImportTransfer };
+}
+
+if (typeof window !== 'undefined') {
+  window.FileImportUtils = { IMPORT_FILE_ACCEPT, parseJSONRecords, parseWorkbookSheets, parseImportedFile, readTableFile, storeImportTransfer };
+}
@@ -0,0 +1,562 @@
+/**
+ * Computed column formulas
+ * A small spreadsheet-like expression language evaluated per row. Formulas are parsed into a tree and
+ * interpreted - nothing is passed to eval/Function, and only the functions listed below exist.
+ *
+ *   [Unit price] * Quantity               column references: [Any Header] or a bare header without spaces
+ *   IF(Revenue > 0, Profit / Revenue, "") arithmetic + - * / % ^, comparisons = <> < <= > >=, & joins text
+ *   Revenue / SUM(Revenue)                aggregates over a whole column: SUM AVG COUNT MIN MAX
+ *   (Revenue - PREV(Revenue)) / PREV(Revenue)
+ *   YEAR([Order date]) & "-" & UPPER(LEFT(Region, 3))
+ *
+ * Numeric columns (numeric/money/rate/percentage) are read as numbers; other columns as text.
+ * Blank values stay blank through arithmetic. Row errors become #DIV/0! or #VALUE! cells.
+ */
+
+let formulaStats;
+try {
+  formulaStats = require('./stats');
+} catch (e) {
+  formulaStats = typeof window !== 'undefined' ? window.TableStats : null;
+}
+
+const FORMULA_MAX_LENGTH = 2000;
+const FORMULA_MAX_DEPTH = 64;
+const FORMULA_NUMERIC_TYPES = ['numeric', 'money', 'rate', 'percentage'];
+const FORMULA_DAY_MS = 24 * 60 * 60 * 1000;
+
+class FormulaError extends Error {
+  /**
+   * @param {string} message
+   * @param {number} [position] - character offset in the formula (parse errors)
+   */
+  constructor(message, position) {
+    super(position == null ? message : `${message} (at character ${position + 1})`);
+    this.name = 'FormulaError';
+    this.position = position;
+  }
+}
+
+// Errors raised while evaluating one row; the cell shows the code
+class FormulaValueError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+/* ================= Tokenizer ================= */
+
+const FORMULA_OPERATORS = ['<=', '>=', '<>', '!=', '==', '=', '<', '>', '+', '-', '*', '/', '%', '^', '&', '(', ')', ','];
+
+function tokenizeFormula(text) {
+  const tokens = [];
+  let i = 0;
+  while (i < text.length) {
+    const char = text[i];
+    if (/\s/.test(char)) {
+      i++;
+    } else if (/[0-9.]/.test(char)) {
+      const match = /^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/.exec(text.slice(i));
+      if (!match) throw new FormulaError(`Unexpected "${char}"`, i);
+      tokens.push({ type: 'number', value: parseFloat(match[0]), position: i });
+      i += match[0].length;
+    } else if (char === '"' || char === "'") {
+      let value = '';
+      let j = i + 1;
+      for (;;) {
+        if (j >= text.length) throw new FormulaError('Unclosed text value', i);
+        if (text[j] === char && text[j + 1] === char) {
+          value += char;
+          j += 2;
+        } else if (text[j] === char) {
+          break;
+        } else {
+          value += text[j++];
+        }
+      }
+      tokens.push({ type: 'string', value, position: i });
+      i = j + 1;
+    } else if (char === '[') {
+      const end = text.indexOf(']', i);
+      if (end < 0) throw new FormulaError('Unclosed column reference', i);
+      tokens.push({ type: 'column', value: text.slice(i + 1, end).trim(), position: i });
+      i = end + 1;
+    } else if (/[A-Za-z_]/.test(char)) {
+      const match = /^[A-Za-z_][A-Za-z0-9_.]*/.exec(text.slice(i));
+      tokens.push({ type: 'name', value: match[0], position: i });
+      i += match[0].length;
+    } else {
+      const op = FORMULA_OPERATORS.find(candidate => text.startsWith(candidate, i));
+      if (!op) throw new FormulaError(`Unexpected "${char}"`, i);
+      tokens.push({ type: 'op', value: op, position: i });
+      i += op.length;
+    }
+  }
+  tokens.push({ type: 'end', position: text.length });
+  return tokens;
+}
+
+/* ================= Functions ================= */
+
+function isFormulaBlank(value) {
+  return value === null || value === undefined || value === '';
+}
+
+function toFormulaNumber(value) {
+  if (isFormulaBlank(value)) return null;
+  if (typeof value === 'number') return value;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (value instanceof Date) return value.getTime() / FORMULA_DAY_MS;
+  const cleaned = String(value).trim().replace(/[$€£¥₹%\s]/g, '').replace(/,(?=\d{3}(\D|$))/g, '');
+  if (!/^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/.test(cleaned)) {
+    throw new FormulaValueError('#VALUE!', `"${value}" is not a number`);
+  }
+  return parseFloat(cleaned);
+}
+
+function toFormulaText(value) {
+  return formatFormulaValue(value);
+}
+
+function toFormulaBoolean(value) {
+  if (isFormulaBlank(value)) return false;
+  if (typeof value === 'boolean') return value;
+  if (typeof value === 'number') return value !== 0;
+  const text = String(value).trim().toLowerCase();
+  if (text === 'true') return true;
+  if (text === 'false') return false;
+  return text !== '';
+}
+
+/**
+ * Dates from Date values or text (yyyy-mm-dd, dd/mm/yyyy, or anything Date understands); UTC midnight
+ */
+function toFormulaDate(value) {
+  if (isFormulaBlank(value)) return null;
+  if (value instanceof Date) return value;
+  const text = String(value).trim();
+  let match = /^(\d{4})-(\d{1,2})-(\d{1,2})/.exec(text);
+  if (match) return new Date(Date.UTC(+match[1], +match[2] - 1, +match[3]));
+  match = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/.exec(text);
+  if (match) return new Date(Date.UTC(+match[3], +match[2] - 1, +match[1]));
+  const parsed = new Date(text);
+  if (isNaN(parsed.getTime())) throw new FormulaValueError('#VALUE!', `"${value}" is not a date`);
+  return new Date(Date.UTC(parsed.getFullYear(), parsed.getMonth(), parsed.getDate()));
+}
+
+// Numeric helpers that keep blanks blank
+const formulaNumberFn = (fn) => (x) => {
+  const n = toFormulaNumber(x);
+  return n === null ? null : fn(n);
+};
+
+const formulaDateFn = (fn) => (d) => {
+  const date = toFormulaDate(d);
+  return date === null ? null : fn(date);
+};
+
+/**
+ * Built-in functions: { min, max } argument counts, lazy functions get unevaluated thunks
+ */
+const FORMULA_FUNCTIONS = {
+  // Logic
+  IF: { min: 2, max: 3, lazy: true, fn: (cond, a, b) => (toFormulaBoolean(cond()) ? a() : (b ? b() : null)) },
+  IFERROR: {
+    min: 2, max: 2, lazy: true, fn: (value, fallback) => {
+      try {
+        return value();
+      } catch (e) {
+        if (e instanceof FormulaValueError) return fallback();
+        throw e;
+      }
+    }
+  },
+  AND: { min: 1, max: Infinity, fn: (...args) => args.every(toFormulaBoolean) },
+  OR: { min: 1, max: Infinity, fn: (...args) => args.some(toFormulaBoolean) },
+  NOT: { min: 1, max: 1, fn: (x) => !toFormulaBoolean(x) },
+  ISBLANK: { min: 1, max: 1, fn: (x) => isFormulaBlank(x) },
+  // Math
+  ROUND: {
+    min: 1, max: 2, fn: (x, digits = 0) => {
+      const n = toFormulaNumber(x);
+      if (n === null) return null;
+      const factor = Math.pow(10, toFormulaNumber(digits) || 0);
+      return Math.round(n * factor) / factor;
+    }
+  },
+  ABS: { min: 1, max: 1, fn: formulaNumberFn(Math.abs) },
+  FLOOR: { min: 1, max: 1, fn: formulaNumberFn(Math.floor) },
+  CEIL: { min: 1, max: 1, fn: formulaNumberFn(Math.ceil) },
+  SQRT: { min: 1, max: 1, fn: formulaNumberFn(Math.sqrt) },
+  NUMBER: { min: 1, max: 1, fn: (x) => toFormulaNumber(x) },
+  // Text
+  TEXT: { min: 1, max: 1, fn: (x) => toFormulaText(x) },
+  UPPER: { min: 1, max: 1, fn: (s) => toFormulaText(s).toUpperCase() },
+  LOWER: { min: 1, max: 1, fn: (s) => toFormulaText(s).toLowerCase() },
+  TRIM: { min: 1, max: 1, fn: (s) => toFormulaText(s).trim().replace(/\s+/g, ' ') },
+  LEN: { min: 1, max: 1, fn: (s) => toFormulaText(s).length },
+  LEFT: { min: 1, max: 2, fn: (s, n = 1) => toFormulaText(s).slice(0, Math.max(0, toFormulaNumber(n) || 0)) },
+  RIGHT: { min: 1, max: 2, fn: (s, n = 1) => { const count = Math.max(0, toFormulaNumber(n) || 0); return count === 0 ? '' : toFormulaText(s).slice(-count); } },
+  MID: { min: 3, max: 3, fn: (s, start, n) => toFormulaText(s).substr(Math.max(0, (toFormulaNumber(start) || 1) - 1), Math.max(0, toFormulaNumber(n) || 0)) },
+  CONCAT: { min: 1, max: Infinity, fn: (...args) => args.map(toFormulaText).join('') },
+  REPLACE: { min: 3, max: 3, fn: (s, find, replacement) => toFormulaText(s).split(toFormulaText(find)).join(toFormulaText(replacement)) },
+  CONTAINS: { min: 2, max: 2, fn: (s, find) => toFormulaText(s).toLowerCase().includes(toFormulaText(find).toLowerCase()) },
+  // Dates
+  DATE: {
+    min: 3, max: 3, fn: (y, m, d) => ([y, m, d].some(isFormulaBlank)
+      ? null
+      : new Date(Date.UTC(toFormulaNumber(y), toFormulaNumber(m) - 1, toFormulaNumber(d))))
+  },
+  TODAY: { min: 0, max: 0, fn: () => { const now = new Date(); return new Date(Date.UTC(now.getFullYear(), now.getMonth(), now.getDate())); } },
+  YEAR: { min: 1, max: 1, fn: formulaDateFn(d => d.getUTCFullYear()) },
+  MONTH: { min: 1, max: 1, fn: formulaDateFn(d => d.getUTCMonth() + 1) },
+  DAY: { min: 1, max: 1, fn: formulaDateFn(d => d.getUTCDate()) },
+  WEEKDAY: { min: 1, max: 1, fn: formulaDateFn(d => d.getUTCDay() || 7) }, // 1 = Monday ... 7 = Sunday
+  DATEDIFF: {
+    min: 2, max: 2, fn: (end, start) => {
+      const a = toFormulaDate(end);
+      const b = toFormulaDate(start);
+      return a === null || b === null ? null : Math.round((a - b) / FORMULA_DAY_MS);
+    }
+  },
+  ADDDAYS: {
+    min: 2, max: 2, fn: (d, days) => {
+      const date = toFormulaDate(d);
+      return date === null ? null : new Date(date.getTime() + (toFormulaNumber(days) || 0) * FORMULA_DAY_MS);
+    }
+  }
+};
+
+// With a single column argument these aggregate the whole column; otherwise SUM/MIN/MAX/AVG/COUNT work on their arguments
+const FORMULA_AGGREGATES = { SUM: 'sum', AVG: 'avg', AVERAGE: 'avg', COUNT: 'count', MIN: 'min', MAX: 'max' };
+// Row functions that take a column reference
+const FORMULA_ROW_FUNCTIONS = { PREV: 1, ROWNUM: 0 };
+
+/* ================= Parser ================= */
+
+/**
+ * Parse a formula against a header row
+ * @param {string} text
+ * @param {string[]} headers
+ * @returns {{ast: Object, columns: number[]}} columns = referenced column indices
+ * @throws {FormulaError}
+ */
+function compileFormula(text, headers) {
+  const source = String(text || '').trim().replace(/^=/, '');
+  if (!source) throw new FormulaError('The formula is empty');
+  if (source.length > FORMULA_MAX_LENGTH) throw new FormulaError(`Formulas are limited to ${FORMULA_MAX_LENGTH} characters`);
+  const tokens = tokenizeFormula(source);
+  const columns = new Set();
+  let pos = 0;
+  let depth = 0;
+
+  const peek = () => tokens[pos];
+  const isOp = (value) => peek().type === 'op' && peek().value === value;
+  const expectOp = (value) => {
+    if (!isOp(value)) throw new FormulaError(`Expected "${value}"`, peek().position);
+    pos++;
+  };
+
+  const resolveColumn = (name, position) => {
+    const wanted = name.toLowerCase();
+    let index = headers.findIndex(h => String(h).trim() === name);
+    if (index < 0) index = headers.findIndex(h => String(h).trim().toLowerCase() === wanted);
+    if (index < 0) throw new FormulaError(`Unknown column "${name}"`, position);
+    columns.add(index);
+    return { type: 'column', index };
+  };
+
+  const binaryLevel = (ops, next) => () => {
+    let left = next();
+    while (peek().type === 'op' && ops.includes(peek().value)) {
+      const op = tokens[pos++].value;
+      left = { type: 'binary', op, left, right: next() };
+    }
+    return left;
+  };
+
+  const parsePrimary = () => {
+    const token = tokens[pos++];
+    if (token.type === 'number' || token.type === 'string') return { type: 'value', value: token.value };
+    if (token.type === 'column') return resolveColumn(token.value, token.position);
+    if (token.type === 'op' && token.value === '(') {
+      const inner = parseExpression();
+      expectOp(')');
+      return inner;
+    }
+    if (token.type === 'name') {
+      const upper = token.value.toUpperCase();
+      if (!isOp('(')) {
+        if (upper === 'TRUE' || upper === 'FALSE') return { type: 'value', value: upper === 'TRUE' };
+        return resolveColumn(token.value, token.position);
+      }
+      pos++;
+      const args = [];
+      if (!isOp(')')) {
+        do {
+          args.push(parseExpression());
+        } while (isOp(',') && ++pos);
+      }
+      expectOp(')');
+      return buildCall(upper, args, token.position);
+    }
+    throw new FormulaError(token.type === 'end' ? 'The formula ends too early' : `Unexpected "${token.value}"`, token.position);
+  };
+
+  const buildCall = (name, args, position) => {
+    if (name in FORMULA_AGGREGATES && args.length === 1 && args[0].type === 'column') {
+      return { type: 'aggregate', stat: FORMULA_AGGREGATES[name], index: args[0].index };
+    }
+    if (name in FORMULA_AGGREGATES) return { type: 'call', name: `ARGS_${FORMULA_AGGREGATES[name]}`, args };
+    if (name in FORMULA_ROW_FUNCTIONS) {
+      if (args.length !== FORMULA_ROW_FUNCTIONS[name] || (args.length === 1 && args[0].type !== 'column')) {
+        throw new FormulaError(name === 'PREV' ? 'PREV takes one column, e.g. PREV([Sales])' : `${name} takes no arguments`, position);
+      }
+      return name === 'PREV' ? { type: 'previous', index: args[0].index } : { type: 'rownum' };
+    }
+    const definition = FORMULA_FUNCTIONS[name];
+    if (!definition) throw new FormulaError(`Unknown function ${name}`, position);
+    if (args.length < definition.min || args.length > definition.max) {
+      const expected = definition.min === definition.max ? definition.min : `${definition.min}-${definition.max === Infinity ? 'n' : definition.max}`;
+      throw new FormulaError(`${name} takes ${expected} argument(s)`, position);
+    }
+    return { type: 'call', name, args };
+  };
+
+  const parseUnary = () => {
+    if (++depth > FORMULA_MAX_DEPTH) throw new FormulaError('The formula is nested too deeply', peek().position);
+    let node;
+    if (isOp('-') || isOp('+')) {
+      const op = tokens[pos++].value;
+      node = { type: 'unary', op, arg: parseUnary() };
+    } else {
+      node = parsePrimary();
+      // Right-associative power
+      if (isOp('^')) {
+        pos++;
+        node = { type: 'binary', op: '^', left: node, right: parseUnary() };
+      }
+    }
+    depth--;
+    return node;
+  };
+
+  const parseTerm = binaryLevel(['*', '/', '%'], parseUnary);
+  const parseAdditive = binaryLevel(['+', '-'], parseTerm);
+  const parseConcat = binaryLevel(['&'], parseAdditive);
+  const parseComparison = binaryLevel(['=', '==', '<>', '!=', '<', '<=', '>', '>='], parseConcat);
+  function parseExpression() {
+    return parseComparison();
+  }
+
+  const ast = parseExpression();
+  if (peek().type !== 'end') throw new FormulaError(`Unexpected "${peek().value}"`, peek().position);
+  return { ast, columns: Array.from(columns).sort((a, b) => a - b) };
+}
+
+/* ================= Evaluation ================= */
+
+// Number used for comparisons (same parsing as arithmetic), or null for blanks and text
+function formulaComparableNumber(value) {
+  if (isFormulaBlank(value)) return null;
+  try {
+    return toFormulaNumber(value);
+  } catch (e) {
+    if (e instanceof FormulaValueError) return null;
+    throw e;
+  }
+}
+
+function compareFormulaValues(a, b) {
+  if (isFormulaBlank(a) && isFormulaBlank(b)) return 0;
+  // Both sides numeric: compare as numbers; otherwise as case-insensitive text
+  const numA = formulaComparableNumber(a);
+  const numB = formulaComparableNumber(b);
+  if (numA !== null && numB !== null) {
+    return numA === numB ? 0 : (numA < numB ? -1 : 1);
+  }
+  const x = toFormulaText(a).toLowerCase();
+  const y = toFormulaText(b).toLowerCase();
+  return x === y ? 0 : (x < y ? -1 : 1);
+}
+
+function applyFormulaOperator(op, a, b) {
+  switch (op) {
+    case '&': return toFormulaText(a) + toFormulaText(b);
+    case '=': case '==': return compareFormulaValues(a, b) === 0;
+    case '<>': case '!=': return compareFormulaValues(a, b) !== 0;
+    case '<': return compareFormulaValues(a, b) < 0;
+    case '<=': return compareFormulaValues(a, b) <= 0;
+    case '>': return compareFormulaValues(a, b) > 0;
+    case '>=': return compareFormulaValues(a, b) >= 0;
+    default: break;
+  }
+  const x = toFormulaNumber(a);
+  const y = toFormulaNumber(b);
+  if (x === null || y === null) return null;
+  switch (op) {
+    case '+': return x + y;
+    case '-': return x - y;
+    case '*': return x * y;
+    case '/':
+    case '%':
+      if (y === 0) throw new FormulaValueError('#DIV/0!', 'Division by zero');
+      return op === '/' ? x / y : x % y;
+    case '^': return Math.pow(x, y);
+    default: throw new FormulaValueError('#VALUE!', `Unknown operator ${op}`);
+  }
+}
+
+function aggregateFormulaArgs(stat, values) {
+  const numbers = values.filter(v => !isFormulaBlank(v)).map(toFormulaNumber);
+  if (stat === 'count') return numbers.length;
+  if (numbers.length === 0) return null;
+  return formulaStats.computeNumericStatsFromNumbers(numbers, stat);
+}
+
+/**
+ * Evaluate a compiled formula for one row
+ * @param {{ast: Object}} compiled
+ * @param {Object} context - from createFormulaContext
+ * @param {number} rowIndex - index among the data rows
+ * @returns {*} number, string, boolean, Date or null
+ */
+function evaluateFormula(compiled, context, rowIndex) {
+  const valueAt = (row, index) => context.cellValue(row, index);
+  const visit = (node) => {
+    switch (node.type) {
+      case 'value': return node.value;
+      case 'column': return valueAt(context.rows[rowIndex], node.index);
+      case 'previous': return rowIndex > 0 ? valueAt(context.rows[rowIndex - 1], node.index) : null;
+      case 'rownum': return rowIndex + 1;
+      case 'aggregate': return context.aggregate(node.stat, node.index);
+      case 'unary': {
+        const n = toFormulaNumber(visit(node.arg));
+        return n === null ? null : (node.op === '-' ? -n : n);
+      }
+      case 'binary': return applyFormulaOperator(node.op, visit(node.left), visit(node.right));
+      case 'call': {
+        if (node.name.startsWith('ARGS_')) return aggregateFormulaArgs(node.name.slice(5), node.args.map(visit));
+        const definition = FORMULA_FUNCTIONS[node.name];
+        const args = definition.lazy ? node.args.map(arg => () => visit(arg)) : node.args.map(visit);
+        return definition.fn(...args);
+      }
+      default: throw new FormulaValueError('#VALUE!', `Unknown expression ${node.type}`);
+    }
+  };
+  return visit(compiled.ast);
+}
+
+/**
+ * Evaluation context for a table: typed cell access and cached column aggregates
+ * @param {string[][]} tableData - header + rows
+ * @param {{columnTypes?: string[], parseNumber?: function(string, number): number}} [options]
+ *   parseNumber reads numeric cells (the viewer passes its locale-aware parser)
+ */
+function createFormulaContext(tableData, options = {}) {
+  const columnTypes = options.columnTypes || [];
+  const parseNumber = options.parseNumber || ((value) => toFormulaNumber(value));
+  const aggregates = new Map();
+  const context = {
+    rows: tableData.slice(1),
+    cellValue(row, index) {
+      const raw = row ? row[index] : null;
+      if (isFormulaBlank(raw) || (typeof raw === 'string' && raw.trim() === '')) return null;
+      if (!FORMULA_NUMERIC_TYPES.includes(columnTypes[index])) return raw;
+      try {
+        const number = parseNumber(raw, index);
+        return typeof number === 'number' && isFinite(number) ? number : raw;
+      } catch (e) {
+        return raw; // a stray note in a numeric column stays text
+      }
+    },
+    aggregate(stat, index) {
+      const key = `${stat}:${index}`;
+      if (!aggregates.has(key)) {
+        const values = context.rows.map(row => context.cellValue(row, index)).filter(v => !isFormulaBlank(v));
+        const numbers = [];
+        values.forEach(v => {
+          try {
+            numbers.push(toFormulaNumber(v));
+          } catch (e) {
+            // Text cells do not take part in numeric aggregates
+          }
+        });
+        aggregates.set(key, stat === 'count' ? values.length : numbers.length === 0 ? null : formulaStats.computeNumericStatsFromNumbers(numbers, stat));
+      }
+      return aggregates.get(key);
+    }
+  };
+  return context;
+}
+
+/**
+ * Cell text for a formula result
+ * @param {*} value
+ * @returns {string}
+ */
+function formatFormulaValue(value) {
+  if (isFormulaBlank(value)) return '';
+  if (typeof value === 'boolean') return value ? 'TRUE' : 'FALSE';
+  if (value instanceof Date) return isNaN(value.getTime()) ? '#VALUE!' : value.toISOString().slice(0, 10);
+  if (typeof value === 'number') {
+    if (!isFinite(value)) return '#NUM!';
+    // Drop floating point noise (0.1 + 0.2)
+    return String(parseFloat(value.toFixed(10)));
+  }
+  return String(value);
+}
+
+/**
+ * Values of a formula for every data row
+ * @param {string[][]} tableData - header + rows
+ * @param {string} formula
+ * @param {Object} [options] - see createFormulaContext
+ * @returns {{values: string[], errorCount: number, firstError: string|null}}
+ * @throws {FormulaError} when the formula does not parse
+ */
+function computeFormulaColumn(tableData, formula, options = {}) {
+  const compiled = compileFormula(formula, tableData[0] || []);
+  const context = createFormulaContext(tableData, options);
+  let errorCount = 0;
+  let firstError = null;
+  const values = context.rows.map((row, rowIndex) => {
+    try {
+      return formatFormulaValue(evaluateFormula(compiled, context, rowIndex));
+    } catch (e) {
+      if (!(e instanceof FormulaValueError)) throw e;
+      errorCount++;
+      if (!firstError) firstError = `Row ${rowIndex + 1}: ${e.message}`;
+      return e.code;
+    }
+  });
+  return { values, errorCount, firstError };
+}
+
+/**
+ * Table with a computed column appended (new row arrays; the input is not changed)
+ * @param {string[][]} tableData
+ * @param {string} name - header of the new column
+ * @param {string} formula
+ * @param {Object} [options] - see createFormulaContext
+ * @returns {{tableData: string[][], errorCount: number, firstError: string|null}}
+ */
+function addComputedColumn(tableData, name, formula, options = {}) {
+  const result = computeFormulaColumn(tableData, formula, options);
+  return {
+    tableData: [[...tableData[0], name], ...tableData.slice(1).map((row, i) => [...row, result.values[i]])],
+    errorCount: result.errorCount,
+    firstError: result.firstError
+  };
+}
+
+const FORMULA_FUNCTION_NAMES = [...Object.keys(FORMULA_FUNCTIONS), ...Object.keys(FORMULA_AGGREGATES), ...Object.keys(FORMULA_ROW_FUNCTIONS)].sort();
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { FormulaError, FORMULA_FUNCTION_NAMES, compileFormula, createFormulaContext, evaluateFormula, formatFormulaValue, computeFormulaColumn, addComputedColumn };
+}
+
+if (typeof window !== 'undefined') {
+  window.FormulaUtils = { FormulaError, FORMULA_FUNCTION_NAMES, compileFormula, createFormulaContext, evaluateFormula, formatFormulaValue, computeFormulaColumn, addComputedColumn };
+}
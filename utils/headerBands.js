@@ -0,0 +1,170 @@
+/**
+ * Multi-row header reconstruction
+ * Tables often stack two or three header rows where the upper rows group columns with colspan
+ * ("2023" over "Q1", "Q2"). The header band is detected from the table markup, merged into one
+ * composite header row ("2023 · Q1") for the viewer, and kept as a hierarchy so exports can
+ * rebuild the stacked header with merged cells.
+ *
+ * Hierarchy shape: { depth, cells: [{ label, row, col, rowSpan, colSpan }] }
+ * (row/col are positions inside the header band; empty header cells are not listed)
+ */
+
+const COMPOSITE_HEADER_SEPARATOR = ' · ';
+const MAX_HEADER_BAND_DEPTH = 3;
+
+function getHeaderRowCells(row) {
+  return Array.from(row.querySelectorAll('td, th'));
+}
+
+function isHeaderRow(row) {
+  const cells = getHeaderRowCells(row);
+  if (cells.length === 0) return false;
+  if (row.closest('thead')) return true;
+  return cells.every(cell => cell.tagName === 'TH');
+}
+
+function coversColumn(cell, column) {
+  return cell.col <= column && column < cell.col + cell.colSpan;
+}
+
+/**
+ * Detect stacked header rows with colspanned group labels
+ * @param {Element} table - <table> element
+ * @param {number} maxDepth - maximum number of header rows considered
+ * @returns {{depth: number, cells: Array<Object>}|null} null when the table has a single header row
+ */
+function detectHeaderBand(table, maxDepth = MAX_HEADER_BAND_DEPTH) {
+  // Same row selection as parseHTMLTable, so band rows line up with the parsed grid rows
+  const rows = Array.from(table.querySelectorAll('tr')).filter(row => getHeaderRowCells(row).length > 0);
+  const bandRows = [];
+  for (const row of rows) {
+    if (bandRows.length >= maxDepth || !isHeaderRow(row)) break;
+    bandRows.push(row);
+  }
+  if (bandRows.length < 2 || bandRows.length >= rows.length) return null;
+
+  const depth = bandRows.length;
+  const occupied = bandRows.map(() => []);
+  const cells = [];
+  bandRows.forEach((row, r) => {
+    let col = 0;
+    getHeaderRowCells(row).forEach(cell => {
+      while (occupied[r][col]) col++;
+      const colSpan = Math.max(1, parseInt(cell.getAttribute('colspan') || '1', 10) || 1);
+      const rowSpan = Math.min(Math.max(1, parseInt(cell.getAttribute('rowspan') || '1', 10) || 1), depth - r);
+      for (let dr = 0; dr < rowSpan; dr++) {
+        for (let dc = 0; dc < colSpan; dc++) occupied[r + dr][col + dc] = true;
+      }
+      const label = cell.textContent.trim();
+      if (label) cells.push({ label, row: r, col, rowSpan, colSpan });
+      col += colSpan;
+    });
+  });
+
+  // Without group labels above the last header row this is not a header band
+  if (!cells.some(cell => cell.row + cell.rowSpan < depth && cell.colSpan > 1)) return null;
+
+  // Labels with nothing below them (e.g. "Product" without rowspan) span down to the last header row
+  cells.forEach(cell => {
+    while (cell.row + cell.rowSpan < depth) {
+      const level = cell.row + cell.rowSpan;
+      const below = cells.some(other => other !== cell && other.row <= level && level < other.row + other.rowSpan &&
+        other.col < cell.col + cell.colSpan && cell.col < other.col + other.colSpan);
+      if (below) break;
+      cell.rowSpan++;
+    }
+  });
+  return { depth, cells };
+}
+
+/**
+ * Composite column names: labels from the top of the band down, joined with " · "
+ * @param {Object} hierarchy - from detectHeaderBand
+ * @param {number} columnCount
+ * @returns {string[]}
+ */
+function compositeHeaderNames(hierarchy, columnCount) {
+  const names = [];
+  for (let c = 0; c < columnCount; c++) {
+    const labels = hierarchy.cells
+      .filter(cell => coversColumn(cell, c))
+      .sort((a, b) => a.row - b.row)
+      .map(cell => cell.label);
+    names.push(labels.filter((label, i) => i === 0 || label !== labels[i - 1]).join(COMPOSITE_HEADER_SEPARATOR));
+  }
+  return names;
+}
+
+/**
+ * Replace the header band rows of a parsed grid with one composite header row
+ * @param {string[][]} data - grid from parseHTMLTable (band rows first)
+ * @param {Object|null} hierarchy
+ * @returns {string[][]}
+ */
+function applyHeaderBand(data, hierarchy) {
+  if (!hierarchy || !Array.isArray(data) || data.length <= hierarchy.depth) return data;
+  const band = data.slice(0, hierarchy.depth);
+  const names = compositeHeaderNames(hierarchy, data[0].length)
+    .map((name, c) => name || band.map(row => row[c]).filter(Boolean).pop() || '');
+  return [names, ...data.slice(hierarchy.depth)];
+}
+
+/**
+ * Keep a hierarchy aligned after columns were dropped (e.g. empty column cleanup)
+ * @param {Object|null} hierarchy
+ * @param {number[]|null} columns - kept source column indices (null = unchanged)
+ * @returns {Object|null}
+ */
+function remapHeaderHierarchy(hierarchy, columns) {
+  if (!hierarchy || !Array.isArray(columns)) return hierarchy || null;
+  const cells = [];
+  hierarchy.cells.forEach(cell => {
+    const kept = columns.map((source, index) => ({ source, index })).filter(({ source }) => coversColumn(cell, source));
+    if (kept.length > 0) cells.push({ ...cell, col: kept[0].index, colSpan: kept.length });
+  });
+  return cells.length > 0 ? { depth: hierarchy.depth, cells } : null;
+}
+
+/**
+ * Rows and merges for a spreadsheet with the stacked header rebuilt
+ * @param {string[][]} tableData - composite header + rows
+ * @param {Object|null} hierarchy
+ * @returns {{ rows: string[][], merges: Array<{s: {r: number, c: number}, e: {r: number, c: number}}>, headerOffset: number }}
+ *   headerOffset is the number of extra rows inserted above the data (to shift row-aligned data such as hyperlinks)
+ */
+function buildHeaderedSheetRows(tableData, hierarchy) {
+  if (!hierarchy || !Array.isArray(tableData) || tableData.length === 0) {
+    return { rows: tableData, merges: [], headerOffset: 0 };
+  }
+  const headerRow = tableData[0];
+  const width = headerRow.length;
+  const depth = hierarchy.depth;
+  const headerRows = Array.from({ length: depth }, () => new Array(width).fill(''));
+  const merges = [];
+  const covered = new Array(width).fill(false);
+
+  hierarchy.cells.forEach(cell => {
+    if (cell.col >= width) return;
+    const colSpan = Math.min(cell.colSpan, width - cell.col);
+    headerRows[cell.row][cell.col] = cell.label;
+    for (let c = cell.col; c < cell.col + colSpan; c++) covered[c] = true;
+    if (colSpan > 1 || cell.rowSpan > 1) {
+      merges.push({ s: { r: cell.row, c: cell.col }, e: { r: cell.row + cell.rowSpan - 1, c: cell.col + colSpan - 1 } });
+    }
+  });
+  // Columns outside the hierarchy (e.g. added in the viewer) span the whole header band
+  headerRow.forEach((name, c) => {
+    if (covered[c]) return;
+    headerRows[0][c] = name;
+    merges.push({ s: { r: 0, c }, e: { r: depth - 1, c } });
+  });
+  return { rows: [...headerRows, ...tableData.slice(1)], merges, headerOffset: depth - 1 };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { COMPOSITE_HEADER_SEPARATOR, detectHeaderBand, compositeHeaderNames, applyHeaderBand, remapHeaderHierarchy, buildHeaderedSheetRows };
+}
+
+if (typeof window !== 'undefined') {
+  window.HeaderBandUtils = { COMPOSITE_HEADER_SEPARATOR, detectHeaderBand, compositeHeaderNames, applyHeaderBand, remapHeaderHierarchy, buildHeaderedSheetRows };
+}
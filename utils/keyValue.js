@@ -0,0 +1,196 @@
+/**
+ * Key-value layouts
+ * Spec sheets, infoboxes and settings pages list one record as label/value pairs: a <dl>, or a
+ * two-column table whose first cell is a label (<th>, bold text or "Label:"). Such a block is
+ * shown as Field/Value pairs, can be transposed into a single record (labels become columns),
+ * and several blocks with similar labels are merged into one table with one row per block.
+ */
+
+const KEY_VALUE_MAX_KEY_LENGTH = 60;
+const KEY_VALUE_HEADER = ['Field', 'Value'];
+
+function kvText(el) {
+  return (el.textContent || '').replace(/\s+/g, ' ').trim();
+}
+
+function directCells(row) {
+  return Array.from(row.children).filter(cell => cell.tagName === 'TD' || cell.tagName === 'TH');
+}
+
+function isLabelCell(cell) {
+  if (cell.tagName === 'TH') return true;
+  const text = kvText(cell);
+  if (/:$/.test(text)) return true;
+  // The whole label is bold (<td><b>Weight</b></td>)
+  const strong = cell.querySelector('b, strong');
+  return !!strong && kvText(strong) === text;
+}
+
+function tableRows(table) {
+  // Same rows as parseHTMLTable (every tr with cells), so indices line up with parsed grids
+  return Array.from(table.querySelectorAll('tr')).filter(row => row.querySelectorAll('td, th').length > 0);
+}
+
+/**
+ * Label/value pairs of a <dl> or a two-column table
+ * @param {Element} element
+ * @returns {Array<{key: string, value: string, rowIndex?: number}>} rowIndex = parsed table row of the pair
+ */
+function extractKeyValuePairs(element) {
+  if (element.tagName === 'DL') {
+    const pairs = [];
+    let pending = null;
+    const visit = (el) => {
+      Array.from(el.children).forEach(child => {
+        if (child.tagName === 'DT') {
+          pending = { key: kvText(child).replace(/:$/, ''), value: '' };
+          pairs.push(pending);
+        } else if (child.tagName === 'DD' && pending) {
+          pending.value = pending.value ? `${pending.value}; ${kvText(child)}` : kvText(child);
+        } else if (child.tagName === 'DIV') {
+          visit(child); // <div> groups around dt/dd pairs are valid HTML
+        }
+      });
+    };
+    visit(element);
+    return pairs.filter(pair => pair.key);
+  }
+
+  const pairs = [];
+  tableRows(element).forEach((row, rowIndex) => {
+    if (row.closest('table') !== element) return;
+    const cells = directCells(row);
+    if (cells.length !== 2) return;
+    const key = kvText(cells[0]).replace(/:$/, '');
+    if (key) pairs.push({ key, value: kvText(cells[1]), rowIndex });
+  });
+  return pairs;
+}
+
+/**
+ * Whether a table lists label/value pairs: two or more pairs, pairs make up most rows, no row
+ * has more than two cells, and every label cell is marked as a label (th, bold or trailing colon).
+ * A two-column data table with a header row (two th cells) is not a key-value table.
+ * @param {Element} table
+ * @returns {boolean}
+ */
+function isKeyValueTable(table) {
+  if (table.querySelector('thead')) return false;
+  const rows = tableRows(table).filter(row => row.closest('table') === table);
+  if (rows.length < 2) return false;
+  const cellRows = rows.map(directCells);
+  if (cellRows.some(cells => cells.length > 2)) return false;
+  const pairRows = cellRows.filter(cells => cells.length === 2 &&
+    cells.every(cell => (parseInt(cell.getAttribute('colspan') || '1', 10) || 1) === 1));
+  if (pairRows.length < 2 || pairRows.length < rows.length * 0.6) return false;
+  return pairRows.every(([label, value]) => isLabelCell(label) && value.tagName === 'TD' &&
+    kvText(label).length > 0 && kvText(label).length <= KEY_VALUE_MAX_KEY_LENGTH);
+}
+
+function uniqueKeys(keys) {
+  const used = new Map();
+  return keys.map(key => {
+    const count = (used.get(key) || 0) + 1;
+    used.set(key, count);
+    return count > 1 ? `${key} ${count}` : key;
+  });
+}
+
+/**
+ * Pairs as a Field/Value grid
+ * @param {Array<{key: string, value: string}>} pairs
+ * @returns {string[][]}
+ */
+function pairsToTable(pairs) {
+  return [KEY_VALUE_HEADER.slice(), ...pairs.map(pair => [pair.key, pair.value])];
+}
+
+/**
+ * Transpose a Field/Value grid into one record (labels become columns; repeated labels get a suffix)
+ * @param {string[][]} tableData - header + [key, value] rows
+ * @returns {string[][]} [labels, values]
+ */
+function pairsTableToRecord(tableData) {
+  const rows = tableData.slice(1).filter(row => row[0]);
+  return [uniqueKeys(rows.map(row => row[0])), rows.map(row => row[1] || '')];
+}
+
+/**
+ * Jaccard similarity of two blocks' label sets
+ */
+function keySimilarity(a, b) {
+  const keysA = new Set(a.pairs.map(pair => pair.key.toLowerCase()));
+  const keysB = new Set(b.pairs.map(pair => pair.key.toLowerCase()));
+  let shared = 0;
+  keysA.forEach(key => { if (keysB.has(key)) shared++; });
+  const total = keysA.size + keysB.size - shared;
+  return total === 0 ? 0 : shared / total;
+}
+
+/**
+ * Group blocks whose labels overlap (each block joins the first group it is similar to)
+ * @param {Array<{pairs: Array<Object>}>} blocks
+ * @param {number} threshold - minimum label similarity to the group's first block
+ * @returns {number[][]} groups of 2+ block indices
+ */
+function groupSimilarBlocks(blocks, threshold = 0.5) {
+  const groups = [];
+  blocks.forEach((block, index) => {
+    const group = groups.find(g => keySimilarity(blocks[g[0]], block) >= threshold);
+    if (group) group.push(index); else groups.push([index]);
+  });
+  return groups.filter(group => group.length >= 2);
+}
+
+/**
+ * Merge similar blocks into one table with one row per block
+ * Columns are the union of labels in first-seen order; a Title column leads when blocks have titles.
+ * @param {Array<{title?: string, pairs: Array<{key: string, value: string}>}>} blocks
+ * @returns {string[][]}
+ */
+function mergeKeyValueBlocks(blocks) {
+  const columns = [];
+  const records = blocks.map(block => {
+    const keys = uniqueKeys(block.pairs.map(pair => pair.key));
+    const record = new Map();
+    keys.forEach((key, i) => {
+      if (!columns.includes(key)) columns.push(key);
+      record.set(key, block.pairs[i].value);
+    });
+    return record;
+  });
+  const withTitle = blocks.some(block => block.title);
+  const header = withTitle ? ['Title', ...columns] : columns;
+  const rows = records.map((record, i) => {
+    const values = columns.map(key => record.get(key) || '');
+    return withTitle ? [blocks[i].title || '', ...values] : values;
+  });
+  return [header, ...rows];
+}
+
+/**
+ * Title of a block: its caption, or the closest heading right before it (or before its parent)
+ * @param {Element} element
+ * @returns {string}
+ */
+function keyValueBlockTitle(element) {
+  const caption = element.tagName === 'TABLE' ? element.querySelector('caption') : null;
+  if (caption && kvText(caption)) return kvText(caption);
+  let node = element;
+  for (let depth = 0; node && depth < 2; depth++, node = node.parentElement) {
+    const previous = node.previousElementSibling;
+    if (previous && /^H[1-6]$/.test(previous.tagName)) return kvText(previous);
+    // Headings inside a wrapper directly above the block (<div><h3>..</h3></div><dl>)
+    const heading = previous && previous.querySelector ? previous.querySelector('h1, h2, h3, h4, h5, h6') : null;
+    if (heading && kvText(heading) === kvText(previous)) return kvText(heading);
+  }
+  return '';
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { KEY_VALUE_HEADER, extractKeyValuePairs, isKeyValueTable, pairsToTable, pairsTableToRecord, groupSimilarBlocks, mergeKeyValueBlocks, keyValueBlockTitle };
+}
+
+if (typeof window !== 'undefined') {
+  window.KeyValueUtils = { KEY_VALUE_HEADER, extractKeyValuePairs, isKeyValueTable, pairsToTable, pairsTableToRecord, groupSimilarBlocks, mergeKeyValueBlocks, keyValueBlockTitle };
+}
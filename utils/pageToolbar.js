@@ -0,0 +1,82 @@
+/**
+ * On-page table toolbar
+ * A small floating toolbar next to each detected table (open, copy, XLSX, quick chart). It is off
+ * by default and switched on or off per site; the choice is kept in chrome.storage.local as
+ * { hostname: true|false }.
+ */
+
+const PAGE_TOOLBAR_STORAGE_KEY = 'tableLens_toolbarSites';
+const PAGE_TOOLBAR_HEIGHT = 28;
+const PAGE_TOOLBAR_MAX_Y_COLUMNS = 3;
+const PAGE_TOOLBAR_NUMERIC_TYPES = ['numeric', 'money', 'rate'];
+
+const PAGE_TOOLBAR_ACTIONS = [
+  { action: 'open', label: '🔍', title: 'Open in TableLens viewer' },
+  { action: 'csv', label: 'CSV', title: 'Copy as CSV' },
+  { action: 'markdown', label: 'MD', title: 'Copy as Markdown' },
+  { action: 'tsv', label: 'TSV', title: 'Copy as TSV (pastes into spreadsheets)' },
+  { action: 'xlsx', label: 'XLSX', title: 'Download as XLSX' },
+  { action: 'chart', label: '📊', title: 'Quick chart' },
+  { action: 'dismiss', label: '×', title: 'Hide the table toolbar on this site' }
+];
+
+/**
+ * @param {Object<string, boolean>} settings - stored per-site settings
+ * @param {string} hostname
+ * @returns {boolean}
+ */
+function isPageToolbarEnabled(settings, hostname) {
+  return !!(settings && hostname && settings[hostname] === true);
+}
+
+/**
+ * Settings with one site switched on or off (a new object)
+ * @param {Object<string, boolean>} settings
+ * @param {string} hostname
+ * @param {boolean} enabled
+ * @returns {Object<string, boolean>}
+ */
+function withPageToolbarSetting(settings, hostname, enabled) {
+  return { ...(settings || {}), [hostname]: !!enabled };
+}
+
+/**
+ * Chart for a table without asking: numeric columns (up to three) against the first
+ * non-numeric column; a date x-axis gives a line chart, anything else a bar chart
+ * @param {string[][]} data - header + rows
+ * @param {string[]} columnTypes - see analyzeColumnTypes
+ * @returns {{chartType: string, xColumn: number, yColumns: number[]}|null} null without a numeric column
+ */
+function suggestQuickChart(data, columnTypes) {
+  if (!data || data.length < 2) return null;
+  const isNumeric = (i) => PAGE_TOOLBAR_NUMERIC_TYPES.includes(columnTypes[i]);
+  const columns = data[0].map((_, i) => i);
+  const labelColumn = columns.find(i => !isNumeric(i));
+  const xColumn = labelColumn === undefined ? 0 : labelColumn;
+  const yColumns = columns.filter(i => i !== xColumn && isNumeric(i)).slice(0, PAGE_TOOLBAR_MAX_Y_COLUMNS);
+  if (yColumns.length === 0) return null;
+  return { chartType: columnTypes[xColumn] === 'date' ? 'line' : 'bar', xColumn, yColumns };
+}
+
+/**
+ * Document position of a table's toolbar: above its top-right corner, or inside the corner when
+ * there is no room above (table at the top of the page)
+ * @param {{top: number, right: number, left: number}} rect - getBoundingClientRect() of the table
+ * @param {{x: number, y: number}} scroll - window scroll offsets
+ * @param {number} width - toolbar width
+ * @returns {{top: number, left: number}}
+ */
+function pageToolbarPosition(rect, scroll, width) {
+  const above = rect.top + scroll.y - PAGE_TOOLBAR_HEIGHT - 2;
+  const top = above >= 0 ? above : rect.top + scroll.y + 2;
+  const left = Math.max(rect.left + scroll.x, rect.right + scroll.x - width);
+  return { top, left: Math.max(0, left) };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { PAGE_TOOLBAR_STORAGE_KEY, PAGE_TOOLBAR_ACTIONS, isPageToolbarEnabled, withPageToolbarSetting, suggestQuickChart, pageToolbarPosition };
+}
+
+if (typeof window !== 'undefined') {
+  window.PageToolbarUtils = { PAGE_TOOLBAR_STORAGE_KEY, PAGE_TOOLBAR_ACTIONS, isPageToolbarEnabled, withPageToolbarSetting, suggestQuickChart, pageToolbarPosition };
+}
@@ -0,0 +1,127 @@
+/**
+ * Multi-page capture helpers
+ * Pure functions used by the content script to stitch one logical table that a site
+ * splits across "Next page" controls: header comparison, row concatenation and
+ * "next" control heuristics.
+ */
+
+function normalizeHeaderCell(cell) {
+  return String(cell == null ? '' : cell)
+    .replace(/[▲▼↑↓⇅]/g, '') // strip sort arrows rendered inside headers
+    .replace(/\s+/g, ' ')
+    .trim()
+    .toLowerCase();
+}
+
+/**
+ * Check whether two header rows describe the same columns (ignores case, whitespace, sort arrows)
+ * @param {string[]} a
+ * @param {string[]} b
+ * @returns {boolean}
+ */
+function headersMatch(a, b) {
+  if (!Array.isArray(a) || !Array.isArray(b) || a.length !== b.length) return false;
+  return a.every((cell, i) => normalizeHeaderCell(cell) === normalizeHeaderCell(b[i]));
+}
+
+/**
+ * Stable fingerprint of a page's data rows, used to detect that a page actually changed
+ * @param {string[][]} data - 2D array including header row
+ * @returns {string}
+ */
+function pageFingerprint(data) {
+  if (!Array.isArray(data)) return '';
+  return data.slice(1).map(row => row.join('\u0001')).join('\u0002');
+}
+
+/**
+ * Append the rows of a newly captured page to the accumulated table.
+ * Repeated header rows inside the page body are dropped.
+ * @param {string[][]} accumulated - merged data so far (header + rows)
+ * @param {string[][]} pageData - data of the next page (header + rows)
+ * @returns {{ merged: string[][], added: number, error: string|null }}
+ */
+function mergePageData(accumulated, pageData) {
+  if (!Array.isArray(pageData) || pageData.length === 0) {
+    return { merged: accumulated, added: 0, error: 'Page has no rows' };
+  }
+  if (!accumulated || accumulated.length === 0) {
+    return { merged: pageData.map(row => [...row]), added: Math.max(0, pageData.length - 1), error: null };
+  }
+  const header = accumulated[0];
+  if (!headersMatch(header, pageData[0])) {
+    return { merged: accumulated, added: 0, error: 'Header mismatch: the next page shows different columns' };
+  }
+  const rows = pageData.slice(1).filter(row => !headersMatch(header, row));
+  return { merged: [...accumulated, ...rows.map(row => [...row])], added: rows.length, error: null };
+}
+
+/**
+ * Whether a pagination control is disabled (last page reached)
+ * @param {Element} el
+ * @returns {boolean}
+ */
+function isControlDisabled(el) {
+  if (!el) return true;
+  if (el.disabled || el.hasAttribute('disabled')) return true;
+  if (el.getAttribute('aria-disabled') === 'true') return true;
+  const cls = typeof el.className === 'string' ? el.className : '';
+  if (/(^|[\s_-])disabled($|[\s_-])/i.test(cls)) return true;
+  const parent = el.parentElement;
+  return !!(parent && parent.tagName === 'LI' && /(^|\s)disabled(\s|$)/i.test(parent.className || ''));
+}
+
+/**
+ * Describe a clicked "next" control so it can be found again after the page re-renders
+ * (or inside a fetched document for link-based pagination).
+ * @param {Element} el
+ * @returns {{ tag: string, text: string, ariaLabel: string|null, rel: string|null, className: string }}
+ */
+function describeNextControl(el) {
+  return {
+    tag: el.tagName,
+    text: (el.textContent || '').replace(/\s+/g, ' ').trim(),
+    ariaLabel: el.getAttribute('aria-label'),
+    rel: el.getAttribute('rel'),
+    className: typeof el.className === 'string' ? el.className : ''
+  };
+}
+
+/**
+ * Find the control matching a description inside a root (document or fetched document)
+ * @param {Document|Element} root
+ * @param {Object} descriptor - from describeNextControl
+ * @returns {Element|null}
+ */
+function findNextControl(root, descriptor) {
+  if (!root || !descriptor) return null;
+  const candidates = Array.from(root.querySelectorAll('a, button, [role="button"], input[type="button"], input[type="submit"]'));
+  const score = (el) => {
+    let s = 0;
+    if (el.tagName === descriptor.tag) s += 1;
+    if (descriptor.rel && el.getAttribute('rel') === descriptor.rel) s += 4;
+    if (descriptor.ariaLabel && el.getAttribute('aria-label') === descriptor.ariaLabel) s += 4;
+    const text = (el.textContent || '').replace(/\s+/g, ' ').trim();
+    if (descriptor.text && text === descriptor.text) s += 3;
+    if (descriptor.className && el.className === descriptor.className) s += 2;
+    return s;
+  };
+  let best = null;
+  let bestScore = 3; // require more than a tag match
+  candidates.forEach(el => {
+    const s = score(el);
+    if (s > bestScore) {
+      best = el;
+      bestScore = s;
+    }
+  });
+  return best;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { headersMatch, pageFingerprint, mergePageData, isControlDisabled, describeNextControl, findNextControl };
+}
+
+if (typeof window !== 'undefined') {
+  window.PaginationUtils = { headersMatch, pageFingerprint, mergePageData, isControlDisabled, describeNextControl, findNextControl };
+}
@@ -0,0 +1,203 @@
+/**
+ * PDF table layout analysis
+ * Groups positioned text runs (see utils/pdfText.js) into lines by their y coordinate, splits
+ * lines into cell segments at horizontal gaps, and turns blocks of consecutive multi-segment
+ * lines into tables whose columns come from the x extents of the fullest lines.
+ */
+
+/**
+ * Merge runs on the same baseline into segments; a gap wider than ~1 em starts a new segment
+ * @param {Array<{text: string, x: number, y: number, width: number, fontSize: number}>} runs
+ * @returns {Array<{y: number, height: number, segments: Array<{text: string, x0: number, x1: number}>}>} lines, top to bottom
+ */
+function groupRunsIntoLines(runs) {
+  const sorted = runs
+    .filter(run => run.text && run.text.trim())
+    .slice()
+    .sort((a, b) => a.y - b.y || a.x - b.x);
+
+  const lines = [];
+  sorted.forEach(run => {
+    const size = run.fontSize || 10;
+    const line = lines.find(l => Math.abs(l.y - run.y) <= Math.min(l.height, size) * 0.5);
+    if (line) {
+      line.runs.push(run);
+    } else {
+      lines.push({ y: run.y, height: size, runs: [run] });
+    }
+  });
+
+  return lines
+    .sort((a, b) => a.y - b.y)
+    .map(line => {
+      const segments = [];
+      line.runs.sort((a, b) => a.x - b.x).forEach(run => {
+        const size = run.fontSize || line.height;
+        const last = segments[segments.length - 1];
+        const gap = last ? run.x - last.x1 : Infinity;
+        if (last && gap < size) {
+          last.text += (gap > size * 0.15 && !last.text.endsWith(' ') ? ' ' : '') + run.text;
+          last.x1 = Math.max(last.x1, run.x + run.width);
+        } else {
+          segments.push({ text: run.text, x0: run.x, x1: run.x + Math.max(run.width, 1) });
+        }
+      });
+      segments.forEach(segment => { segment.text = segment.text.replace(/\s+/g, ' ').trim(); });
+      return { y: line.y, height: line.height, segments: segments.filter(segment => segment.text) };
+    })
+    .filter(line => line.segments.length > 0);
+}
+
+function median(values) {
+  if (values.length === 0) return 0;
+  const sorted = values.slice().sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+/**
+ * Column intervals from the lines with the most segments; other lines are mapped onto them
+ * (so a header spanning two columns does not merge columns).
+ * When most lines have that many segments, columns are taken by position in the line, which
+ * keeps right-aligned numbers under a left-aligned header in one column.
+ * @returns {{intervals: Array<{x0: number, x1: number}>, ordinal: boolean}}
+ */
+function columnIntervals(lines) {
+  const maxSegments = Math.max(...lines.map(line => line.segments.length));
+  const base = lines.filter(line => line.segments.length === maxSegments);
+  if (base.length >= lines.length * 0.6) {
+    const intervals = base[0].segments.map((_, i) => ({
+      x0: Math.min(...base.map(line => line.segments[i].x0)),
+      x1: Math.max(...base.map(line => line.segments[i].x1))
+    }));
+    return { intervals, ordinal: true };
+  }
+  const intervals = base
+    .reduce((all, line) => all.concat(line.segments.map(s => ({ x0: s.x0, x1: s.x1 }))), [])
+    .sort((a, b) => a.x0 - b.x0);
+  const merged = [];
+  intervals.forEach(interval => {
+    const last = merged[merged.length - 1];
+    if (last && interval.x0 <= last.x1) {
+      last.x1 = Math.max(last.x1, interval.x1);
+    } else {
+      merged.push({ ...interval });
+    }
+  });
+  return { intervals: merged, ordinal: false };
+}
+
+function assignColumn(segment, intervals) {
+  let best = 0;
+  let bestScore = -Infinity;
+  intervals.forEach((interval, i) => {
+    const overlap = Math.min(segment.x1, interval.x1) - Math.max(segment.x0, interval.x0);
+    const center = (segment.x0 + segment.x1) / 2;
+    const distance = center < interval.x0 ? interval.x0 - center : center > interval.x1 ? center - interval.x1 : 0;
+    const score = overlap > 0 ? overlap : -distance;
+    if (score > bestScore) {
+      bestScore = score;
+      best = i;
+    }
+  });
+  return best;
+}
+
+function blockToRows(block) {
+  const { intervals, ordinal } = columnIntervals(block.filter(line => line.segments.length > 1));
+  const rows = [];
+  let previous = null;
+  block.forEach(line => {
+    const cells = new Array(intervals.length).fill('');
+    const byPosition = ordinal && line.segments.length === intervals.length;
+    line.segments.forEach((segment, index) => {
+      const column = byPosition ? index : assignColumn(segment, intervals);
+      cells[column] = cells[column] ? `${cells[column]} ${segment.text}` : segment.text;
+    });
+    const filled = cells.filter(Boolean).length;
+    // Wrapped cell text: a sparse line without a first cell right under the previous row
+    const isContinuation = previous && !cells[0] && filled <= intervals.length / 2 &&
+      line.y - previous.y <= line.height * 1.6;
+    if (isContinuation) {
+      const row = rows[rows.length - 1];
+      cells.forEach((text, i) => { if (text) row[i] = row[i] ? `${row[i]} ${text}` : text; });
+    } else {
+      rows.push(cells);
+    }
+    previous = line;
+  });
+  return rows;
+}
+
+/**
+ * Find tables in the text runs of one page
+ * @param {Array<Object>} runs - text runs of the page
+ * @param {{minRows?: number, maxCellLength?: number}} options
+ * @returns {Array<{rows: string[][], bbox: number[]}>} tables top to bottom; bbox is [x0, y0, x1, y1] from the page top-left
+ */
+function detectPdfTables(runs, options = {}) {
+  const minRows = options.minRows || 3;
+  const maxCellLength = options.maxCellLength || 40;
+  const lines = groupRunsIntoLines(runs);
+  const lineGap = median(lines.slice(1).map((line, i) => line.y - lines[i].y)) || 12;
+
+  const blocks = [];
+  let current = [];
+  const closeBlock = () => {
+    if (current.filter(line => line.segments.length > 1).length >= minRows) blocks.push(current);
+    current = [];
+  };
+  lines.forEach(line => {
+    const last = current[current.length - 1];
+    const near = last && line.y - last.y <= Math.max(lineGap, line.height) * 2;
+    if (line.segments.length > 1) {
+      if (!near) closeBlock();
+      current.push(line);
+    } else if (last && near && line.y - last.y <= line.height * 1.6 && line.segments[0].x0 > Math.min(...current.map(l => l.segments[0].x0)) + line.height) {
+      current.push(line); // wrapped text of a cell that is not in the first column
+    } else {
+      closeBlock();
+    }
+  });
+  closeBlock();
+
+  return blocks
+    .map(block => ({ block, rows: blockToRows(block) }))
+    // Two-column prose also has two segments per line: table cells are short
+    .filter(({ rows }) => rows.length >= minRows && rows[0].length > 1 &&
+      median(rows.reduce((all, row) => all.concat(row.filter(Boolean).map(cell => cell.length)), [])) <= maxCellLength)
+    .map(({ block, rows }) => {
+      const segments = block.reduce((all, line) => all.concat(line.segments), []);
+      return {
+        rows,
+        bbox: [
+          Math.min(...segments.map(s => s.x0)),
+          block[0].y - block[0].height,
+          Math.max(...segments.map(s => s.x1)),
+          block[block.length - 1].y
+        ]
+      };
+    });
+}
+
+/**
+ * Tables of every extracted page in the shape expected by addBatchExtractedTables
+ * @param {{pages: Array<{pageIndex: number, runs: Array<Object>}>}} extraction - from extractPdfTextRuns
+ * @returns {Array<{rows: string[][], page: number, table_index: number, bbox: number[]}>}
+ */
+function extractPdfTables(extraction, options = {}) {
+  const tables = [];
+  extraction.pages.forEach(page => {
+    detectPdfTables(page.runs, options).forEach((table, index) => {
+      tables.push({ rows: table.rows, page: page.pageIndex, table_index: index, bbox: table.bbox });
+    });
+  });
+  return tables;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { groupRunsIntoLines, detectPdfTables, extractPdfTables };
+}
+
+if (typeof window !== 'undefined') {
+  window.PdfTableUtils = { groupRunsIntoLines, detectPdfTables, extractPdfTables };
+}
@@ -0,0 +1,615 @@
+/**
+ * Local PDF text extraction
+ * Minimal PDF reader used for table extraction without any network service: finds the page
+ * objects, inflates their content streams and interprets the text operators to produce
+ * positioned text runs (x/y in PDF points, origin at the top-left of the page).
+ * Supported: FlateDecode streams, object streams, ToUnicode CMaps, simple and Type0 font
+ * widths and form XObjects. Encrypted PDFs and scanned (image-only) pages yield no text.
+ */
+
+const PDF_WHITESPACE = new Set([0x00, 0x09, 0x0a, 0x0c, 0x0d, 0x20]);
+const PDF_DELIMITERS = new Set(['(', ')', '<', '>', '[', ']', '{', '}', '/', '%']);
+const IDENTITY_MATRIX = [1, 0, 0, 1, 0, 0];
+// WinAnsi code points that differ from Latin-1 (used when a simple font has no ToUnicode map)
+const WIN_ANSI_EXTRAS = { 0x80: '€', 0x85: '…', 0x91: '‘', 0x92: '’', 0x93: '“', 0x94: '”', 0x95: '•', 0x96: '–', 0x97: '—', 0x99: '™' };
+
+function bytesToBinaryString(bytes) {
+  let result = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    result += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return result;
+}
+
+/**
+ * Tokenizer for PDF object syntax and content streams (operates on a binary string)
+ */
+class PdfLexer {
+  constructor(str, pos = 0) {
+    this.str = str;
+    this.pos = pos;
+  }
+
+  skipWhitespace() {
+    const str = this.str;
+    while (this.pos < str.length) {
+      const code = str.charCodeAt(this.pos);
+      if (PDF_WHITESPACE.has(code)) {
+        this.pos++;
+      } else if (code === 0x25) { // % comment
+        while (this.pos < str.length && str[this.pos] !== '\n' && str[this.pos] !== '\r') this.pos++;
+      } else {
+        break;
+      }
+    }
+  }
+
+  readRegular() {
+    const start = this.pos;
+    while (this.pos < this.str.length) {
+      const ch = this.str[this.pos];
+      if (PDF_WHITESPACE.has(ch.charCodeAt(0)) || PDF_DELIMITERS.has(ch)) break;
+      this.pos++;
+    }
+    return this.str.slice(start, this.pos);
+  }
+
+  readLiteralString() {
+    const str = this.str;
+    let depth = 1;
+    let out = '';
+    this.pos++; // (
+    while (this.pos < str.length) {
+      const ch = str[this.pos++];
+      if (ch === '\\') {
+        const next = str[this.pos++];
+        const escapes = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f', '(': '(', ')': ')', '\\': '\\' };
+        if (next in escapes) {
+          out += escapes[next];
+        } else if (next >= '0' && next <= '7') {
+          let octal = next;
+          while (octal.length < 3 && str[this.pos] >= '0' && str[this.pos] <= '7') octal += str[this.pos++];
+          out += String.fromCharCode(parseInt(octal, 8) & 0xff);
+        } else if (next === '\r') {
+          if (str[this.pos] === '\n') this.pos++; // line continuation
+        } else if (next !== '\n') {
+          out += next;
+        }
+      } else if (ch === '(') {
+        depth++;
+        out += ch;
+      } else if (ch === ')') {
+        if (--depth === 0) break;
+        out += ch;
+      } else {
+        out += ch;
+      }
+    }
+    return out;
+  }
+
+  readHexString() {
+    const end = this.str.indexOf('>', this.pos);
+    let hex = this.str.slice(this.pos + 1, end < 0 ? this.str.length : end).replace(/[^0-9a-fA-F]/g, '');
+    this.pos = end < 0 ? this.str.length : end + 1;
+    if (hex.length % 2) hex += '0';
+    let out = '';
+    for (let i = 0; i < hex.length; i += 2) out += String.fromCharCode(parseInt(hex.substr(i, 2), 16));
+    return out;
+  }
+
+  /**
+   * @returns {{type: string, value?: *}|null} null at the end of input
+   */
+  next() {
+    this.skipWhitespace();
+    if (this.pos >= this.str.length) return null;
+    const ch = this.str[this.pos];
+    if (ch === '<' && this.str[this.pos + 1] === '<') { this.pos += 2; return { type: 'dictStart' }; }
+    if (ch === '>' && this.str[this.pos + 1] === '>') { this.pos += 2; return { type: 'dictEnd' }; }
+    if (ch === '<') return { type: 'string', value: this.readHexString() };
+    if (ch === '(') return { type: 'string', value: this.readLiteralString() };
+    if (ch === '[') { this.pos++; return { type: 'arrayStart' }; }
+    if (ch === ']') { this.pos++; return { type: 'arrayEnd' }; }
+    if (ch === '{' || ch === '}' || ch === ')' || ch === '>') { this.pos++; return { type: 'keyword', value: ch }; }
+    if (ch === '/') {
+      this.pos++;
+      const name = this.readRegular().replace(/#([0-9a-fA-F]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+      return { type: 'name', value: name };
+    }
+    const word = this.readRegular();
+    if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(word)) return { type: 'number', value: parseFloat(word) };
+    return { type: 'keyword', value: word };
+  }
+
+  /**
+   * Parse one value (dict, array, ref, name, string, number, boolean, null)
+   * @param {boolean} allowRefs - "n g R" references (object syntax only, never in content streams)
+   */
+  readValue(allowRefs = true) {
+    return this.valueFromToken(this.next(), allowRefs);
+  }
+
+  valueFromToken(token, allowRefs = true) {
+    if (!token) return null;
+    switch (token.type) {
+      case 'number': {
+        if (allowRefs && Number.isInteger(token.value)) {
+          const saved = this.pos;
+          const gen = this.next();
+          if (gen && gen.type === 'number' && Number.isInteger(gen.value)) {
+            const r = this.next();
+            if (r && r.type === 'keyword' && r.value === 'R') return { ref: token.value };
+          }
+          this.pos = saved;
+        }
+        return token.value;
+      }
+      case 'dictStart': {
+        const dict = {};
+        for (let key = this.next(); key && key.type !== 'dictEnd'; key = this.next()) {
+          if (key.type === 'name') dict[key.value] = this.readValue(allowRefs);
+        }
+        return dict;
+      }
+      case 'arrayStart': {
+        const items = [];
+        for (let item = this.next(); item && item.type !== 'arrayEnd'; item = this.next()) {
+          items.push(this.valueFromToken(item, allowRefs));
+        }
+        return items;
+      }
+      case 'keyword':
+        if (token.value === 'true') return true;
+        if (token.value === 'false') return false;
+        if (token.value === 'null') return null;
+        return { keyword: token.value };
+      default:
+        return token.value;
+    }
+  }
+}
+
+async function inflateBytes(data) {
+  if (typeof DecompressionStream === 'undefined') throw new Error('Compressed PDFs are not supported in this browser');
+  const reader = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate')).getReader();
+  const chunks = [];
+  let length = 0;
+  try {
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      chunks.push(value);
+      length += value.length;
+    }
+  } catch (e) {
+    // Many writers leave junk after the end of the zlib data: keep what was inflated
+    if (length === 0) throw e;
+  }
+  const out = new Uint8Array(length);
+  let offset = 0;
+  chunks.forEach(chunk => { out.set(chunk, offset); offset += chunk.length; });
+  return out;
+}
+
+/**
+ * Parsed PDF document: objects by number, lazily decoded streams
+ */
+class PdfDocument {
+  constructor(bytes) {
+    this.bytes = bytes;
+    this.str = bytesToBinaryString(bytes);
+    this.objects = new Map(); // number -> { value, streamRange?, decoded? }
+    this.scanObjects();
+  }
+
+  scanObjects() {
+    const pattern = /(\d+)\s+(\d+)\s+obj\b/g;
+    let match;
+    while ((match = pattern.exec(this.str))) {
+      const lexer = new PdfLexer(this.str, pattern.lastIndex);
+      let value;
+      try {
+        value = lexer.readValue();
+      } catch (e) {
+        continue;
+      }
+      const entry = { value };
+      lexer.skipWhitespace();
+      if (this.str.startsWith('stream', lexer.pos)) {
+        let start = lexer.pos + 6;
+        if (this.str[start] === '\r') start++;
+        if (this.str[start] === '\n') start++;
+        const declared = value && typeof value.Length === 'number' ? value.Length : -1;
+        let end = declared >= 0 && this.str.slice(start + declared, start + declared + 12).includes('endstream')
+          ? start + declared
+          : this.str.indexOf('endstream', start);
+        if (end < 0) end = this.str.length;
+        const streamEnd = declared >= 0 && end === start + declared ? end : this.trimEol(start, end);
+        entry.streamRange = [start, streamEnd];
+        pattern.lastIndex = end + 9;
+      } else {
+        pattern.lastIndex = lexer.pos;
+      }
+      // Later definitions (incremental updates) replace earlier ones
+      this.objects.set(parseInt(match[1], 10), entry);
+    }
+  }
+
+  trimEol(start, end) {
+    while (end > start && (this.str[end - 1] === '\n' || this.str[end - 1] === '\r')) end--;
+    return end;
+  }
+
+  resolve(value) {
+    let guard = 0;
+    while (value && typeof value === 'object' && 'ref' in value && guard++ < 32) {
+      const entry = this.objects.get(value.ref);
+      value = entry ? entry.value : null;
+    }
+    return value;
+  }
+
+  async getStreamBytes(ref) {
+    const entry = ref && typeof ref === 'object' && 'ref' in ref ? this.objects.get(ref.ref) : null;
+    if (!entry || !entry.streamRange) return null;
+    if (!entry.decoded) {
+      const raw = this.bytes.subarray(entry.streamRange[0], entry.streamRange[1]);
+      const filter = this.resolve(entry.value.Filter);
+      const filters = Array.isArray(filter) ? filter.map(f => this.resolve(f)) : (filter ? [filter] : []);
+      if (filters.some(f => f !== 'FlateDecode' && f !== 'Fl')) {
+        entry.decoded = new Uint8Array(0); // Image or unsupported filters carry no text
+      } else {
+        let data = raw;
+        for (let i = 0; i < filters.length; i++) data = await inflateBytes(data);
+        entry.decoded = data;
+      }
+    }
+    return entry.decoded;
+  }
+
+  /**
+   * Objects stored inside compressed object streams (PDF 1.5+)
+   */
+  async loadObjectStreams() {
+    const streams = Array.from(this.objects.entries()).filter(([, entry]) => entry.value && entry.value.Type === 'ObjStm' && entry.streamRange);
+    for (const [ref, entry] of streams) {
+      let text;
+      try {
+        text = bytesToBinaryString(await this.getStreamBytes({ ref }));
+      } catch (e) {
+        continue;
+      }
+      const count = this.resolve(entry.value.N) || 0;
+      const first = this.resolve(entry.value.First) || 0;
+      const header = new PdfLexer(text, 0);
+      const offsets = [];
+      for (let i = 0; i < count; i++) {
+        const num = header.next();
+        const offset = header.next();
+        if (!num || !offset) break;
+        offsets.push([num.value, offset.value]);
+      }
+      offsets.forEach(([num, offset]) => {
+        // Objects written directly in the file take precedence
+        if (this.objects.has(num)) return;
+        this.objects.set(num, { value: new PdfLexer(text, first + offset).readValue() });
+      });
+    }
+  }
+
+  getCatalog() {
+    let catalog = null;
+    this.objects.forEach(entry => {
+      if (entry.value && entry.value.Type === 'Catalog') catalog = entry.value;
+    });
+    return catalog;
+  }
+
+  /**
+   * Page dictionaries in document order, with inherited Resources and MediaBox
+   */
+  getPages() {
+    const catalog = this.getCatalog();
+    const pages = [];
+    const visited = new Set();
+    const walk = (nodeRef, inherited) => {
+      const node = this.resolve(nodeRef);
+      if (!node || visited.has(node)) return;
+      visited.add(node);
+      const resources = node.Resources !== undefined ? node.Resources : inherited.resources;
+      const mediaBox = node.MediaBox !== undefined ? node.MediaBox : inherited.mediaBox;
+      if (node.Type === 'Pages' || Array.isArray(this.resolve(node.Kids))) {
+        (this.resolve(node.Kids) || []).forEach(kid => walk(kid, { resources, mediaBox }));
+      } else {
+        pages.push({ dict: node, resources: this.resolve(resources) || {}, mediaBox: (this.resolve(mediaBox) || [0, 0, 612, 792]).map(v => this.resolve(v)) });
+      }
+    };
+    if (catalog) walk(catalog.Pages, { resources: null, mediaBox: null });
+    return pages;
+  }
+}
+
+function multiplyMatrix(m1, m2) {
+  return [
+    m1[0] * m2[0] + m1[1] * m2[2],
+    m1[0] * m2[1] + m1[1] * m2[3],
+    m1[2] * m2[0] + m1[3] * m2[2],
+    m1[2] * m2[1] + m1[3] * m2[3],
+    m1[4] * m2[0] + m1[5] * m2[2] + m2[4],
+    m1[4] * m2[1] + m1[5] * m2[3] + m2[5]
+  ];
+}
+
+function decodeUtf16BE(str) {
+  let out = '';
+  for (let i = 0; i + 1 < str.length; i += 2) out += String.fromCharCode((str.charCodeAt(i) << 8) | str.charCodeAt(i + 1));
+  return out;
+}
+
+function hexToCode(hex) {
+  return parseInt(hex, 16);
+}
+
+/**
+ * Parse a ToUnicode CMap (bfchar / bfrange sections)
+ * @param {string} text
+ * @returns {{map: Map<number, string>, codeLength: number}}
+ */
+function parseToUnicodeCMap(text) {
+  const map = new Map();
+  const codespace = /begincodespacerange\s*<([0-9a-fA-F]+)>/.exec(text);
+  const codeLength = codespace ? Math.max(1, codespace[1].length / 2) : 2;
+  const hexToText = hex => decodeUtf16BE(hex.replace(/(..)/g, (_, h) => String.fromCharCode(parseInt(h, 16))));
+
+  (text.match(/beginbfchar([\s\S]*?)endbfchar/g) || []).forEach(section => {
+    const pairs = /<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]*)>/g;
+    let m;
+    while ((m = pairs.exec(section))) map.set(hexToCode(m[1]), hexToText(m[2]));
+  });
+  (text.match(/beginbfrange([\s\S]*?)endbfrange/g) || []).forEach(section => {
+    const ranges = /<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]+)>\s*(<[0-9a-fA-F]*>|\[[^\]]*\])/g;
+    let m;
+    while ((m = ranges.exec(section))) {
+      const lo = hexToCode(m[1]);
+      const hi = hexToCode(m[2]);
+      if (m[3].startsWith('[')) {
+        const targets = m[3].match(/<([0-9a-fA-F]*)>/g) || [];
+        targets.forEach((target, i) => map.set(lo + i, hexToText(target.slice(1, -1))));
+      } else {
+        const base = m[3].slice(1, -1);
+        const prefix = base.slice(0, -4);
+        const last = hexToCode(base.slice(-4) || '0');
+        for (let code = lo; code <= hi && code - lo < 0x10000; code++) {
+          map.set(code, hexToText(prefix + (last + code - lo).toString(16).padStart(4, '0')));
+        }
+      }
+    }
+  });
+  return { map, codeLength };
+}
+
+/**
+ * Build the decoding/width information of a font resource
+ */
+async function loadPdfFont(doc, fontRef) {
+  const dict = doc.resolve(fontRef) || {};
+  const isType0 = dict.Subtype === 'Type0';
+  const font = { codeLength: isType0 ? 2 : 1, toUnicode: null, widthOf: () => (isType0 ? 1000 : 500) };
+
+  if (dict.ToUnicode) {
+    try {
+      const cmap = parseToUnicodeCMap(bytesToBinaryString(await doc.getStreamBytes(dict.ToUnicode) || new Uint8Array(0)));
+      font.toUnicode = cmap.map;
+      if (!isType0) font.codeLength = cmap.codeLength === 2 ? 2 : 1;
+    } catch (e) {
+      font.toUnicode = null;
+    }
+  }
+
+  if (isType0) {
+    const descendant = doc.resolve((doc.resolve(dict.DescendantFonts) || [])[0]) || {};
+    const defaultWidth = doc.resolve(descendant.DW) || 1000;
+    const widths = new Map();
+    const w = (doc.resolve(descendant.W) || []).map(v => doc.resolve(v));
+    for (let i = 0; i < w.length;) {
+      const first = w[i];
+      if (Array.isArray(w[i + 1])) {
+        w[i + 1].forEach((width, j) => widths.set(first + j, doc.resolve(width)));
+        i += 2;
+      } else {
+        for (let code = first; code <= w[i + 1]; code++) widths.set(code, w[i + 2]);
+        i += 3;
+      }
+    }
+    font.widthOf = code => (widths.has(code) ? widths.get(code) : defaultWidth);
+  } else {
+    const firstChar = doc.resolve(dict.FirstChar) || 0;
+    const widths = (doc.resolve(dict.Widths) || []).map(v => doc.resolve(v));
+    const descriptor = doc.resolve(dict.FontDescriptor) || {};
+    const missing = doc.resolve(descriptor.MissingWidth) || 500;
+    if (widths.length > 0) {
+      font.widthOf = code => (widths[code - firstChar] != null ? widths[code - firstChar] : missing);
+    }
+  }
+  return font;
+}
+
+function decodeWithFont(font, str) {
+  const glyphs = [];
+  for (let i = 0; i < str.length; i += font.codeLength) {
+    let code = 0;
+    for (let j = 0; j < font.codeLength; j++) code = (code << 8) | (str.charCodeAt(i + j) || 0);
+    let text;
+    if (font.toUnicode && font.toUnicode.has(code)) {
+      text = font.toUnicode.get(code);
+    } else if (font.codeLength === 1) {
+      text = WIN_ANSI_EXTRAS[code] || String.fromCharCode(code);
+    } else {
+      text = '';
+    }
+    glyphs.push({ code, text });
+  }
+  return glyphs;
+}
+
+/**
+ * Interpret a page's content stream and collect positioned text runs
+ */
+async function collectTextRuns(doc, content, resources, ctm, runs, depth = 0) {
+  const fontCache = new Map();
+  const getFont = async (name) => {
+    if (!fontCache.has(name)) {
+      const fonts = doc.resolve(resources.Font) || {};
+      fontCache.set(name, await loadPdfFont(doc, fonts[name]));
+    }
+    return fontCache.get(name);
+  };
+
+  const lexer = new PdfLexer(content);
+  const stack = [];
+  let gs = { ctm, fontName: null, fontSize: 0, charSpacing: 0, wordSpacing: 0, scale: 1, leading: 0, rise: 0 };
+  let tm = IDENTITY_MATRIX;
+  let tlm = IDENTITY_MATRIX;
+  let operands = [];
+
+  const show = async (items) => {
+    const font = gs.fontName ? await getFont(gs.fontName) : { codeLength: 1, toUnicode: null, widthOf: () => 500 };
+    let current = null;
+    const flush = () => {
+      if (current && current.text.trim()) runs.push(current);
+      current = null;
+    };
+    for (const item of items) {
+      if (typeof item === 'number') {
+        const shift = -item / 1000 * gs.fontSize * gs.scale;
+        tm = multiplyMatrix([1, 0, 0, 1, shift, 0], tm);
+        // Large kerning gaps separate cells that share one TJ array
+        if (-item / 1000 >= 2) flush();
+        else if (current && -item / 1000 >= 0.2) current.text += ' ';
+        continue;
+      }
+      for (const glyph of decodeWithFont(font, item)) {
+        const trm = multiplyMatrix([gs.fontSize * gs.scale, 0, 0, gs.fontSize, 0, gs.rise], multiplyMatrix(tm, gs.ctm));
+        const spacing = glyph.code === 32 && font.codeLength === 1 ? gs.wordSpacing : 0;
+        const advance = (font.widthOf(glyph.code) / 1000 * gs.fontSize + gs.charSpacing + spacing) * gs.scale;
+        tm = multiplyMatrix([1, 0, 0, 1, advance, 0], tm);
+        const end = multiplyMatrix(tm, gs.ctm);
+        if (!current) current = { text: '', x: trm[4], y: trm[5], width: 0, fontSize: Math.abs(trm[3]) || gs.fontSize };
+        current.text += glyph.text;
+        current.width = Math.max(current.width, end[4] - current.x);
+      }
+    }
+    flush();
+  };
+
+  for (let token = lexer.next(); token; token = lexer.next()) {
+    if (token.type !== 'keyword') {
+      operands.push(lexer.valueFromToken(token, false));
+      continue;
+    }
+    const op = token.value;
+    const num = i => (typeof operands[i] === 'number' ? operands[i] : 0);
+    switch (op) {
+      case 'q': stack.push({ ...gs }); break;
+      case 'Q': if (stack.length) gs = stack.pop(); break;
+      case 'cm': gs.ctm = multiplyMatrix(operands.slice(0, 6).map((v, i) => num(i)), gs.ctm); break;
+      case 'BT': tm = IDENTITY_MATRIX; tlm = IDENTITY_MATRIX; break;
+      case 'Tf': gs.fontName = operands[0]; gs.fontSize = num(1); break;
+      case 'Tc': gs.charSpacing = num(0); break;
+      case 'Tw': gs.wordSpacing = num(0); break;
+      case 'Tz': gs.scale = num(0) / 100; break;
+      case 'TL': gs.leading = num(0); break;
+      case 'Ts': gs.rise = num(0); break;
+      case 'Td': tlm = multiplyMatrix([1, 0, 0, 1, num(0), num(1)], tlm); tm = tlm; break;
+      case 'TD': gs.leading = -num(1); tlm = multiplyMatrix([1, 0, 0, 1, num(0), num(1)], tlm); tm = tlm; break;
+      case 'Tm': tlm = operands.slice(0, 6).map((v, i) => num(i)); tm = tlm; break;
+      case 'T*': tlm = multiplyMatrix([1, 0, 0, 1, 0, -gs.leading], tlm); tm = tlm; break;
+      case 'Tj': if (typeof operands[0] === 'string') await show([operands[0]]); break;
+      case 'TJ': if (Array.isArray(operands[0])) await show(operands[0]); break;
+      case "'":
+      case '"': {
+        if (op === '"') { gs.wordSpacing = num(0); gs.charSpacing = num(1); }
+        tlm = multiplyMatrix([1, 0, 0, 1, 0, -gs.leading], tlm);
+        tm = tlm;
+        const text = operands[operands.length - 1];
+        if (typeof text === 'string') await show([text]);
+        break;
+      }
+      case 'Do': {
+        const xobjects = doc.resolve(resources.XObject) || {};
+        const ref = xobjects[operands[0]];
+        const xobject = doc.resolve(ref);
+        if (xobject && xobject.Subtype === 'Form' && depth < 5) {
+          const bytes = await doc.getStreamBytes(ref);
+          const matrix = (doc.resolve(xobject.Matrix) || IDENTITY_MATRIX).map(v => doc.resolve(v));
+          const formResources = doc.resolve(xobject.Resources) || resources;
+          if (bytes) await collectTextRuns(doc, bytesToBinaryString(bytes), formResources, multiplyMatrix(matrix, gs.ctm), runs, depth + 1);
+        }
+        break;
+      }
+      case 'BI': {
+        // Skip inline image data
+        const end = content.indexOf('EI', lexer.pos);
+        lexer.pos = end < 0 ? content.length : end + 2;
+        break;
+      }
+      default:
+        break;
+    }
+    operands = [];
+  }
+}
+
+/**
+ * Extract positioned text runs from a PDF
+ * @param {Uint8Array|ArrayBuffer} data - PDF file bytes
+ * @param {{pages?: number[]}} options - 0-based page indices to read (all pages when omitted)
+ * @returns {Promise<{pageCount: number, pages: Array<{pageIndex: number, width: number, height: number,
+ *   runs: Array<{text: string, x: number, y: number, width: number, fontSize: number}>}>}>}
+ *   y is measured from the top of the page (baseline position)
+ */
+async function extractPdfTextRuns(data, options = {}) {
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+  if (bytesToBinaryString(bytes.subarray(0, 1024)).indexOf('%PDF-') < 0) {
+    throw new Error('Not a PDF file');
+  }
+  const doc = new PdfDocument(bytes);
+  if (/\/Encrypt[\s<\d]/.test(doc.str)) {
+    throw new Error('Encrypted PDFs are not supported');
+  }
+  await doc.loadObjectStreams();
+  const allPages = doc.getPages();
+  const wanted = Array.isArray(options.pages) ? new Set(options.pages) : null;
+
+  const pages = [];
+  for (let pageIndex = 0; pageIndex < allPages.length; pageIndex++) {
+    if (wanted && !wanted.has(pageIndex)) continue;
+    const page = allPages[pageIndex];
+    const [x0, y0, x1, y1] = page.mediaBox;
+    const contents = doc.resolve(page.dict.Contents);
+    const refs = Array.isArray(contents) ? contents : (page.dict.Contents ? [page.dict.Contents] : []);
+    let content = '';
+    for (const ref of refs) {
+      const streamBytes = await doc.getStreamBytes(ref);
+      if (streamBytes) content += bytesToBinaryString(streamBytes) + '\n';
+    }
+    const runs = [];
+    await collectTextRuns(doc, content, page.resources, IDENTITY_MATRIX, runs);
+    pages.push({
+      pageIndex,
+      width: x1 - x0,
+      height: y1 - y0,
+      runs: runs.map(run => ({ ...run, x: run.x - x0, y: y1 - run.y }))
+    });
+  }
+  return { pageCount: allPages.length, pages };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { extractPdfTextRuns, parseToUnicodeCMap, PdfLexer };
+}
+
+if (typeof window !== 'undefined') {
+  window.PdfTextUtils = { extractPdfTextRuns, parseToUnicodeCMap };
+}
@@ -0,0 +1,146 @@
+/**
+ * Group-by and pivot tables
+ * Groups the rows of a table by one or more row key columns, optionally spreads one column key across
+ * the header (one block of value columns per distinct key), and aggregates value columns per group.
+ * Aggregates reuse utils/stats.js; the result is a plain grid (header + rows) like any other table.
+ */
+
+let pivotStats;
+try {
+  pivotStats = require('./stats');
+} catch (e) {
+  pivotStats = typeof window !== 'undefined' ? window.TableStats : null;
+}
+
+const PIVOT_AGGREGATES = [
+  { id: 'sum', label: 'Sum' },
+  { id: 'avg', label: 'Average' },
+  { id: 'count', label: 'Count' },
+  { id: 'min', label: 'Min' },
+  { id: 'max', label: 'Max' },
+  { id: 'distinct', label: 'Distinct count' }
+];
+const PIVOT_MAX_COLUMN_KEYS = 50;
+const PIVOT_EMPTY_KEY = '(blank)';
+const PIVOT_TOTAL_LABEL = 'Total';
+
+function pivotKeyText(value) {
+  const text = value === null || value === undefined ? '' : String(value).trim();
+  return text === '' ? PIVOT_EMPTY_KEY : text;
+}
+
+// Natural order: numbers by value, text alphabetically ("Q2" before "Q10"), blanks last
+function comparePivotKeys(a, b) {
+  if (a === b) return 0;
+  if (a === PIVOT_EMPTY_KEY) return 1;
+  if (b === PIVOT_EMPTY_KEY) return -1;
+  return a.localeCompare(b, undefined, { numeric: true, sensitivity: 'base' });
+}
+
+function defaultPivotNumber(value) {
+  const cleaned = String(value).replace(/[$€£¥₹%\s]/g, '').replace(/,(?=\d{3}(\D|$))/g, '');
+  return /^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/.test(cleaned) ? parseFloat(cleaned) : NaN;
+}
+
+function formatPivotNumber(value) {
+  return typeof value === 'number' && isFinite(value) ? String(parseFloat(value.toFixed(10))) : '';
+}
+
+/**
+ * Aggregate raw cell values
+ * @param {string[]} values
+ * @param {string} aggregate - id from PIVOT_AGGREGATES
+ * @param {function(string): number} parseNumber
+ * @returns {string} '' when nothing can be aggregated
+ */
+function aggregatePivotValues(values, aggregate, parseNumber) {
+  const present = values.filter(v => v !== null && v !== undefined && String(v).trim() !== '');
+  if (aggregate === 'count') return String(pivotStats.computeCategoricalStats(present, 'count'));
+  if (aggregate === 'distinct') return String(pivotStats.computeCategoricalStats(present.map(v => String(v).trim()), 'unique'));
+  const numbers = present.map(parseNumber).filter(n => typeof n === 'number' && !isNaN(n));
+  if (numbers.length === 0) return '';
+  return formatPivotNumber(pivotStats.computeNumericStatsFromNumbers(numbers, aggregate));
+}
+
+function pivotValueLabel(headers, value) {
+  const aggregate = PIVOT_AGGREGATES.find(a => a.id === value.aggregate);
+  return `${aggregate ? aggregate.label : value.aggregate} of ${headers[value.column] || `Column ${value.column + 1}`}`;
+}
+
+/**
+ * Build a pivot table
+ * @param {string[][]} tableData - header + rows
+ * @param {Object} config
+ * @param {number[]} config.rows - row key columns (may be empty: a single total row)
+ * @param {number|null} [config.column] - column key (its distinct values become column groups)
+ * @param {Array<{column: number, aggregate: string}>} config.values
+ * @param {boolean} [config.totals] - add a Total row (aggregated from the source rows, not from the groups)
+ * @param {string[]} [config.headers] - header names to use (defaults to tableData[0])
+ * @param {function(string, number): number} [config.parseNumber] - cell value, column index -> number (NaN if not a number)
+ * @returns {{data: string[][], groupCount: number, columnKeys: string[], truncated: boolean}}
+ */
+function buildPivotTable(tableData, config) {
+  const headers = config.headers || tableData[0] || [];
+  const rowKeys = config.rows || [];
+  const columnKey = config.column === undefined ? null : config.column;
+  const values = (config.values || []).filter(v => PIVOT_AGGREGATES.some(a => a.id === v.aggregate));
+  const parse = config.parseNumber || defaultPivotNumber;
+  const rows = tableData.slice(1);
+  if (values.length === 0) throw new Error('Choose at least one value column');
+
+  // Distinct column keys (capped so a high-cardinality column does not explode the header)
+  let columnKeys = [null];
+  let truncated = false;
+  if (columnKey !== null) {
+    const distinct = Array.from(new Set(rows.map(row => pivotKeyText(row[columnKey])))).sort(comparePivotKeys);
+    truncated = distinct.length > PIVOT_MAX_COLUMN_KEYS;
+    columnKeys = distinct.slice(0, PIVOT_MAX_COLUMN_KEYS);
+  }
+
+  // Group rows by their row key
+  const groups = new Map();
+  rows.forEach(row => {
+    const keys = rowKeys.map(ci => pivotKeyText(row[ci]));
+    const id = JSON.stringify(keys);
+    if (!groups.has(id)) groups.set(id, { keys, rows: [] });
+    groups.get(id).rows.push(row);
+  });
+  const ordered = Array.from(groups.values()).sort((a, b) => {
+    for (let i = 0; i < a.keys.length; i++) {
+      const order = comparePivotKeys(a.keys[i], b.keys[i]);
+      if (order !== 0) return order;
+    }
+    return 0;
+  });
+
+  const cells = (groupRows) => {
+    const out = [];
+    columnKeys.forEach(key => {
+      const subset = key === null ? groupRows : groupRows.filter(row => pivotKeyText(row[columnKey]) === key);
+      values.forEach(value => {
+        out.push(aggregatePivotValues(subset.map(row => row[value.column]), value.aggregate, v => parse(v, value.column)));
+      });
+    });
+    return out;
+  };
+
+  const header = [...rowKeys.map(ci => headers[ci] || `Column ${ci + 1}`)];
+  columnKeys.forEach(key => values.forEach(value => {
+    const label = pivotValueLabel(headers, value);
+    header.push(key === null ? label : (values.length > 1 ? `${key} · ${label}` : key));
+  }));
+
+  const data = [header, ...ordered.map(group => [...group.keys, ...cells(group.rows)])];
+  if (config.totals && rowKeys.length > 0 && ordered.length > 1) {
+    data.push([PIVOT_TOTAL_LABEL, ...new Array(rowKeys.length - 1).fill(''), ...cells(rows)]);
+  }
+  return { data, groupCount: ordered.length, columnKeys: columnKeys.filter(k => k !== null), truncated };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { PIVOT_AGGREGATES, PIVOT_MAX_COLUMN_KEYS, aggregatePivotValues, buildPivotTable };
+}
+
+if (typeof window !== 'undefined') {
+  window.PivotUtils = { PIVOT_AGGREGATES, PIVOT_MAX_COLUMN_KEYS, aggregatePivotValues, buildPivotTable };
+}
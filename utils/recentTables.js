@@ -0,0 +1,87 @@
+/**
+ * Recently opened tables
+ * Every viewer remembers the table it shows (in the extension's localStorage, shared by all viewer
+ * windows) so another viewer can offer it for a join or append, together with saved workspaces.
+ * The list is short and has a total size budget: saved workspaces and viewer transfers share the
+ * same storage quota, so old entries are dropped first and tables larger than the budget are skipped.
+ */
+
+const RECENT_TABLES_STORAGE_KEY = 'tableLens_recentTables';
+const RECENT_TABLES_LIMIT = 10;
+const RECENT_TABLE_MAX_CELLS = 100000;
+const RECENT_TABLES_MAX_CHARS = 1000000; // serialized list, ~1 MB
+const SAVED_WORKSPACES_STORAGE_KEY = 'tableLensSavedStates';
+
+function readStoredList(storage, key) {
+  try {
+    const list = JSON.parse(storage.getItem(key) || '[]');
+    return Array.isArray(list) ? list : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+/**
+ * Remember a table (replaces an earlier entry with the same id, newest first)
+ * @param {Storage} storage
+ * @param {{id: string, name: string, data: string[][]}} table
+ * @returns {boolean} false when the table is too large or storage is full
+ */
+function rememberRecentTable(storage, table) {
+  if (!table || !Array.isArray(table.data) || table.data.length < 2) return false;
+  const cells = table.data.reduce((sum, row) => sum + row.length, 0);
+  if (cells > RECENT_TABLE_MAX_CELLS) return false;
+  let list = [{ id: table.id, name: table.name, savedAt: Date.now(), data: table.data },
+    ...readStoredList(storage, RECENT_TABLES_STORAGE_KEY).filter(entry => entry.id !== table.id)].slice(0, RECENT_TABLES_LIMIT);
+  // Stay inside the size budget, oldest entries first
+  while (list.length > 1 && JSON.stringify(list).length > RECENT_TABLES_MAX_CHARS) list = list.slice(0, -1);
+  if (JSON.stringify(list).length > RECENT_TABLES_MAX_CHARS) return false;
+  // Drop the oldest entries until the list fits
+  while (list.length > 0) {
+    try {
+      storage.setItem(RECENT_TABLES_STORAGE_KEY, JSON.stringify(list));
+      return list[0].id === table.id;
+    } catch (e) {
+      list = list.slice(0, -1);
+    }
+  }
+  return false;
+}
+
+/**
+ * Forget all recently opened tables (frees storage for saved workspaces)
+ * @param {Storage} storage
+ */
+function clearRecentTables(storage) {
+  storage.removeItem(RECENT_TABLES_STORAGE_KEY);
+}
+
+/**
+ * Tables that can be joined with the current one: recently opened tables and saved workspaces
+ * @param {Storage} storage
+ * @param {string} [excludeId] - id of the current table
+ * @param {function(string[][], Object): string[][]} [applyLayout] - applies a workspace's column layout
+ * @returns {Array<{key: string, group: string, name: string, data: string[][]}>}
+ */
+function listJoinableTables(storage, excludeId, applyLayout) {
+  const recent = readStoredList(storage, RECENT_TABLES_STORAGE_KEY)
+    .filter(entry => entry.id !== excludeId && Array.isArray(entry.data))
+    .map(entry => ({ key: `recent:${entry.id}`, group: 'Recently opened', name: entry.name, data: entry.data }));
+  const saved = readStoredList(storage, SAVED_WORKSPACES_STORAGE_KEY)
+    .filter(entry => entry.state && Array.isArray(entry.state.tableData) && entry.state.tableData.length > 1)
+    .map(entry => ({
+      key: `saved:${entry.id}`,
+      group: 'Saved workspaces',
+      name: entry.name,
+      data: applyLayout && entry.state.columnLayout ? applyLayout(entry.state.tableData, entry.state.columnLayout) : entry.state.tableData
+    }));
+  return [...recent, ...saved];
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { RECENT_TABLES_STORAGE_KEY, RECENT_TABLES_LIMIT, RECENT_TABLE_MAX_CELLS, RECENT_TABLES_MAX_CHARS, rememberRecentTable, clearRecentTables, listJoinableTables };
+}
+
+if (typeof window !== 'undefined') {
+  window.RecentTableUtils = { RECENT_TABLES_STORAGE_KEY, RECENT_TABLES_LIMIT, RECENT_TABLE_MAX_CELLS, RECENT_TABLES_MAX_CHARS, rememberRecentTable, clearRecentTables, listJoinableTables };
+}
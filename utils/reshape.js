@@ -0,0 +1,70 @@
+/**
+ * Reshaping tables
+ * Unpivot (wide to long): statistics tables often publish one column per year or category; unpivoting
+ * keeps the id columns and turns every other column into a variable/value pair, one row each, which
+ * is the shape line charts and pivots expect. Transpose swaps rows and columns.
+ */
+
+const RESHAPE_NUMERIC_TYPES = ['numeric', 'money', 'percentage', 'rate'];
+
+/**
+ * Id columns to keep when unpivoting: text columns whose header is not a year or a number
+ * (wide tables put their measures under headers such as 1990, 1991, …)
+ * @param {string[]} headers
+ * @param {string[]} columnTypes
+ * @returns {number[]}
+ */
+function suggestUnpivotIdColumns(headers, columnTypes) {
+  const ids = headers
+    .map((header, i) => i)
+    .filter(i => !RESHAPE_NUMERIC_TYPES.includes(columnTypes[i]) && !/^\s*[\d.,]+\s*$/.test(String(headers[i])));
+  return ids.length > 0 && ids.length < headers.length ? ids : [0];
+}
+
+/**
+ * Wide to long
+ * @param {string[][]} tableData - header + rows
+ * @param {Object} options
+ * @param {number[]} options.idColumns - columns repeated on every output row
+ * @param {number[]} [options.valueColumns] - columns to unpivot (default: all other columns)
+ * @param {string} [options.variableName] - header of the column holding the former header (default "Variable")
+ * @param {string} [options.valueName] - header of the value column (default "Value")
+ * @param {boolean} [options.skipEmpty] - leave out pairs whose value is empty
+ * @returns {string[][]}
+ */
+function unpivotTable(tableData, options) {
+  const headers = tableData[0] || [];
+  const idColumns = options.idColumns || [];
+  const valueColumns = options.valueColumns || headers.map((_, i) => i).filter(i => !idColumns.includes(i));
+  if (valueColumns.length === 0) throw new Error('Choose at least one column to unpivot');
+  const cell = (row, i) => (row[i] === undefined || row[i] === null ? '' : row[i]);
+  const out = [[...idColumns.map(i => headers[i]), options.variableName || 'Variable', options.valueName || 'Value']];
+  tableData.slice(1).forEach(row => {
+    const ids = idColumns.map(i => cell(row, i));
+    valueColumns.forEach(i => {
+      const value = cell(row, i);
+      if (options.skipEmpty && String(value).trim() === '') return;
+      out.push([...ids, headers[i], value]);
+    });
+  });
+  return out;
+}
+
+/**
+ * Swap rows and columns: the first column becomes the header row and the header row the first column
+ * @param {string[][]} tableData
+ * @returns {string[][]}
+ */
+function transposeTable(tableData) {
+  if (!Array.isArray(tableData) || tableData.length === 0) return tableData;
+  const width = Math.max(...tableData.map(row => row.length));
+  return Array.from({ length: width }, (_, c) => tableData.map(row => (row[c] === undefined || row[c] === null ? '' : row[c])));
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { suggestUnpivotIdColumns, unpivotTable, transposeTable };
+}
+
+if (typeof window !== 'undefined') {
+  window.ReshapeUtils = { suggestUnpivotIdColumns, unpivotTable, transposeTable };
+}
@@ -0,0 +1,161 @@
+/**
+ * Rich cell model
+ * Plain parsing flattens every cell to textContent. In rich mode each cell also keeps its
+ * links, images, title / data-* attributes and raw HTML so the viewer can render clickable
+ * links, extract URLs into their own column and write real hyperlinks into XLSX.
+ *
+ * Rich cell shape (only non-empty fields are present):
+ *   { text, href, links: [{ href, text }], images: [{ src, alt }], title, data: {...}, html }
+ * Rich grids are 2D arrays aligned with the table data; plain cells are null.
+ */
+
+const RICH_HTML_MAX_LENGTH = 2000;
+
+/**
+ * Only keep URLs that are safe to render as links / write into spreadsheets
+ * @param {string} url
+ * @returns {boolean}
+ */
+function isSafeUrl(url) {
+  return typeof url === 'string' && /^(https?:|mailto:|ftp:)/i.test(url.trim());
+}
+
+/**
+ * Build the rich representation of a table cell element
+ * @param {Element} cell - td/th (or ARIA cell)
+ * @returns {Object} rich cell
+ */
+function extractRichCell(cell) {
+  const rich = { text: cell.textContent.trim() };
+
+  // a.href is already resolved against the page URL in the browser
+  const links = Array.from(cell.querySelectorAll('a[href]'))
+    .map(a => ({ href: a.href || a.getAttribute('href'), text: a.textContent.trim() }))
+    .filter(link => isSafeUrl(link.href));
+  if (cell.tagName === 'A' && isSafeUrl(cell.href)) {
+    links.unshift({ href: cell.href, text: rich.text });
+  }
+  if (links.length > 0) {
+    rich.href = links[0].href;
+    if (links.length > 1) rich.links = links;
+  }
+
+  const images = Array.from(cell.querySelectorAll('img'))
+    .map(img => ({ src: img.src || img.getAttribute('src') || '', alt: img.getAttribute('alt') || '' }))
+    .filter(img => img.src || img.alt);
+  if (images.length > 0) rich.images = images;
+
+  const titled = cell.hasAttribute('title') ? cell : cell.querySelector('[title]');
+  if (titled && titled.getAttribute('title')) rich.title = titled.getAttribute('title');
+
+  const data = { ...(cell.dataset || {}) };
+  if (Object.keys(data).length > 0) rich.data = data;
+
+  if (cell.children.length > 0) {
+    rich.html = cell.innerHTML.trim().slice(0, RICH_HTML_MAX_LENGTH);
+  }
+  return rich;
+}
+
+/**
+ * Whether a rich cell carries anything beyond its text
+ * @param {Object|null} rich
+ * @returns {boolean}
+ */
+function hasRichContent(rich) {
+  return !!(rich && typeof rich === 'object' && (rich.href || rich.images || rich.title || rich.data || rich.html));
+}
+
+/**
+ * Replace plain cells with null; returns null when the whole grid is plain text
+ * (so tables without links/images don't carry an extra grid around)
+ * @param {Array<Array<Object|string|null>>} grid
+ * @returns {Array<Array<Object|null>>|null}
+ */
+function compactRichGrid(grid) {
+  if (!Array.isArray(grid)) return null;
+  let found = false;
+  const compact = grid.map(row => (row || []).map(cell => {
+    if (hasRichContent(cell)) {
+      found = true;
+      return cell;
+    }
+    return null;
+  }));
+  return found ? compact : null;
+}
+
+/**
+ * Keep a rich grid aligned after rows/columns were dropped (e.g. empty column cleanup)
+ * @param {Array<Array<Object|null>>|null} grid
+ * @param {{rows: number[], columns: number[]}|null} map - kept source row/column indices (null = unchanged)
+ * @returns {Array<Array<Object|null>>|null}
+ */
+function alignRichGrid(grid, map) {
+  if (!grid || !map) return grid || null;
+  return map.rows.map(r => map.columns.map(c => (grid[r] && grid[r][c]) || null));
+}
+
+/**
+ * Append a column holding the URL of the link in `columnIndex`
+ * @param {string[][]} tableData - header + rows
+ * @param {Array<Array<Object|null>>} richRows - rich cells aligned with tableData rows
+ * @param {number} columnIndex
+ * @returns {{ tableData: string[][], richRows: Array<Array<Object|null>>, linkCount: number }}
+ */
+function linksToColumn(tableData, richRows, columnIndex) {
+  let linkCount = 0;
+  const header = tableData[0] || [];
+  const newTable = tableData.map((row, i) => {
+    if (i === 0) return [...row, `${header[columnIndex] || `Column ${columnIndex + 1}`} (link)`];
+    const rich = richRows[i] && richRows[i][columnIndex];
+    const href = rich && rich.href ? rich.href : '';
+    if (href) linkCount++;
+    return [...row, href];
+  });
+  const newRich = tableData.map((row, i) => {
+    const base = richRows[i] ? [...richRows[i]] : new Array(row.length).fill(null);
+    while (base.length < row.length) base.push(null);
+    const href = i > 0 ? newTable[i][newTable[i].length - 1] : '';
+    base.push(href ? { text: href, href } : null);
+    return base;
+  });
+  return { tableData: newTable, richRows: newRich, linkCount };
+}
+
+function encodeCellAddress(rowIndex, columnIndex) {
+  let name = '';
+  for (let c = columnIndex + 1; c > 0; c = Math.floor((c - 1) / 26)) {
+    name = String.fromCharCode(65 + ((c - 1) % 26)) + name;
+  }
+  return `${name}${rowIndex + 1}`;
+}
+
+/**
+ * Turn linked cells of a SheetJS worksheet into real hyperlinks
+ * @param {Object} ws - worksheet created from the same rows (XLSX.utils.aoa_to_sheet)
+ * @param {Array<Array<Object|null>>} richRows - rich cells aligned with the sheet rows
+ * @returns {number} number of hyperlinks written
+ */
+function addSheetHyperlinks(ws, richRows) {
+  if (!ws || !Array.isArray(richRows)) return 0;
+  let count = 0;
+  richRows.forEach((row, r) => {
+    (row || []).forEach((rich, c) => {
+      if (!rich || !isSafeUrl(rich.href)) return;
+      const cell = ws[encodeCellAddress(r, c)];
+      if (!cell) return;
+      cell.l = rich.title ? { Target: rich.href, Tooltip: rich.title } : { Target: rich.href };
+      count++;
+    });
+  });
+  return count;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { isSafeUrl, extractRichCell, hasRichContent, compactRichGrid, alignRichGrid, linksToColumn, addSheetHyperlinks };
+}
+
+if (typeof window !== 'undefined') {
+  window.RichCellUtils = { isSafeUrl, extractRichCell, hasRichContent, compactRichGrid, alignRichGrid, linksToColumn, addSheetHyperlinks };
+}
@@ -0,0 +1,101 @@
+/**
+ * Row harvesting for virtualized / infinite-scroll tables
+ * Virtualized grids only keep the visible rows in the DOM, so the table is scrolled step by step
+ * and every snapshot is merged into a store keyed by the row's logical index (aria-rowindex,
+ * data-index, ...) or, when the grid exposes none, by a hash of the row content.
+ * Note: content-hash keys collapse rows that are exact duplicates of each other.
+ */
+
+const ROW_INDEX_ATTRIBUTES = ['aria-rowindex', 'data-row-index', 'data-rowindex', 'row-index', 'data-index'];
+
+/**
+ * Read a row's logical index from the attributes virtualization libraries set
+ * @param {Element} rowElement
+ * @returns {number|null}
+ */
+function getRowIndexAttribute(rowElement) {
+  if (!rowElement || !rowElement.getAttribute) return null;
+  for (const attr of ROW_INDEX_ATTRIBUTES) {
+    const raw = rowElement.getAttribute(attr);
+    if (raw != null && raw !== '' && !isNaN(parseInt(raw, 10))) {
+      return parseInt(raw, 10);
+    }
+  }
+  return null;
+}
+
+function hashRowContent(values) {
+  const str = values.join('\u0001');
+  let hash = 0;
+  for (let i = 0; i < str.length; i++) {
+    hash = ((hash << 5) - hash) + str.charCodeAt(i);
+    hash = hash & hash; // Convert to 32-bit integer
+  }
+  // Keep the length in the key to make collisions between different rows less likely
+  return `h${Math.abs(hash).toString(36)}_${str.length}`;
+}
+
+/**
+ * Create an empty harvest store
+ * @returns {{ header: string[]|null, rows: Map<string, {order: number, rowIndex: number|null, values: string[]}>, indexed: boolean }}
+ */
+function createHarvestStore() {
+  return { header: null, rows: new Map(), indexed: true };
+}
+
+/**
+ * Merge one snapshot of visible rows into the store
+ * @param {Object} store - from createHarvestStore
+ * @param {Array<{rowIndex: number|null, values: string[]}>} snapshot - visible rows, header first on the initial snapshot
+ * @returns {number} number of rows that were not seen before
+ */
+function mergeHarvestSnapshot(store, snapshot) {
+  let added = 0;
+  snapshot.forEach((row, position) => {
+    if (!row || !Array.isArray(row.values)) return;
+    if (!store.header) {
+      if (position === 0) {
+        store.header = [...row.values];
+        store.headerIndex = row.rowIndex;
+      }
+      return;
+    }
+    // Sticky header rows are rendered in every snapshot
+    if (row.rowIndex != null ? row.rowIndex === store.headerIndex : row.values.join('\u0001') === store.header.join('\u0001')) {
+      return;
+    }
+    if (row.rowIndex == null) store.indexed = false;
+    const key = row.rowIndex != null ? `i${row.rowIndex}` : hashRowContent(row.values);
+    const existing = store.rows.get(key);
+    if (existing) {
+      // Lazily filled cells (placeholders/skeletons) may gain content later
+      existing.values = row.values.map((value, i) => value !== '' ? value : (existing.values[i] || ''));
+      return;
+    }
+    store.rows.set(key, { order: store.rows.size, rowIndex: row.rowIndex, values: [...row.values] });
+    added++;
+  });
+  return added;
+}
+
+/**
+ * Materialize the harvested table (header + rows in logical order)
+ * @param {Object} store
+ * @returns {string[][]}
+ */
+function harvestedTableData(store) {
+  if (!store.header) return [];
+  const rows = Array.from(store.rows.values());
+  rows.sort(store.indexed ? (a, b) => a.rowIndex - b.rowIndex : (a, b) => a.order - b.order);
+  const width = Math.max(store.header.length, ...rows.map(r => r.values.length));
+  const pad = values => values.length < width ? [...values, ...new Array(width - values.length).fill('')] : values;
+  return [pad(store.header), ...rows.map(r => pad(r.values))];
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { getRowIndexAttribute, createHarvestStore, mergeHarvestSnapshot, harvestedTableData };
+}
+
+if (typeof window !== 'undefined') {
+  window.RowHarvestUtils = { getRowIndexAttribute, createHarvestStore, mergeHarvestSnapshot, harvestedTableData };
+}
@@ -0,0 +1,131 @@
+/**
+ * Smart paste
+ * Turns clipboard contents into a table: HTML fragments copied from spreadsheets or web pages
+ * (colspans kept as a header hierarchy), TSV from Excel/Sheets, markdown pipe tables,
+ * fixed-width text and delimited text. Each format goes through its regular parser.
+ */
+
+let pasteParsers;
+try {
+  // In Node test environment
+  pasteParsers = {
+    ...require('./tableNesting'),
+    ...require('./headerBands'),
+    ...require('./csvParser'),
+    ...require('./textTables')
+  };
+} catch (e) {
+  // In browser the utils expose window.TableNestingUtils, HeaderBandUtils, CsvParserUtils and TextTableUtils
+  pasteParsers = null;
+}
+
+function getPasteParsers() {
+  return pasteParsers || {
+    ...window.TableNestingUtils,
+    ...window.HeaderBandUtils,
+    ...window.CsvParserUtils,
+    ...window.TextTableUtils
+  };
+}
+
+function domFromHTML(html) {
+  return new DOMParser().parseFromString(html, 'text/html').body;
+}
+
+function isUsableTable(data) {
+  return Array.isArray(data) && data.length >= 2 && Math.max(...data.map(row => row.length)) >= 2;
+}
+
+function parsePastedHTML(html, parseHTML) {
+  const parsers = getPasteParsers();
+  const root = parseHTML(html);
+  const table = root && root.querySelector('table');
+  if (!table) return null;
+  let data = parsers.parseHTMLTable(table).map(row => row.map(cell => cell.replace(/\s+/g, ' ').trim()));
+  const headerHierarchy = parsers.detectHeaderBand(table);
+  if (headerHierarchy) data = parsers.applyHeaderBand(data, headerHierarchy);
+  return isUsableTable(data) ? { format: 'html', data, headerHierarchy: headerHierarchy || null } : null;
+}
+
+function parsePastedText(text) {
+  const parsers = getPasteParsers();
+  const cleaned = text.replace(/\r\n?/g, '\n').replace(/^\uFEFF/, '');
+  const lines = cleaned.split('\n').filter(line => line.trim());
+  if (lines.length < 2) return null;
+
+  if (parsers.isMarkdownTable(cleaned)) {
+    const data = parsers.parseMarkdownTable(cleaned);
+    if (isUsableTable(data)) return { format: 'markdown', data, headerHierarchy: null };
+  }
+  // Spreadsheets put a tab between cells of every row
+  if (lines.filter(line => line.includes('\t')).length >= lines.length * 0.8) {
+    const data = parsers.parseCSV(cleaned, '\t');
+    if (isUsableTable(data)) return { format: 'tsv', data, headerHierarchy: null };
+  }
+  const columns = parsers.detectFixedWidthColumns(cleaned);
+  const fixedWidth = columns.length > 0 ? parsers.buildFixedWidthRows(cleaned, columns) : [];
+  if (isUsableTable(fixedWidth)) {
+    // The raw text and spans let the viewer offer boundary adjustment
+    return { format: 'fixed-width', data: fixedWidth, headerHierarchy: null, fixedWidth: { text: cleaned, columns } };
+  }
+
+  if (parsers.looksLikeCSV(cleaned)) {
+    const delimiter = parsers.detectDelimiter(cleaned);
+    return { format: delimiter === ',' ? 'csv' : 'delimited', data: parsers.parseCSV(cleaned, delimiter), headerHierarchy: null };
+  }
+  return null;
+}
+
+/**
+ * Parse clipboard contents; HTML wins when it contains a table, plain text is tried next
+ * @param {{html?: string, text?: string}} clipboard - text/html and text/plain flavours
+ * @param {{parseHTML?: function(string): Element}} options - HTML to DOM (defaults to DOMParser)
+ * @returns {{format: string, data: string[][], headerHierarchy: Object|null, fixedWidth?: Object}|null}
+ *   null when nothing tabular was pasted; fixedWidth ({text, columns}) is set for aligned text
+ */
+function parseClipboardData(clipboard, options = {}) {
+  const parseHTML = options.parseHTML || domFromHTML;
+  if (clipboard.html) {
+    const fromHTML = parsePastedHTML(clipboard.html, parseHTML);
+    if (fromHTML) return fromHTML;
+  }
+  return clipboard.text ? parsePastedText(clipboard.text) : null;
+}
+
+const PASTE_FORMAT_LABELS = {
+  'html': 'HTML',
+  'tsv': 'TSV',
+  'markdown': 'Markdown',
+  'fixed-width': 'fixed-width text',
+  'csv': 'CSV',
+  'delimited': 'delimited text'
+};
+
+/**
+ * Wrap a pasted table in the import shape used by the viewer transfer (see utils/fileImport.js)
+ * @param {{format: string, data: string[][], headerHierarchy: Object|null}} pasted
+ * @returns {{fileName: string, source: string, tables: Array<Object>}}
+ */
+function pastedTableImport(pasted) {
+  const name = `Pasted table (${PASTE_FORMAT_LABELS[pasted.format] || pasted.format})`;
+  return {
+    fileName: name,
+    source: 'paste',
+    tables: [{
+      name,
+      type: 'pasted',
+      format: pasted.format,
+      data: pasted.data,
+      headerHierarchy: pasted.headerHierarchy,
+      fixedWidth: pasted.fixedWidth || null
+    }]
+  };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { parseClipboardData, pastedTableImport };
+}
+
+if (typeof window !== 'undefined') {
+  window.SmartPasteUtils = { parseClipboardData, pastedTableImport };
+}
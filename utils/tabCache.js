@@ -0,0 +1,137 @@
+/**
+ * Per-tab table cache kept by the background service worker
+ * Remembers the table summaries found in each tab, per frame, so a reopened popup can list them
+ * (including tables from cross-origin frames and tables added by PDF extraction, captures and
+ * harvesting) without scanning again. The cache is written through to a storage area
+ * (chrome.storage.session in the extension) because the service worker can be stopped at any time.
+ * The storage area has a small quota: large table data is only kept in memory, and when a write
+ * is still rejected the stored copy is reduced (summaries only, then nothing) so it never goes stale.
+ */
+
+const TAB_CACHE_STORAGE_KEY = 'tableLens_tabTables';
+const TAB_CACHE_MAX_PERSISTED_ROWS = 200;
+
+function pageKey(url) {
+  // Hash changes (in-page navigation) keep the tables
+  return String(url || '').split('#')[0];
+}
+
+class TabTableCache {
+  /**
+   * @param {{get: function(): Promise<Object>, set: function(Object): Promise<void>}} storage
+   */
+  constructor(storage) {
+    this.storage = storage;
+    this.tabs = {}; // tabId -> { url, frames: { frameId: tables[] } }
+    this.loaded = null;
+  }
+
+  async load() {
+    if (!this.loaded) {
+      this.loaded = (async () => {
+        const stored = this.storage ? await this.storage.get() : null;
+        this.tabs = (stored && stored[TAB_CACHE_STORAGE_KEY]) || {};
+      })();
+    }
+    return this.loaded;
+  }
+
+  // Copy of the cache for storage; tables with more than maxRows rows (or any data when 0) lose their data
+  persistedTabs(maxRows) {
+    const tabs = {};
+    Object.keys(this.tabs).forEach(tabId => {
+      const entry = this.tabs[tabId];
+      const frames = {};
+      Object.keys(entry.frames).forEach(frameId => {
+        frames[frameId] = entry.frames[frameId].map(table => {
+          if (!table || !Array.isArray(table.data) || table.data.length <= maxRows) return table;
+          const { data, ...summary } = table;
+          return summary;
+        });
+      });
+      tabs[tabId] = { ...entry, frames };
+    });
+    return tabs;
+  }
+
+  async save() {
+    if (!this.storage) return;
+    const attempts = [() => this.persistedTabs(TAB_CACHE_MAX_PERSISTED_ROWS), () => this.persistedTabs(0), () => ({})];
+    for (const attempt of attempts) {
+      try {
+        await this.storage.set({ [TAB_CACHE_STORAGE_KEY]: attempt() });
+        return;
+      } catch (e) {
+        // Quota exceeded: store less; the in-memory cache keeps everything
+      }
+    }
+  }
+
+  tab(tabId, url) {
+    if (!this.tabs[tabId]) this.tabs[tabId] = { url: url ? pageKey(url) : null, frames: {} };
+    return this.tabs[tabId];
+  }
+
+  /**
+   * Replace the tables of one frame (a fresh scan of that frame)
+   * @param {number} tabId
+   * @param {number} frameId - 0 for the top frame
+   * @param {Object[]} tables - summaries (tables of other frames include their data)
+   * @param {string} [url] - page URL, recorded for the top frame
+   */
+  async setFrameTables(tabId, frameId, tables, url) {
+    await this.load();
+    const entry = this.tab(tabId, frameId === 0 ? url : null);
+    if (frameId === 0 && url) entry.url = pageKey(url);
+    entry.frames[frameId] = tables.slice();
+    await this.save();
+  }
+
+  /**
+   * Append one table to a frame (PDF, capture, harvest and multi-page results); ids already cached are ignored
+   */
+  async addTable(tabId, frameId, table) {
+    await this.load();
+    const tables = this.tab(tabId).frames[frameId] || (this.tab(tabId).frames[frameId] = []);
+    if (!table || tables.some(t => t.id === table.id)) return;
+    tables.push(table);
+    await this.save();
+  }
+
+  /**
+   * Cached tables of a tab: top-frame tables first (their indices match the content script),
+   * then tables of other frames tagged with frameId and their index inside that frame
+   * @param {number} tabId
+   * @returns {Promise<Object[]>}
+   */
+  async getTables(tabId) {
+    await this.load();
+    const entry = this.tabs[tabId];
+    if (!entry) return [];
+    const top = (entry.frames[0] || []).slice();
+    const others = Object.keys(entry.frames)
+      .filter(frameId => Number(frameId) !== 0)
+      .reduce((all, frameId) => all.concat(entry.frames[frameId].map((t, frameIndex) => ({ ...t, frameId: Number(frameId), frameIndex }))), []);
+    return top.concat(others);
+  }
+
+  async clearTab(tabId) {
+    await this.load();
+    if (!this.tabs[tabId]) return;
+    delete this.tabs[tabId];
+    await this.save();
+  }
+
+  /**
+   * Drop a tab's tables when it navigates to another page
+   */
+  async handleNavigation(tabId, url) {
+    await this.load();
+    const entry = this.tabs[tabId];
+    if (entry && entry.url !== pageKey(url)) await this.clearTab(tabId);
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { TabTableCache, TAB_CACHE_STORAGE_KEY, TAB_CACHE_MAX_PERSISTED_ROWS };
+}
@@ -0,0 +1,97 @@
+/**
+ * Table diff utilities for live watch mode
+ * Compares two parsed snapshots of the same source table and produces a compact patch that the
+ * content script can postMessage to the table viewer, which applies it to its own copy.
+ *
+ * Patch shape:
+ *   { kind: 'none' }                                  - nothing changed
+ *   { kind: 'replace', data }                         - header/shape changed, send full snapshot
+ *   { kind: 'patch', rowCount, changed: [{ index, row }], appended: [row, ...] }
+ * Row indices include the header row (index 0).
+ */
+
+function tableRowsEqual(a, b) {
+  if (a === b) return true;
+  if (!a || !b || a.length !== b.length) return false;
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) return false;
+  }
+  return true;
+}
+
+/**
+ * Diff two 2D arrays positionally
+ * @param {Array<Array<string>>} previous - last snapshot sent to the viewer
+ * @param {Array<Array<string>>} next - freshly parsed snapshot
+ * @returns {Object} patch (see module header)
+ */
+function diffTableData(previous, next) {
+  if (!previous || previous.length === 0 || !next || next.length === 0) {
+    return { kind: 'replace', data: next || [] };
+  }
+  // Header or column count change means column-level state (types, filters) is invalid
+  if (!tableRowsEqual(previous[0], next[0])) {
+    return { kind: 'replace', data: next };
+  }
+
+  const changed = [];
+  const common = Math.min(previous.length, next.length);
+  for (let i = 1; i < common; i++) {
+    if (!tableRowsEqual(previous[i], next[i])) {
+      changed.push({ index: i, row: next[i] });
+    }
+  }
+  const appended = next.length > previous.length ? next.slice(previous.length) : [];
+
+  if (changed.length === 0 && appended.length === 0 && next.length === previous.length) {
+    return { kind: 'none' };
+  }
+  // A full rewrite (e.g. a sorted/rotated feed) is cheaper to send as a replacement
+  if (changed.length > (next.length - 1) * 0.5 && next.length > 10) {
+    return { kind: 'replace', data: next };
+  }
+  return { kind: 'patch', rowCount: next.length, changed, appended };
+}
+
+/**
+ * Apply a patch produced by diffTableData to a snapshot (returns a new array)
+ * @param {Array<Array<string>>} data
+ * @param {Object} patch
+ * @returns {Array<Array<string>>}
+ */
+function applyTableDiff(data, patch) {
+  if (!patch || patch.kind === 'none') return data;
+  if (patch.kind === 'replace') return patch.data.map(row => [...row]);
+
+  const result = data.slice(0, Math.min(data.length, patch.rowCount)).map(row => [...row]);
+  patch.changed.forEach(({ index, row }) => {
+    if (index < result.length) result[index] = [...row];
+  });
+  patch.appended.forEach(row => result.push([...row]));
+  return result;
+}
+
+/**
+ * Summarize a patch for status display ("2 changed, 3 added, 1 removed")
+ * @param {Object} patch
+ * @param {number} previousRowCount - row count (including header) before the patch
+ * @returns {string}
+ */
+function describeTableDiff(patch, previousRowCount) {
+  if (!patch || patch.kind === 'none') return 'no changes';
+  if (patch.kind === 'replace') return 'table reloaded';
+  const parts = [];
+  if (patch.changed.length) parts.push(`${patch.changed.length} changed`);
+  if (patch.appended.length) parts.push(`${patch.appended.length} added`);
+  const removed = previousRowCount - Math.min(previousRowCount, patch.rowCount);
+  if (removed > 0) parts.push(`${removed} removed`);
+  return parts.join(', ') || 'no changes';
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { diffTableData, applyTableDiff, describeTableDiff };
+}
+
+if (typeof window !== 'undefined') {
+  window.TableDiffUtils = { diffTableData, applyTableDiff, describeTableDiff };
+}
@@ -0,0 +1,155 @@
+/**
+ * Joining and appending tables
+ * Combines two grids (header + rows): inner, left and full joins on one or more key column pairs, or a
+ * union/append of tables that share their headers. Keys can be trimmed and compared case-insensitively;
+ * rows with an empty key never match (like NULL in SQL).
+ */
+
+const JOIN_TYPES = ['inner', 'left', 'full'];
+
+function joinKeyPart(value, options) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (options.trim) text = text.replace(/\s+/g, ' ').trim();
+  if (options.caseFold) text = text.toLowerCase();
+  return text;
+}
+
+// Composite key of a row, or null when any part is empty
+function joinRowKey(row, columns, options) {
+  const parts = columns.map(ci => joinKeyPart(row[ci], options));
+  return parts.some(part => part === '') ? null : JSON.stringify(parts);
+}
+
+// Header for a right-hand column that clashes with an existing header
+function uniqueJoinHeader(header, taken, suffix) {
+  let name = header;
+  let n = 2;
+  if (taken.has(name)) name = `${header} (${suffix})`;
+  while (taken.has(name)) name = `${header} (${suffix} ${n++})`;
+  taken.add(name);
+  return name;
+}
+
+/**
+ * Join two tables
+ * @param {string[][]} left
+ * @param {string[][]} right
+ * @param {Object} options
+ * @param {number[]} options.leftKeys - key columns of the left table
+ * @param {number[]} options.rightKeys - matching key columns of the right table (same length)
+ * @param {string} [options.type] - inner | left | full (default inner)
+ * @param {boolean} [options.trim] - ignore surrounding and repeated whitespace in keys
+ * @param {boolean} [options.caseFold] - compare keys case-insensitively
+ * @param {string} [options.rightName] - suffix for clashing right-hand headers (default "right")
+ * @returns {{data: string[][], matchedRows: number, unmatchedLeft: number, unmatchedRight: number}}
+ *   Right key columns are not repeated; in a full join they are filled from the right row when the left is missing.
+ */
+function joinTables(left, right, options) {
+  const type = JOIN_TYPES.includes(options.type) ? options.type : 'inner';
+  const leftKeys = options.leftKeys || [];
+  const rightKeys = options.rightKeys || [];
+  if (leftKeys.length === 0 || leftKeys.length !== rightKeys.length) {
+    throw new Error('Choose the same number of key columns in both tables');
+  }
+  const leftHeader = left[0] || [];
+  const rightHeader = right[0] || [];
+  const rightColumns = rightHeader.map((_, i) => i).filter(i => !rightKeys.includes(i));
+  const taken = new Set(leftHeader);
+  const header = [...leftHeader, ...rightColumns.map(i => uniqueJoinHeader(rightHeader[i] || `Column ${i + 1}`, taken, options.rightName || 'right'))];
+
+  // Index the right rows by key
+  const index = new Map();
+  right.slice(1).forEach((row, rowIndex) => {
+    const key = joinRowKey(row, rightKeys, options);
+    if (key === null) return;
+    if (!index.has(key)) index.set(key, []);
+    index.get(key).push(rowIndex);
+  });
+
+  const cell = (row, i) => (row[i] === undefined || row[i] === null ? '' : row[i]);
+  const usedRight = new Set();
+  const rows = [];
+  let matchedRows = 0;
+  let unmatchedLeft = 0;
+  left.slice(1).forEach(row => {
+    const key = joinRowKey(row, leftKeys, options);
+    const matches = key === null ? [] : (index.get(key) || []);
+    const leftCells = leftHeader.map((_, i) => cell(row, i));
+    if (matches.length > 0) {
+      matchedRows++;
+      matches.forEach(rightIndex => {
+        usedRight.add(rightIndex);
+        const match = right[rightIndex + 1];
+        rows.push([...leftCells, ...rightColumns.map(i => cell(match, i))]);
+      });
+    } else {
+      unmatchedLeft++;
+      if (type !== 'inner') rows.push([...leftCells, ...rightColumns.map(() => '')]);
+    }
+  });
+
+  const unmatchedRightRows = right.slice(1).filter((_, i) => !usedRight.has(i));
+  if (type === 'full') {
+    unmatchedRightRows.forEach(row => {
+      const leftCells = leftHeader.map(() => '');
+      leftKeys.forEach((li, k) => { leftCells[li] = cell(row, rightKeys[k]); });
+      rows.push([...leftCells, ...rightColumns.map(i => cell(row, i))]);
+    });
+  }
+  return { data: [header, ...rows], matchedRows, unmatchedLeft, unmatchedRight: unmatchedRightRows.length };
+}
+
+/**
+ * Column order of `other` matching the headers of `base` (null when the header sets differ)
+ * @param {string[]} base
+ * @param {string[]} other
+ * @param {{trim?: boolean, caseFold?: boolean}} [options]
+ * @returns {number[]|null}
+ */
+function matchHeaders(base, other, options = {}) {
+  if (base.length !== other.length) return null;
+  const normalized = other.map(h => joinKeyPart(h, options));
+  const used = new Set();
+  const order = [];
+  for (const header of base) {
+    const wanted = joinKeyPart(header, options);
+    const index = normalized.findIndex((h, i) => h === wanted && !used.has(i));
+    if (index < 0) return null;
+    used.add(index);
+    order.push(index);
+  }
+  return order;
+}
+
+/**
+ * Append the rows of tables that share their headers (in any order)
+ * @param {Array<{name: string, data: string[][]}>} tables
+ * @param {{trim?: boolean, caseFold?: boolean, sourceColumn?: string}} [options]
+ *   sourceColumn adds a column naming the table each row came from
+ * @returns {string[][]}
+ * @throws {Error} when a table's headers do not match the first table
+ */
+function appendTables(tables, options = {}) {
+  const base = tables[0].data[0] || [];
+  const header = options.sourceColumn ? [...base, options.sourceColumn] : [...base];
+  const rows = [];
+  tables.forEach(table => {
+    const order = matchHeaders(base, table.data[0] || [], options);
+    if (!order) {
+      throw new Error(`"${table.name}" has different headers (${(table.data[0] || []).join(', ')}); appending needs the same columns`);
+    }
+    table.data.slice(1).forEach(row => {
+      const cells = order.map(i => (row[i] === undefined || row[i] === null ? '' : row[i]));
+      rows.push(options.sourceColumn ? [...cells, table.name] : cells);
+    });
+  });
+  return [header, ...rows];
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { JOIN_TYPES, joinTables, matchHeaders, appendTables };
+}
+
+if (typeof window !== 'undefined') {
+  window.TableJoinUtils = { JOIN_TYPES, joinTables, matchHeaders, appendTables };
+}
@@ -3,8 +3,18 @@
  * Prioritizes inner tables with actual data over outer container tables
  */
 
+let extractRichCellFn;
+try {
+  // In Node test environment
+  ({ extractRichCell: extractRichCellFn } = require('./richCells'));
+} catch (e) {
+  // In browser utils/richCells.js exposes window.RichCellUtils
+  extractRichCellFn = null;
+}
+
 // Simple HTML parser for testing - parses HTML string into DOM-like structure
-function parseHTMLTable(table) {
+// With { rich: true } returns { data, richCells } (aligned rich cell grid, see utils/richCells.js)
+function parseHTMLTable(table, options = {}) {
   if (typeof table === 'string') {
     // Mock implementation for testing with HTML strings
     return parseHTMLTableFromString(table);
@@ -12,7 +22,7 @@ function parseHTMLTable(table) {
   
   // Real implementation for DOM elements (from content.js logic)
   const rows = table.querySelectorAll('tr');
-  const data = [];
+  const extractRich = options.rich ? (extractRichCellFn || window.RichCellUtils.extractRichCell) : null;
   
   // First pass: determine the maximum number of columns needed
   let maxCols = 0;
@@ -31,6 +41,7 @@ function parseHTMLTable(table) {
       // Add the cell content
       rowData.push({
         content,
+        rich: extractRich ? extractRich(cell) : null,
         colspan,
         rowspan,
         startCol: colIndex
@@ -47,9 +58,11 @@ function parseHTMLTable(table) {
   
   // Second pass: create a grid structure
   const grid = [];
+  const richGrid = [];
   
   parsedRows.forEach((rowCells, rowIndex) => {
     if (!grid[rowIndex]) grid[rowIndex] = new Array(maxCols).fill('');
+    if (!richGrid[rowIndex]) richGrid[rowIndex] = new Array(maxCols).fill(null);
     
     let colOffset = 0;
     
@@ -66,14 +79,17 @@ function parseHTMLTable(table) {
           const targetCol = colOffset + c;
           
           if (!grid[targetRow]) grid[targetRow] = new Array(maxCols).fill('');
+          if (!richGrid[targetRow]) richGrid[targetRow] = new Array(maxCols).fill(null);
           
           if (targetRow < grid.length && targetCol < maxCols) {
             // For rowspan: repeat content in all spanned rows
             // For colspan: only put content in the first column
             if (c === 0) {
               grid[targetRow][targetCol] = cellData.content;
+              richGrid[targetRow][targetCol] = cellData.rich;
             } else {
               grid[targetRow][targetCol] = '';
+              richGrid[targetRow][targetCol] = null;
             }
           }
         }
@@ -83,7 +99,10 @@ function parseHTMLTable(table) {
     });
   });
   
-  return grid.filter(row => row && row.length > 0);
+  const keptRows = grid.map((row, index) => index).filter(index => grid[index] && grid[index].length > 0);
+  const data = keptRows.map(index => grid[index]);
+  if (!options.rich) return data;
+  return { data, richCells: keptRows.map(index => richGrid[index]) };
 }
 
 // Helper function for testing with HTML strings
@@ -93,7 +112,11 @@ function parseHTMLTableFromString(htmlString) {
   return [];
 }
 
-function detectTablesWithNestingLogic(allTables, parseHTMLTableFn = parseHTMLTable) {
+/**
+ * Prioritize candidate tables. Also used for ARIA grids: pass the grid parser and a
+ * nestedSelector matching grid containers so container grids are demoted the same way.
+ */
+function detectTablesWithNestingLogic(allTables, parseHTMLTableFn = parseHTMLTable, nestedSelector = 'table') {
   const validTables = [];
   
   for (const table of allTables) {
@@ -115,7 +138,7 @@ function detectTablesWithNestingLogic(allTables, parseHTMLTableFn = parseHTMLTab
       const dataDensity = filledCells / totalCells;
       
       // Check if this table contains OTHER tables (not itself)
-      const nestedTables = table.querySelectorAll('table');
+      const nestedTables = table.querySelectorAll(nestedSelector);
       const actualNestedCount = Array.from(nestedTables).filter(nested => nested !== table).length;
       const isContainerTable = actualNestedCount > 0;
       
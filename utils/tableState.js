@@ -40,6 +40,14 @@ class TableStateManager {
         timestamp: Date.now(),
         // Core table structure
         tableData: Array.isArray(tableViewer.tableData) ? tableViewer.tableData.map(r => [...r]) : [],
+        // Links/images per cell, aligned with tableData (null for plain tables)
+        richCells: this.serializeRichCells(tableViewer),
+        // Stacked header rows merged into the header row (null for single-row headers)
+        headerHierarchy: tableViewer.headerHierarchy ? JSON.parse(JSON.stringify(tableViewer.headerHierarchy)) : null,
+        // Formulas of computed columns (their values are part of tableData)
+        computedColumns: (tableViewer.computedColumns || []).map(c => ({ ...c })),
+        // Display order, hidden/deleted columns and renamed headers (null = source layout)
+        columnLayout: tableViewer.columnLayout ? JSON.parse(JSON.stringify(tableViewer.columnLayout)) : null,
         // Column configuration
         columnTypes: [...(tableViewer.columnTypes || [])],
         columnStats: [...(tableViewer.columnStats || [])],
@@ -64,6 +72,12 @@ class TableStateManager {
     }
   }
 
+  serializeRichCells(tableViewer) {
+    if (!tableViewer.richRowMap || !Array.isArray(tableViewer.tableData)) return null;
+    const rows = tableViewer.tableData.map(r => tableViewer.richRowMap.get(r) || null);
+    return rows.some(Boolean) ? rows : null;
+  }
+
   /**
    * Save complete table viewer state to session storage
    */
@@ -150,6 +164,9 @@ class TableStateManager {
       if (state.numericFormatMap) {
         tableViewer.numericFormatMap = { ...state.numericFormatMap };
       }
+      
+      tableViewer.computedColumns = Array.isArray(state.computedColumns) ? state.computedColumns.map(c => ({ ...c })) : [];
+      tableViewer.columnLayout = state.columnLayout ? JSON.parse(JSON.stringify(state.columnLayout)) : null;
 
       // Apply sorting state
       if (state.currentSort) {
@@ -0,0 +1,60 @@
+/**
+ * Plain-text table serialization
+ * CSV/TSV and Markdown text for a grid (header row first), shared by the viewer exports and the
+ * copy actions on the page.
+ */
+
+/**
+ * Delimited text; cells containing the separator, quotes or line breaks are quoted (RFC 4180)
+ * @param {string[][]} data
+ * @param {string} [separator=',']
+ * @returns {string}
+ */
+function toDelimitedText(data, separator = ',') {
+  return data.map(row =>
+    row.map(cell => {
+      const cellStr = (cell || '').toString();
+      if (cellStr.includes(separator) || cellStr.includes('"') || cellStr.includes('\n')) {
+        return `"${cellStr.replace(/"/g, '""')}"`;
+      }
+      return cellStr;
+    }).join(separator)
+  ).join('\n');
+}
+
+/**
+ * GitHub-flavoured Markdown table; pipes are escaped and line breaks flattened
+ * @param {string[][]} data
+ * @returns {string}
+ */
+function toMarkdownTable(data) {
+  const headers = data[0] || [];
+  const rows = data.slice(1);
+  const escapeCell = (v) => {
+    const s = (v == null ? '' : v.toString()).replace(/\|/g, '\\|');
+    return s.replace(/\r?\n/g, ' ');
+  };
+  const headerLine = `| ${headers.map(escapeCell).join(' | ')} |`;
+  const alignLine = `| ${headers.map(() => '---').join(' | ')} |`;
+  const rowLines = rows.map(r => `| ${r.map(escapeCell).join(' | ')} |`);
+  return [headerLine, alignLine, ...rowLines].join('\n');
+}
+
+/**
+ * Text for a copy/export format
+ * @param {string[][]} data
+ * @param {string} format - csv | tsv | markdown
+ * @returns {string}
+ */
+function tableToText(data, format) {
+  if (format === 'markdown' || format === 'md') return toMarkdownTable(data);
+  return toDelimitedText(data, format === 'tsv' ? '\t' : ',');
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { toDelimitedText, toMarkdownTable, tableToText };
+}
+
+if (typeof window !== 'undefined') {
+  window.TableTextUtils = { toDelimitedText, toMarkdownTable, tableToText };
+}
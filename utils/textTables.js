@@ -0,0 +1,168 @@
+/**
+ * Plain-text table formats
+ * Markdown pipe tables and fixed-width (whitespace-aligned) text such as command-line output
+ * or <pre> reports. Shared by the content script (TableParser) and smart paste.
+ *
+ * Fixed-width columns are spans of character positions ({start, end}, end exclusive) found from
+ * gutters that are blank in every line. Taking the union of all lines keeps right-aligned numbers
+ * under a left-aligned header in one column; the viewer lets the user move the boundaries.
+ */
+
+const MARKDOWN_SEPARATOR_PATTERN = /^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/;
+
+/**
+ * Parse a markdown pipe table (the |---| separator row is skipped)
+ * @param {string} markdownText
+ * @returns {string[][]}
+ */
+function parseMarkdownTable(markdownText) {
+  const data = [];
+  markdownText.trim().split('\n').forEach(line => {
+    if (MARKDOWN_SEPARATOR_PATTERN.test(line) || !line.includes('|')) return;
+    // Outer pipes are optional; inner empty cells are kept so columns stay aligned
+    const cells = line.trim().replace(/^\|/, '').replace(/\|$/, '').split('|').map(cell => cell.trim());
+    if (cells.some(cell => cell !== '')) data.push(cells);
+  });
+  return data;
+}
+
+/**
+ * Whether text contains a markdown pipe table (pipe rows and a separator row)
+ * @param {string} text
+ * @returns {boolean}
+ */
+function isMarkdownTable(text) {
+  const lines = text.trim().split('\n');
+  return lines.length >= 2 &&
+    lines.some(line => MARKDOWN_SEPARATOR_PATTERN.test(line) && line.includes('-')) &&
+    lines.filter(line => line.split('|').length >= 3).length >= 2;
+}
+
+function fixedWidthLines(text) {
+  return text.replace(/\r/g, '').replace(/\t/g, '    ').split('\n').map(line => line.replace(/\s+$/, '')).filter(line => line.trim());
+}
+
+/**
+ * Column spans of whitespace-aligned text: runs of character positions that are not blank
+ * in every line, separated by gutters of at least minGap blank positions
+ * @param {string} text
+ * @param {{minGap?: number, minLines?: number}} options
+ * @returns {Array<{start: number, end: number}>} spans (end exclusive); empty when the text is not aligned
+ */
+function detectFixedWidthColumns(text, options = {}) {
+  const minGap = options.minGap || 2;
+  const minLines = options.minLines || 2;
+  const lines = fixedWidthLines(text);
+  if (lines.length < minLines) return [];
+
+  const width = Math.max(...lines.map(line => line.length));
+  const used = new Array(width).fill(false);
+  // Ruler lines (------) would bridge every gutter
+  lines.filter(line => !/^[-=_+*~\s]+$/.test(line)).forEach(line => {
+    for (let c = 0; c < line.length; c++) if (line[c] !== ' ') used[c] = true;
+  });
+
+  const columns = [];
+  let c = 0;
+  while (c < width) {
+    if (!used[c]) { c++; continue; }
+    const start = c;
+    let end = c;
+    // Extend across blank runs narrower than a gutter (spaces inside a cell)
+    while (c < width) {
+      if (used[c]) {
+        end = ++c;
+      } else {
+        let gap = c;
+        while (gap < width && !used[gap]) gap++;
+        if (gap - c >= minGap || gap >= width) break;
+        c = gap;
+      }
+    }
+    columns.push({ start, end });
+  }
+  return columns.length >= 2 ? columns : [];
+}
+
+/**
+ * Cut each line at the given column spans
+ * @param {string} text
+ * @param {Array<{start: number, end: number}>} columns
+ * @returns {string[][]}
+ */
+function splitFixedWidth(text, columns) {
+  return fixedWidthLines(text).map(line => columns.map((column, i) => {
+    // Text running past a span belongs to it until the next span starts
+    const end = i + 1 < columns.length ? columns[i + 1].start : line.length;
+    return line.slice(column.start, Math.max(end, column.end)).trim();
+  }));
+}
+
+const SEPARATOR_CELL_PATTERN = /^[-=_+*~]+(\s+[-=_+*~]+)*$/;
+
+/**
+ * Rows of a fixed-width table: ruler lines (----- -----) are dropped and wrapped cell text
+ * (a line with an empty first cell and at most half of the cells filled) joins the row above
+ * @param {string} text
+ * @param {Array<{start: number, end: number}>} columns
+ * @returns {string[][]}
+ */
+function buildFixedWidthRows(text, columns) {
+  const rows = [];
+  splitFixedWidth(text, columns).forEach(cells => {
+    const filled = cells.filter(Boolean);
+    if (filled.length > 0 && filled.every(cell => SEPARATOR_CELL_PATTERN.test(cell))) return;
+    const isContinuation = rows.length > 0 && !cells[0] && filled.length <= cells.length / 2;
+    if (isContinuation) {
+      const row = rows[rows.length - 1];
+      cells.forEach((cell, i) => { if (cell) row[i] = row[i] ? `${row[i]} ${cell}` : cell; });
+    } else {
+      rows.push(cells);
+    }
+  });
+  return rows;
+}
+
+/**
+ * Spans from boundary positions (the column where every column after the first starts)
+ * @param {number[]} boundaries
+ * @returns {Array<{start: number, end: number}>}
+ */
+function columnsFromBoundaries(boundaries) {
+  const starts = [0, ...Array.from(new Set(boundaries)).filter(b => b > 0).sort((a, b) => a - b)];
+  return starts.map((start, i) => ({ start, end: i + 1 < starts.length ? starts[i + 1] : Infinity }));
+}
+
+/**
+ * Parse whitespace-aligned text
+ * @param {string} text
+ * @param {Object} options - see detectFixedWidthColumns
+ * @returns {string[][]} rows (empty when no aligned columns are found)
+ */
+function parseFixedWidth(text, options = {}) {
+  const columns = detectFixedWidthColumns(text, options);
+  return columns.length > 0 ? buildFixedWidthRows(text, columns) : [];
+}
+
+/**
+ * Whether text reads as a fixed-width table rather than prose or code: at least three lines,
+ * most of them filling two or more columns, with short cells
+ * @param {string} text
+ * @returns {boolean}
+ */
+function looksLikeFixedWidth(text) {
+  if (fixedWidthLines(text).length < 3 || isMarkdownTable(text)) return false;
+  const rows = parseFixedWidth(text);
+  if (rows.length < 2) return false;
+  const multiCell = rows.filter(row => row.filter(Boolean).length >= 2).length;
+  const lengths = rows.reduce((all, row) => all.concat(row.filter(Boolean).map(cell => cell.length)), []).sort((a, b) => a - b);
+  return multiCell >= rows.length * 0.6 && lengths[Math.floor(lengths.length / 2)] <= 30;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { parseMarkdownTable, isMarkdownTable, detectFixedWidthColumns, splitFixedWidth, buildFixedWidthRows, columnsFromBoundaries, parseFixedWidth, looksLikeFixedWidth };
+}
+
+if (typeof window !== 'undefined') {
+  window.TextTableUtils = { parseMarkdownTable, isMarkdownTable, detectFixedWidthColumns, splitFixedWidth, buildFixedWidthRows, columnsFromBoundaries, parseFixedWidth, looksLikeFixedWidth };
+}
@@ -0,0 +1,37 @@
+/**
+ * Table viewer keyboard shortcuts
+ * Single-key bindings (no modifiers) that are ignored while typing in a form field.
+ */
+
+const VIEWER_SHORTCUTS = [
+  { key: '/', action: 'filter', description: 'Filter the focused column' },
+  { key: 's', action: 'sort', description: 'Sort the focused column (press again to reverse)' },
+  { key: 'c', action: 'chart', description: 'New chart' },
+  { key: 'e', action: 'export', description: 'Export data' },
+  { key: '?', action: 'help', description: 'Show these shortcuts' }
+];
+
+function isEditableTarget(target) {
+  return !!(target && target.closest && target.closest('input, textarea, select, [contenteditable="true"]'));
+}
+
+/**
+ * Shortcut action for a keydown event
+ * @param {{key: string, ctrlKey?: boolean, metaKey?: boolean, altKey?: boolean, target?: Element, defaultPrevented?: boolean}} event
+ * @returns {string|null} filter | sort | chart | export | help
+ */
+function resolveViewerShortcut(event) {
+  if (!event || event.defaultPrevented || event.ctrlKey || event.metaKey || event.altKey) return null;
+  if (isEditableTarget(event.target)) return null;
+  const key = typeof event.key === 'string' && event.key.length === 1 ? event.key.toLowerCase() : event.key;
+  const shortcut = VIEWER_SHORTCUTS.find(entry => entry.key === key);
+  return shortcut ? shortcut.action : null;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { VIEWER_SHORTCUTS, resolveViewerShortcut };
+}
+
+if (typeof window !== 'undefined') {
+  window.ViewerShortcutUtils = { VIEWER_SHORTCUTS, resolveViewerShortcut };
+}